@@ -10,6 +10,7 @@ import SongPreview from './SongPreview';
 import { validateSong } from '../utils/songValidation';
 import { saveSongToGitHub } from '../utils/githubAPI';
 import { parseSectionsText, validateParsedSections } from '../utils/sectionParser';
+import { findKey } from '../utils/keyFinding';
 
 const AddSongModal = ({ isOpen, onClose, onSongAdded }) => {
   const [formData, setFormData] = useState({
@@ -32,6 +33,7 @@ const AddSongModal = ({ isOpen, onClose, onSongAdded }) => {
   const [isSaving, setIsSaving] = useState(false);
   const [saveStatus, setSaveStatus] = useState(null); // 'success', 'error'
   const [generatedSong, setGeneratedSong] = useState(null);
+  const [keySuggestion, setKeySuggestion] = useState(null);
 
   // Reset form when modal opens/closes
   useEffect(() => {
@@ -88,6 +90,18 @@ const AddSongModal = ({ isOpen, onClose, onSongAdded }) => {
     }
   }, [formData, sectionsText]);
 
+  // Suggest a key from the chords entered so far
+  useEffect(() => {
+    try {
+      const parsedSections = parseSectionsText(sectionsText);
+      const chords = Object.values(parsedSections).flatMap(section => section.progression);
+      const { key, confidence } = findKey(chords);
+      setKeySuggestion(key ? { key, confidence } : null);
+    } catch (error) {
+      setKeySuggestion(null);
+    }
+  }, [sectionsText]);
+
   // Helper function to get decade from year
   const getDecadeFromYear = (year) => {
     if (year >= 2020) return '2020s';
@@ -214,7 +228,11 @@ const AddSongModal = ({ isOpen, onClose, onSongAdded }) => {
   };
 
   const genres = ['rock', 'pop', 'alternative', 'grunge', 'punk', 'indie', 'hip-hop', 'country', 'jazz', 'blues', 'reggae', 'funk', 'soul'];
-  const keys = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+  const majorKeys = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+  const minorKeys = majorKeys.map(key => `${key}m`);
+  const keys = [...majorKeys, ...minorKeys];
+  // Keep a suggested key selectable even when it's spelled differently from the list
+  const keyOptions = keys.includes(formData.key) ? keys : [formData.key, ...keys];
   const complexities = ['simple', 'intermediate', 'complex'];
 
   if (!isOpen) return null;
@@ -367,10 +385,22 @@ const AddSongModal = ({ isOpen, onClose, onSongAdded }) => {
                     onChange={(e) => handleInputChange('key', e.target.value)}
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                   >
-                    {keys.map(key => (
+                    {keyOptions.map(key => (
                       <option key={key} value={key}>{key}</option>
                     ))}
                   </select>
+                  {keySuggestion && keySuggestion.key !== formData.key && (
+                    <p className="mt-1 text-xs text-gray-500">
+                      Your chords suggest {keySuggestion.key} ({Math.round(keySuggestion.confidence * 100)}% confident).{' '}
+                      <button
+                        type="button"
+                        onClick={() => handleInputChange('key', keySuggestion.key)}
+                        className="text-blue-600 hover:text-blue-800 underline"
+                      >
+                        Use {keySuggestion.key}
+                      </button>
+                    </p>
+                  )}
                 </div>
 
                 {/* Tempo */}
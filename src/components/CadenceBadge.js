@@ -0,0 +1,37 @@
+/**
+ * CadenceBadge component - Small marker for a detected cadence
+ * Shared by the section, progression and search views so cadence types look the same everywhere
+ */
+
+import React from 'react';
+import { getCadenceTypeInfo } from '../utils/harmonicAnalysis';
+
+const CADENCE_STYLES = {
+  authentic: 'bg-green-100 text-green-800 border-green-200',
+  plagal: 'bg-teal-100 text-teal-800 border-teal-200',
+  half: 'bg-amber-100 text-amber-800 border-amber-200',
+  deceptive: 'bg-rose-100 text-rose-800 border-rose-200'
+};
+
+const CadenceBadge = ({
+  cadence,
+  showLabel = true, // Show the numerals (e.g. "V-I") next to the cadence name
+  className = ''
+}) => {
+  const info = getCadenceTypeInfo(cadence.type);
+  if (!info) return null;
+
+  const style = CADENCE_STYLES[cadence.type] || 'bg-gray-100 text-gray-700 border-gray-200';
+
+  return (
+    <span
+      className={`inline-flex items-center px-1.5 py-0.5 border rounded text-xs font-medium whitespace-nowrap ${style} ${className}`}
+      title={`${info.description}: ${cadence.chords.join(' → ')}${cadence.isSectionEnd ? ' (ends the progression)' : ''}`}
+    >
+      {info.name}
+      {showLabel && <span className="ml-1 font-mono opacity-75">{cadence.label}</span>}
+    </span>
+  );
+};
+
+export default CadenceBadge;
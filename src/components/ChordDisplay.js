@@ -1,11 +1,19 @@
 /**
- * ChordDisplay component that can show chords as names or Nashville numbers
+ * ChordDisplay component that can show chords as names, Nashville numbers or Roman numerals
  * Provides toggle functionality and key context for number system
  */
 
 import React, { useState, useEffect } from 'react';
-import { Music, Hash, Key, RotateCcw, Volume2 } from 'lucide-react';
-import { progressionToNashville, detectKey } from '../utils/nashvilleNumbers';
+import { Music, Key, RotateCcw, Volume2 } from 'lucide-react';
+import NotationToggle from './NotationToggle';
+import { 
+  progressionToNashville, 
+  progressionToRoman, 
+  getDefaultNumberingMode, 
+  getNumberingModes, 
+  formatKeyName
+} from '../utils/nashvilleNumbers';
+import { findKey } from '../utils/keyFinding';
 
 const ChordDisplay = ({
   chords = [],
@@ -14,37 +22,63 @@ const ChordDisplay = ({
   overallProgress = 0, // Overall progression progress (0-1)
   isPlaying = false,
   onChordClick = () => {},
-  showNashville = false,
-  onToggleNashville = () => {},
+  notation = 'chords', // 'chords', 'nashville', 'roman'
+  onNotationChange = () => {},
   keySignature = null,
   onKeyChange = () => {},
+  numberingMode = null, // Nashville numbering mode; defaults from the key
+  onNumberingModeChange = () => {},
   autoDetectKey = true,
   className = '',
   size = 'medium' // 'small', 'medium', 'large'
 }) => {
   const [displayKey, setDisplayKey] = useState('C');
   const [nashvilleNumbers, setNashvilleNumbers] = useState([]);
+  const [romanNumerals, setRomanNumerals] = useState([]);
+  const [keyCandidates, setKeyCandidates] = useState([]);
+  const [displayMode, setDisplayMode] = useState(
+    numberingMode || getDefaultNumberingMode(keySignature || 'C')
+  );
+
+  // Follow numbering mode changes from the parent
+  useEffect(() => {
+    if (numberingMode) {
+      setDisplayMode(numberingMode);
+    }
+  }, [numberingMode]);
 
   // Auto-detect key when chords change
   useEffect(() => {
     if (autoDetectKey && chords.length > 0) {
-      const detectedKey = detectKey(chords);
+      const { key: detectedKey, candidates } = findKey(chords, { maxCandidates: 3 });
+      setKeyCandidates(candidates);
+      if (!detectedKey) return;
+
       setDisplayKey(detectedKey);
       if (onKeyChange) {
         onKeyChange(detectedKey);
       }
     } else if (keySignature) {
+      setKeyCandidates([]);
       setDisplayKey(keySignature);
     }
   }, [chords, autoDetectKey, keySignature, onKeyChange]);
 
-  // Convert chords to Nashville numbers when key or chords change
+  // Without a mode from the parent, number minor keys in minor
+  useEffect(() => {
+    if (!numberingMode) {
+      setDisplayMode(getDefaultNumberingMode(displayKey));
+    }
+  }, [displayKey, numberingMode]);
+
+  // Convert chords to Nashville and Roman numerals when key or chords change
   useEffect(() => {
     if (chords.length > 0) {
-      const numbers = progressionToNashville(chords, displayKey);
-      setNashvilleNumbers(numbers);
+      const options = { mode: displayMode };
+      setNashvilleNumbers(progressionToNashville(chords, displayKey, options));
+      setRomanNumerals(progressionToRoman(chords, displayKey, options));
     }
-  }, [chords, displayKey]);
+  }, [chords, displayKey, displayMode]);
 
   // Get size classes
   const getSizeClasses = () => {
@@ -72,14 +106,25 @@ const ChordDisplay = ({
 
   const sizeClasses = getSizeClasses();
 
-  // Get chord display value (name or Nashville number)
+  // Get the analysis (Nashville or Roman) shown for a chord in the current notation
+  const getChordAnalysis = (index) => {
+    return notation === 'roman' ? romanNumerals[index] : nashvilleNumbers[index];
+  };
+
+  // Get chord display value (name, Nashville number or Roman numeral)
   const getChordDisplay = (index) => {
-    if (showNashville && nashvilleNumbers[index]) {
-      return nashvilleNumbers[index];
+    if (notation !== 'chords' && getChordAnalysis(index)) {
+      return getChordAnalysis(index);
     }
     return chords[index] || '';
   };
 
+  const notationTitles = {
+    chords: 'Chord Names',
+    nashville: 'Nashville Numbers',
+    roman: 'Roman Numerals'
+  };
+
   // Get chord classes for styling with enhanced visual feedback
   const getChordClasses = (index) => {
     const baseClasses = `${sizeClasses.chord} border-2 rounded-lg flex items-center justify-center font-semibold cursor-pointer transition-all duration-300 transform hover:scale-105 relative`;
@@ -108,8 +153,20 @@ const ChordDisplay = ({
     }
   };
 
-  // Common keys for quick selection
+  // Handle numbering mode selection
+  const handleNumberingModeChange = (newMode) => {
+    setDisplayMode(newMode);
+    if (onNumberingModeChange) {
+      onNumberingModeChange(newMode);
+    }
+  };
+
+  // Common keys for quick selection, plus the current key if it isn't one of them
   const commonKeys = ['C', 'G', 'D', 'A', 'E', 'B', 'F#', 'F', 'Bb', 'Eb', 'Ab', 'Db'];
+  const commonMinorKeys = ['Am', 'Em', 'Bm', 'F#m', 'C#m', 'Dm', 'Gm', 'Cm', 'Fm'];
+  const otherKeys = [...commonKeys, ...commonMinorKeys].includes(displayKey) ? [] : [displayKey];
+  const numberingModes = getNumberingModes();
+  const currentMode = numberingModes.find(mode => mode.id === displayMode) || numberingModes[0];
 
   return (
     <div className={`bg-white rounded-lg border border-gray-200 p-4 ${className}`}>
@@ -154,7 +211,7 @@ const ChordDisplay = ({
         <div className="flex items-center space-x-2">
           <Music className="w-5 h-5 text-blue-600" />
           <h3 className="font-semibold text-gray-900">
-            {showNashville ? 'Nashville Numbers' : 'Chord Names'}
+            {notationTitles[notation] || notationTitles.chords}
           </h3>
         </div>
         
@@ -168,18 +225,43 @@ const ChordDisplay = ({
               className="px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
               title="Select key for Nashville numbers"
             >
-              {commonKeys.map(key => (
+              {otherKeys.map(key => (
                 <option key={key} value={key}>{key}</option>
               ))}
+              <optgroup label="Major">
+                {commonKeys.map(key => (
+                  <option key={key} value={key}>{key}</option>
+                ))}
+              </optgroup>
+              <optgroup label="Minor">
+                {commonMinorKeys.map(key => (
+                  <option key={key} value={key}>{key}</option>
+                ))}
+              </optgroup>
             </select>
           </div>
 
+          {/* Numbering mode selector */}
+          <select
+            value={currentMode.id}
+            onChange={(e) => handleNumberingModeChange(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            title="Select how Nashville numbers are counted"
+          >
+            {numberingModes.map(mode => (
+              <option key={mode.id} value={mode.id}>{mode.label}</option>
+            ))}
+          </select>
+
           {/* Auto-detect key button */}
           {chords.length > 0 && (
             <button
               onClick={() => {
-                const detectedKey = detectKey(chords);
-                handleKeyChange(detectedKey);
+                const { key: detectedKey, candidates } = findKey(chords, { maxCandidates: 3 });
+                setKeyCandidates(candidates);
+                if (detectedKey) {
+                  handleKeyChange(detectedKey);
+                }
               }}
               className="p-1 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded"
               title="Auto-detect key from chords"
@@ -188,24 +270,36 @@ const ChordDisplay = ({
             </button>
           )}
 
-          {/* Toggle Nashville/Chord names */}
-          <button
-            onClick={onToggleNashville}
-            className={`flex items-center space-x-1 px-3 py-1 rounded transition-colors ${
-              showNashville 
-                ? 'bg-blue-100 text-blue-700' 
-                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-            }`}
-            title={showNashville ? 'Show chord names' : 'Show Nashville numbers'}
-          >
-            <Hash className="w-4 h-4" />
-            <span className="text-sm">
-              {showNashville ? 'Numbers' : 'Chords'}
-            </span>
-          </button>
+          {/* Toggle chord names/Nashville/Roman */}
+          <NotationToggle
+            notation={notation}
+            onNotationChange={onNotationChange}
+          />
         </div>
       </div>
 
+      {/* Ranked key candidates from detection */}
+      {keyCandidates.length > 1 && (
+        <div className="flex items-center space-x-2 -mt-2 mb-4 text-xs text-gray-500">
+          <span>Likely keys:</span>
+          {keyCandidates.map(candidate => (
+            <button
+              key={candidate.key}
+              type="button"
+              onClick={() => handleKeyChange(candidate.key)}
+              className={`px-2 py-0.5 rounded transition-colors ${
+                candidate.key === displayKey
+                  ? 'bg-blue-100 text-blue-700'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+              title={`Use ${formatKeyName(candidate.key)}`}
+            >
+              {candidate.key} {Math.round(candidate.confidence * 100)}%
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Chord progression display */}
       {chords.length === 0 ? (
         <div className="text-center text-gray-500 py-8">
@@ -220,8 +314,8 @@ const ChordDisplay = ({
                 <div
                   className={getChordClasses(index)}
                   onClick={() => onChordClick(index)}
-                  title={showNashville 
-                    ? `${nashvilleNumbers[index]} (${chord})` 
+                  title={notation !== 'chords' 
+                    ? `${getChordAnalysis(index)} (${chord})` 
                     : `${chord} (${nashvilleNumbers[index] || ''})`
                   }
                 >
@@ -274,14 +368,14 @@ const ChordDisplay = ({
           <div className={`${sizeClasses.text} text-gray-600 space-y-1`}>
             <div className="flex items-center justify-between">
               <span>
-                <strong>Key:</strong> {displayKey} major
+                <strong>Key:</strong> {formatKeyName(displayKey, currentMode.id)}
               </span>
               <span>
                 <strong>Length:</strong> {chords.length} chords
               </span>
             </div>
             
-            {showNashville ? (
+            {notation !== 'chords' ? (
               <div>
                 <strong>Chord names:</strong> {chords.join(' - ')}
               </div>
@@ -294,7 +388,7 @@ const ChordDisplay = ({
             {currentIndex >= 0 && currentIndex < chords.length && (
               <div>
                 <strong>Current:</strong> {chords[currentIndex]} 
-                {nashvilleNumbers[currentIndex] && ` (${nashvilleNumbers[currentIndex]})`}
+                {getChordAnalysis(currentIndex) && ` (${getChordAnalysis(currentIndex)})`}
                 {isPlaying && ' - Playing'}
               </div>
             )}
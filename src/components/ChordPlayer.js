@@ -3,212 +3,69 @@
  * Provides play/pause controls, speed adjustment, and visual feedback
  */
 
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useEffect, useCallback } from 'react';
 import { Play, Pause, Square, SkipBack, SkipForward, Volume2, VolumeX } from 'lucide-react';
-import { 
-  createAudioContext, 
-  playProgression, 
-  stopAudioNodes
-} from '../utils/audioSynthesis';
+import useChordPlayer from '../hooks/useChordPlayer';
+import { getDrumStyles } from '../utils/drumMachine';
+import { getAvailableVoicings } from '../utils/audioSynthesis';
+import { getChordPatterns } from '../utils/chordPatterns';
+import { getBassStyles } from '../utils/bassLines';
 
 const ChordPlayer = ({ 
   progression = [], 
   onProgressionChange = () => {},
   className = '',
   showEditControls = true,
-  autoPlay = false 
+  autoPlay = false,
+  genre = null, // Picks the drum style when the drums are on 'auto'
+  timeSignature = '4/4'
 }) => {
-  // Audio state
-  const [audioContext, setAudioContext] = useState(null);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [currentChordIndex, setCurrentChordIndex] = useState(0);
-  const [audioNodes, setAudioNodes] = useState([]);
-  const [volume, setVolume] = useState(0.3);
-  const [isMuted, setIsMuted] = useState(false);
-  
-  // Playback settings
-  const [bpm, setBpm] = useState(120);
-  const [repeat, setRepeat] = useState(false);
-  const [waveType, setWaveType] = useState('sawtooth');
-  
-  // Refs for cleanup and timing
-  const playbackIntervalRef = useRef(null);
-  const progressionRef = useRef(progression);
-  
-  // Update progression ref when prop changes
-  useEffect(() => {
-    progressionRef.current = progression;
-  }, [progression]);
-
-  // Initialize audio context
-  useEffect(() => {
-    const initAudio = async () => {
-      try {
-        const context = await createAudioContext();
-        setAudioContext(context);
-      } catch (error) {
-        console.warn('Could not initialize audio context:', error);
-      }
-    };
-    
-    initAudio();
-    
-    // Cleanup on unmount
-    return () => {
-      if (audioContext) {
-        audioContext.close();
-      }
-      stopPlayback();
-    };
-  }, []);
+  // Playback runs on the shared transport; the hook reports the chord sounding
+  const {
+    isAudioAvailable,
+    isPlaying,
+    currentChordIndex,
+    volume,
+    setVolume,
+    isMuted,
+    toggleMute,
+    bpm,
+    setBpm,
+    isRepeating: repeat,
+    setIsRepeating: setRepeat,
+    waveType,
+    setWaveType,
+    voicing,
+    setVoicing,
+    pattern,
+    setPattern,
+    swing,
+    setSwing,
+    humanize,
+    setHumanize,
+    drumStyle,
+    setDrumStyle,
+    activeDrumStyle,
+    drumVolume,
+    setDrumVolume,
+    countIn,
+    setCountIn,
+    bassStyle,
+    setBassStyle,
+    bassVolume,
+    setBassVolume,
+    countInBeat,
+    togglePlayback,
+    stop: stopPlayback,
+    skipForward,
+    skipBack,
+    setProgression
+  } = useChordPlayer({ initialProgression: progression, autoPlay });
 
-  // Auto play when progression changes (if enabled)
+  // Follow progression changes from the parent
   useEffect(() => {
-    if (autoPlay && progression.length > 0 && audioContext) {
-      playProgression();
-    }
-  }, [progression, autoPlay, audioContext]);
-
-  // Calculate chord duration in seconds from BPM
-  const getChordDuration = useCallback(() => {
-    return (60 / bpm);
-  }, [bpm]);
-
-  // Stop all audio and clear intervals
-  const stopPlayback = useCallback(() => {
-    if (playbackIntervalRef.current) {
-      clearInterval(playbackIntervalRef.current);
-      playbackIntervalRef.current = null;
-    }
-    
-    if (audioNodes.length > 0) {
-      stopAudioNodes(audioNodes);
-      setAudioNodes([]);
-    }
-    
-    setIsPlaying(false);
-    setCurrentChordIndex(0);
-  }, [audioNodes]);
-
-  // Play the chord progression
-  const playProgression = useCallback(async () => {
-    if (!audioContext || !progressionRef.current || progressionRef.current.length === 0) {
-      return;
-    }
-
-    // Stop any current playback
-    if (playbackIntervalRef.current) {
-      clearInterval(playbackIntervalRef.current);
-      playbackIntervalRef.current = null;
-    }
-    
-    if (audioNodes.length > 0) {
-      stopAudioNodes(audioNodes);
-      setAudioNodes([]);
-    }
-    
-    // Resume audio context if suspended
-    if (audioContext.state === 'suspended') {
-      await audioContext.resume();
-    }
-    
-    setIsPlaying(true);
-    setCurrentChordIndex(0);
-    
-    const chordDuration = getChordDuration();
-    let chordIndex = 0;
-    
-    // Play first chord immediately
-    const playChord = () => {
-      if (chordIndex >= progressionRef.current.length) {
-        if (repeat) {
-          chordIndex = 0;
-          setCurrentChordIndex(0);
-        } else {
-          stopPlayback();
-          return;
-        }
-      }
-      
-      const chord = progressionRef.current[chordIndex];
-      setCurrentChordIndex(chordIndex);
-      
-      try {
-        // Stop previous chord nodes
-        if (audioNodes.length > 0) {
-          stopAudioNodes(audioNodes);
-        }
-        
-        // Play new chord with current settings
-        const nodes = playProgression(audioContext, [chord], chordDuration, {
-          volume: isMuted ? 0 : volume,
-          waveType: waveType,
-          octave: 4
-        });
-        
-        setAudioNodes(nodes);
-      } catch (error) {
-        console.error('Error playing chord:', error);
-      }
-      
-      chordIndex++;
-    };
-    
-    // Play first chord
-    playChord();
-    
-    // Set up interval for subsequent chords
-    playbackIntervalRef.current = setInterval(playChord, chordDuration * 1000);
-  }, [audioContext, getChordDuration, repeat, volume, isMuted, waveType, audioNodes]);
-
-  // Pause playback
-  const pausePlayback = useCallback(() => {
-    if (playbackIntervalRef.current) {
-      clearInterval(playbackIntervalRef.current);
-      playbackIntervalRef.current = null;
-    }
-    setIsPlaying(false);
-  }, []);
-
-  // Toggle play/pause
-  const togglePlayback = useCallback(() => {
-    if (isPlaying) {
-      pausePlayback();
-    } else {
-      playProgression();
-    }
-  }, [isPlaying, pausePlayback, playProgression]);
-
-  // Skip to next chord
-  const skipForward = useCallback(() => {
-    if (progression.length === 0) return;
-    
-    const nextIndex = (currentChordIndex + 1) % progression.length;
-    setCurrentChordIndex(nextIndex);
-    
-    if (isPlaying) {
-      // Restart playback from new position
-      playProgression();
-    }
-  }, [currentChordIndex, progression.length, isPlaying, playProgression]);
-
-  // Skip to previous chord
-  const skipBack = useCallback(() => {
-    if (progression.length === 0) return;
-    
-    const prevIndex = currentChordIndex === 0 ? progression.length - 1 : currentChordIndex - 1;
-    setCurrentChordIndex(prevIndex);
-    
-    if (isPlaying) {
-      // Restart playback from new position
-      playProgression();
-    }
-  }, [currentChordIndex, progression.length, isPlaying, playProgression]);
-
-  // Toggle mute
-  const toggleMute = useCallback(() => {
-    setIsMuted(!isMuted);
-  }, [isMuted]);
+    setProgression(progression, null, { genre, timeSignature });
+  }, [progression, genre, timeSignature, setProgression]);
 
   // Handle chord editing
   const handleChordEdit = useCallback((index, newChord) => {
@@ -223,21 +80,16 @@ const ChordPlayer = ({
     onProgressionChange(newProgression);
   }, [progression, onProgressionChange]);
 
-  // Remove chord
+  // Remove chord; the player moves back if it was past the new end
   const removeChord = useCallback((index) => {
     const newProgression = progression.filter((_, i) => i !== index);
     onProgressionChange(newProgression);
-    
-    // Adjust current index if needed
-    if (currentChordIndex >= newProgression.length && newProgression.length > 0) {
-      setCurrentChordIndex(newProgression.length - 1);
-    }
-  }, [progression, onProgressionChange, currentChordIndex]);
+  }, [progression, onProgressionChange]);
 
   // Common chord suggestions
   const commonChords = ['C', 'Am', 'F', 'G', 'Dm', 'Em', 'Cmaj7', 'Am7', 'Fmaj7', 'G7'];
 
-  if (!audioContext) {
+  if (!isAudioAvailable) {
     return (
       <div className={`bg-gray-100 rounded-lg p-4 text-center ${className}`}>
         <p className="text-gray-600">Audio not available</p>
@@ -421,6 +273,141 @@ const ChordPlayer = ({
           </select>
         </div>
 
+        {/* Voicing */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Voicing
+          </label>
+          <select
+            value={voicing}
+            onChange={(e) => setVoicing(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {getAvailableVoicings().map(({ name, description }) => (
+              <option key={name} value={name} title={description}>
+                {name === 'root' ? 'Standard' : name.replace('-', ' ').replace(/\b\w/g, l => l.toUpperCase())}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Pattern */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Pattern
+          </label>
+          <select
+            value={pattern}
+            onChange={(e) => setPattern(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {getChordPatterns().map(({ id, label, description }) => (
+              <option key={id} value={id} title={description}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Swing and Humanize */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Swing: {Math.round(swing * 100)}%
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={swing}
+            onChange={(e) => setSwing(parseFloat(e.target.value))}
+            disabled={pattern === 'block'}
+            className="w-full"
+          />
+          <label className="block text-sm font-medium text-gray-700 mt-2 mb-1">
+            Humanize: {Math.round(humanize * 100)}%
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={humanize}
+            onChange={(e) => setHumanize(parseFloat(e.target.value))}
+            disabled={pattern === 'block'}
+            className="w-full"
+          />
+        </div>
+
+        {/* Drums */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Drums{drumStyle === 'auto' && `: ${getDrumStyles().find(({ id }) => id === activeDrumStyle)?.label}`}
+          </label>
+          <select
+            value={drumStyle}
+            onChange={(e) => setDrumStyle(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="off">Off</option>
+            <option value="auto">Auto</option>
+            {getDrumStyles().map(({ id, label, description }) => (
+              <option key={id} value={id} title={description}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.1"
+            value={drumVolume}
+            onChange={(e) => setDrumVolume(parseFloat(e.target.value))}
+            disabled={drumStyle === 'off' && !countIn}
+            className="w-full mt-2"
+            title="Drum volume"
+          />
+        </div>
+
+        {/* Bass */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Bass
+          </label>
+          <select
+            value={bassStyle}
+            onChange={(e) => setBassStyle(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="off">Off</option>
+            {getBassStyles().map(({ id, label, description }) => (
+              <option key={id} value={id} title={description}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.1"
+            value={bassVolume}
+            onChange={(e) => setBassVolume(parseFloat(e.target.value))}
+            disabled={bassStyle === 'off'}
+            className="w-full mt-2"
+            title="Bass volume"
+          />
+        </div>
+
+        {/* Count-in */}
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            id="count-in"
+            checked={countIn}
+            onChange={(e) => setCountIn(e.target.checked)}
+            className="mr-2"
+          />
+          <label htmlFor="count-in" className="text-sm font-medium text-gray-700">
+            Count in{countInBeat && ` (${countInBeat})`}
+          </label>
+        </div>
+
         {/* Repeat */}
         <div className="flex items-center">
           <input
@@ -3,10 +3,12 @@
  * Features chord input, visual feedback, and key-aware suggestions
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { Plus, X, Play, Trash2, Music } from 'lucide-react';
-import { playChord, createAudioContext, stopAudioNodes } from '../utils/audioSynthesis';
+import { playChord, getSharedAudioContext, stopAudioNodes } from '../utils/audioSynthesis';
+import useChordPlayer from '../hooks/useChordPlayer';
 import { transposeChord } from '../utils/chordUtils';
+import { spellChordInKey } from '../utils/noteSpelling';
 
 const ChordProgressionBuilder = ({ 
   verseChords, 
@@ -17,9 +19,10 @@ const ChordProgressionBuilder = ({
   songKey = 'C' 
 }) => {
   const [activeSection, setActiveSection] = useState('verse');
-  const [audioContext, setAudioContext] = useState(null);
   const [playingChord, setPlayingChord] = useState(null);
   const [audioNodes, setAudioNodes] = useState([]);
+  // Whole sections play through the transport, a chord every 0.8 seconds
+  const player = useChordPlayer({ initialBpm: 75, initialVolume: 0.3, initialWaveType: 'sine' });
 
   // Common chords in major keys for suggestions
   const majorKeyChords = {
@@ -37,19 +40,6 @@ const ChordProgressionBuilder = ({
     'Db': ['Db', 'Ebm', 'Fm', 'Gb', 'Ab', 'Bbm', 'Cdim']
   };
 
-  // Initialize audio context
-  useEffect(() => {
-    const initAudio = async () => {
-      try {
-        const ctx = await createAudioContext();
-        setAudioContext(ctx);
-      } catch (error) {
-        console.warn('Audio context not available:', error);
-      }
-    };
-    initAudio();
-  }, []);
-
   const getSuggestedChords = () => {
     return majorKeyChords[songKey] || majorKeyChords['C'];
   };
@@ -91,20 +81,17 @@ const ChordProgressionBuilder = ({
   };
 
   const playChordPreview = async (chord, index = null) => {
-    if (!audioContext || !chord) return;
+    if (!chord) return;
 
     // Stop previous audio
+    player.stop();
     if (audioNodes.length > 0) {
       stopAudioNodes(audioNodes);
       setAudioNodes([]);
     }
 
-    // Resume audio context if needed
-    if (audioContext.state === 'suspended') {
-      await audioContext.resume();
-    }
-
     try {
+      const audioContext = await getSharedAudioContext();
       setPlayingChord(index !== null ? index : chord);
       const nodes = playChord(audioContext, chord, 1.5, null, {
         volume: 0.3,
@@ -127,29 +114,18 @@ const ChordProgressionBuilder = ({
     }
   };
 
-  const playProgression = async () => {
+  const playProgression = () => {
     const currentChords = getCurrentChords();
-    if (!audioContext || currentChords.length === 0) return;
-
-    if (audioContext.state === 'suspended') {
-      await audioContext.resume();
-    }
+    if (currentChords.length === 0) return;
 
-    let index = 0;
-    const playNext = () => {
-      if (index >= currentChords.length) {
-        setPlayingChord(null);
-        return;
-      }
-
-      playChordPreview(currentChords[index], index);
-      index++;
-      setTimeout(playNext, 800);
-    };
-
-    playNext();
+    setPlayingChord(null);
+    player.stop();
+    player.play(currentChords);
   };
 
+  // The chord the transport is playing, or the one being previewed
+  const highlightedChord = player.isPlaying ? player.currentChordIndex : playingChord;
+
   // Common progressions for quick selection
   const commonProgressions = {
     verse: [
@@ -189,7 +165,8 @@ const ChordProgressionBuilder = ({
       ...preset,
       chords: preset.chords.map(chord => {
         try {
-          return transposeChord(chord, semitones);
+          // Presets are written in C; spell the result the way the song's key is written
+          return spellChordInKey(transposeChord(chord, semitones), songKey) || chord;
         } catch {
           return chord; // Fallback to original chord
         }
@@ -262,7 +239,7 @@ const ChordProgressionBuilder = ({
                 value={chord}
                 onChange={(e) => handleChordChange(index, e.target.value)}
                 className={`w-full px-3 py-2 text-center font-mono border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
-                  playingChord === index ? 'bg-blue-100 border-blue-500' : 'border-gray-300'
+                  highlightedChord === index ? 'bg-blue-100 border-blue-500' : 'border-gray-300'
                 }`}
                 placeholder="C"
               />
@@ -330,7 +307,7 @@ const ChordProgressionBuilder = ({
               onClick={() => handleAddChord(chord)}
               onDoubleClick={() => playChordPreview(chord)}
               className={`px-3 py-1 text-sm font-mono rounded-md border transition-colors ${
-                playingChord === chord 
+                highlightedChord === chord 
                   ? 'bg-blue-100 border-blue-500 text-blue-700'
                   : 'bg-white border-gray-300 hover:bg-gray-50'
               }`}
@@ -97,8 +97,8 @@ const ChordVisualization = ({
       'dominant7': 'Dominant seventh - bluesy, tension',
       'diminished': 'Diminished - tense, unstable',
       'augmented': 'Augmented - mysterious, unsettled',
-      'sus2': 'Suspended 2nd - open, floating',
-      'sus4': 'Suspended 4th - building tension'
+      'suspended2': 'Suspended 2nd - open, floating',
+      'suspended4': 'Suspended 4th - building tension'
     };
     return descriptions[quality] || 'Chord variant';
   }
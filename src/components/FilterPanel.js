@@ -14,20 +14,47 @@ import {
   VALID_SECTION_NAMES, 
   VALID_POPULARITY_LEVELS 
 } from '../utils/songValidation.js';
+import { getCadenceTypes, getCadenceTypeInfo } from '../utils/harmonicAnalysis.js';
+import { getAvailableFilters } from '../utils/filtering.js';
+import { createEmptyFilters } from '../utils/searchUrlState.js';
+
+// Range filters: the filter they set and how their values read
+const RANGE_FILTERS = {
+  tempoRange: { unit: 'BPM', minPlaceholder: 'Min BPM', maxPlaceholder: 'Max BPM' },
+  yearRange: { unit: '', minPlaceholder: 'From year', maxPlaceholder: 'To year' }
+};
+
+/**
+ * Describes a range filter for the active filter chips
+ * @param {string} filterType - 'tempoRange' or 'yearRange'
+ * @param {Object} range - { min, max }
+ * @returns {string} - Text such as "90–120 BPM", "1970+" or "up to 1989"
+ */
+const describeRange = (filterType, { min = null, max = null }) => {
+  const { unit } = RANGE_FILTERS[filterType];
+  let text;
+  if (min !== null && max !== null) text = `${min}–${max}`;
+  else if (min !== null) text = `${min}+`;
+  else text = `up to ${max}`;
+  return unit ? `${text} ${unit}` : text;
+};
 
 const FilterPanel = ({ 
   filters, 
   onFiltersChange, 
+  filterCounts = null, // Songs each value leaves for the current search (see getFilterCounts)
   className = "",
   collapsible = true 
 }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [databaseStats, setDatabaseStats] = useState(null);
+  const [availableKeys, setAvailableKeys] = useState([]);
 
   // Load database statistics on mount
   useEffect(() => {
     const stats = getDatabaseStats();
     setDatabaseStats(stats);
+    setAvailableKeys(getAvailableFilters().keys);
   }, []);
 
   // Handle filter changes
@@ -55,8 +82,10 @@ const FilterPanel = ({
     onFiltersChange(newFilters);
   };
 
-  // Get count for dropdown options
+  // Get count for dropdown options: songs matching the current search and the other filters,
+  // or the whole database until a search has run
   const getOptionCount = (filterType, option) => {
+    if (filterCounts) return filterCounts[filterType]?.[option] || 0;
     if (!databaseStats) return 0;
     
     switch (filterType) {
@@ -73,15 +102,7 @@ const FilterPanel = ({
 
   // Clear all filters
   const clearAllFilters = () => {
-    onFiltersChange({
-      genres: [],
-      decades: [],
-      sections: [],
-      complexities: [],
-      popularities: [],
-      progressionLength: null,
-      artists: []
-    });
+    onFiltersChange(createEmptyFilters());
   };
 
   // Check if any filters are active
@@ -108,20 +129,41 @@ const FilterPanel = ({
   );
 
 
-  const SingleSelectFilter = ({ filterType, options, label, placeholder = "Any" }) => (
-    <select
-      value={filters[filterType] || ""}
-      onChange={(e) => handleFilterChange(filterType, e.target.value || null)}
-      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-    >
-      <option value="">{placeholder}</option>
-      {options.map(option => (
-        <option key={option} value={option}>
-          {option}
-        </option>
-      ))}
-    </select>
-  );
+  // Range inputs apply on Enter or when they lose focus, rather than on every keystroke
+  const RangeFilter = ({ filterType }) => {
+    const { minPlaceholder, maxPlaceholder } = RANGE_FILTERS[filterType];
+    const range = filters[filterType] || {};
+
+    const applyRange = (end, text) => {
+      const value = text.trim() === '' ? null : Number(text);
+      if (Number.isNaN(value)) return;
+
+      const newRange = { min: range.min ?? null, max: range.max ?? null, [end]: value };
+      if (newRange.min === (range.min ?? null) && newRange.max === (range.max ?? null)) return;
+      handleMultiSelectChange(filterType, newRange.min === null && newRange.max === null ? null : newRange);
+    };
+
+    const renderInput = (end, placeholder) => (
+      <input
+        type="number"
+        defaultValue={range[end] ?? ''}
+        placeholder={placeholder}
+        onBlur={(e) => applyRange(end, e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') applyRange(end, e.target.value);
+        }}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+      />
+    );
+
+    return (
+      <div className="flex items-center gap-2">
+        {renderInput('min', minPlaceholder)}
+        <span className="text-gray-400">–</span>
+        {renderInput('max', maxPlaceholder)}
+      </div>
+    );
+  };
 
   const ProgressionLengthFilter = () => {
     const lengthOptions = [2, 3, 4, 5, 6, 7, 8, 12, 16];
@@ -158,36 +200,71 @@ const FilterPanel = ({
     );
   };
 
+  const CadenceFilter = () => {
+    const selectedCadences = filters.cadences || [];
+
+    return (
+      <div className="space-y-2">
+        <div className="flex flex-wrap gap-2">
+          {getCadenceTypes().map(type => {
+            const info = getCadenceTypeInfo(type);
+            const isSelected = selectedCadences.includes(type);
+            return (
+              <button
+                key={type}
+                onClick={() => handleFilterChange('cadences', type)}
+                title={info.description}
+                className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+                  isSelected 
+                    ? 'bg-blue-600 text-white' 
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {info.name}
+              </button>
+            );
+          })}
+        </div>
+        <select
+          value={filters.cadencePosition || ""}
+          onChange={(e) => handleFilterChange('cadencePosition', e.target.value || null)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        >
+          <option value="">Anywhere in the section</option>
+          <option value="ending">Section ends in the cadence</option>
+        </select>
+      </div>
+    );
+  };
+
   const ArtistFilter = () => {
+    const artists = filters.artists || [];
+
     return (
       <div className="space-y-2">
         <input
           type="text"
-          placeholder="Search by artist name..."
+          placeholder="Add an artist and press Enter..."
           className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-          onChange={(e) => {
-            // For now, this is a placeholder - in a real app you'd implement autocomplete
+          onKeyDown={(e) => {
             const value = e.target.value.trim();
-            if (value) {
-              handleFilterChange('artists', [value]);
-            } else {
-              handleFilterChange('artists', []);
+            if (e.key !== 'Enter' || !value) return;
+            if (!artists.includes(value)) {
+              handleMultiSelectChange('artists', [...artists, value]);
             }
+            e.target.value = '';
           }}
         />
-        {filters.artists?.length > 0 && (
+        {artists.length > 0 && (
           <div className="flex flex-wrap gap-1">
-            {filters.artists.map(artist => (
+            {artists.map(artist => (
               <span
                 key={artist}
                 className="inline-flex items-center px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full"
               >
                 {artist}
                 <button
-                  onClick={() => {
-                    const newArtists = filters.artists.filter(a => a !== artist);
-                    handleFilterChange('artists', newArtists);
-                  }}
+                  onClick={() => handleFilterChange('artists', artist)}
                   className="ml-1 hover:text-blue-600"
                 >
                   <X size={12} />
@@ -239,7 +316,7 @@ const FilterPanel = ({
                     key={key}
                     className="inline-flex items-center px-2 py-0.5 bg-gray-100 text-gray-700 text-xs rounded"
                   >
-                    {value}
+                    {RANGE_FILTERS[key] ? describeRange(key, value) : value}
                   </span>
                 );
               }
@@ -333,26 +410,57 @@ const FilterPanel = ({
           <ProgressionLengthFilter />
         </FilterSection>
 
+        {/* Cadence Filter */}
+        <FilterSection title="Cadence">
+          <CadenceFilter />
+        </FilterSection>
+
         {/* Complexity Filter */}
         <FilterSection title="Complexity">
-          <SingleSelectFilter
-            filterType="complexity"
+          <MultiSelectDropdown
             options={VALID_COMPLEXITY_LEVELS}
-            label="Complexity"
+            selectedValues={filters.complexities || []}
+            onChange={(selectedValues) => handleMultiSelectChange('complexities', selectedValues)}
             placeholder="Any complexity"
+            showCounts={true}
+            getCounts={(option) => getOptionCount('complexities', option)}
           />
         </FilterSection>
 
         {/* Popularity Filter */}
         <FilterSection title="Popularity">
-          <SingleSelectFilter
-            filterType="popularity"
+          <MultiSelectDropdown
             options={VALID_POPULARITY_LEVELS}
-            label="Popularity"
+            selectedValues={filters.popularities || []}
+            onChange={(selectedValues) => handleMultiSelectChange('popularities', selectedValues)}
             placeholder="Any popularity"
+            showCounts={true}
+            getCounts={(option) => getOptionCount('popularities', option)}
           />
         </FilterSection>
 
+        {/* Key Filter */}
+        <FilterSection title="Key">
+          <MultiSelectDropdown
+            options={availableKeys}
+            selectedValues={filters.keys || []}
+            onChange={(selectedValues) => handleMultiSelectChange('keys', selectedValues)}
+            placeholder="Any key"
+            showCounts={true}
+            getCounts={(option) => getOptionCount('keys', option)}
+          />
+        </FilterSection>
+
+        {/* Tempo Filter */}
+        <FilterSection title="Tempo">
+          <RangeFilter filterType="tempoRange" />
+        </FilterSection>
+
+        {/* Year Filter */}
+        <FilterSection title="Release Year">
+          <RangeFilter filterType="yearRange" />
+        </FilterSection>
+
         {/* Artist Filter */}
         <FilterSection title="Artist/Band">
           <ArtistFilter />
@@ -3,120 +3,185 @@
  * Contains the original App.js functionality for searching chord progressions
  */
 
-import React, { useState, useRef, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { Music, Plus } from 'lucide-react';
 import SearchSection from './SearchSection';
 import SearchResults from './SearchResults';
 import FilterPanel from './FilterPanel';
 import ChordDisplay from './ChordDisplay';
 import AddSongModal from './AddSongModal';
-import { searchByProgression as searchChordProgression } from '../utils/chordSearch';
-import { createAudioContext, playChord, stopAudioNodes } from '../utils/audioSynthesis';
-import { progressionToNashville } from '../utils/nashvilleNumbers';
+import { searchAsync, addSongToSearch, cancelSearchTask, isCancelledError } from '../utils/searchClient';
+import { progressionToNotation } from '../utils/nashvilleNumbers';
+import { decodeSearchState, encodeSearchState, getSearchOptions, getSearchProgression } from '../utils/searchUrlState';
+import useChordPlayer from '../hooks/useChordPlayer';
+
+// Search options for the filters the panel supports; each list matches any of its values
+const getFilterOptions = (filters) => ({
+  genreFilter: filters.genres,
+  decadeFilter: filters.decades,
+  sectionFilter: filters.sections,
+  complexityFilter: filters.complexities,
+  popularityFilter: filters.popularities,
+  keyFilter: filters.keys,
+  artistFilter: filters.artists,
+  tempoFilter: filters.tempoRange,
+  yearFilter: filters.yearRange,
+  cadenceFilter: filters.cadences,
+  cadenceAtEnd: filters.cadencePosition === 'ending'
+});
 
 const HomePage = () => {
   const navigate = useNavigate();
-  const [searchProgression, setSearchProgression] = useState([]);
+  const location = useLocation();
+  // The search in the URL when the page loads, so a shared or bookmarked search opens as it was
+  const [restoredState] = useState(() => decodeSearchState(location.search));
+  // The URL search this page last wrote or read, to tell its own updates from back/forward and links
+  const urlSearchRef = useRef(location.search);
+  const [searchText, setSearchText] = useState(restoredState.query);
+  const [searchMode, setSearchMode] = useState(restoredState.mode);
+  const [ignoreInversions, setIgnoreInversions] = useState(restoredState.ignoreInversions);
+  const [searchProgression, setSearchProgression] = useState(() => getSearchProgression(restoredState));
   const [searchResults, setSearchResults] = useState([]);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [currentChordIndex, setCurrentChordIndex] = useState(0);
-  const [chordProgress, setChordProgress] = useState(0); // Progress within current chord (0-1)
-  const [overallProgress, setOverallProgress] = useState(0); // Overall progression progress (0-1)
-  const [speed, setSpeed] = useState(120); // BPM
-  const [audioContext, setAudioContext] = useState(null);
-  const [audioNodes, setAudioNodes] = useState([]);
-  const [showNashville, setShowNashville] = useState(false);
+  const [isSearching, setIsSearching] = useState(false);
+  const [filterCounts, setFilterCounts] = useState(null); // Songs each filter value leaves for the current search
+  const [searchRevision, setSearchRevision] = useState(0); // Bumped to run the current search again
+  const [notation, setNotation] = useState(restoredState.notation);
   const [currentKey, setCurrentKey] = useState('C');
-  const [voicing, setVoicing] = useState('root');
-  const [filters, setFilters] = useState({
-    genres: [],
-    decades: [],
-    sections: [],
-    complexities: [],
-    popularities: [],
-    progressionLength: null,
-    artists: []
-  });
+  const [numberingMode, setNumberingMode] = useState(restoredState.numberingMode);
+  const [filters, setFilters] = useState(restoredState.filters);
   const [showAddSongModal, setShowAddSongModal] = useState(false);
-  const intervalRef = useRef(null);
+  const player = useChordPlayer({
+    initialBpm: restoredState.bpm,
+    initialVolume: 0.2,
+    initialWaveType: 'sine',
+    initialVoicing: restoredState.voicing,
+    initialPattern: restoredState.pattern,
+    initialSwing: restoredState.swing,
+    initialHumanize: restoredState.humanize,
+    initialDrumStyle: restoredState.drumStyle,
+    initialCountIn: restoredState.countIn,
+    initialBassStyle: restoredState.bassStyle,
+    onError: () => alert('Audio playback is not available. Please check your browser settings and ensure audio is not blocked.')
+  });
+  const {
+    isPlaying,
+    currentChordIndex,
+    chordProgress,
+    progress: overallProgress,
+    bpm: speed,
+    setBpm: setSpeed,
+    voicing,
+    setVoicing,
+    pattern,
+    setPattern,
+    swing,
+    setSwing,
+    humanize,
+    setHumanize,
+    drumStyle,
+    setDrumStyle,
+    countIn,
+    setCountIn,
+    bassStyle,
+    setBassStyle,
+    countInBeat,
+    setProgression: setPlayerProgression
+  } = player;
 
+  // While nothing plays the player holds the searched progression, so clicking a chord picks where play starts
   useEffect(() => {
-    // Initialize AudioContext using our utility
-    const initAudio = async () => {
-      try {
-        const ctx = await createAudioContext();
-        setAudioContext(ctx);
-        console.log('Audio context initialized successfully:', ctx.state);
-      } catch (error) {
-        console.warn('Audio context not available:', error);
-      }
-    };
-    
-    initAudio();
-    
-    return () => {
-      // Cleanup will be handled by the audioContext dependency
-    };
-  }, []); // Only run once on mount
+    if (!isPlaying) {
+      setPlayerProgression(searchProgression);
+    }
+  }, [searchProgression, isPlaying, setPlayerProgression]);
 
-  // Separate effect for cleanup
-  useEffect(() => {
-    return () => {
-      if (audioContext) {
-        audioContext.close();
-      }
-    };
-  }, [audioContext]);
+  // Mode and matching options for what's typed, so every search runs with the options on screen
+  const searchOptions = useMemo(
+    () => getSearchOptions({ query: searchText, mode: searchMode, ignoreInversions }),
+    [searchText, searchMode, ignoreInversions]
+  );
 
-  // Automatically search when progression changes
+  // Automatically search when the progression, filters or search options change.
+  // The search runs in a worker, and a newer search cancels one still running. Without a
+  // progression it still runs, to count the songs each filter value leaves
   useEffect(() => {
     console.log('🔄 Search progression changed:', searchProgression);
-    if (searchProgression && searchProgression.length > 0) {
-      // Perform search directly here instead of calling handleSearch to avoid dependency issues
-      try {
-        const results = searchChordProgression(searchProgression, {
-          genreFilter: filters.genres.length > 0 ? filters.genres[0] : null,
-          decadeFilter: filters.decades.length > 0 ? filters.decades[0] : null,
-          sectionFilter: null,
-          complexityFilter: filters.complexities.length > 0 ? filters.complexities[0] : null,
-          popularityFilter: filters.popularities.length > 0 ? filters.popularities[0] : null
-        });
+    const hasProgression = Boolean(searchProgression && searchProgression.length > 0);
+    if (!hasProgression) {
+      setSearchResults([]);
+    }
+
+    setIsSearching(hasProgression);
+    searchAsync(searchProgression || [], { ...searchOptions, ...getFilterOptions(filters) })
+      .then(({ results, filterCounts }) => {
         console.log('🔍 Auto-search results:', results.length);
         setSearchResults(results);
-      } catch (error) {
+        setFilterCounts(filterCounts);
+        setIsSearching(false);
+      })
+      .catch(error => {
+        if (isCancelledError(error)) return;
         console.error('Auto-search error:', error);
         setSearchResults([]);
-      }
-    } else {
-      setSearchResults([]);
-    }
-  }, [searchProgression, filters]);
+        setIsSearching(false);
+      });
+  }, [searchProgression, filters, searchOptions, searchRevision]);
 
-  // Handle speed changes during playback
+  // Show the search in the URL whenever it changes from outside the page (back/forward, or a link to a shared search)
   useEffect(() => {
-    if (isPlaying && searchProgression.length > 0) {
-      console.log('🎵 Speed changed during playback, restarting with new tempo:', speed);
-      // Store current progress
-      const currentProgression = searchProgression;
-      const currentIndex = currentChordIndex;
-      
-      // Stop current playback
-      stopPlayback();
-      
-      // Restart with new speed after a short delay
-      setTimeout(() => {
-        if (currentIndex > 0) {
-          // If we were partway through, start from current chord
-          setCurrentChordIndex(currentIndex);
-        }
-        playProgression(currentProgression);
-      }, 100);
+    if (location.search === urlSearchRef.current) return;
+    urlSearchRef.current = location.search;
+
+    const state = decodeSearchState(location.search);
+    setSearchText(state.query);
+    setSearchMode(state.mode);
+    setIgnoreInversions(state.ignoreInversions);
+    setSearchProgression(getSearchProgression(state));
+    setFilters(state.filters);
+    setNotation(state.notation);
+    setNumberingMode(state.numberingMode);
+    setSpeed(state.bpm);
+    setVoicing(state.voicing);
+    setPattern(state.pattern);
+    setSwing(state.swing);
+    setHumanize(state.humanize);
+    setDrumStyle(state.drumStyle);
+    setCountIn(state.countIn);
+    setBassStyle(state.bassStyle);
+  }, [location.search, setSpeed, setVoicing, setPattern, setSwing, setHumanize, setDrumStyle, setCountIn, setBassStyle]);
+
+  // Keep the URL in step with the search, replacing the history entry so typing doesn't fill the back button
+  useEffect(() => {
+    const search = encodeSearchState({
+      query: searchText,
+      mode: searchMode,
+      ignoreInversions,
+      filters,
+      bpm: speed,
+      voicing,
+      pattern,
+      swing,
+      humanize,
+      drumStyle,
+      countIn,
+      bassStyle,
+      notation,
+      numberingMode
+    });
+    const urlSearch = search ? `?${search}` : '';
+    if (urlSearch !== urlSearchRef.current) {
+      urlSearchRef.current = urlSearch;
+      navigate({ search }, { replace: true });
     }
-  // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [speed]);
+  }, [searchText, searchMode, ignoreInversions, filters, speed, voicing, pattern, swing, humanize, drumStyle, countIn, bassStyle,
+    notation, numberingMode, navigate]);
+
+  // Drop any search still running when the page closes
+  useEffect(() => () => cancelSearchTask('search'), []);
 
-  const handleSearch = (searchOptions = {}) => {
+  // Pressing Enter runs the search again; typing already searches with the options on screen
+  const handleSearch = () => {
     console.log('🔍 Search triggered with:', { searchProgression, searchOptions, filters });
     
     if (!searchProgression || searchProgression.length === 0) {
@@ -125,190 +190,23 @@ const HomePage = () => {
       return;
     }
 
-    try {
-      // Use the search utilities we built
-      // Enhanced filtering to handle multiple section filters
-      let allResults = [];
-      
-      if (filters.sections.length > 0) {
-        // Search each selected section separately for better section-specific results
-        filters.sections.forEach(section => {
-          const sectionResults = searchChordProgression(searchProgression, {
-            ...searchOptions,
-            genreFilter: filters.genres.length > 0 ? filters.genres[0] : null,
-            decadeFilter: filters.decades.length > 0 ? filters.decades[0] : null,
-            sectionFilter: section,
-            complexityFilter: filters.complexities.length > 0 ? filters.complexities[0] : null,
-            popularityFilter: filters.popularities.length > 0 ? filters.popularities[0] : null
-          });
-          allResults.push(...sectionResults);
-        });
-        
-        // Remove duplicates and sort by confidence
-        const uniqueResults = new Map();
-        allResults.forEach(result => {
-          const key = `${result.songId}-${result.matchedSection}`;
-          if (!uniqueResults.has(key) || result.confidence > uniqueResults.get(key).confidence) {
-            uniqueResults.set(key, result);
-          }
-        });
-        allResults = Array.from(uniqueResults.values()).sort((a, b) => b.confidence - a.confidence);
-      } else {
-        // No section filter, search all sections
-        allResults = searchChordProgression(searchProgression, {
-          ...searchOptions,
-          genreFilter: filters.genres.length > 0 ? filters.genres[0] : null,
-          decadeFilter: filters.decades.length > 0 ? filters.decades[0] : null,
-          sectionFilter: null,
-          complexityFilter: filters.complexities.length > 0 ? filters.complexities[0] : null,
-          popularityFilter: filters.popularities.length > 0 ? filters.popularities[0] : null
-        });
-      }
-      
-      console.log('✅ Search completed. Results found:', allResults.length);
-      setSearchResults(allResults);
-    } catch (error) {
-      console.error('Search error:', error);
-      setSearchResults([]);
-    }
+    setSearchRevision(revision => revision + 1);
   };
 
-  const playProgression = async (chords) => {
-    console.log('🎵 Play progression called with chords:', chords);
-    console.log('🎵 Current audioContext:', audioContext);
-    console.log('🎵 isPlaying state:', isPlaying);
-    
+  // Play a progression, or stop the one playing; chords last their durations in beats when given,
+  // counted in the meter ({ timeSignature, pickup, genre }) the drums follow
+  const playProgression = (chords, durations = null, meter = null) => {
     if (!chords || chords.length === 0) {
       console.warn('❌ No chords provided to play');
       return;
     }
-    
+
     if (isPlaying) {
-      console.log('🛑 Already playing, stopping playback');
-      stopPlayback();
+      player.stop();
       return;
     }
 
-    // Try to initialize audio context if not available (user interaction required)
-    let workingAudioContext = audioContext;
-    if (!workingAudioContext) {
-      console.log('🔧 Attempting to initialize audio context on user interaction...');
-      try {
-        workingAudioContext = await createAudioContext();
-        setAudioContext(workingAudioContext);
-        console.log('✅ Audio context initialized on user interaction:', workingAudioContext.state);
-      } catch (error) {
-        console.error('❌ Failed to initialize audio context:', error);
-        alert('Audio playback is not available. Please check your browser settings and ensure audio is not blocked.');
-        return;
-      }
-    }
-    
-    console.log('🔊 Audio context state:', workingAudioContext.state);
-
-    // Resume audio context if suspended (required for user interaction)
-    if (workingAudioContext.state === 'suspended') {
-      try {
-        await workingAudioContext.resume();
-        console.log('🔄 Audio context resumed');
-      } catch (error) {
-        console.warn('Could not resume audio context:', error);
-        return;
-      }
-    }
-
-    setIsPlaying(true);
-    setCurrentChordIndex(0);
-    
-    const chordDuration = 60 / speed; // Convert BPM to seconds
-    let index = 0;
-    let startTime = Date.now();
-
-    const playNext = async () => {
-      if (index >= chords.length) {
-        setIsPlaying(false);
-        setCurrentChordIndex(0);
-        setOverallProgress(1); // Mark progression as complete
-        setTimeout(() => setOverallProgress(0), 1000); // Reset after a moment
-        return;
-      }
-
-      // Calculate precise timing for synchronized highlighting
-      const currentTime = Date.now();
-      const elapsedTime = (currentTime - startTime) / 1000;
-      const expectedTime = index * chordDuration;
-      const timeDrift = elapsedTime - expectedTime;
-      
-      // Update chord index with smooth transition
-      setCurrentChordIndex(index);
-      setChordProgress(0); // Reset progress for new chord
-      
-      // Update overall progression progress
-      const overallProgressValue = (index + chordProgress) / chords.length;
-      setOverallProgress(overallProgressValue);
-      
-      // Start progress animation for current chord
-      const progressInterval = setInterval(() => {
-        const progressElapsed = (Date.now() - currentTime) / 1000;
-        const progress = Math.min(progressElapsed / chordDuration, 1);
-        setChordProgress(progress);
-        
-        // Update overall progress with current chord progress
-        const overallProgressValue = (index + progress) / chords.length;
-        setOverallProgress(overallProgressValue);
-        
-        if (progress >= 1) {
-          clearInterval(progressInterval);
-        }
-      }, 50); // Update every 50ms for smooth animation
-      
-      // Stop previous audio nodes
-      if (audioNodes.length > 0) {
-        stopAudioNodes(audioNodes);
-        setAudioNodes([]);
-      }
-      
-      try {
-        // Play the current chord using our audio synthesis
-        const nodes = playChord(workingAudioContext, chords[index], chordDuration, null, {
-          volume: 0.2,
-          waveType: 'sine',
-          octave: 4,
-          voicing: voicing
-        });
-        
-        setAudioNodes(nodes);
-        console.log(`Playing chord: ${chords[index]}`);
-      } catch (error) {
-        console.error('Error playing chord:', error);
-      }
-      
-      index++;
-      
-      // Schedule next chord with drift compensation for better synchronization
-      const nextDelay = Math.max(0, (chordDuration * 1000) - (timeDrift * 1000));
-      intervalRef.current = setTimeout(playNext, nextDelay);
-    };
-
-    playNext();
-  };
-
-  const stopPlayback = () => {
-    if (intervalRef.current) {
-      clearTimeout(intervalRef.current);
-      intervalRef.current = null;
-    }
-    
-    // Stop all audio nodes
-    if (audioNodes.length > 0) {
-      stopAudioNodes(audioNodes);
-      setAudioNodes([]);
-    }
-    
-    setIsPlaying(false);
-    setCurrentChordIndex(0);
-    setChordProgress(0);
-    setOverallProgress(0);
+    player.play(chords, durations, meter);
   };
 
   // Handle song detail navigation
@@ -319,9 +217,8 @@ const HomePage = () => {
   // Handle new song added
   const handleSongAdded = (newSong) => {
     console.log('New song added:', newSong);
-    // Optionally refresh search results or update local state
-    // In a real app, you might want to update the database reference
-    // or trigger a refresh of search results
+    // Re-run the current search once the song is searchable, so it shows up if it matches
+    addSongToSearch(newSong).then(() => setSearchRevision(revision => revision + 1));
   };
 
   return (
@@ -349,6 +246,12 @@ const HomePage = () => {
         {/* Search Section */}
         <div className="lg:col-span-3">
           <SearchSection
+            inputValue={searchText}
+            setInputValue={setSearchText}
+            searchMode={searchMode}
+            setSearchMode={setSearchMode}
+            ignoreInversions={ignoreInversions}
+            setIgnoreInversions={setIgnoreInversions}
             searchProgression={searchProgression}
             setSearchProgression={setSearchProgression}
             onSearch={handleSearch}
@@ -359,6 +262,19 @@ const HomePage = () => {
             overallProgress={overallProgress}
             voicing={voicing}
             setVoicing={setVoicing}
+            pattern={pattern}
+            setPattern={setPattern}
+            swing={swing}
+            setSwing={setSwing}
+            humanize={humanize}
+            setHumanize={setHumanize}
+            drumStyle={drumStyle}
+            setDrumStyle={setDrumStyle}
+            countIn={countIn}
+            setCountIn={setCountIn}
+            bassStyle={bassStyle}
+            setBassStyle={setBassStyle}
+            countInBeat={countInBeat}
           />
 
           {/* Chord Display with Nashville Numbers */}
@@ -370,14 +286,13 @@ const HomePage = () => {
                 chordProgress={chordProgress}
                 overallProgress={overallProgress}
                 isPlaying={isPlaying}
-                onChordClick={(index) => {
-                  setCurrentChordIndex(index);
-                  // Could add skip-to functionality here
-                }}
-                showNashville={showNashville}
-                onToggleNashville={() => setShowNashville(!showNashville)}
+                onChordClick={player.skipTo}
+                notation={notation}
+                onNotationChange={setNotation}
                 keySignature={currentKey}
                 onKeyChange={setCurrentKey}
+                numberingMode={numberingMode}
+                onNumberingModeChange={setNumberingMode}
                 autoDetectKey={true}
               />
             </div>
@@ -392,20 +307,22 @@ const HomePage = () => {
               onPlayProgression={playProgression}
               isPlaying={isPlaying}
               currentChordIndex={currentChordIndex}
-              showNashville={showNashville}
+              notation={notation}
+              onNotationChange={setNotation}
               currentKey={currentKey}
+              numberingMode={numberingMode}
               filters={filters}
               className="mt-6"
             />
           )}
 
           {/* No Results Message */}
-          {searchProgression.length > 0 && searchResults.length === 0 && (
+          {searchProgression.length > 0 && searchResults.length === 0 && !isSearching && (
             <div className="mt-6 bg-white rounded-lg shadow-sm border border-gray-200 p-6 text-center">
               <p className="text-gray-500">
-                No songs found matching the progression "{showNashville 
-                  ? progressionToNashville(searchProgression, currentKey).join(' - ')
-                  : searchProgression.join(' - ')}"
+                No songs found matching the progression "{progressionToNotation(
+                  searchProgression, notation, currentKey, { mode: numberingMode }
+                ).join(' - ')}"
               </p>
               <p className="text-sm text-gray-400 mt-1">
                 Try adjusting your search or filters, or use partial matching
@@ -419,6 +336,7 @@ const HomePage = () => {
           <FilterPanel
             filters={filters}
             onFiltersChange={setFilters}
+            filterCounts={filterCounts}
             collapsible={false}
           />
         </div>
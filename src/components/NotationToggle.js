@@ -0,0 +1,44 @@
+/**
+ * NotationToggle component for switching how chords are written
+ * Lets users pick between chord names, Nashville numbers and Roman numerals
+ */
+
+import React from 'react';
+import { Music, Hash, Type } from 'lucide-react';
+
+// Available notations with their labels and icons
+export const NOTATIONS = [
+  { id: 'chords', label: 'Chords', title: 'Show chord names', icon: Music },
+  { id: 'nashville', label: 'Numbers', title: 'Show Nashville numbers', icon: Hash },
+  { id: 'roman', label: 'Roman', title: 'Show Roman numerals', icon: Type }
+];
+
+const NotationToggle = ({
+  notation = 'chords',
+  onNotationChange = () => {},
+  className = ''
+}) => {
+  return (
+    <div className={`flex items-center rounded bg-gray-100 p-0.5 ${className}`} role="group" aria-label="Chord notation">
+      {NOTATIONS.map(({ id, label, title, icon: Icon }) => (
+        <button
+          key={id}
+          type="button"
+          onClick={() => onNotationChange(id)}
+          className={`flex items-center space-x-1 px-2 py-1 rounded text-sm transition-colors ${
+            notation === id
+              ? 'bg-blue-100 text-blue-700'
+              : 'text-gray-700 hover:bg-gray-200'
+          }`}
+          title={title}
+          aria-pressed={notation === id}
+        >
+          <Icon className="w-4 h-4" />
+          <span>{label}</span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default NotationToggle;
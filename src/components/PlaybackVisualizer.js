@@ -13,6 +13,7 @@ const PlaybackVisualizer = ({
   currentChordIndex = 0,
   isPlaying = false,
   onChordClick = () => {},
+  keySignature = null,
   className = ''
 }) => {
   // Visualization settings
@@ -242,6 +243,7 @@ const PlaybackVisualizer = ({
             currentChordIndex={currentChordIndex}
             isPlaying={isPlaying}
             onChordClick={onChordClick}
+            keySignature={keySignature}
             layout={settings.layout}
             theme={settings.theme}
             size={settings.size}
@@ -15,12 +15,24 @@ import {
   Copy,
   Shuffle
 } from 'lucide-react';
-import { progressionToNashville, chordToNashville } from '../utils/nashvilleNumbers';
+import { progressionToNashville, chordToNashville, getDiatonicChords } from '../utils/nashvilleNumbers';
 import { 
   getChordSubstitutions, 
-  getProgressionVariations, 
   analyzeProgression 
 } from '../utils/chordSubstitutions';
+import { getProgressionVariationsAsync, cancelSearchTask, isCancelledError } from '../utils/searchClient';
+import { getFunctionTypeLabel } from '../utils/harmonicAnalysis';
+
+// Badge colours for each harmonic function type
+const FUNCTION_TYPE_STYLES = {
+  'diatonic': 'bg-green-100 text-green-800',
+  'secondary-dominant': 'bg-purple-100 text-purple-800',
+  'borrowed': 'bg-orange-100 text-orange-800',
+  'tritone-substitution': 'bg-pink-100 text-pink-800',
+  'chromatic-passing': 'bg-yellow-100 text-yellow-800',
+  'chromatic': 'bg-red-100 text-red-800',
+  'unknown': 'bg-gray-100 text-gray-800'
+};
 
 const ProgressionExplorer = ({ 
   initialProgression = ['C', 'Am', 'F', 'G'],
@@ -42,23 +54,8 @@ const ProgressionExplorer = ({
   const [progressionVariations, setProgressionVariations] = useState([]);
   const [progressionAnalysis, setProgressionAnalysis] = useState(null);
 
-  // Common chord progressions and chord palette
-  const commonChords = {
-    'C': ['C', 'Dm', 'Em', 'F', 'G', 'Am', 'Bdim'],
-    'G': ['G', 'Am', 'Bm', 'C', 'D', 'Em', 'F#dim'],
-    'D': ['D', 'Em', 'F#m', 'G', 'A', 'Bm', 'C#dim'],
-    'A': ['A', 'Bm', 'C#m', 'D', 'E', 'F#m', 'G#dim'],
-    'E': ['E', 'F#m', 'G#m', 'A', 'B', 'C#m', 'D#dim'],
-    'B': ['B', 'C#m', 'D#m', 'E', 'F#', 'G#m', 'A#dim'],
-    'F#': ['F#', 'G#m', 'A#m', 'B', 'C#', 'D#m', 'E#dim'],
-    'F': ['F', 'Gm', 'Am', 'Bb', 'C', 'Dm', 'Edim'],
-    'Bb': ['Bb', 'Cm', 'Dm', 'Eb', 'F', 'Gm', 'Adim'],
-    'Eb': ['Eb', 'Fm', 'Gm', 'Ab', 'Bb', 'Cm', 'Ddim'],
-    'Ab': ['Ab', 'Bbm', 'Cm', 'Db', 'Eb', 'Fm', 'Gdim'],
-    'Db': ['Db', 'Ebm', 'Fm', 'Gb', 'Ab', 'Bbm', 'Cdim']
-  };
-
-  const chordPalette = commonChords[keySignature] || commonChords['C'];
+  // Chord palette: the key's diatonic chords, spelled for its key signature
+  const chordPalette = getDiatonicChords(keySignature);
 
   // Common progression patterns
   const progressionTemplates = [
@@ -76,23 +73,32 @@ const ProgressionExplorer = ({
   useEffect(() => {
     onProgressionChange(progression);
     
-    // Generate variations and analysis when progression changes
+    // Generate variations (in the search worker) and analysis when progression changes
     if (progression.length > 0) {
-      const variations = getProgressionVariations(progression, keySignature, {
+      getProgressionVariationsAsync(progression, keySignature, {
         maxVariations: 4,
         includeModalInterchange: true,
         includeJazzHarmony: false
-      });
-      setProgressionVariations(variations);
+      })
+        .then(setProgressionVariations)
+        .catch(error => {
+          if (!isCancelledError(error)) {
+            console.error('Variation error:', error);
+          }
+        });
       
       const analysis = analyzeProgression(progression, keySignature);
       setProgressionAnalysis(analysis);
     } else {
+      cancelSearchTask('variations');
       setProgressionVariations([]);
       setProgressionAnalysis(null);
     }
   }, [progression, keySignature, onProgressionChange]);
 
+  // Drop variations still being generated when the explorer closes
+  useEffect(() => () => cancelSearchTask('variations'), []);
+
   // Convert progression to Nashville numbers
   const nashvilleProgression = progressionToNashville(progression, keySignature) || [];
 
@@ -609,6 +615,31 @@ const ProgressionExplorer = ({
                     </span>
                   </div>
 
+                  {progressionAnalysis.harmonicFunctions.length > 0 && (
+                    <div className="text-sm">
+                      <span className="text-gray-600">Harmonic Functions:</span>
+                      <div className="mt-1 space-y-1">
+                        {progressionAnalysis.harmonicFunctions.map((result, index) => (
+                          <div
+                            key={index}
+                            className="flex items-center justify-between text-xs"
+                            title={result.description}
+                          >
+                            <div className="flex items-center space-x-2">
+                              <span className="w-10 font-medium text-gray-900">{result.chord}</span>
+                              <span className="font-mono text-gray-700">{result.label}</span>
+                            </div>
+                            <span className={`px-2 py-0.5 rounded ${FUNCTION_TYPE_STYLES[result.type]}`}>
+                              {result.type === 'diatonic' && result.function
+                                ? result.function
+                                : getFunctionTypeLabel(result.type)}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
                   {progressionAnalysis.commonPatterns.length > 0 && (
                     <div className="text-sm">
                       <span className="text-gray-600">Patterns:</span>
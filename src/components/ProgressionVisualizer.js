@@ -1,10 +1,12 @@
 /**
  * ProgressionVisualizer component for displaying chord progressions with visual feedback
- * Shows chord progression with highlighting, animations, and progress indicators
+ * Shows chord progression with highlighting, animations, progress indicators and cadence markers
  */
 
 import React, { useEffect, useState } from 'react';
 import { Play, Volume2 } from 'lucide-react';
+import CadenceBadge from './CadenceBadge';
+import { analyzeCadences } from '../utils/harmonicAnalysis';
 
 const ProgressionVisualizer = ({
   progression = [],
@@ -14,6 +16,8 @@ const ProgressionVisualizer = ({
   showWaveform = false,
   showProgress = true,
   showLabels = true,
+  showCadences = true,
+  keySignature = null, // Key used to find cadences; found from the chords when omitted
   layout = 'horizontal', // 'horizontal', 'vertical', 'circular'
   size = 'medium', // 'small', 'medium', 'large'
   theme = 'default', // 'default', 'dark', 'minimal'
@@ -107,6 +111,13 @@ const ProgressionVisualizer = ({
   const sizeClasses = getSizeClasses();
   const themeClasses = getThemeClasses();
 
+  // Cadences are marked on the chord they resolve to
+  const cadences = showCadences ? analyzeCadences(progression, keySignature) : [];
+  const cadenceByChord = cadences.reduce((byChord, cadence) => {
+    byChord[cadence.endIndex] = cadence;
+    return byChord;
+  }, {});
+
   // Get chord state classes
   const getChordClasses = (index) => {
     const baseClasses = `${sizeClasses.chord} border-2 rounded-lg flex items-center justify-center font-semibold cursor-pointer transition-all duration-${animationDuration} transform hover:scale-105`;
@@ -128,7 +139,7 @@ const ProgressionVisualizer = ({
 
   // Render horizontal layout
   const renderHorizontalLayout = () => (
-    <div className={`flex items-center ${sizeClasses.container} ${themeClasses.background} p-4 rounded-lg ${className}`}>
+    <div className={`flex items-center ${sizeClasses.container} ${themeClasses.background} p-4 ${cadences.length > 0 ? 'pb-10' : ''} rounded-lg ${className}`}>
       {progression.map((chord, index) => (
         <div key={`${chord}-${index}`} className="relative">
           <div
@@ -149,6 +160,13 @@ const ProgressionVisualizer = ({
               </div>
             )}
           </div>
+
+          {/* Cadence marker */}
+          {cadenceByChord[index] && (
+            <div className="absolute top-full mt-3 left-1/2 transform -translate-x-1/2">
+              <CadenceBadge cadence={cadenceByChord[index]} />
+            </div>
+          )}
           
           {/* Connection line to next chord */}
           {index < progression.length - 1 && (
@@ -186,6 +204,13 @@ const ProgressionVisualizer = ({
               </div>
             )}
           </div>
+
+          {/* Cadence marker */}
+          {cadenceByChord[index] && (
+            <div className="absolute left-full ml-6 top-0 mt-2">
+              <CadenceBadge cadence={cadenceByChord[index]} />
+            </div>
+          )}
           
           {/* Connection line to next chord */}
           {index < progression.length - 1 && (
@@ -265,6 +290,13 @@ const ProgressionVisualizer = ({
               {index === currentChordIndex && isPlaying && (
                 <div className="absolute inset-0 border-2 border-blue-400 rounded-lg animate-ping"></div>
               )}
+
+              {/* Cadence marker */}
+              {cadenceByChord[index] && (
+                <div className="absolute top-full mt-1 left-1/2 transform -translate-x-1/2">
+                  <CadenceBadge cadence={cadenceByChord[index]} showLabel={false} />
+                </div>
+              )}
             </div>
           );
         })}
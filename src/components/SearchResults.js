@@ -3,9 +3,154 @@
  * Enhanced search results display with section matching indicators and highlighting
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import { Play, Square, Music, Eye, ArrowRight } from 'lucide-react';
-import { progressionToNashville } from '../utils/nashvilleNumbers';
+import NotationToggle from './NotationToggle';
+import CadenceBadge from './CadenceBadge';
+import { progressionToNashville, progressionToNotation } from '../utils/nashvilleNumbers';
+import { analyzeCadences } from '../utils/harmonicAnalysis';
+import { getRankingOrders, sortByRanking } from '../utils/rarityRanking';
+import { getChordDurations, getSectionBars, getTimeSignature, DEFAULT_TIME_SIGNATURE } from '../utils/rhythm';
+
+const RANKING_ORDERS = getRankingOrders();
+
+// How each step of a similarity alignment is marked
+const ALIGNMENT_STYLES = {
+  match: 'bg-green-50 text-green-800 border-green-200',
+  variant: 'bg-teal-50 text-teal-800 border-teal-200',
+  substitute: 'bg-amber-50 text-amber-800 border-amber-200',
+  replace: 'bg-rose-50 text-rose-800 border-rose-200',
+  missing: 'bg-rose-50 text-rose-800 border-rose-200 line-through',
+  extra: 'bg-gray-50 text-gray-500 border-gray-200'
+};
+
+const ALIGNMENT_LABELS = {
+  match: 'Same chord',
+  variant: 'Same chord with a different color or bass',
+  substitute: 'Functional substitute',
+  replace: 'Different chord',
+  missing: 'Not in this section',
+  extra: 'Extra chord in this section'
+};
+
+// Shows a similarity match step by step: the section's chord, with the searched chord beneath where they differ
+const AlignmentRow = ({ alignment }) => (
+  <div className="flex items-start flex-wrap gap-1 text-xs">
+    <span className="font-medium text-gray-700 mr-1">Compared:</span>
+    {alignment.map((step, index) => (
+      <span
+        key={index}
+        title={ALIGNMENT_LABELS[step.type]}
+        className={`inline-flex flex-col items-center px-1.5 py-0.5 border rounded font-mono ${ALIGNMENT_STYLES[step.type]}`}
+      >
+        <span>{step.sectionChord || step.queryChord}</span>
+        {step.type !== 'match' && step.type !== 'missing' && (
+          <span className="opacity-75">{step.queryChord ? `for ${step.queryChord}` : 'added'}</span>
+        )}
+      </span>
+    ))}
+  </div>
+);
+
+// Shows the stretch a query matched and what each of its groups captured
+const QueryMatchRow = ({ match }) => (
+  <div className="flex items-center flex-wrap gap-1 text-xs">
+    <span className="font-medium text-gray-700 mr-1">
+      Matched chords {match.startIndex + 1}-{match.endIndex + 1}:
+    </span>
+    <span className="font-mono text-gray-700 mr-2">{match.matchedChords.join(' - ')}</span>
+    {match.groups.map(group => (
+      <span
+        key={group.index}
+        className="inline-flex items-center px-1.5 py-0.5 border rounded bg-indigo-50 text-indigo-800 border-indigo-200"
+      >
+        Group {group.index}: <span className="ml-1 font-mono">{group.chords.join(' - ')}</span>
+      </span>
+    ))}
+  </div>
+);
+
+// Shows what each chord of a function match does in the section's key
+const FunctionMatchRow = ({ match }) => (
+  <div className="flex items-center flex-wrap gap-1 text-xs">
+    <span className="font-medium text-gray-700 mr-1">Functions:</span>
+    {match.functions.map((analysis, index) => (
+      <React.Fragment key={index}>
+        <span
+          title={analysis.description}
+          className="inline-flex flex-col items-center px-1.5 py-0.5 border rounded bg-indigo-50 text-indigo-800 border-indigo-200"
+        >
+          <span className="font-mono">{analysis.chord} ({analysis.label})</span>
+          <span className="opacity-75">{analysis.function === 'subdominant' ? 'predominant' : analysis.function || analysis.description}</span>
+        </span>
+        {index < match.functions.length - 1 && <span className="text-gray-400">→</span>}
+      </React.Fragment>
+    ))}
+  </div>
+);
+
+// Explains a result's place in a typical or unusual ranking, factor by factor
+const RankingRow = ({ ranking, order }) => (
+  <div className="flex items-center flex-wrap gap-1 text-xs text-gray-500">
+    <span className="font-medium text-gray-700 mr-1">
+      {order === 'typical' ? 'Typical' : 'Unusual'} score {Math.round(ranking[order] * 100)}:
+    </span>
+    {ranking.explanation.map(reason => (
+      <span key={reason} className="px-1.5 py-0.5 border rounded bg-gray-50 border-gray-200">{reason}</span>
+    ))}
+  </div>
+);
+
+// Shows which part of each section a cross-section match took, in the order the song plays them
+const CrossSectionRow = ({ match }) => (
+  <div className="flex items-center flex-wrap gap-1 text-xs">
+    <span className="font-medium text-gray-700 mr-1">Across sections:</span>
+    {match.spans.map((span, index) => (
+      <React.Fragment key={`${span.formIndex}-${span.startIndex}`}>
+        <span className="inline-flex items-center px-1.5 py-0.5 border rounded bg-indigo-50 text-indigo-800 border-indigo-200">
+          <span className="capitalize">{span.sectionName}</span>
+          <span className="ml-1 opacity-75">
+            {span.startIndex === span.endIndex
+              ? `chord ${span.startIndex + 1}`
+              : `chords ${span.startIndex + 1}-${span.endIndex + 1}`}
+          </span>
+        </span>
+        {index < match.spans.length - 1 && <span className="text-gray-400">→</span>}
+      </React.Fragment>
+    ))}
+    {match.occurrences > 1 && <span className="ml-1 text-gray-500">({match.occurrences} times in the song)</span>}
+  </div>
+);
+
+// Shows a song's form with the sections a form search matched highlighted
+const FormMatchRow = ({ match }) => (
+  <div className="space-y-1">
+    <div className="flex items-center flex-wrap gap-1 text-sm">
+      <span className="font-medium text-gray-700 mr-1">Form:</span>
+      {match.form.map((sectionName, index) => {
+        const isMatch = index >= match.startIndex && index <= match.endIndex;
+        return (
+          <span
+            key={index}
+            className={`inline-flex items-center gap-1 px-2 py-1 rounded text-xs capitalize ${
+              isMatch
+                ? 'bg-yellow-200 text-yellow-900 border border-yellow-300 font-semibold'
+                : 'bg-gray-100 text-gray-700'
+            }`}
+          >
+            <span className="font-mono">{match.letters[index]}</span>
+            {sectionName}
+          </span>
+        );
+      })}
+    </div>
+    <div className="flex items-center gap-4 text-xs text-gray-500">
+      {match.wholeForm && <span>Whole form matches</span>}
+      {match.occurrences > 1 && <span>Pattern occurs {match.occurrences} times</span>}
+      {!match.listedForm && <span>Form inferred from the section order</span>}
+    </div>
+  </div>
+);
 
 // Individual result card component for reuse
 const ResultCard = ({
@@ -15,17 +160,40 @@ const ResultCard = ({
   onPlayProgression,
   isPlaying,
   currentChordIndex,
-  showNashville,
+  notation,
   currentKey,
+  numberingMode,
   getSectionStyle,
   getSectionIcon,
   highlightMatches,
+  rankingOrder,
   isGrouped = false
 }) => {
+  // A cross-section match shows the chords as played through the sections it spans
+  const crossSectionMatch = result.matchDetails?.type === 'crossSection' ? result.matchDetails : null;
+  const formMatch = result.matchDetails?.type === 'form' ? result.matchDetails : null;
+  const progression = crossSectionMatch ? crossSectionMatch.performedChords : (result.sectionData?.progression || []);
+  // Chords play for their durations in the section; a cross-section match gives each chord a bar
+  const durations = getChordDurations(crossSectionMatch ? { progression } : result.sectionData, result);
+  const timeSignature = getTimeSignature(result.sectionData, result);
+  const meter = {
+    timeSignature,
+    pickup: crossSectionMatch ? 0 : (result.sectionData?.pickup || 0),
+    genre: result.genre,
+    key: (crossSectionMatch ? null : result.sectionData?.key) || result.key || null
+  };
+
+  // Highlight the chords the search matched, which can differ from the query when
+  // inversions are ignored or the search is a bass line
   const highlightedProgression = highlightMatches(
-    result.sectionData?.progression || [], 
-    searchProgression
+    progression,
+    result.matchDetails?.matchedChords || searchProgression
   );
+  const bassLineMatch = result.matchDetails?.type === 'bassLine' ? result.matchDetails : null;
+  const numberingOptions = { mode: numberingMode };
+  // Number the matched section in its own key when the song data has one
+  const resultKey = result.sectionKey || currentKey;
+  const transposition = result.matchDetails?.transposition;
 
   return (
     <div
@@ -75,57 +243,73 @@ const ResultCard = ({
 
           {/* Enhanced Progression Display with Highlighting */}
           <div className="space-y-2">
-            <div className="flex items-center flex-wrap gap-1">
-              <span className="text-sm font-medium text-gray-700 mr-2">Progression:</span>
-              {highlightedProgression.map((segment, segIndex) => (
-                <div key={segIndex} className="flex items-center">
-                  {segment.chords.map((chord, chordIndex) => (
-                    <React.Fragment key={`${segIndex}-${chordIndex}`}>
-                      <span
-                        className={`px-2 py-1 rounded text-sm font-mono transition-colors ${
-                          segment.isMatch
-                            ? 'bg-yellow-200 text-yellow-900 border border-yellow-300 font-semibold'
-                            : 'bg-gray-100 text-gray-700'
-                        }`}
-                        title={segment.isMatch ? 'Matches your search' : ''}
-                      >
-                        {showNashville 
-                          ? (progressionToNashville([chord], currentKey)?.[0] || chord)
-                          : chord
-                        }
-                      </span>
-                      {chordIndex < segment.chords.length - 1 && (
+            {/* A form match is about the order of the sections, not their chords */}
+            {formMatch ? (
+              <FormMatchRow match={formMatch} />
+            ) : (
+              <>
+                <div className="flex items-center flex-wrap gap-1">
+                  <span className="text-sm font-medium text-gray-700 mr-2">Progression:</span>
+                  {highlightedProgression.map((segment, segIndex) => (
+                    <div key={segIndex} className="flex items-center">
+                      {segment.chords.map((chord, chordIndex) => (
+                        <React.Fragment key={`${segIndex}-${chordIndex}`}>
+                          <span
+                            className={`px-2 py-1 rounded text-sm font-mono transition-colors ${
+                              segment.isMatch
+                                ? 'bg-yellow-200 text-yellow-900 border border-yellow-300 font-semibold'
+                                : 'bg-gray-100 text-gray-700'
+                            }`}
+                            title={segment.isMatch ? 'Matches your search' : ''}
+                          >
+                            {progressionToNotation([chord], notation, resultKey, numberingOptions)?.[0] || chord}
+                          </span>
+                          {chordIndex < segment.chords.length - 1 && (
+                            <span className="mx-1 text-gray-400">→</span>
+                          )}
+                        </React.Fragment>
+                      ))}
+                      {segIndex < highlightedProgression.length - 1 && (
                         <span className="mx-1 text-gray-400">→</span>
                       )}
-                    </React.Fragment>
+                    </div>
                   ))}
-                  {segIndex < highlightedProgression.length - 1 && (
-                    <span className="mx-1 text-gray-400">→</span>
-                  )}
                 </div>
-              ))}
-            </div>
 
-            {/* Alternative view toggle */}
-            {showNashville ? (
-              <div className="text-sm">
-                <span className="font-medium text-gray-700">Chord names: </span>
-                <span className="text-gray-500 font-mono">
-                  {result.sectionData?.progression?.join(' - ') || 'N/A'}
-                </span>
-              </div>
-            ) : (
-              <div className="text-sm">
-                <span className="font-medium text-gray-700">Nashville: </span>
-                <span className="text-blue-600 font-mono">
-                  {progressionToNashville(result.sectionData?.progression || [], currentKey)?.join(' - ') || 'N/A'}
-                </span>
-              </div>
+                {/* Alternative view toggle */}
+                {notation !== 'chords' ? (
+                  <div className="text-sm">
+                    <span className="font-medium text-gray-700">Chord names: </span>
+                    <span className="text-gray-500 font-mono">
+                      {progression.join(' - ') || 'N/A'}
+                    </span>
+                  </div>
+                ) : (
+                  <div className="text-sm">
+                    <span className="font-medium text-gray-700">Nashville: </span>
+                    <span className="text-blue-600 font-mono">
+                      {progressionToNashville(progression, resultKey, numberingOptions)?.join(' - ') || 'N/A'}
+                    </span>
+                  </div>
+                )}
+              </>
             )}
 
             {/* Section Details */}
             <div className="flex items-center gap-4 text-xs text-gray-500">
-              <span>Bars: {result.sectionData?.bars || 'N/A'}</span>
+              {result.sectionKey && <span>Key: {result.sectionKey}</span>}
+              {bassLineMatch && <span>Bass line: {bassLineMatch.bassNotes.join(' - ')}</span>}
+              {result.matchDetails?.scaleDegrees && (
+                <span>Matched as {result.matchDetails.scaleDegrees.join(' - ')}</span>
+              )}
+              {transposition && (
+                <span>
+                  Transposed {transposition.semitones} semitone{transposition.semitones === 1 ? '' : 's'} up
+                  {transposition.key && ` (your search is in ${transposition.key})`}
+                </span>
+              )}
+              <span>Bars: {getSectionBars(result.sectionData, result) || 'N/A'}</span>
+              {timeSignature !== DEFAULT_TIME_SIGNATURE && <span>Time: {timeSignature}</span>}
               <span>Repetitions: {result.sectionData?.repetitions || 'N/A'}</span>
               {result.sectionData?.audioTimestamp && (
                 <span>
@@ -133,6 +317,39 @@ const ResultCard = ({
                 </span>
               )}
             </div>
+
+            {/* Where a similar section differs from the search */}
+            {result.matchDetails?.alignment && (
+              <AlignmentRow alignment={result.matchDetails.alignment} />
+            )}
+
+            {/* The stretch a query matched, with its captured groups */}
+            {result.matchDetails?.type === 'query' && (
+              <QueryMatchRow match={result.matchDetails} />
+            )}
+
+            {/* What each chord of a function match does */}
+            {result.matchDetails?.type === 'function' && (
+              <FunctionMatchRow match={result.matchDetails} />
+            )}
+
+            {/* The sections a cross-section match runs through */}
+            {crossSectionMatch && <CrossSectionRow match={crossSectionMatch} />}
+
+            {/* Why the result ranks where it does */}
+            {result.ranking && rankingOrder !== 'match' && (
+              <RankingRow ranking={result.ranking} order={rankingOrder} />
+            )}
+
+            {/* Cadences in the matched section */}
+            {result.cadences?.length > 0 && (
+              <div className="flex items-center flex-wrap gap-1 text-xs">
+                <span className="font-medium text-gray-700 mr-1">Cadences:</span>
+                {result.cadences.map(cadence => (
+                  <CadenceBadge key={`${cadence.type}-${cadence.startIndex}`} cadence={cadence} />
+                ))}
+              </div>
+            )}
           </div>
         </div>
 
@@ -141,7 +358,7 @@ const ResultCard = ({
           <button
             onClick={(e) => {
               e.stopPropagation();
-              onPlayProgression(result.sectionData?.progression || []);
+              onPlayProgression(progression, durations, meter);
             }}
             className={`flex items-center gap-1 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
               isPlaying
@@ -178,11 +395,16 @@ const SearchResults = ({
   onPlayProgression,
   isPlaying,
   currentChordIndex,
-  showNashville,
+  notation = 'chords',
+  onNotationChange = null,
   currentKey,
+  numberingMode = null,
   className = "",
   filters = {}
 }) => {
+  const [rankingOrder, setRankingOrder] = useState('unusual');
+  const sortedResults = sortByRanking(results, rankingOrder);
+
   // Helper function to highlight matching chord sequences in the progression
   const highlightMatches = (progression, searchChords) => {
     if (!progression || !Array.isArray(progression)) {
@@ -271,11 +493,11 @@ const SearchResults = ({
   // Group results by section type when section filters are applied
   const groupResultsBySection = () => {
     if (!filters.sections || filters.sections.length === 0) {
-      return { all: results };
+      return { all: sortedResults };
     }
     
     const grouped = {};
-    results.forEach(result => {
+    sortedResults.forEach(result => {
       const section = result.matchedSection;
       if (!grouped[section]) {
         grouped[section] = [];
@@ -288,6 +510,7 @@ const SearchResults = ({
 
   const groupedResults = groupResultsBySection();
   const shouldGroupBySections = filters.sections && filters.sections.length > 1;
+  const queryCadences = analyzeCadences(searchProgression, currentKey);
 
   if (!results || results.length === 0) {
     return null;
@@ -300,14 +523,39 @@ const SearchResults = ({
           <Music className="text-blue-600" size={20} />
           Search Results ({results.length} found)
         </h2>
-        {searchProgression && searchProgression.length > 0 && (
-          <div className="flex items-center text-sm text-gray-600">
-            <span>Searching for:</span>
-            <span className="ml-2 px-2 py-1 bg-blue-50 text-blue-700 rounded font-mono">
-              {searchProgression.join(' - ')}
-            </span>
-          </div>
-        )}
+        <div className="flex items-center gap-3">
+          <select
+            value={rankingOrder}
+            onChange={(e) => setRankingOrder(e.target.value)}
+            title={RANKING_ORDERS.find(order => order.id === rankingOrder)?.description}
+            className="px-2 py-1 border border-gray-300 rounded text-sm"
+          >
+            {RANKING_ORDERS.map(order => (
+              <option key={order.id} value={order.id}>{order.label}</option>
+            ))}
+          </select>
+          {searchProgression && searchProgression.length > 0 && (
+            <div className="flex items-center text-sm text-gray-600">
+              <span>Searching for:</span>
+              <span className="ml-2 px-2 py-1 bg-blue-50 text-blue-700 rounded font-mono">
+                {searchProgression.join(' - ')}
+              </span>
+              {queryCadences.map(cadence => (
+                <CadenceBadge
+                  key={`${cadence.type}-${cadence.startIndex}`}
+                  cadence={cadence}
+                  className="ml-2"
+                />
+              ))}
+            </div>
+          )}
+          {onNotationChange && (
+            <NotationToggle
+              notation={notation}
+              onNotationChange={onNotationChange}
+            />
+          )}
+        </div>
       </div>
 
       {/* Render Results - Grouped or Ungrouped */}
@@ -338,11 +586,13 @@ const SearchResults = ({
                     onPlayProgression={onPlayProgression}
                     isPlaying={isPlaying}
                     currentChordIndex={currentChordIndex}
-                    showNashville={showNashville}
+                    notation={notation}
                     currentKey={currentKey}
+                    numberingMode={numberingMode}
                     getSectionStyle={getSectionStyle}
                     getSectionIcon={getSectionIcon}
                     highlightMatches={highlightMatches}
+                    rankingOrder={rankingOrder}
                     isGrouped={true}
                   />
                 ))}
@@ -353,7 +603,7 @@ const SearchResults = ({
       ) : (
         // Standard ungrouped display
         <div className="space-y-4">
-          {results.map((result, index) => (
+          {sortedResults.map((result, index) => (
             <ResultCard
               key={`${result.songId}-${result.matchedSection}-${index}`}
               result={result}
@@ -362,11 +612,13 @@ const SearchResults = ({
               onPlayProgression={onPlayProgression}
               isPlaying={isPlaying}
               currentChordIndex={currentChordIndex}
-              showNashville={showNashville}
+              notation={notation}
               currentKey={currentKey}
+              numberingMode={numberingMode}
               getSectionStyle={getSectionStyle}
               getSectionIcon={getSectionIcon}
               highlightMatches={highlightMatches}
+              rankingOrder={rankingOrder}
               isGrouped={false}
             />
           ))}
@@ -8,8 +8,21 @@ import { Search, Music, Play, Pause, Settings, Lightbulb, X } from 'lucide-react
 import { parseProgressionInput, getChordSuggestions } from '../utils/chordUtils.js';
 import { getProgressionSuggestions } from '../utils/chordSearch.js';
 import { getAvailableVoicings } from '../utils/audioSynthesis.js';
+import { getDrumStyles } from '../utils/drumMachine.js';
+import { getChordPatterns } from '../utils/chordPatterns.js';
+import { getBassStyles } from '../utils/bassLines.js';
+import { getSearchProgression } from '../utils/searchUrlState.js';
+import { isProgressionQuery, parseProgressionQuery } from '../utils/progressionQuery.js';
+import { parseFormPattern } from '../utils/songForm.js';
+import { parseFunctionQuery } from '../utils/functionQuery.js';
 
 const SearchSection = ({
+  inputValue,
+  setInputValue,
+  searchMode, // 'exact', 'partial', 'transposed', 'function', 'degrees', 'similar', 'across', 'bassline', 'form'
+  setSearchMode,
+  ignoreInversions,
+  setIgnoreInversions,
   searchProgression,
   setSearchProgression,
   onSearch,
@@ -20,15 +33,26 @@ const SearchSection = ({
   overallProgress = 0,
   voicing = 'root',
   setVoicing = () => {},
+  pattern = 'block', // Chord pattern id: block, strum, arpeggio, alberti, comp...
+  setPattern = () => {},
+  swing = 0, // 0-1
+  setSwing = () => {},
+  humanize = 0, // 0-1
+  setHumanize = () => {},
+  drumStyle = 'off', // 'off', 'auto' or a drum style id
+  setDrumStyle = () => {},
+  countIn = false,
+  setCountIn = () => {},
+  bassStyle = 'off', // 'off' or a bass style id
+  setBassStyle = () => {},
+  countInBeat = null, // Count-in beat sounding, while playback counts in
   className = ""
 }) => {
-  const [inputValue, setInputValue] = useState('');
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [chordSuggestions, setChordSuggestions] = useState([]);
   const [progressionSuggestions, setProgressionSuggestions] = useState([]);
   const [cursorPosition, setCursorPosition] = useState(0);
   const [showSettings, setShowSettings] = useState(false);
-  const [searchMode, setSearchMode] = useState('exact'); // 'exact', 'partial', 'transposed'
   const [availableVoicings, setAvailableVoicings] = useState([]);
   
   const inputRef = useRef(null);
@@ -45,7 +69,29 @@ const SearchSection = ({
     if (Array.isArray(searchProgression) && inputValue === '') {
       setInputValue(searchProgression.join(' '));
     }
-  }, [searchProgression, inputValue]);
+  }, [searchProgression, inputValue, setInputValue]);
+
+  // Bass lines, functions and forms aren't chords, so they get no chord parsing or suggestions
+  const readsChords = (mode = searchMode) => !['bassline', 'function', 'form'].includes(mode);
+
+  // Function and form searches have their own syntax ("tonic → dominant", "AABA")
+  const readModeInput = (value, mode = searchMode) => {
+    if (mode === 'function') return parseFunctionQuery(value);
+    if (mode === 'form') return parseFormPattern(value);
+    return null;
+  };
+
+  // Wildcards, groups, repeats, "?" and "!" turn the input into a query ("1 * 4 5", "6m (4|2m) 5")
+  const readQuery = (value, mode = searchMode) => (
+    readsChords(mode) && mode !== 'across' && isProgressionQuery(value) ? parseProgressionQuery(value) : null
+  );
+  const query = readQuery(inputValue);
+  const modeInput = inputValue.trim() ? readModeInput(inputValue) : null;
+  const inputError = (query && !query.isValid && query.errors[0]) ||
+    (modeInput && !modeInput.isValid && modeInput.errors[0]) || null;
+
+  // What the input searches for in a mode (see getSearchProgression), so typing reads the same as a restored URL
+  const parseSearchInput = (value, mode = searchMode) => getSearchProgression({ query: value, mode });
 
   // Handle input changes and provide autocomplete
   const handleInputChange = (e) => {
@@ -54,12 +100,12 @@ const SearchSection = ({
     setCursorPosition(e.target.selectionStart);
 
     // Parse the input to get chord progression
-    const chords = parseProgressionInput(value);
+    const chords = parseSearchInput(value);
     console.log('📝 Input changed:', value, '→ Parsed chords:', chords);
     setSearchProgression(chords);
 
     // Get chord suggestions for autocomplete
-    if (value.trim()) {
+    if (value.trim() && readsChords()) {
       updateSuggestions(value, e.target.selectionStart);
     } else {
       setShowSuggestions(false);
@@ -135,10 +181,7 @@ const SearchSection = ({
   // Handle search
   const handleSearch = () => {
     if (searchProgression && searchProgression.length > 0) {
-      onSearch({
-        exactMatch: searchMode === 'exact',
-        allowTransposition: searchMode === 'transposed'
-      });
+      onSearch();
     }
   };
 
@@ -196,13 +239,32 @@ const SearchSection = ({
               <label className="text-sm font-medium text-gray-700">Search Mode:</label>
               <select
                 value={searchMode}
-                onChange={(e) => setSearchMode(e.target.value)}
+                onChange={(e) => {
+                  setSearchMode(e.target.value);
+                  setSearchProgression(parseSearchInput(inputValue, e.target.value));
+                }}
                 className="ml-2 px-2 py-1 border border-gray-300 rounded text-sm"
               >
                 <option value="exact">Exact Match</option>
                 <option value="partial">Partial Match</option>
                 <option value="transposed">Include Transpositions</option>
+                <option value="function">Harmonic Function</option>
+                <option value="degrees">Any Key (Scale Degrees)</option>
+                <option value="similar">Similar Progressions</option>
+                <option value="across">Across Section Boundaries</option>
+                <option value="bassline">Bass Line</option>
+                <option value="form">Song Form</option>
               </select>
+              <label className="flex items-center mt-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={ignoreInversions}
+                  onChange={(e) => setIgnoreInversions(e.target.checked)}
+                  disabled={!readsChords()}
+                  className="mr-2"
+                />
+                Ignore inversions (C/E matches C)
+              </label>
             </div>
             <div className="flex flex-col space-y-2">
               <label className="text-sm font-medium text-gray-700">
@@ -263,6 +325,66 @@ const SearchSection = ({
                 {speed >= 180 && '⚡ Very Fast'}
               </div>
             </div>
+            <div className="flex flex-col space-y-2">
+              <label className="text-sm font-medium text-gray-700">Drums:</label>
+              <select
+                value={drumStyle}
+                onChange={(e) => setDrumStyle(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded text-sm"
+                title="Drum or metronome track played under the chords"
+              >
+                <option value="off">Off</option>
+                <option value="auto">Auto (song genre and meter)</option>
+                {getDrumStyles().map(({ id, label, description }) => (
+                  <option key={id} value={id} title={description}>{label}</option>
+                ))}
+              </select>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={countIn}
+                  onChange={(e) => setCountIn(e.target.checked)}
+                  className="mr-2"
+                />
+                Count in one bar
+              </label>
+              <label className="text-sm font-medium text-gray-700">Bass:</label>
+              <select
+                value={bassStyle}
+                onChange={(e) => setBassStyle(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded text-sm"
+                title="Bass line played under the chords"
+              >
+                <option value="off">Off</option>
+                {getBassStyles().map(({ id, label, description }) => (
+                  <option key={id} value={id} title={description}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex flex-col space-y-2">
+              <label className="text-sm font-medium text-gray-700">Swing: {Math.round(swing * 100)}%</label>
+              <input
+                type="range"
+                min="0"
+                max="100"
+                step="5"
+                value={Math.round(swing * 100)}
+                onChange={(e) => setSwing(parseInt(e.target.value, 10) / 100)}
+                className="w-full"
+                title="How far off-beat notes of the pattern are pushed late"
+              />
+              <label className="text-sm font-medium text-gray-700">Humanize: {Math.round(humanize * 100)}%</label>
+              <input
+                type="range"
+                min="0"
+                max="100"
+                step="5"
+                value={Math.round(humanize * 100)}
+                onChange={(e) => setHumanize(parseInt(e.target.value, 10) / 100)}
+                className="w-full"
+                title="How loose the pattern's timing and dynamics are"
+              />
+            </div>
           </div>
         </div>
       )}
@@ -285,8 +407,16 @@ const SearchSection = ({
               // Delay hiding suggestions to allow for clicks
               setTimeout(() => setShowSuggestions(false), 200);
             }}
-            placeholder="Enter chord progression (e.g., C Am F G, or C - Am - F - G)"
-            className="w-full px-4 py-3 pr-24 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-lg"
+            placeholder={{
+              bassline: "Enter a bass line as scale degrees or notes (e.g., 1 7 6, or C B A)",
+              function: "Enter functions or numerals (e.g., tonic → predominant → dominant → tonic, or any → V/V → V)",
+              form: "Enter a song form (e.g., verse-chorus-verse-chorus-bridge-chorus, or AABA)"
+            }[searchMode] || "Enter chord progression (e.g., C Am F G, 1 5 6m 4, I V vi IV, or 6m (4|2m) 5)"}
+            className={`w-full px-4 py-3 pr-24 border rounded-lg focus:outline-none focus:ring-2 text-lg ${
+              inputError
+                ? 'border-red-400 focus:ring-red-500 focus:border-red-500'
+                : 'border-gray-300 focus:ring-blue-500 focus:border-blue-500'
+            }`}
           />
           
           {/* Clear button */}
@@ -309,6 +439,11 @@ const SearchSection = ({
           </button>
         </div>
 
+        {/* Query and form parse errors */}
+        {inputError && (
+          <div className="mt-1 text-sm text-red-600">{inputError}</div>
+        )}
+
         {/* Suggestions Dropdown */}
         {showSuggestions && (chordSuggestions.length > 0 || progressionSuggestions.length > 0) && (
           <div
@@ -363,7 +498,7 @@ const SearchSection = ({
         <div className="mb-4 p-3 bg-blue-50 rounded-lg">
           <div className="flex items-center justify-between">
             <div>
-              <div className="text-sm font-medium text-blue-900 mb-1">Current Progression:</div>
+              <div className="text-sm font-medium text-blue-900 mb-1">{query ? 'Current Query:' : 'Current Progression:'}</div>
               <div className="flex items-center space-x-2">
                 {searchProgression.map((chord, index) => (
                   <React.Fragment key={index}>
@@ -382,7 +517,9 @@ const SearchSection = ({
                     console.log('🔽 Play button clicked! searchProgression:', searchProgression);
                     onPlayProgression(searchProgression);
                   }}
-                  className={`flex items-center space-x-1 px-3 py-2 rounded-lg transition-colors ${
+                  disabled={Boolean(query)}
+                  title={query ? 'Queries describe many progressions, so there is nothing to play' : undefined}
+                  className={`flex items-center space-x-1 px-3 py-2 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
                     isPlaying 
                       ? 'bg-red-100 text-red-700 hover:bg-red-200' 
                       : 'bg-green-100 text-green-700 hover:bg-green-200'
@@ -390,7 +527,7 @@ const SearchSection = ({
                 >
                   {isPlaying ? <Pause size={16} /> : <Play size={16} />}
                   <span className="text-sm font-medium">
-                    {isPlaying ? 'Stop' : 'Play'}
+                    {isPlaying ? (countInBeat ? `Count ${countInBeat}` : 'Stop') : 'Play'}
                   </span>
                 </button>
                 
@@ -447,6 +584,21 @@ const SearchSection = ({
                   </select>
                 </div>
               )}
+
+              {/* Chord Pattern Selector */}
+              <div className="flex items-center space-x-2 px-3 py-2 bg-gray-50 rounded-lg border">
+                <span className="text-xs text-gray-600">Pattern:</span>
+                <select
+                  value={pattern}
+                  onChange={(e) => setPattern(e.target.value)}
+                  className="text-xs bg-white border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  title="How the chords are played: held, strummed, arpeggiated or comped"
+                >
+                  {getChordPatterns().map(({ id, label, description }) => (
+                    <option key={id} value={id} title={description}>{label}</option>
+                  ))}
+                </select>
+              </div>
             </div>
           </div>
         </div>
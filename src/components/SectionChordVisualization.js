@@ -1,21 +1,45 @@
 /**
  * SectionChordVisualization component - Enhanced chord visualization for song sections
- * Provides detailed visual representation of chord progressions with Nashville number support
+ * Provides detailed visual representation of chord progressions with Nashville and Roman numeral support
  */
 
 import React, { useState } from 'react';
 import { Play, Pause, RotateCcw, Info, Zap } from 'lucide-react';
-import { progressionToNashville } from '../utils/nashvilleNumbers';
+import NotationToggle from './NotationToggle';
+import CadenceBadge from './CadenceBadge';
+import { 
+  progressionToNashville, 
+  progressionToRoman, 
+  getDefaultNumberingMode, 
+  getNumberingModes, 
+  formatKeyName
+} from '../utils/nashvilleNumbers';
+import { analyzeCadences } from '../utils/harmonicAnalysis';
+import {
+  DEFAULT_TIME_SIGNATURE,
+  getBeatsPerBar,
+  getChordDurations,
+  countBars,
+  layoutBars
+} from '../utils/rhythm';
 
 const SectionChordVisualization = ({
   sectionName,
   progression,
   bars,
+  durations = null, // Beats per chord; without them chords are spread evenly over the bars
+  timeSignature = DEFAULT_TIME_SIGNATURE,
+  pickup = 0, // Beats before bar 1
   repetitions,
   complexity,
   audioTimestamp,
   keySignature = 'C',
-  showNashville = false,
+  modulatesFrom = null, // Song key, when this section is in a different key
+  suggestedKey = null, // Local key suggested by analysis, when it differs from keySignature
+  numberingMode = null, // Nashville numbering mode; defaults from the key
+  onNumberingModeChange = null,
+  notation = 'chords', // 'chords', 'nashville', 'roman'
+  onNotationChange = null, // Shows a notation toggle in the header when provided
   isPlaying = false,
   currentChordIndex = -1,
   onPlaySection = () => {},
@@ -25,19 +49,53 @@ const SectionChordVisualization = ({
 }) => {
   const [hoveredChordIndex, setHoveredChordIndex] = useState(-1);
   const [showChordInfo, setShowChordInfo] = useState(false);
+  const [localNumberingMode, setLocalNumberingMode] = useState(null);
 
-  // Convert progression to Nashville numbers
-  const nashvilleProgression = progressionToNashville(progression, keySignature);
+  // A parent-controlled mode wins; otherwise the section keeps its own choice
+  const numberingModes = getNumberingModes();
+  const activeModeId = numberingMode || localNumberingMode || getDefaultNumberingMode(keySignature);
+  const activeMode = numberingModes.find(mode => mode.id === activeModeId) || numberingModes[0];
 
-  // Calculate chord distribution within bars
-  const chordsPerBar = Math.ceil(progression.length / bars);
-  const chordBars = [];
-  
-  for (let bar = 0; bar < bars; bar++) {
-    const startIndex = bar * chordsPerBar;
-    const endIndex = Math.min(startIndex + chordsPerBar, progression.length);
-    chordBars.push(progression.slice(startIndex, endIndex));
-  }
+  const handleNumberingModeChange = (newMode) => {
+    setLocalNumberingMode(newMode);
+    if (onNumberingModeChange) {
+      onNumberingModeChange(newMode);
+    }
+  };
+
+  // Convert progression to Nashville numbers and Roman numerals
+  const numberingOptions = { mode: activeMode.id };
+  const nashvilleProgression = progressionToNashville(progression, keySignature, numberingOptions);
+  const romanProgression = progressionToRoman(progression, keySignature, numberingOptions);
+
+  // The analysis shown next to chord names: Roman when selected, Nashville otherwise
+  const showAnalysis = notation !== 'chords';
+  const analysisProgression = notation === 'roman' ? romanProgression : nashvilleProgression;
+  const analysisLabel = notation === 'roman' ? 'Roman:' : 'Nashville:';
+
+  // Cadences are marked on the chord they resolve to
+  const cadences = analyzeCadences(progression, keySignature);
+  const cadenceByChord = cadences.reduce((byChord, cadence) => {
+    byChord[cadence.endIndex] = cadence;
+    return byChord;
+  }, {});
+
+  // Lay the chords out in bars by how many beats each lasts
+  const chordDurations = getChordDurations({ progression, bars, durations, timeSignature });
+  const beatsPerBar = getBeatsPerBar(timeSignature);
+  const chordBars = layoutBars(chordDurations, timeSignature, pickup);
+  const barCount = countBars(chordDurations, timeSignature, pickup);
+
+  // Where each chord starts, for the chord information panel
+  const chordStarts = {};
+  chordBars.forEach(bar => {
+    bar.chords.filter(({ tied }) => !tied).forEach(({ index, startBeat }) => {
+      chordStarts[index] = { bar: bar.isPickup ? 'Pickup' : bar.number, beat: startBeat + 1 };
+    });
+  });
+
+  // Whole numbers of beats read as they are; others to two places
+  const formatBeats = (beats) => Number.isInteger(beats) ? String(beats) : beats.toFixed(2).replace(/0+$/, '');
 
   // Get chord complexity color
   const getComplexityColor = (complexity) => {
@@ -51,8 +109,8 @@ const SectionChordVisualization = ({
 
   // Get chord display value
   const getChordDisplay = (index) => {
-    if (showNashville && nashvilleProgression[index]) {
-      return nashvilleProgression[index];
+    if (showAnalysis && analysisProgression[index]) {
+      return analysisProgression[index];
     }
     return progression[index] || '';
   };
@@ -83,13 +141,16 @@ const SectionChordVisualization = ({
   const getChordInfo = (chordIndex) => {
     const chord = progression[chordIndex];
     const nashville = nashvilleProgression[chordIndex];
+    const roman = romanProgression[chordIndex];
     
     return {
       chord,
       nashville,
+      roman,
       position: `${chordIndex + 1} of ${progression.length}`,
-      bar: Math.floor(chordIndex / chordsPerBar) + 1,
-      inBar: (chordIndex % chordsPerBar) + 1
+      bar: chordStarts[chordIndex]?.bar,
+      beat: chordStarts[chordIndex]?.beat,
+      beats: chordDurations[chordIndex]
     };
   };
 
@@ -110,8 +171,14 @@ const SectionChordVisualization = ({
               {complexity}
             </span>
             <span className="text-sm text-gray-600">
-              {bars} bars × {repetitions} {repetitions === 1 ? 'time' : 'times'}
+              {barCount} bars × {repetitions} {repetitions === 1 ? 'time' : 'times'}
             </span>
+            {(timeSignature !== DEFAULT_TIME_SIGNATURE || pickup > 0) && (
+              <span className="text-sm text-gray-600">
+                {timeSignature}
+                {pickup > 0 && `, ${formatBeats(pickup)}-beat pickup`}
+              </span>
+            )}
             <button
               onClick={() => setShowChordInfo(!showChordInfo)}
               className="p-1 text-gray-500 hover:text-gray-700 rounded transition-colors"
@@ -128,6 +195,26 @@ const SectionChordVisualization = ({
               </span>
             )}
             <div className="flex items-center space-x-2">
+              {onNotationChange && (
+                <NotationToggle
+                  notation={notation}
+                  onNotationChange={onNotationChange}
+                />
+              )}
+
+              {showAnalysis && (
+                <select
+                  value={activeMode.id}
+                  onChange={(e) => handleNumberingModeChange(e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  title="Select how Nashville numbers are counted"
+                >
+                  {numberingModes.map(mode => (
+                    <option key={mode.id} value={mode.id}>{mode.label}</option>
+                  ))}
+                </select>
+              )}
+
               <button
                 onClick={() => onExploreProgression(progression)}
                 className="flex items-center space-x-1 px-3 py-1 bg-purple-100 text-purple-700 hover:bg-purple-200 rounded transition-colors"
@@ -160,7 +247,7 @@ const SectionChordVisualization = ({
         <div className="px-6 py-3 bg-blue-50 border-b border-blue-200">
           <div className="text-sm">
             <div className="font-medium text-blue-900 mb-2">Chord Information</div>
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-blue-800">
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-blue-800">
               {(() => {
                 const info = getChordInfo(hoveredChordIndex);
                 return (
@@ -171,11 +258,15 @@ const SectionChordVisualization = ({
                     <div>
                       <span className="font-medium">Nashville:</span> {info.nashville}
                     </div>
+                    <div>
+                      <span className="font-medium">Roman:</span> {info.roman}
+                    </div>
                     <div>
                       <span className="font-medium">Position:</span> {info.position}
                     </div>
                     <div>
-                      <span className="font-medium">Bar:</span> {info.bar} ({info.inBar})
+                      <span className="font-medium">Bar:</span> {info.bar}, beat {formatBeats(info.beat)}
+                      {' '}({formatBeats(info.beats)} {info.beats === 1 ? 'beat' : 'beats'})
                     </div>
                   </>
                 );
@@ -188,55 +279,84 @@ const SectionChordVisualization = ({
       {/* Bar-based Chord Layout */}
       <div className="p-6">
         <div className="space-y-4">
-          {chordBars.map((barChords, barIndex) => (
-            <div key={barIndex} className="space-y-2">
-              <div className="flex items-center space-x-2">
-                <span className="text-xs font-medium text-gray-500 w-12">
-                  Bar {barIndex + 1}:
-                </span>
-                <div className="flex-1 grid gap-2" style={{
-                  gridTemplateColumns: `repeat(${Math.max(barChords.length, 1)}, minmax(0, 1fr))`
-                }}>
-                  {barChords.map((chord, chordInBarIndex) => {
-                    const globalIndex = barIndex * chordsPerBar + chordInBarIndex;
-                    return (
-                      <div
-                        key={globalIndex}
-                        className={getChordStyling(globalIndex)}
-                        onClick={() => onChordClick(globalIndex)}
-                        onMouseEnter={() => setHoveredChordIndex(globalIndex)}
-                        onMouseLeave={() => setHoveredChordIndex(-1)}
-                        title={showNashville 
-                          ? `${nashvilleProgression[globalIndex]} (${chord})` 
-                          : `${chord} (${nashvilleProgression[globalIndex]})`}
-                      >
-                        <span className="text-base font-bold">
-                          {getChordDisplay(globalIndex)}
-                        </span>
-                        
-                        {/* Playing indicator */}
-                        {globalIndex === currentChordIndex && isPlaying && (
-                          <div className="absolute -bottom-1 left-1/2 transform -translate-x-1/2">
-                            <div className="w-2 h-2 bg-blue-500 rounded-full animate-ping"></div>
-                          </div>
-                        )}
+          {chordBars.map((bar, barIndex) => {
+            // Chords take up room by their beats; a pickup sits at the end of its bar, and an
+            // unfinished last bar leaves its remaining beats empty
+            const filled = bar.chords.reduce((total, { beats }) => total + beats, 0);
+            const gap = beatsPerBar - filled > 0.001 ? beatsPerBar - filled : 0;
+            const columns = bar.chords.map(({ beats }) => `minmax(0, ${beats}fr)`);
+            if (gap > 0) {
+              if (bar.isPickup) columns.unshift(`minmax(0, ${gap}fr)`);
+              else columns.push(`minmax(0, ${gap}fr)`);
+            }
+
+            return (
+              <div key={barIndex} className="space-y-2">
+                <div className="flex items-center space-x-2">
+                  <span className="text-xs font-medium text-gray-500 w-12">
+                    {bar.isPickup ? 'Pickup:' : `Bar ${bar.number}:`}
+                  </span>
+                  <div className="flex-1 grid gap-2" style={{
+                    gridTemplateColumns: columns.join(' ')
+                  }}>
+                    {bar.isPickup && gap > 0 && <div></div>}
+                    {bar.chords.map(({ index: globalIndex, beats, startBeat, tied }) => {
+                      const chord = progression[globalIndex];
+                      return (
+                        <div
+                          key={`${globalIndex}-${startBeat}`}
+                          className={`${getChordStyling(globalIndex)} ${tied ? 'opacity-50' : ''}`}
+                          onClick={() => onChordClick(globalIndex)}
+                          onMouseEnter={() => setHoveredChordIndex(globalIndex)}
+                          onMouseLeave={() => setHoveredChordIndex(-1)}
+                          title={`${showAnalysis 
+                            ? `${analysisProgression[globalIndex]} (${chord})` 
+                            : `${chord} (${nashvilleProgression[globalIndex]})`}${tied ? ', held from the bar before' : ''}`}
+                        >
+                          <span className="text-base font-bold">
+                            {getChordDisplay(globalIndex)}
+                          </span>
+
+                          {/* Beat count, when the chord doesn't fill the bar */}
+                          {!tied && beats !== beatsPerBar && (
+                            <span className="absolute bottom-0.5 right-1 text-[10px] font-normal text-gray-400">
+                              {formatBeats(chordDurations[globalIndex])}
+                            </span>
+                          )}
+                          
+                          {/* Cadence marker */}
+                          {!tied && cadenceByChord[globalIndex] && (
+                            <CadenceBadge
+                              cadence={cadenceByChord[globalIndex]}
+                              showLabel={false}
+                              className="absolute -top-2 -right-2 shadow-sm"
+                            />
+                          )}
+
+                          {/* Playing indicator */}
+                          {!tied && globalIndex === currentChordIndex && isPlaying && (
+                            <div className="absolute -bottom-1 left-1/2 transform -translate-x-1/2">
+                              <div className="w-2 h-2 bg-blue-500 rounded-full animate-ping"></div>
+                            </div>
+                          )}
 
-                        {/* Hover overlay */}
-                        {globalIndex === hoveredChordIndex && (
-                          <div className="absolute inset-0 bg-purple-100 bg-opacity-30 rounded-lg pointer-events-none"></div>
-                        )}
-                      </div>
-                    );
-                  })}
+                          {/* Hover overlay */}
+                          {globalIndex === hoveredChordIndex && (
+                            <div className="absolute inset-0 bg-purple-100 bg-opacity-30 rounded-lg pointer-events-none"></div>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
                 </div>
-              </div>
 
-              {/* Bar separator line */}
-              {barIndex < chordBars.length - 1 && (
-                <div className="border-t border-gray-100 my-2"></div>
-              )}
-            </div>
-          ))}
+                {/* Bar separator line */}
+                {barIndex < chordBars.length - 1 && (
+                  <div className="border-t border-gray-100 my-2"></div>
+                )}
+              </div>
+            );
+          })}
         </div>
 
         {/* Repetition Indicator */}
@@ -262,7 +382,20 @@ const SectionChordVisualization = ({
             </div>
             <div>
               <span className="font-medium">Key:</span>
-              <span className="ml-2">{keySignature} major</span>
+              <span className="ml-2">{formatKeyName(keySignature, activeMode.id)}</span>
+              {modulatesFrom && (
+                <span
+                  className="ml-2 px-2 py-0.5 bg-purple-100 text-purple-700 rounded text-xs"
+                  title={`The song is in ${modulatesFrom}; this section changes key`}
+                >
+                  Key change
+                </span>
+              )}
+              {!modulatesFrom && suggestedKey && (
+                <span className="ml-2 text-xs text-gray-500" title="Suggested from the chords in this section">
+                  (sounds like {suggestedKey})
+                </span>
+              )}
             </div>
           </div>
 
@@ -270,26 +403,36 @@ const SectionChordVisualization = ({
           <div className="mt-3 space-y-1">
             <div className="flex items-start space-x-2">
               <span className="font-medium text-gray-700 text-sm">
-                {showNashville ? 'Nashville:' : 'Chords:'}
+                {showAnalysis ? analysisLabel : 'Chords:'}
               </span>
               <span className="text-sm text-gray-900 flex-1">
-                {showNashville 
-                  ? nashvilleProgression.join(' - ')
+                {showAnalysis 
+                  ? analysisProgression.join(' - ')
                   : progression.join(' - ')
                 }
               </span>
             </div>
             <div className="flex items-start space-x-2">
               <span className="font-medium text-gray-700 text-sm">
-                {showNashville ? 'Chords:' : 'Nashville:'}
+                {showAnalysis ? 'Chords:' : 'Nashville:'}
               </span>
               <span className="text-sm text-gray-600 flex-1">
-                {showNashville 
+                {showAnalysis 
                   ? progression.join(' - ')
                   : nashvilleProgression.join(' - ')
                 }
               </span>
             </div>
+            {cadences.length > 0 && (
+              <div className="flex items-start space-x-2">
+                <span className="font-medium text-gray-700 text-sm">Cadences:</span>
+                <div className="flex flex-wrap gap-1 flex-1">
+                  {cadences.map(cadence => (
+                    <CadenceBadge key={`${cadence.type}-${cadence.startIndex}`} cadence={cadence} />
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         </div>
       </div>
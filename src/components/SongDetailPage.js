@@ -5,25 +5,38 @@
 
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { Music, ArrowLeft, Clock, Calendar, Disc, Users } from 'lucide-react';
+import { Music, ArrowLeft, Clock, Calendar, Disc } from 'lucide-react';
 import songDatabase from '../data/songDatabase';
 import SectionChordVisualization from './SectionChordVisualization';
+import NotationToggle from './NotationToggle';
 import RelatedSongs from './RelatedSongs';
 import ProgressionExplorer from './ProgressionExplorer';
-import { findRelatedSongs } from '../utils/relatedSongs';
+import { findRelatedSongsAsync, cancelSearchTask, isCancelledError } from '../utils/searchClient';
+import { analyzeSectionKeys, getSectionKey } from '../utils/sectionKeys';
+import { hasListedForm, getSongForm, getFormLetters } from '../utils/songForm';
+import { getChordDurations, getSectionBars, getTimeSignature } from '../utils/rhythm';
+import useChordPlayer from '../hooks/useChordPlayer';
 
 const SongDetailPage = () => {
   const { songId } = useParams();
   const navigate = useNavigate();
   const [song, setSong] = useState(null);
-  const [showNashville, setShowNashville] = useState(false);
+  const [notation, setNotation] = useState('chords');
   const [currentKey, setCurrentKey] = useState('C');
-  const [isPlaying, setIsPlaying] = useState(false);
+  const [numberingMode, setNumberingMode] = useState(null);
   const [currentSection, setCurrentSection] = useState('');
-  const [currentChordIndex, setCurrentChordIndex] = useState(0);
   const [relatedSongs, setRelatedSongs] = useState([]);
   const [showProgressionExplorer, setShowProgressionExplorer] = useState(false);
   const [explorerProgression, setExplorerProgression] = useState([]);
+  const [explorerKey, setExplorerKey] = useState(null);
+
+  // Sections play at the song's tempo, each chord for its beats
+  const player = useChordPlayer({
+    initialVolume: 0.2,
+    initialWaveType: 'sine',
+    onError: () => alert('Audio playback is not available. Please check your browser settings and ensure audio is not blocked.')
+  });
+  const { isPlaying, currentChordIndex, stop: stopPlayback, setBpm } = player;
 
   // Find song in database and related songs
   useEffect(() => {
@@ -31,17 +44,31 @@ const SongDetailPage = () => {
     if (foundSong) {
       setSong(foundSong);
       setCurrentKey(foundSong.key);
+      stopPlayback();
+      setCurrentSection('');
+      if (foundSong.tempo > 0) setBpm(foundSong.tempo);
+      setNumberingMode(null);
+      setExplorerKey(null);
       
-      // Find related songs based on similar progressions
-      const related = findRelatedSongs(foundSong, songDatabase, {
+      // Find related songs based on similar progressions (in the search worker, since it
+      // compares every section with every other)
+      setRelatedSongs([]);
+      findRelatedSongsAsync(foundSong, {
         minSimilarity: 0.3,
         maxResults: 6,
         sameArtistBonus: 0.1,
         sameGenreBonus: 0.05
-      });
-      setRelatedSongs(related);
+      })
+        .then(setRelatedSongs)
+        .catch(error => {
+          if (!isCancelledError(error)) {
+            console.error('Related songs error:', error);
+          }
+        });
     }
-  }, [songId]);
+
+    return () => cancelSearchTask('relatedSongs');
+  }, [songId, stopPlayback, setBpm]);
 
   // Get section order for display
   const getSectionOrder = (sections) => {
@@ -63,20 +90,24 @@ const SongDetailPage = () => {
   // Handle section playback
   const handleSectionPlay = (sectionName, progression) => {
     if (isPlaying && currentSection === sectionName) {
-      setIsPlaying(false);
+      player.stop();
       setCurrentSection('');
-      setCurrentChordIndex(0);
     } else {
-      setIsPlaying(true);
       setCurrentSection(sectionName);
-      setCurrentChordIndex(0);
-      // Here you would integrate with the actual audio playback system
+      const section = song.sections[sectionName];
+      player.play(progression, getChordDurations(section, song), {
+        timeSignature: getTimeSignature(section, song),
+        pickup: section.pickup || 0,
+        genre: song.genre,
+        key: getSectionKey(song, sectionName)
+      });
     }
   };
 
   // Handle opening progression explorer with a section's progression
   const handleExploreProgression = (sectionName, progression) => {
     setExplorerProgression(progression);
+    setExplorerKey(song.sections[sectionName]?.key || null);
     setShowProgressionExplorer(true);
   };
 
@@ -113,6 +144,9 @@ const SongDetailPage = () => {
   }
 
   const orderedSections = getSectionOrder(song.sections);
+  const sectionKeys = analyzeSectionKeys(song);
+  const form = hasListedForm(song) ? getSongForm(song) : null;
+  const formLetters = form ? getFormLetters(form) : [];
 
   return (
     <div className="max-w-6xl mx-auto p-6 bg-gray-50 min-h-screen">
@@ -166,23 +200,30 @@ const SongDetailPage = () => {
                   {song.decade}
                 </span>
               </div>
+
+              {/* Form: the sections in the order they're played */}
+              {form && (
+                <div className="flex items-center flex-wrap gap-1 mt-4 text-sm">
+                  <span className="font-medium text-gray-700 mr-1">Form:</span>
+                  {form.map((sectionName, index) => (
+                    <span
+                      key={index}
+                      className="inline-flex items-center gap-1 px-2 py-1 bg-gray-100 text-gray-700 rounded text-xs capitalize"
+                    >
+                      <span className="font-mono">{formLetters[index]}</span>
+                      {sectionName}
+                    </span>
+                  ))}
+                </div>
+              )}
             </div>
 
-            {/* Nashville Number Toggle */}
+            {/* Chord notation toggle */}
             <div className="ml-6">
-              <button
-                onClick={() => setShowNashville(!showNashville)}
-                className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors ${
-                  showNashville 
-                    ? 'bg-blue-100 text-blue-700 hover:bg-blue-200' 
-                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                }`}
-              >
-                <Users className="w-4 h-4" />
-                <span className="text-sm font-medium">
-                  {showNashville ? 'Numbers' : 'Chords'}
-                </span>
-              </button>
+              <NotationToggle
+                notation={notation}
+                onNotationChange={setNotation}
+              />
             </div>
           </div>
         </div>
@@ -200,17 +241,27 @@ const SongDetailPage = () => {
               sectionName={sectionName}
               progression={section.progression}
               bars={section.bars}
+              durations={section.durations}
+              timeSignature={getTimeSignature(section, song)}
+              pickup={section.pickup}
               repetitions={section.repetitions}
               complexity={section.complexity}
               audioTimestamp={section.audioTimestamp}
-              keySignature={currentKey}
-              showNashville={showNashville}
+              keySignature={section.key || currentKey}
+              modulatesFrom={sectionKeys[sectionName]?.isModulation ? currentKey : null}
+              suggestedKey={
+                !section.key && sectionKeys[sectionName]?.suggestedKey !== currentKey
+                  ? sectionKeys[sectionName]?.suggestedKey
+                  : null
+              }
+              numberingMode={numberingMode}
+              onNumberingModeChange={setNumberingMode}
+              notation={notation}
               isPlaying={isCurrentSection}
               currentChordIndex={isCurrentSection ? currentChordIndex : -1}
               onPlaySection={handleSectionPlay}
               onChordClick={(chordIndex) => {
-                setCurrentChordIndex(chordIndex);
-                // Could add skip-to functionality here
+                if (isCurrentSection) player.skipTo(chordIndex);
               }}
               onExploreProgression={(progression) => handleExploreProgression(sectionName, progression)}
               className="shadow-sm"
@@ -242,7 +293,7 @@ const SongDetailPage = () => {
           <div>
             <span className="text-gray-500">Total Bars:</span>
             <span className="ml-2 font-medium">
-              {Object.values(song.sections).reduce((sum, s) => sum + (s.bars * s.repetitions), 0)}
+              {Object.values(song.sections).reduce((sum, s) => sum + (getSectionBars(s, song) * s.repetitions), 0)}
             </span>
           </div>
         </div>
@@ -266,7 +317,7 @@ const SongDetailPage = () => {
       {showProgressionExplorer && (
         <ProgressionExplorer
           initialProgression={explorerProgression.length > 0 ? explorerProgression : Object.values(song.sections)[0]?.progression || ['C', 'Am', 'F', 'G']}
-          keySignature={currentKey}
+          keySignature={explorerKey || currentKey}
           onProgressionChange={(progression) => {
             // Could update a state to show modified progression
             console.log('Progression changed:', progression);
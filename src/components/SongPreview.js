@@ -137,6 +137,7 @@ const SongPreview = ({ song }) => {
                 <h5 className="font-medium text-gray-900 capitalize">{sectionName}</h5>
                 <div className="flex items-center gap-4 text-xs text-gray-500">
                   <span>{section.bars} bars</span>
+                  {section.timeSignature && <span>{section.timeSignature}</span>}
                   <span>{section.repetitions}x</span>
                   <span className="capitalize">{section.complexity}</span>
                 </div>
@@ -17,7 +17,7 @@ const SongSectionsEntry = ({
 
   const exampleText = `verse: C Am F G
 chorus: F C G Am
-bridge: Am F C G
+bridge: | Am . F . | C . G . |
 verse2: C Am F G (same as verse)
 outro: F G C`;
 
@@ -37,7 +37,9 @@ outro: F G C`;
               <li>• Enter each section on a new line</li>
               <li>• Format: <code className="px-1 bg-blue-100 rounded">section_name: chord1 chord2 chord3</code></li>
               <li>• Use any section names you want (verse, chorus, intro, solo, etc.)</li>
-              <li>• Separate chords with spaces</li>
+              <li>• Separate chords with spaces; each chord lasts a bar</li>
+              <li>• For other rhythms, add bar lines and a dot per beat held (<code className="px-1 bg-blue-100 rounded">| C . G . | Am . . . |</code>) or beat counts (<code className="px-1 bg-blue-100 rounded">C(2) G(2)</code>)</li>
+              <li>• Start with a time signature for other meters (<code className="px-1 bg-blue-100 rounded">verse: 3/4 | C . . | G . . |</code>); a short first bar is a pickup</li>
             </ul>
           </div>
         </div>
@@ -107,6 +109,8 @@ ${exampleText}`}
                     <h5 className="font-medium text-gray-900 capitalize">{sectionName}</h5>
                     <div className="flex items-center gap-2 text-xs text-gray-500">
                       <span>{section.bars} bars</span>
+                      {section.timeSignature && <span>{section.timeSignature}</span>}
+                      {section.pickup > 0 && <span>{section.pickup}-beat pickup</span>}
                       <span>{section.complexity}</span>
                     </div>
                   </div>
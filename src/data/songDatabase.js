@@ -15,6 +15,7 @@ export const songDataSchema = {
   popularity: "string", // "mainstream" | "deep-cut"
   key: "string", // original key
   tempo: "number", // BPM
+  timeSignature: "string", // optional, such as "3/4" or "6/8"; defaults to "4/4"
   sections: {
     // section names: verse, chorus, bridge, intro, outro, pre-chorus, etc.
     sectionName: {
@@ -22,12 +23,17 @@ export const songDataSchema = {
       bars: "number", // number of bars in progression
       repetitions: "number", // how many times this progression repeats in the section
       complexity: "string", // "simple" | "intermediate" | "complex"
+      key: "string", // optional, the section's own key when it modulates away from the song key
+      durations: ["array", "of", "beats", "per", "chord"], // optional, counted in the time signature's beat
+      timeSignature: "string", // optional, the section's own time signature when it differs from the song's
+      pickup: "number", // optional, beats before bar 1 (not counted in bars)
       audioTimestamp: {
         start: "string", // "mm:ss" format
         end: "string"
       }
     }
   },
+  form: ["array", "of", "section", "names"], // optional, sections in the order they're played, repeats included
   // Optional streaming service integration
   spotifyId: "string", // optional
   youtubeId: "string", // optional
@@ -89,6 +95,7 @@ export const songDatabase = [
         }
       }
     },
+    form: ["intro", "verse", "verse", "pre-chorus", "chorus", "verse", "pre-chorus", "chorus"],
     spotifyId: "6K4t31amVTZDgR3sKmwUJJ",
     youtubeId: "bx1Bh8ZvH84"
   },
@@ -136,6 +143,7 @@ export const songDatabase = [
         }
       }
     },
+    form: ["verse", "chorus", "verse", "chorus", "bridge", "verse", "chorus"],
     spotifyId: "7iN1s7xHE4ifF5povM6A48",
     youtubeId: "QDYfEBY9NM4"
   },
@@ -361,6 +369,7 @@ export const songDatabase = [
         }
       }
     },
+    form: ["verse", "chorus", "verse", "chorus", "bridge", "verse", "chorus"],
     spotifyId: "2iuZJX9X9P0GKaE93xcPjk",
     youtubeId: "xwtdhWltSIg"
   },
@@ -408,6 +417,7 @@ export const songDatabase = [
         }
       }
     },
+    form: ["intro", "verse", "chorus", "verse", "chorus", "verse", "chorus"],
     spotifyId: "4CeeEOM32jQcH3eN9Q2dGj",
     youtubeId: "hTWKbfoikeg"
   },
@@ -687,6 +697,7 @@ export const songDatabase = [
         }
       }
     },
+    form: ["verse", "chorus", "verse", "chorus", "bridge", "chorus"],
     spotifyId: "7n2FZQsaLb7ZRfnL8uaOJV",
     youtubeId: "rYEDA3JcQqw"
   },
@@ -2083,4 +2094,16 @@ export const getSongsByDecade = (decade) => {
   return songDatabase.filter(song => song.decade === decade);
 };
 
+// Adds a song to the loaded database (replacing one with the same id), so searches find it
+// without a reload; searches index the new song the next time they run
+export const addSong = (song) => {
+  const existingIndex = songDatabase.findIndex(existing => existing.songId === song.songId);
+  if (existingIndex >= 0) {
+    songDatabase[existingIndex] = song;
+  } else {
+    songDatabase.push(song);
+  }
+  return song;
+};
+
 export default songDatabase;
\ No newline at end of file
@@ -1,21 +1,40 @@
 /**
  * useChordPlayer hook for managing chord progression playback state
- * Provides reusable audio functionality across the application
+ * Provides reusable audio functionality across the application, played through one
+ * playback transport (see utils/playbackTransport) so every player keeps time on the audio clock
  */
 
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { 
-  createAudioContext, 
-  playProgression, 
-  stopAudioNodes 
-} from '../utils/audioSynthesis';
+import { createTransport } from '../utils/playbackTransport';
+import { patternVoice } from '../utils/chordPatterns';
+import { drumVoice, chooseDrumStyle } from '../utils/drumMachine';
+import { bassVoice } from '../utils/bassLines';
+import { detectKey } from '../utils/nashvilleNumbers';
+import { DEFAULT_TIME_SIGNATURE } from '../utils/rhythm';
+
+// Whether the browser can play audio at all; the audio context itself starts on the first play
+const hasWebAudio = () => typeof window !== 'undefined' && Boolean(window.AudioContext || window.webkitAudioContext);
+
+// What the music is counted in, the genre an 'auto' drum style is chosen from, and the key the
+// walking bass walks through (found from the progression when not given)
+const DEFAULT_METER = { timeSignature: DEFAULT_TIME_SIGNATURE, pickup: 0, genre: null, key: null };
 
 const useChordPlayer = (options = {}) => {
   const {
     initialProgression = [],
+    initialDurations = null,
     initialBpm = 120,
     initialVolume = 0.3,
     initialWaveType = 'sawtooth',
+    initialVoicing = 'root',
+    initialPattern = 'block', // How chords are played: held, strummed, arpeggiated or comped (see utils/chordPatterns)
+    initialSwing = 0,
+    initialHumanize = 0,
+    initialDrumStyle = 'off', // 'off', 'auto' (from the genre and time signature) or a drum style id
+    initialDrumVolume = 0.5,
+    initialCountIn = false,
+    initialBassStyle = 'off', // 'off' or a bass style id (see utils/bassLines)
+    initialBassVolume = 0.5,
     autoPlay = false,
     repeat = false,
     onProgressionEnd = () => {},
@@ -23,215 +42,181 @@ const useChordPlayer = (options = {}) => {
     onError = () => {}
   } = options;
 
-  // Audio context and nodes
-  const [audioContext, setAudioContext] = useState(null);
-  const [audioNodes, setAudioNodes] = useState([]);
-  
   // Playback state
   const [isPlaying, setIsPlaying] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
   const [currentChordIndex, setCurrentChordIndex] = useState(0);
+  const [chordProgress, setChordProgress] = useState(0); // Progress within current chord (0-1)
+  const [progress, setProgress] = useState(0); // Overall progression progress (0-1)
   const [progression, setProgression] = useState(initialProgression);
-  
+  const [durations, setDurations] = useState(initialDurations); // Beats per chord, or null for a beat each
+  const [meter, setMeter] = useState(DEFAULT_METER);
+  const [countInBeat, setCountInBeat] = useState(null); // Count-in beat sounding (from 1), or null
+
   // Audio settings
   const [bpm, setBpm] = useState(initialBpm);
   const [volume, setVolume] = useState(initialVolume);
   const [isMuted, setIsMuted] = useState(false);
   const [waveType, setWaveType] = useState(initialWaveType);
+  const [voicing, setVoicing] = useState(initialVoicing);
+  const [pattern, setPattern] = useState(initialPattern);
+  const [swing, setSwing] = useState(initialSwing); // 0 straight to 1 full triplet swing
+  const [humanize, setHumanize] = useState(initialHumanize); // 0 exact to 1 loose
   const [isRepeating, setIsRepeating] = useState(repeat);
-  
-  // Error and loading state
-  const [isLoading, setIsLoading] = useState(false);
+  const [loopRegion, setLoopRegion] = useState(null); // { start, end } chord indices, or null
+  const [drumStyle, setDrumStyle] = useState(initialDrumStyle);
+  const [drumVolume, setDrumVolume] = useState(initialDrumVolume);
+  const [countIn, setCountIn] = useState(initialCountIn);
+  const [bassStyle, setBassStyle] = useState(initialBassStyle);
+  const [bassVolume, setBassVolume] = useState(initialBassVolume);
+
+  // Error state
   const [error, setError] = useState(null);
-  const [isAudioAvailable, setIsAudioAvailable] = useState(false);
-  
-  // Refs for cleanup and timing
-  const playbackIntervalRef = useRef(null);
-  const progressionRef = useRef(progression);
-  const playbackPositionRef = useRef(0);
-  
-  // Update progression ref when state changes
-  useEffect(() => {
-    progressionRef.current = progression;
-  }, [progression]);
+  const [isAudioAvailable] = useState(hasWebAudio);
+
+  // One transport per player, created on first render
+  const transportRef = useRef(null);
+  if (!transportRef.current) {
+    transportRef.current = createTransport({ bpm: initialBpm, voices: [patternVoice, bassVoice, drumVoice] });
+  }
+  const transport = transportRef.current;
 
-  // Initialize audio context
+  // Callbacks from the latest render, so the transport listener never goes stale
+  const callbacksRef = useRef({ onProgressionEnd, onChordChange, onError });
+  callbacksRef.current = { onProgressionEnd, onChordChange, onError };
+
+  // Follow the transport's events
   useEffect(() => {
-    const initializeAudio = async () => {
-      try {
-        setIsLoading(true);
-        setError(null);
-        
-        const context = await createAudioContext();
-        setAudioContext(context);
-        setIsAudioAvailable(true);
-      } catch (err) {
-        const errorMessage = `Could not initialize audio: ${err.message}`;
-        setError(errorMessage);
-        setIsAudioAvailable(false);
-        onError(err);
-        console.warn(errorMessage);
-      } finally {
-        setIsLoading(false);
-      }
-    };
-    
-    initializeAudio();
-    
-    // Cleanup on unmount
-    return () => {
-      if (audioContext) {
-        audioContext.close();
+    const unsubscribe = transport.subscribe((event) => {
+      switch (event.type) {
+        case 'chord':
+          setCountInBeat(null);
+          setCurrentChordIndex(event.index);
+          callbacksRef.current.onChordChange(event.index, event.chord);
+          break;
+        case 'beat':
+          if (event.countIn) setCountInBeat(event.barBeat + 1);
+          break;
+        case 'position':
+          setChordProgress(event.chordProgress);
+          setProgress(event.progress);
+          break;
+        case 'state':
+          setIsPlaying(event.status === 'playing');
+          setIsPaused(event.status === 'paused');
+          if (event.status !== 'playing') setCountInBeat(null);
+          if (event.status === 'stopped') setCurrentChordIndex(0);
+          break;
+        case 'end':
+          callbacksRef.current.onProgressionEnd();
+          break;
+        default:
+          break;
       }
-      stopPlayback();
-    };
-  }, []);
+    });
+    return unsubscribe;
+  }, [transport]);
 
-  // Auto play when progression changes (if enabled)
+  // Stop playing when the player goes away
+  useEffect(() => () => transport.dispose(), [transport]);
+
+  // Keep the transport in step with the settings
   useEffect(() => {
-    if (autoPlay && progression.length > 0 && audioContext && isAudioAvailable) {
-      play();
+    transport.setProgression(progression, durations);
+  }, [transport, progression, durations]);
+
+  useEffect(() => {
+    transport.setTempo(bpm);
+  }, [transport, bpm]);
+
+  // The drum style playing: 'auto' picks one for the music's genre and time signature
+  const getActiveDrumStyle = useCallback((forMeter) => {
+    return drumStyle === 'auto' ? chooseDrumStyle(forMeter.genre, forMeter.timeSignature) : drumStyle;
+  }, [drumStyle]);
+
+  const getSoundOptions = useCallback((forMeter, forProgression) => ({
+    volume: isMuted ? 0 : volume,
+    waveType,
+    voicing,
+    octave: 4,
+    pattern,
+    swing,
+    humanize,
+    drums: { style: getActiveDrumStyle(forMeter), volume: isMuted ? 0 : drumVolume },
+    bass: {
+      style: bassStyle,
+      volume: isMuted ? 0 : bassVolume,
+      key: bassStyle === 'off' ? null : forMeter.key || detectKey(forProgression)
     }
-  }, [progression, autoPlay, audioContext, isAudioAvailable]);
+  }), [volume, isMuted, waveType, voicing, pattern, swing, humanize, drumVolume, getActiveDrumStyle, bassStyle, bassVolume]);
+
+  useEffect(() => {
+    transport.setSoundOptions(getSoundOptions(meter, progression));
+  }, [transport, getSoundOptions, meter, progression]);
+
+  useEffect(() => {
+    transport.setMeter(meter.timeSignature, meter.pickup);
+  }, [transport, meter]);
+
+  useEffect(() => {
+    transport.setCountIn(countIn);
+  }, [transport, countIn]);
 
-  // Calculate chord duration in seconds from BPM
+  useEffect(() => {
+    transport.setLoop(loopRegion || isRepeating || null);
+  }, [transport, loopRegion, isRepeating]);
+
+  // Calculate the length of a beat in seconds from BPM
   const getChordDuration = useCallback(() => {
     return (60 / bpm);
   }, [bpm]);
 
-  // Stop all audio and clear intervals
-  const stopPlayback = useCallback(() => {
-    if (playbackIntervalRef.current) {
-      clearInterval(playbackIntervalRef.current);
-      playbackIntervalRef.current = null;
-    }
-    
-    if (audioNodes.length > 0) {
-      stopAudioNodes(audioNodes);
-      setAudioNodes([]);
-    }
-    
-    setIsPlaying(false);
-    setIsPaused(false);
-    playbackPositionRef.current = 0;
-  }, [audioNodes]);
-
-  // Play a single chord at the current position
-  const playCurrentChord = useCallback(async () => {
-    if (!audioContext || !progressionRef.current || progressionRef.current.length === 0) {
-      return;
-    }
-
-    const chordIndex = playbackPositionRef.current;
-    if (chordIndex >= progressionRef.current.length) {
-      return;
-    }
-
+  // Main play function: resumes where playback paused, or plays a new progression from its start,
+  // each chord for its duration in beats when given, in a meter ({ timeSignature, pickup, genre, key })
+  const play = useCallback(async (newProgression = null, newDurations = null, newMeter = null) => {
     try {
-      // Resume audio context if suspended
-      if (audioContext.state === 'suspended') {
-        await audioContext.resume();
+      setError(null);
+      // Applied straight away, as the first beats are scheduled before the next render
+      const isNewProgression = Array.isArray(newProgression) && (newProgression !== progression || newDurations !== durations);
+      if (isNewProgression) {
+        transport.stop();
+        transport.setProgression(newProgression, newDurations);
+        setProgression(newProgression);
+        setDurations(newDurations);
       }
-
-      const chord = progressionRef.current[chordIndex];
-      const chordDuration = getChordDuration();
-      
-      // Stop previous chord nodes
-      if (audioNodes.length > 0) {
-        stopAudioNodes(audioNodes);
+      if (newMeter || isNewProgression) {
+        const nextMeter = newMeter ? { ...DEFAULT_METER, ...newMeter } : meter;
+        if (newMeter) {
+          transport.setMeter(nextMeter.timeSignature, nextMeter.pickup);
+          setMeter(nextMeter);
+        }
+        transport.setSoundOptions(getSoundOptions(nextMeter, isNewProgression ? newProgression : progression));
       }
-      
-      // Play new chord with current settings
-      const nodes = playProgression(audioContext, [chord], chordDuration, {
-        volume: isMuted ? 0 : volume,
-        waveType: waveType,
-        octave: 4
-      });
-      
-      setAudioNodes(nodes);
-      setCurrentChordIndex(chordIndex);
-      onChordChange(chordIndex, chord);
-      
+      await transport.play();
     } catch (err) {
-      const errorMessage = `Error playing chord: ${err.message}`;
+      const errorMessage = `Could not play audio: ${err.message}`;
       setError(errorMessage);
-      onError(err);
-      console.error(errorMessage);
+      callbacksRef.current.onError(err);
+      console.warn(errorMessage);
     }
-  }, [audioContext, getChordDuration, volume, isMuted, waveType, audioNodes, onChordChange, onError]);
-
-  // Advance to next chord
-  const advanceToNextChord = useCallback(() => {
-    const nextIndex = playbackPositionRef.current + 1;
-    
-    if (nextIndex >= progressionRef.current.length) {
-      if (isRepeating) {
-        playbackPositionRef.current = 0;
-        return true; // Continue playing
-      } else {
-        // End of progression
-        stopPlayback();
-        setCurrentChordIndex(0);
-        onProgressionEnd();
-        return false; // Stop playing
-      }
-    } else {
-      playbackPositionRef.current = nextIndex;
-      return true; // Continue playing
-    }
-  }, [isRepeating, stopPlayback, onProgressionEnd]);
+  }, [transport, progression, durations, meter, getSoundOptions]);
 
-  // Main play function
-  const play = useCallback(async () => {
-    if (!audioContext || !progressionRef.current || progressionRef.current.length === 0) {
-      return;
-    }
-
-    if (isPaused) {
-      // Resume from current position
-      setIsPaused(false);
-    } else {
-      // Start from beginning or current position
-      if (!isPlaying) {
-        playbackPositionRef.current = currentChordIndex;
-      }
+  // Auto play when progression changes (if enabled)
+  useEffect(() => {
+    if (autoPlay && progression.length > 0 && isAudioAvailable) {
+      play();
     }
-    
-    setIsPlaying(true);
-    setError(null);
-    
-    // Play first chord immediately
-    await playCurrentChord();
-    
-    const chordDuration = getChordDuration() * 1000; // Convert to milliseconds
-    
-    // Set up interval for subsequent chords
-    playbackIntervalRef.current = setInterval(async () => {
-      const shouldContinue = advanceToNextChord();
-      
-      if (shouldContinue) {
-        await playCurrentChord();
-      }
-    }, chordDuration);
-    
-  }, [audioContext, isPaused, isPlaying, currentChordIndex, playCurrentChord, getChordDuration, advanceToNextChord]);
+  }, [progression, autoPlay, isAudioAvailable, play]);
 
-  // Pause playback
+  // Pause playback on the beat it reached
   const pause = useCallback(() => {
-    if (playbackIntervalRef.current) {
-      clearInterval(playbackIntervalRef.current);
-      playbackIntervalRef.current = null;
-    }
-    setIsPlaying(false);
-    setIsPaused(true);
-  }, []);
+    transport.pause();
+  }, [transport]);
 
   // Stop playback and reset position
   const stop = useCallback(() => {
-    stopPlayback();
-    setCurrentChordIndex(0);
-    playbackPositionRef.current = 0;
-  }, [stopPlayback]);
+    transport.stop();
+  }, [transport]);
 
   // Toggle play/pause
   const togglePlayback = useCallback(() => {
@@ -247,17 +232,8 @@ const useChordPlayer = (options = {}) => {
     if (index < 0 || index >= progression.length) {
       return;
     }
-    
-    playbackPositionRef.current = index;
-    setCurrentChordIndex(index);
-    
-    if (isPlaying) {
-      // Restart playback from new position
-      stopPlayback();
-      setIsPlaying(false);
-      setTimeout(() => play(), 10); // Small delay to ensure state is updated
-    }
-  }, [progression.length, isPlaying, stopPlayback, play]);
+    transport.seekToChord(index);
+  }, [transport, progression.length]);
 
   // Skip to next chord
   const skipForward = useCallback(() => {
@@ -276,64 +252,64 @@ const useChordPlayer = (options = {}) => {
     setIsMuted(!isMuted);
   }, [isMuted]);
 
-  // Update progression
-  const updateProgression = useCallback((newProgression) => {
+  // Update progression, with its durations in beats (a beat each when left out) and meter
+  const updateProgression = useCallback((newProgression, newDurations = null, newMeter = null) => {
     setProgression(newProgression);
-    
-    // Adjust current position if needed
-    if (currentChordIndex >= newProgression.length && newProgression.length > 0) {
-      skipTo(newProgression.length - 1);
-    } else if (newProgression.length === 0) {
-      stop();
-    }
-  }, [currentChordIndex, skipTo, stop]);
-
-  // Update BPM and restart playback if playing
-  const updateBpm = useCallback((newBpm) => {
-    setBpm(newBpm);
-    
-    if (isPlaying) {
-      // Restart with new timing
-      const wasPlaying = isPlaying;
-      stopPlayback();
-      if (wasPlaying) {
-        setTimeout(() => play(), 10);
-      }
+    setDurations(newDurations);
+    setMeter(newMeter ? { ...DEFAULT_METER, ...newMeter } : DEFAULT_METER);
+    if (currentChordIndex >= newProgression.length) {
+      setCurrentChordIndex(Math.max(newProgression.length - 1, 0));
     }
-  }, [isPlaying, stopPlayback, play]);
+  }, [currentChordIndex]);
 
   // Get current playback state
   const getPlaybackState = useCallback(() => {
+    const totalBeats = durations ? durations.reduce((total, beats) => total + beats, 0) : progression.length;
     return {
       isPlaying,
       isPaused,
       currentChordIndex,
       currentChord: progression[currentChordIndex] || null,
-      progressPercent: progression.length > 0 ? (currentChordIndex / progression.length) * 100 : 0,
-      timeRemaining: progression.length > 0 ? (progression.length - currentChordIndex) * getChordDuration() : 0
+      progressPercent: progress * 100,
+      timeRemaining: progression.length > 0 ? (1 - progress) * totalBeats * getChordDuration() : 0
     };
-  }, [isPlaying, isPaused, currentChordIndex, progression, getChordDuration]);
+  }, [isPlaying, isPaused, currentChordIndex, progression, durations, progress, getChordDuration]);
 
   // Return the hook interface
   return {
     // Audio state
     isAudioAvailable,
-    isLoading,
     error,
-    
+
     // Playback state
     isPlaying,
     isPaused,
     currentChordIndex,
+    chordProgress,
+    progress,
     progression,
-    
+    durations,
+    meter,
+    countInBeat,
+
     // Audio settings
     bpm,
     volume,
     isMuted,
     waveType,
+    voicing,
+    pattern,
+    swing,
+    humanize,
     isRepeating,
-    
+    loopRegion,
+    drumStyle,
+    activeDrumStyle: getActiveDrumStyle(meter),
+    drumVolume,
+    countIn,
+    bassStyle,
+    bassVolume,
+
     // Playback controls
     play,
     pause,
@@ -342,25 +318,35 @@ const useChordPlayer = (options = {}) => {
     skipTo,
     skipForward,
     skipBack,
-    
+
     // Settings controls
-    setBpm: updateBpm,
+    setBpm,
     setVolume,
     toggleMute,
     setWaveType,
+    setVoicing,
+    setPattern,
+    setSwing,
+    setHumanize,
     setIsRepeating,
-    
+    setLoopRegion,
+    setDrumStyle,
+    setDrumVolume,
+    setCountIn,
+    setBassStyle,
+    setBassVolume,
+
     // Progression management
     updateProgression,
     setProgression: updateProgression,
-    
+
     // Utility functions
     getPlaybackState,
     getChordDuration,
-    
-    // Raw audio context (for advanced usage)
-    audioContext
+
+    // The transport itself (for advanced usage)
+    transport
   };
 };
 
-export default useChordPlayer;
\ No newline at end of file
+export default useChordPlayer;
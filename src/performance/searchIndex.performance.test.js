@@ -0,0 +1,174 @@
+/**
+ * Search index benchmark
+ * Progression searches should stay interactive with 50,000 sections in the database,
+ * including right after a song is added
+ */
+
+import {
+  prepareSearchIndex,
+  searchByProgression,
+  searchByChords,
+  getProgressionSuggestions
+} from '../utils/chordSearch';
+import { runFilteredSearch, prepareSearch } from '../utils/searchTasks';
+
+const SECTION_COUNT = 50000;
+const SECTIONS_PER_SONG = 4;
+
+// Performance benchmarks (in milliseconds)
+const PERFORMANCE_BENCHMARKS = {
+  INDEX_BUILD_MAX_TIME: 4000,    // Indexing the whole database as the search worker starts
+  WARM_UP_MAX_TIME: 400,         // The search the worker runs next, so the engine compiles the search code
+  FIRST_SEARCH_MAX_TIME: 150,    // Each search after that the first time it runs, before the engine has fully optimized it
+  SEARCH_MAX_TIME: 100,          // and once it has, fast enough to run on every keystroke
+  SONG_ADDED_MAX_TIME: 100       // A search right after a song is added
+};
+
+const MAJOR_KEYS = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const MAJOR_KEY_CHORDS = {
+  C: ['C', 'Dm', 'Em', 'F', 'G', 'Am', 'Bdim'],
+  Db: ['Db', 'Ebm', 'Fm', 'Gb', 'Ab', 'Bbm', 'Cdim'],
+  D: ['D', 'Em', 'F#m', 'G', 'A', 'Bm', 'C#dim'],
+  Eb: ['Eb', 'Fm', 'Gm', 'Ab', 'Bb', 'Cm', 'Ddim'],
+  E: ['E', 'F#m', 'G#m', 'A', 'B', 'C#m', 'D#dim'],
+  F: ['F', 'Gm', 'Am', 'Bb', 'C', 'Dm', 'Edim'],
+  'F#': ['F#', 'G#m', 'A#m', 'B', 'C#', 'D#m', 'E#dim'],
+  G: ['G', 'Am', 'Bm', 'C', 'D', 'Em', 'F#dim'],
+  Ab: ['Ab', 'Bbm', 'Cm', 'Db', 'Eb', 'Fm', 'Gdim'],
+  A: ['A', 'Bm', 'C#m', 'D', 'E', 'F#m', 'G#dim'],
+  Bb: ['Bb', 'Cm', 'Dm', 'Eb', 'F', 'Gm', 'Adim'],
+  B: ['B', 'C#m', 'D#m', 'E', 'F#', 'G#m', 'A#dim']
+};
+const SECTION_NAMES = ['intro', 'verse', 'chorus', 'bridge'];
+const SEVENTHS = { 0: 'maj7', 1: 'm7', 4: '7', 5: 'm7' };
+
+// Small deterministic random number generator, so every run benchmarks the same data
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+};
+
+const generateDatabase = (sectionCount) => {
+  const random = createRandom(42);
+  const songCount = sectionCount / SECTIONS_PER_SONG;
+
+  return Array.from({ length: songCount }, (_, i) => {
+    const key = MAJOR_KEYS[Math.floor(random() * MAJOR_KEYS.length)];
+    const palette = MAJOR_KEY_CHORDS[key];
+
+    const sections = {};
+    SECTION_NAMES.forEach(sectionName => {
+      const length = 4 + Math.floor(random() * 5);
+      sections[sectionName] = {
+        progression: Array.from({ length }, () => {
+          const degree = Math.floor(random() * 6);
+          const seventh = random() < 0.2 && SEVENTHS[degree] ? SEVENTHS[degree] : '';
+          return seventh ? palette[degree].replace(/m$/, '') + seventh : palette[degree];
+        }),
+        complexity: 'simple'
+      };
+    });
+
+    return {
+      songId: `benchmark-song-${i}`,
+      title: `Benchmark Song ${i}`,
+      artist: `Artist ${i % 500}`,
+      genre: ['rock', 'pop', 'jazz', 'folk'][i % 4],
+      decade: ['70s', '80s', '90s', '2000s'][i % 4],
+      popularity: 'mainstream',
+      key,
+      sections
+    };
+  });
+};
+
+const mockBenchmarkDatabase = generateDatabase(SECTION_COUNT);
+
+// Mock the song database import
+// (getter defers the lookup until after the data is generated, since jest.mock is hoisted)
+jest.mock('../data/songDatabase.js', () => ({
+  __esModule: true,
+  get default() {
+    return mockBenchmarkDatabase;
+  }
+}));
+
+const measureExecutionTime = (fn) => {
+  const start = performance.now();
+  const result = fn();
+  const end = performance.now();
+  return { result, executionTime: end - start };
+};
+
+// The first run, which is what someone typing a new query waits for, and the median of several runs,
+// once the code is warm
+const measureMedianTime = (fn, runs = 5) => {
+  const measurements = Array.from({ length: runs }, () => measureExecutionTime(fn));
+  const times = measurements.map(({ executionTime }) => executionTime).sort((a, b) => a - b);
+  return {
+    result: measurements[0].result,
+    firstRunTime: measurements[0].executionTime,
+    executionTime: times[Math.floor(runs / 2)]
+  };
+};
+
+describe('Search index performance', () => {
+  test('indexes 50,000 sections as the search worker starts', () => {
+    const { result, executionTime } = measureExecutionTime(() => prepareSearchIndex());
+
+    console.log(`Indexed ${result} sections in ${executionTime.toFixed(0)}ms`);
+    expect(result).toBe(SECTION_COUNT);
+    expect(executionTime).toBeLessThan(PERFORMANCE_BENCHMARKS.INDEX_BUILD_MAX_TIME);
+  });
+
+  test('runs its warm-up search once the index is built', () => {
+    const { result, executionTime } = measureExecutionTime(() => prepareSearch());
+
+    console.log(`Warm-up search: ${executionTime.toFixed(2)}ms`);
+    expect(result).toBe(SECTION_COUNT);
+    expect(executionTime).toBeLessThan(PERFORMANCE_BENCHMARKS.WARM_UP_MAX_TIME);
+  });
+
+  test.each([
+    ['exact progression', () => searchByProgression(['C', 'G', 'Am', 'F'], { exactMatch: true })],
+    ['partial progression', () => searchByProgression(['Bm', 'G', 'D', 'A'])],
+    ['scale degrees in any key', () => searchByProgression(['C', 'Am', 'Dm', 'G'], { exactMatch: true, keyIndependent: true })],
+    ['chords present in a song', () => searchByChords(['F#m', 'Bm', 'C#m'], { requireAll: true })],
+    ['progression suggestions', () => getProgressionSuggestions(['Am', 'F'])],
+    // What the app runs: the search, filter counts and rarity ranking together
+    ['filtered and ranked', () => runFilteredSearch(['Bm', 'G', 'D', 'A'], { genreFilter: 'rock' }).results]
+  ])('%s search stays interactive', (name, search) => {
+    const { result, firstRunTime, executionTime } = measureMedianTime(search);
+
+    console.log(`${name}: ${result.length} results in ${firstRunTime.toFixed(2)}ms (median ${executionTime.toFixed(2)}ms)`);
+    expect(result.length).toBeGreaterThan(0);
+    expect(firstRunTime).toBeLessThan(PERFORMANCE_BENCHMARKS.FIRST_SEARCH_MAX_TIME);
+    expect(executionTime).toBeLessThan(PERFORMANCE_BENCHMARKS.SEARCH_MAX_TIME);
+  });
+
+  test('finds a newly added song without rebuilding the index', () => {
+    mockBenchmarkDatabase.push({
+      songId: 'benchmark-song-added',
+      title: 'Added Song',
+      artist: 'Added Artist',
+      genre: 'rock',
+      decade: '80s',
+      popularity: 'mainstream',
+      key: 'C',
+      sections: {
+        chorus: { progression: ['C', 'E7', 'Am', 'C7', 'F', 'Fm', 'C'], complexity: 'intermediate' }
+      }
+    });
+
+    const { result, executionTime } = measureExecutionTime(() =>
+      searchByProgression(['C7', 'F', 'Fm'], { exactMatch: true })
+    );
+
+    console.log(`Search after adding a song: ${executionTime.toFixed(2)}ms`);
+    expect(result.map(song => song.songId)).toContain('benchmark-song-added');
+    expect(executionTime).toBeLessThan(PERFORMANCE_BENCHMARKS.SONG_ADDED_MAX_TIME);
+  });
+});
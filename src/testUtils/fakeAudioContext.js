@@ -0,0 +1,31 @@
+/**
+ * Fake Web Audio context for the voice tests
+ * Records the nodes a voice creates without making any sound, with just enough of the Web Audio API
+ * for playNote, playChord and the drum sounds
+ */
+
+const createParam = () => ({
+  setValueAtTime: jest.fn(),
+  exponentialRampToValueAtTime: jest.fn(),
+  linearRampToValueAtTime: jest.fn()
+});
+
+const createNode = (extra) => ({ connect: jest.fn(), start: jest.fn(), stop: jest.fn(), ...extra });
+
+/**
+ * Creates a fake audio context, its clock stopped at 0
+ * Call it inside each test, as Jest resets mock implementations between tests
+ * @returns {Object} - Context whose create* methods are mock functions
+ */
+export const createFakeAudioContext = () => ({
+  currentTime: 0,
+  sampleRate: 100,
+  destination: {},
+  createGain: jest.fn(() => createNode({ gain: createParam() })),
+  createOscillator: jest.fn(() => createNode({ frequency: createParam() })),
+  createBiquadFilter: jest.fn(() => createNode({ frequency: createParam(), Q: createParam() })),
+  createBufferSource: jest.fn(() => createNode()),
+  createBuffer: jest.fn(() => ({ getChannelData: () => new Float32Array(100) }))
+});
+
+export default createFakeAudioContext;
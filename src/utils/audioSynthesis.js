@@ -3,6 +3,8 @@
  * Generates synthesized chord sounds for the chord progression explorer
  */
 
+import { parseChordSymbol, getChordQualities } from './chordModel';
+
 // Note frequencies in Hz (equal temperament, A4 = 440Hz)
 const NOTE_FREQUENCIES = {
   'C': 261.63,
@@ -19,34 +21,8 @@ const NOTE_FREQUENCIES = {
   'B': 493.88
 };
 
-// Common chord intervals (in semitones from root)
-const CHORD_INTERVALS = {
-  // Triads
-  'major': [0, 4, 7],
-  'minor': [0, 3, 7],
-  'diminished': [0, 3, 6],
-  'augmented': [0, 4, 8],
-  
-  // Seventh chords
-  'major7': [0, 4, 7, 11],
-  'minor7': [0, 3, 7, 10],
-  'dominant7': [0, 4, 7, 10],
-  'diminished7': [0, 3, 6, 9],
-  'half-diminished7': [0, 3, 6, 10],
-  
-  // Extended chords
-  'major9': [0, 4, 7, 11, 14],
-  'minor9': [0, 3, 7, 10, 14],
-  'dominant9': [0, 4, 7, 10, 14],
-  
-  // Suspended chords
-  'sus2': [0, 2, 7],
-  'sus4': [0, 5, 7],
-  
-  // Add chords
-  'add9': [0, 4, 7, 14],
-  'add11': [0, 4, 7, 17]
-};
+// Octaves below the chord that a slash chord's bass note is played
+const SLASH_BASS_OCTAVE_OFFSET = -1;
 
 /**
  * Parse a chord symbol and extract root note and chord quality
@@ -54,44 +30,12 @@ const CHORD_INTERVALS = {
  * @returns {Object} - {root: string, quality: string}
  */
 export function parseChord(chordSymbol) {
-  if (!chordSymbol || typeof chordSymbol !== 'string') {
-    return { root: 'C', quality: 'major' };
-  }
-
-  const chord = chordSymbol.trim();
+  const chord = parseChordSymbol(chordSymbol);
   if (!chord) {
     return { root: 'C', quality: 'major' };
   }
-  
-  let root, quality;
-
-  // Extract root note (handles sharp/flat)
-  if (chord.length >= 2 && (chord[1] === '#' || chord[1] === 'b')) {
-    root = chord.substring(0, 2);
-    quality = chord.substring(2);
-  } else {
-    root = chord[0];
-    quality = chord.substring(1);
-  }
-
-  // Normalize quality
-  if (!quality || quality === '') {
-    quality = 'major';
-  } else if (quality === 'm') {
-    quality = 'minor';
-  } else if (quality === 'maj7' || quality === 'M7') {
-    quality = 'major7';
-  } else if (quality === 'm7') {
-    quality = 'minor7';
-  } else if (quality === '7') {
-    quality = 'dominant7';
-  } else if (quality === 'dim' || quality === '°') {
-    quality = 'diminished';
-  } else if (quality === 'aug' || quality === '+') {
-    quality = 'augmented';
-  }
 
-  return { root, quality };
+  return { root: chord.root, quality: chord.quality };
 }
 
 /**
@@ -133,41 +77,58 @@ const CHORD_VOICINGS = {
   }
 };
 
+/**
+ * Get the frequency of a pitch class in an octave
+ * @param {number} semitone - Semitones above C (0-11)
+ * @param {number} octave - Octave number (4 = the octave starting at middle C)
+ * @returns {number} - Frequency in Hz
+ */
+export function getSemitoneFrequency(semitone, octave) {
+  return NOTE_FREQUENCIES.C * Math.pow(2, semitone / 12) * Math.pow(2, octave - 4);
+}
+
 /**
  * Get the frequencies for a chord with specific voicing
- * @param {string} chordSymbol - Chord symbol like "Cm7"
+ * Chord tones come from the shared chord model, so extensions, alterations and added
+ * tones (e.g. "Cm11", "G7#9", "G7alt", "C6/9") are voiced as written. A slash bass
+ * note is played first, an octave below the chord.
+ * @param {string} chordSymbol - Chord symbol like "Cm7" or "G13/F"
  * @param {number} octave - Base octave (default 4)
  * @param {string} voicing - Voicing type (default 'root')
  * @returns {Array<number>} - Array of frequencies in Hz
  */
 export function getChordFrequencies(chordSymbol, octave = 4, voicing = 'root') {
-  const { root, quality } = parseChord(chordSymbol);
-  const intervals = CHORD_INTERVALS[quality] || CHORD_INTERVALS.major;
-  const voicingData = CHORD_VOICINGS[voicing] || CHORD_VOICINGS.root;
-  
-  const rootFreq = NOTE_FREQUENCIES[root];
-  if (!rootFreq) {
-    console.warn(`Unknown root note: ${root}`);
+  const chord = parseChordSymbol(chordSymbol);
+  if (!chord) {
+    console.warn(`Unknown chord: ${chordSymbol}`);
     return [NOTE_FREQUENCIES.C];
   }
 
+  const voicingData = CHORD_VOICINGS[voicing] || CHORD_VOICINGS.root;
+  const rootFreq = getSemitoneFrequency(chord.rootSemitone, octave);
+
   // Use custom intervals for special voicings like quartal
-  const useIntervals = voicingData.intervals || intervals;
+  const useIntervals = voicingData.intervals || chord.intervals;
   
-  return useIntervals.map((interval, index) => {
+  const frequencies = useIntervals.map((interval, index) => {
     // Calculate base frequency
     const semitoneMultiplier = Math.pow(2, interval / 12);
     let frequency = rootFreq * semitoneMultiplier;
     
     // Apply octave adjustments for voicing
     const octaveOffset = voicingData.octaveOffsets?.[index] || 0;
-    const totalOctave = octave + octaveOffset;
-    const octaveMultiplier = Math.pow(2, totalOctave - 4);
+    const octaveMultiplier = Math.pow(2, octaveOffset);
     
     frequency *= octaveMultiplier;
     
     return frequency;
   });
+
+  if (chord.bassSemitone !== null) {
+    frequencies.unshift(getSemitoneFrequency(chord.bassSemitone, octave + SLASH_BASS_OCTAVE_OFFSET));
+  }
+
+  return frequencies;
 }
 
 /**
@@ -307,11 +268,57 @@ export function playChord(audioContext, chordSymbol, duration = 1.0, startTime =
   return nodes;
 }
 
+/**
+ * Play a single note that sounds plucked or struck rather than held: a quick attack that dies away
+ * over the note's duration
+ * @param {AudioContext} audioContext - Web Audio API context
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} startTime - When to start playing
+ * @param {number} duration - Seconds until the note has died away
+ * @param {Object} options - waveType, volume, attackTime and filterFrequency
+ * @returns {Array<AudioNode>} - Array of created audio nodes for cleanup
+ */
+export function playNote(audioContext, frequency, startTime, duration = 0.5, options = {}) {
+  const {
+    waveType = 'triangle',
+    volume = 0.2,
+    attackTime = 0.005,
+    filterFrequency = 1500
+  } = options;
+
+  if (!audioContext) {
+    console.warn('No audio context provided');
+    return [];
+  }
+
+  const oscillator = createOscillator(audioContext, frequency, waveType);
+  oscillator.frequency.setValueAtTime(frequency, startTime);
+
+  const filter = audioContext.createBiquadFilter();
+  filter.type = 'lowpass';
+  filter.frequency.setValueAtTime(filterFrequency, startTime);
+
+  // Peak straight after the attack, then fall away to silence by the end of the note
+  const envelope = audioContext.createGain();
+  envelope.gain.setValueAtTime(0, startTime);
+  envelope.gain.linearRampToValueAtTime(Math.max(volume, 0.0001), startTime + attackTime);
+  envelope.gain.exponentialRampToValueAtTime(0.0001, startTime + Math.max(duration, attackTime * 2));
+
+  oscillator.connect(filter);
+  filter.connect(envelope);
+  envelope.connect(audioContext.destination);
+
+  oscillator.start(startTime);
+  oscillator.stop(startTime + Math.max(duration, attackTime * 2));
+
+  return [oscillator, filter, envelope];
+}
+
 /**
  * Play a chord progression
  * @param {AudioContext} audioContext - Web Audio API context
  * @param {Array<string>} progression - Array of chord symbols
- * @param {number} chordDuration - Duration of each chord in seconds
+ * @param {number|Array<number>} chordDuration - Duration of each chord in seconds, or one duration per chord
  * @param {Object} options - Additional options
  * @returns {Array<AudioNode>} - Array of all created audio nodes
  */
@@ -324,9 +331,11 @@ export function playProgression(audioContext, progression, chordDuration = 1.0,
   let currentTime = audioContext.currentTime;
 
   progression.forEach((chord, index) => {
-    const chordNodes = playChord(audioContext, chord, chordDuration, currentTime, options);
+    const duration = Array.isArray(chordDuration) ? chordDuration[index] : chordDuration;
+    if (!(duration > 0)) return;
+    const chordNodes = playChord(audioContext, chord, duration, currentTime, options);
     allNodes.push(...chordNodes);
-    currentTime += chordDuration;
+    currentTime += duration;
   });
 
   return allNodes;
@@ -374,12 +383,29 @@ export async function createAudioContext() {
   }
 }
 
+// Audio context every player shares; browsers limit how many a page may open
+let sharedAudioContext = null;
+
+/**
+ * Get the audio context shared by all playback, creating it on first use
+ * Call it from a user interaction the first time, as browsers only start audio after one
+ * @returns {Promise<AudioContext>} - Promise resolving to the running audio context
+ */
+export async function getSharedAudioContext() {
+  if (!sharedAudioContext || sharedAudioContext.state === 'closed') {
+    sharedAudioContext = await createAudioContext();
+  } else if (sharedAudioContext.state === 'suspended') {
+    await sharedAudioContext.resume();
+  }
+  return sharedAudioContext;
+}
+
 /**
  * Get available chord qualities
  * @returns {Array<string>} - Array of available chord quality names
  */
 export function getAvailableChordQualities() {
-  return Object.keys(CHORD_INTERVALS);
+  return getChordQualities();
 }
 
 /**
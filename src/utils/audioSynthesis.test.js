@@ -423,4 +423,64 @@ describe.skip('audioSynthesis (skipped for CI performance)', () => {
       expect(() => stopAudioNodes(nodes)).not.toThrow();
     });
   });
-});
\ No newline at end of file
+});
+// Semitones above middle C for each frequency, so chord tones read as intervals
+const toSemitones = (frequencies) => frequencies.map(frequency => Math.round(12 * Math.log2(frequency / 261.63)));
+
+describe('getChordFrequencies chord tones', () => {
+  test('voices sixth, eleventh and thirteenth chords', () => {
+    expect(toSemitones(getChordFrequencies('C6'))).toEqual([0, 4, 7, 9]);
+    expect(toSemitones(getChordFrequencies('Cm11'))).toEqual([0, 3, 7, 10, 14, 17]);
+    expect(toSemitones(getChordFrequencies('C13'))).toEqual([0, 4, 7, 10, 14, 21]);
+  });
+
+  test('voices suspended and added-tone chords', () => {
+    expect(toSemitones(getChordFrequencies('C7sus4'))).toEqual([0, 5, 7, 10]);
+    expect(toSemitones(getChordFrequencies('Cmadd11'))).toEqual([0, 3, 7, 17]);
+    expect(toSemitones(getChordFrequencies('Cm7(add11)'))).toEqual([0, 3, 7, 10, 17]);
+  });
+
+  test('voices altered dominants', () => {
+    expect(toSemitones(getChordFrequencies('C7b9'))).toEqual([0, 4, 7, 10, 13]);
+    expect(toSemitones(getChordFrequencies('C7#9'))).toEqual([0, 4, 7, 10, 15]);
+    expect(toSemitones(getChordFrequencies('C7#11'))).toEqual([0, 4, 7, 10, 18]);
+    expect(toSemitones(getChordFrequencies('C7alt'))).toEqual([0, 4, 10, 13, 15, 20]);
+  });
+
+  test('plays a slash bass note an octave below the chord', () => {
+    expect(toSemitones(getChordFrequencies('C/E'))).toEqual([-8, 0, 4, 7]);
+    expect(toSemitones(getChordFrequencies('G7/F', 3))).toEqual([-19, -5, -1, 2, 5]);
+  });
+
+  test('reads roots with double accidentals', () => {
+    expect(toSemitones(getChordFrequencies('F##dim'))).toEqual([7, 10, 13]);
+  });
+
+  test('plays a single middle C for symbols that are not chords', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(getChordFrequencies('XYZ')).toEqual([261.63]);
+    console.warn.mockRestore();
+  });
+});
+
+describe('playProgression timing', () => {
+  test('plays each chord for its own duration', () => {
+    const oscillators = [];
+    const audioContext = {
+      currentTime: 0,
+      destination: {},
+      createOscillator: () => {
+        const oscillator = createMockOscillator();
+        oscillators.push(oscillator);
+        return oscillator;
+      },
+      createGain: createMockGain,
+      createBiquadFilter: () => ({ type: 'lowpass', frequency: { setValueAtTime: jest.fn() }, Q: { setValueAtTime: jest.fn() }, connect: jest.fn() })
+    };
+
+    playProgression(audioContext, ['C', 'G', 'Am'], [1, 0.5, 2]);
+
+    const startTimes = [...new Set(oscillators.map(oscillator => oscillator.start.mock.calls[0][0]))];
+    expect(startTimes).toEqual([0, 1, 1.5]);
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Bass lines
+ * A synthesized bass that follows the progression for the playback transport. Each chord's line
+ * starts on its bass note, the slash note when it has one, and moves in one of the styles: roots on
+ * every beat, root and fifth on the strong beats, a walking line through the key that steps into the
+ * next chord by a chromatic approach tone, or eighth notes bouncing between the bass note and its octave.
+ * Pitches are counted in semitones above C0, so middle C is 48
+ */
+
+import { parseChordSymbol } from './chordModel';
+import { getChordFrequencies, playNote } from './audioSynthesis';
+import { getDiatonicChords } from './nashvilleNumbers';
+import { parseTimeSignature, DEFAULT_TIME_SIGNATURE } from './rhythm';
+
+const BASS_STYLES = {
+  roots: {
+    label: 'Roots',
+    description: 'The bass note on every beat',
+    subdivision: 1
+  },
+  'root-fifth': {
+    label: 'Root and fifth',
+    description: 'Bass note and fifth taking turns on the strong beats',
+    subdivision: 1
+  },
+  walking: {
+    label: 'Walking',
+    description: 'A note a beat through the key, stepping into each chord by a half step',
+    subdivision: 1
+  },
+  octave: {
+    label: 'Octave pop',
+    description: 'Eighth notes bouncing between the bass note and its octave',
+    subdivision: 2
+  }
+};
+
+// Bass notes sit between the low E of a bass guitar and the E two octaves up
+const LOWEST_PITCH = 16;
+const HIGHEST_PITCH = 40;
+
+// Loudness of notes after the first of a chord, and of the whole bass against the chords
+const PLAIN_LEVEL = 0.8;
+const BASS_LEVEL = 0.6;
+
+// Share of the time to the next note a note sounds for
+const LEGATO = 0.9;
+const STACCATO = 0.5;
+
+// Steps closer together than this are the same step
+const EPSILON = 1e-6;
+
+/**
+ * Gets the styles the bass voice can play
+ * @returns {Array} - Styles: { id, label, description }
+ */
+export const getBassStyles = () => {
+  return Object.entries(BASS_STYLES).map(([id, { label, description }]) => ({ id, label, description }));
+};
+
+/**
+ * Checks whether a style is one the bass voice plays
+ * @param {string} style - Style id
+ * @returns {boolean} - Whether it's a bass style
+ */
+export const isBassStyle = (style) => {
+  return Object.prototype.hasOwnProperty.call(BASS_STYLES, style);
+};
+
+/**
+ * Gets the notes a chord gives the bass
+ * @param {string} chordSymbol - Chord symbol, such as "Am7" or "C/E"
+ * @returns {Object|null} - { bass, fifth } as semitones above C (0-11): the note the line starts on,
+ *   which is the slash note when there is one, and the chord's fifth to move to; null for unknown chords
+ */
+export const getChordBass = (chordSymbol) => {
+  const chord = parseChordSymbol(chordSymbol);
+  if (!chord) return null;
+
+  const fifthInterval = [7, 6, 8].find(interval => chord.intervals.includes(interval)) ?? 7;
+  const bass = chord.bassSemitone ?? chord.rootSemitone;
+  const fifth = (chord.rootSemitone + fifthInterval) % 12;
+  return { bass, fifth: fifth === bass ? chord.rootSemitone : fifth };
+};
+
+/**
+ * Places a note in the octave the bass plays its chord roots in, from the low E up
+ * @param {number} semitone - Semitones above C (0-11)
+ * @returns {number} - Pitch
+ */
+const placeBass = (semitone) => LOWEST_PITCH + ((semitone - LOWEST_PITCH) % 12 + 12) % 12;
+
+// Semitones above C of the key's scale, read from the chords built on its degrees
+const getScale = (key) => {
+  const semitones = getDiatonicChords(key)
+    .map(chord => parseChordSymbol(chord)?.rootSemitone)
+    .filter(semitone => semitone !== undefined);
+  return new Set(semitones);
+};
+
+// Beats that start a strong half of the bar: every other beat, or every third in compound meters
+const isStrongBeat = (barBeat, timeSignature) => {
+  const { beats, unit } = parseTimeSignature(timeSignature) || parseTimeSignature(DEFAULT_TIME_SIGNATURE);
+  const group = unit === 8 && beats > 3 && beats % 3 === 0 ? 3 : 2;
+  return Math.abs(barBeat / group - Math.round(barBeat / group)) < EPSILON;
+};
+
+/**
+ * Walks from a chord's bass note to the next chord's: notes of the key in between, spread over the
+ * beats, then a half step into the next chord from the side the line comes from (or from beyond it,
+ * when that half step is where the line starts or below the low E). With too few notes of the key on
+ * the way, the line dwells on its bass note rather than leaving the octave it walks in
+ * @param {number} start - Pitch the line starts on
+ * @param {number} target - Pitch the next chord starts on
+ * @param {number} count - Notes in the line, including the first
+ * @param {Set<number>} scale - Semitones above C of the key
+ * @returns {Array<number>} - Pitches
+ */
+const walkLine = (start, target, count, scale) => {
+  if (count <= 1) return [start];
+  const needed = count - 2;
+
+  const direction = target >= start ? 1 : -1;
+  const approach = [target - direction, target + direction]
+    .find(pitch => pitch !== start && pitch >= LOWEST_PITCH && pitch <= HIGHEST_PITCH);
+  if (approach === undefined) return Array(count).fill(start);
+
+  const step = approach > start ? 1 : -1;
+  const passing = [];
+  for (let pitch = start + step; pitch !== approach; pitch += step) {
+    if (pitch !== target && scale.has(pitch % 12)) passing.push(pitch);
+  }
+
+  // Spread the passing notes over the beats, repeating the bass note first if there aren't enough of them
+  const picks = Math.min(needed, passing.length);
+  const chosen = Array.from({ length: picks }, (_, pick) => (
+    passing[Math.round(((pick + 1) * (passing.length + 1)) / (picks + 1)) - 1]
+  ));
+  const repeats = Array(needed - picks).fill(start);
+
+  return [start, ...repeats, ...chosen, approach];
+};
+
+/**
+ * Tunes a line to its chord: the bass note sounds as getChordFrequencies plays it, a slash note an
+ * octave under the chord, and every other note by its distance in semitones from the bass note
+ * @param {string} chordSymbol - Chord symbol
+ * @param {number} bass - Pitch of the chord's bass note
+ * @param {Array<number>} pitches - Pitches of the line
+ * @returns {Array<number>} - Frequencies in Hz
+ */
+const tuneLine = (chordSymbol, bass, pitches) => {
+  const isSlash = parseChordSymbol(chordSymbol).bassSemitone !== null;
+  const [bassFrequency] = getChordFrequencies(chordSymbol, Math.floor(bass / 12) + (isSlash ? 1 : 0));
+  return pitches.map(pitch => bassFrequency * Math.pow(2, (pitch - bass) / 12));
+};
+
+/**
+ * Works out the notes the bass plays under one chord
+ * @param {Object} event - Chord event from the transport: { chord, nextChord, beats, barBeat, timeSignature, time, duration }
+ * @param {Object} options - Options
+ * @param {string} options.style - Bass style id (default 'roots')
+ * @param {string} options.key - Key the walking bass walks through (default the chord's own)
+ * @returns {Array} - Notes: { pitch, frequency, time, length, velocity }, velocity 0-1
+ */
+export const getBassLine = (event, options = {}) => {
+  const { style = 'roots', key = null } = options;
+  const chordBass = getChordBass(event.chord);
+  if (!isBassStyle(style) || !chordBass || !(event.beats > 0) || !(event.duration > 0)) return [];
+
+  const { subdivision } = BASS_STYLES[style];
+  const secondsPerBeat = event.duration / event.beats;
+  const timeSignature = event.timeSignature || DEFAULT_TIME_SIGNATURE;
+  const barBeat = event.barBeat || 0;
+
+  // Steps the chord covers, in beats from its start; the bass always sounds as the chord arrives
+  let grid = [0];
+  for (let step = Math.ceil(barBeat * subdivision - EPSILON); step / subdivision - barBeat < event.beats - EPSILON; step++) {
+    const offset = step / subdivision - barBeat;
+    if (offset > EPSILON) grid.push(offset);
+  }
+  if (style === 'root-fifth') {
+    grid = grid.filter((offset, index) => index === 0 || isStrongBeat(barBeat + offset, timeSignature));
+  }
+
+  const bass = placeBass(chordBass.bass);
+  const fifth = placeBass(chordBass.fifth) < bass ? placeBass(chordBass.fifth) + 12 : placeBass(chordBass.fifth);
+  let pitches;
+  switch (style) {
+    case 'root-fifth':
+      // The fifth below when there's room for it, as a bass player would reach for it
+      pitches = grid.map((offset, index) => (index % 2 === 0 ? bass : (fifth - 12 >= LOWEST_PITCH ? fifth - 12 : fifth)));
+      break;
+    case 'walking': {
+      const next = getChordBass(event.nextChord) || chordBass;
+      pitches = walkLine(bass, placeBass(next.bass), grid.length, getScale(key || event.chord));
+      break;
+    }
+    case 'octave':
+      pitches = grid.map(offset => (Math.round((barBeat + offset) * subdivision) % 2 === 0 ? bass : bass + 12));
+      break;
+    default:
+      pitches = grid.map(() => bass);
+  }
+
+  const frequencies = tuneLine(event.chord, bass, pitches);
+  return grid.map((offset, index) => {
+    const next = index + 1 < grid.length ? grid[index + 1] : event.beats;
+    return {
+      pitch: pitches[index],
+      frequency: frequencies[index],
+      time: event.time + offset * secondsPerBeat,
+      length: (next - offset) * secondsPerBeat * (style === 'octave' ? STACCATO : LEGATO),
+      velocity: index === 0 ? 1 : PLAIN_LEVEL
+    };
+  });
+};
+
+/**
+ * Voice that plays the bass line under the chords (see createTransport)
+ * Reads soundOptions.bass: { style, volume, key }, where a style of 'off' plays nothing
+ * @param {AudioContext} audioContext - Web Audio API context
+ * @param {Object} event - Transport event; chords carry the chord after them as nextChord
+ * @param {Object} soundOptions - Options from setSoundOptions
+ * @returns {Array<AudioNode>} - Nodes created
+ */
+export const bassVoice = (audioContext, event, soundOptions = {}) => {
+  if (event.type !== 'chord') return [];
+  const { style = 'off', volume = 0.5, key = null } = soundOptions.bass || {};
+  if (!isBassStyle(style)) return [];
+
+  return getBassLine(event, { style, key }).flatMap(note => {
+    return playNote(audioContext, note.frequency, note.time, note.length, {
+      waveType: 'triangle',
+      volume: volume * note.velocity * BASS_LEVEL,
+      attackTime: 0.01,
+      filterFrequency: 800
+    });
+  });
+};
+
+const bassLines = {
+  getBassStyles,
+  isBassStyle,
+  getChordBass,
+  getBassLine,
+  bassVoice
+};
+
+export default bassLines;
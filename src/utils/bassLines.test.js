@@ -0,0 +1,105 @@
+/**
+ * Unit tests for the bass lines: bass notes, styles and the bass voice
+ */
+
+import { getBassStyles, getChordBass, getBassLine, bassVoice } from './bassLines.js';
+import { createFakeAudioContext } from '../testUtils/fakeAudioContext.js';
+
+// A chord filling a bar of 4/4 at 120 BPM, followed by F
+const event = {
+  type: 'chord', index: 0, chord: 'C', nextChord: 'F', beat: 0, beats: 4, barBeat: 0, timeSignature: '4/4', time: 0, duration: 2
+};
+
+// Pitches are semitones above C0: C2 is 24, E1 is 16
+const getPitches = (notes) => notes.map(({ pitch }) => pitch);
+
+describe('getChordBass', () => {
+  test('starts on the root and moves to the fifth', () => {
+    expect(getChordBass('C')).toEqual({ bass: 0, fifth: 7 });
+    expect(getChordBass('Bdim')).toEqual({ bass: 11, fifth: 5 });
+    expect(getChordBass('Am7')).toEqual({ bass: 9, fifth: 4 });
+  });
+
+  test('starts slash chords on their bass note', () => {
+    expect(getChordBass('C/E')).toEqual({ bass: 4, fifth: 7 });
+    expect(getChordBass('C/G')).toEqual({ bass: 7, fifth: 0 });
+  });
+
+  test('returns null for unknown chords', () => {
+    expect(getChordBass('H7')).toBeNull();
+    expect(getChordBass(null)).toBeNull();
+  });
+});
+
+describe('getBassLine', () => {
+  test('has a line for every style', () => {
+    getBassStyles().forEach(({ id }) => {
+      expect(getBassLine(event, { style: id }).length).toBeGreaterThan(0);
+    });
+    expect(getBassLine(event, { style: 'slap' })).toEqual([]);
+    expect(getBassLine({ ...event, chord: 'H7' }, { style: 'roots' })).toEqual([]);
+  });
+
+  test('plays the bass note on every beat, from the low E up', () => {
+    const notes = getBassLine(event, { style: 'roots' });
+
+    expect(getPitches(notes)).toEqual([24, 24, 24, 24]);
+    expect(notes.map(({ time }) => time)).toEqual([0, 0.5, 1, 1.5]);
+    expect(notes[0].frequency).toBeCloseTo(65.41, 1);
+    expect(getPitches(getBassLine({ ...event, chord: 'C/E' }, { style: 'roots' }))).toEqual([16, 16, 16, 16]);
+    expect(getBassLine({ ...event, chord: 'C/E' }, { style: 'roots' })[0].frequency).toBeCloseTo(41.2, 1);
+  });
+
+  test('takes turns between bass note and fifth on the strong beats', () => {
+    expect(getPitches(getBassLine(event, { style: 'root-fifth' }))).toEqual([24, 19]);
+    expect(getBassLine(event, { style: 'root-fifth' })[0].length).toBeCloseTo(0.9);
+    expect(getPitches(getBassLine({ ...event, beats: 6, timeSignature: '6/8', duration: 3 }, { style: 'root-fifth' })))
+      .toEqual([24, 19]);
+    expect(getPitches(getBassLine({ ...event, chord: 'E' }, { style: 'root-fifth' }))).toEqual([16, 23]);
+  });
+
+  test('walks through the key into the next chord by a half step', () => {
+    expect(getPitches(getBassLine(event, { style: 'walking', key: 'C' }))).toEqual([24, 23, 19, 18]);
+    expect(getPitches(getBassLine({ ...event, nextChord: 'G' }, { style: 'walking', key: 'C' }))).toEqual([24, 23, 21, 20]);
+    expect(getPitches(getBassLine({ ...event, beats: 2, duration: 1 }, { style: 'walking', key: 'C' }))).toEqual([24, 18]);
+  });
+
+  test('approaches from below when walking up, without passing the next chord', () => {
+    expect(getPitches(getBassLine({ ...event, chord: 'G', nextChord: 'C' }, { style: 'walking', key: 'C' }))).toEqual([19, 19, 21, 23]);
+  });
+
+  test('repeats the bass note rather than leaping when there is no room to walk', () => {
+    expect(getPitches(getBassLine({ ...event, nextChord: null }, { style: 'walking', key: 'C' }))).toEqual([24, 24, 24, 23]);
+    expect(getPitches(getBassLine({ ...event, nextChord: 'G/B' }, { style: 'walking', key: 'C' }))).toEqual([24, 24, 24, 22]);
+    expect(getPitches(getBassLine({ ...event, chord: 'Am', nextChord: 'E7' }, { style: 'walking', key: 'Am' }))).toEqual([21, 21, 19, 17]);
+  });
+
+  test('walks through the key of the chord when no key is given', () => {
+    expect(getPitches(getBassLine({ ...event, chord: 'Am', nextChord: 'Dm' }, { style: 'walking' }))).toEqual([21, 23, 24, 25]);
+  });
+
+  test('bounces between the bass note and its octave in short eighths', () => {
+    const notes = getBassLine({ ...event, beats: 2, duration: 1 }, { style: 'octave' });
+
+    expect(getPitches(notes)).toEqual([24, 36, 24, 36]);
+    expect(notes[1].time).toBe(0.25);
+    expect(notes[1].length).toBeCloseTo(0.125);
+  });
+});
+
+describe('bassVoice', () => {
+  test('plays a note for each step of the line', () => {
+    const audioContext = createFakeAudioContext();
+    const nodes = bassVoice(audioContext, event, { bass: { style: 'walking', volume: 0.5, key: 'C' } });
+
+    expect(audioContext.createOscillator).toHaveBeenCalledTimes(4);
+    expect(nodes).toHaveLength(12);
+  });
+
+  test('plays nothing with the bass off or on beats', () => {
+    const audioContext = createFakeAudioContext();
+    expect(bassVoice(audioContext, event, {})).toEqual([]);
+    expect(bassVoice(audioContext, event, { bass: { style: 'off' } })).toEqual([]);
+    expect(bassVoice(audioContext, { type: 'beat', time: 0 }, { bass: { style: 'roots' } })).toEqual([]);
+  });
+});
@@ -0,0 +1,383 @@
+/**
+ * Shared chord model
+ * Parses chord symbols into root, quality, extensions, alterations and bass note
+ * so that search, analysis, validation and playback all read a chord the same way
+ */
+
+// Semitone value of each natural note (C = 0)
+const LETTER_TO_SEMITONE = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
+
+// Semitone offset of each accidental, double sharps and flats included
+const ACCIDENTAL_OFFSETS = { '': 0, '#': 1, 'b': -1, '##': 2, 'bb': -2 };
+
+// Alternative ways of writing accidentals, mapped to the spelling used in chord names
+const ACCIDENTAL_ALIASES = { '♯': '#', '♭': 'b', 'x': '##', '𝄪': '##', '𝄫': 'bb' };
+
+/**
+ * Chord quality definitions
+ * Each quality lists the suffixes it is written with, its chord tones in semitones
+ * above the root, its canonical suffix and (when different) its Nashville symbol
+ */
+const CHORD_QUALITY_DEFINITIONS = {
+  // Triads
+  'major': { suffix: '', intervals: [0, 4, 7], aliases: ['', 'maj', 'M'] },
+  'minor': { suffix: 'm', intervals: [0, 3, 7], aliases: ['m', 'min', '-'] },
+  'diminished': { suffix: 'dim', nashville: '°', intervals: [0, 3, 6], aliases: ['dim', '°', 'o'] },
+  'augmented': { suffix: 'aug', nashville: '+', intervals: [0, 4, 8], aliases: ['aug', '+'] },
+  'suspended2': { suffix: 'sus2', intervals: [0, 2, 7], aliases: ['sus2'] },
+  'suspended4': { suffix: 'sus4', intervals: [0, 5, 7], aliases: ['sus4', 'sus'] },
+  'power': { suffix: '5', intervals: [0, 7], aliases: ['5'] },
+
+  // Sixth chords
+  'major6': { suffix: '6', intervals: [0, 4, 7, 9], aliases: ['6', 'maj6', 'M6'] },
+  'minor6': { suffix: 'm6', intervals: [0, 3, 7, 9], aliases: ['m6', 'min6', '-6'] },
+  'major6/9': { suffix: '6/9', intervals: [0, 4, 7, 9, 14], aliases: ['6/9', '69'] },
+  'minor6/9': { suffix: 'm6/9', intervals: [0, 3, 7, 9, 14], aliases: ['m6/9', 'm69'] },
+
+  // Seventh chords
+  'dominant7': { suffix: '7', intervals: [0, 4, 7, 10], aliases: ['7', 'dom7'] },
+  'major7': { suffix: 'maj7', intervals: [0, 4, 7, 11], aliases: ['maj7', 'M7', 'ma7', 'Δ7', 'Δ'] },
+  'minor7': { suffix: 'm7', intervals: [0, 3, 7, 10], aliases: ['m7', 'min7', '-7'] },
+  'minorMajor7': { suffix: 'mMaj7', intervals: [0, 3, 7, 11], aliases: ['mMaj7', 'mM7', 'm(maj7)', 'minMaj7'] },
+  'diminished7': { suffix: 'dim7', nashville: '°7', intervals: [0, 3, 6, 9], aliases: ['dim7', '°7', 'o7'] },
+  'half-diminished7': { suffix: 'm7b5', nashville: 'ø7', intervals: [0, 3, 6, 10], aliases: ['m7b5', 'min7b5', '-7b5', 'ø7', 'ø'] },
+  'augmented7': { suffix: 'aug7', nashville: '+7', intervals: [0, 4, 8, 10], aliases: ['aug7', '+7'] },
+  'dominant7sus4': { suffix: '7sus4', intervals: [0, 5, 7, 10], aliases: ['7sus4', '7sus'] },
+  'dominant7sus2': { suffix: '7sus2', intervals: [0, 2, 7, 10], aliases: ['7sus2'] },
+
+  // Extended chords
+  'dominant9': { suffix: '9', intervals: [0, 4, 7, 10, 14], aliases: ['9'] },
+  'major9': { suffix: 'maj9', intervals: [0, 4, 7, 11, 14], aliases: ['maj9', 'M9'] },
+  'minor9': { suffix: 'm9', intervals: [0, 3, 7, 10, 14], aliases: ['m9', 'min9', '-9'] },
+  'dominant9sus4': { suffix: '9sus4', intervals: [0, 5, 7, 10, 14], aliases: ['9sus4', '9sus'] },
+  'dominant11': { suffix: '11', intervals: [0, 4, 7, 10, 14, 17], aliases: ['11'] },
+  'major11': { suffix: 'maj11', intervals: [0, 4, 7, 11, 14, 17], aliases: ['maj11', 'M11'] },
+  'minor11': { suffix: 'm11', intervals: [0, 3, 7, 10, 14, 17], aliases: ['m11', 'min11', '-11'] },
+  'dominant13': { suffix: '13', intervals: [0, 4, 7, 10, 14, 21], aliases: ['13'] },
+  'major13': { suffix: 'maj13', intervals: [0, 4, 7, 11, 14, 21], aliases: ['maj13', 'M13'] },
+  'minor13': { suffix: 'm13', intervals: [0, 3, 7, 10, 14, 17, 21], aliases: ['m13', 'min13', '-13'] },
+  'altered': { suffix: '7alt', intervals: [0, 4, 10, 13, 15, 20], aliases: ['7alt', 'alt'] },
+
+  // Added-tone chords
+  'add9': { suffix: 'add9', intervals: [0, 4, 7, 14], aliases: ['add9', 'add2', '2'] },
+  'minorAdd9': { suffix: 'madd9', intervals: [0, 3, 7, 14], aliases: ['madd9', 'm(add9)', 'madd2'] },
+  'add11': { suffix: 'add11', intervals: [0, 4, 7, 17], aliases: ['add11', 'add4'] },
+  'minorAdd11': { suffix: 'madd11', intervals: [0, 3, 7, 17], aliases: ['madd11', 'm(add11)', 'madd4'] }
+};
+
+// Every quality alias, longest first so "m7b5" wins over "m7" and "m"
+const QUALITY_ALIASES = Object.entries(CHORD_QUALITY_DEFINITIONS)
+  .flatMap(([quality, definition]) => definition.aliases.map(alias => ({ alias, quality })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+// Alterations that can follow a quality (e.g. "7b9", "maj7#11")
+const ALTERATION_INTERVALS = {
+  'b5': { replaces: 7, interval: 6 },
+  '#5': { replaces: 7, interval: 8 },
+  'b9': { replaces: 14, interval: 13 },
+  '#9': { replaces: 14, interval: 15 },
+  '#11': { replaces: 17, interval: 18 },
+  'b13': { replaces: 21, interval: 20 }
+};
+
+// Added tones that can follow a quality (e.g. "7add13", "m7(add11)", or bracketed on their own as in "7(13)")
+const ADDITION_INTERVALS = {
+  '9': 14,
+  '11': 17,
+  '13': 21
+};
+
+// Semitones above the root that count as extensions, by chord degree
+const EXTENSION_DEGREES = {
+  13: 9, 14: 9, 15: 9,
+  17: 11, 18: 11,
+  20: 13, 21: 13
+};
+
+const ACCIDENTAL_PATTERN = '(?:##|bb|x|𝄪|𝄫|[#b♯♭])?';
+const ROOT_PATTERN = new RegExp(`^([A-Ga-g])(${ACCIDENTAL_PATTERN})`);
+const NOTE_PATTERN = new RegExp(`^([A-Ga-g])(${ACCIDENTAL_PATTERN})$`);
+const MODIFIER_PATTERN = /^\(?(?:([b#+-])(5|9|11|13)|add(9|11|13))\)?|^\((9|11|13)\)/;
+const SLASH_BASS_PATTERN = new RegExp(`\\/([A-Ga-g]${ACCIDENTAL_PATTERN})$`);
+
+/**
+ * Normalizes a written note name ("bb", "F♯", "Fx") to its conventional spelling ("Bb", "F#", "F##")
+ * @param {string} letter - Note letter
+ * @param {string} accidental - Accidental symbol, if any
+ * @returns {string|null} - Spelled note name or null if unknown
+ */
+const spellNote = (letter, accidental = '') => {
+  // "x" only reads as a double sharp after a capital letter, so words like "ex" aren't chords
+  if (accidental === 'x' && letter !== letter.toUpperCase()) {
+    return null;
+  }
+
+  const normalizedAccidental = ACCIDENTAL_ALIASES[accidental] || accidental;
+  if (ACCIDENTAL_OFFSETS[normalizedAccidental] === undefined) {
+    return null;
+  }
+  return letter.toUpperCase() + normalizedAccidental;
+};
+
+/**
+ * Gets the semitone of a spelled note name
+ * @param {string} note - Spelled note name from spellNote
+ * @returns {number} - Semitone (0-11)
+ */
+const noteToSemitone = (note) => {
+  const offset = ACCIDENTAL_OFFSETS[note.substring(1)];
+  return (LETTER_TO_SEMITONE[note[0]] + offset + 12) % 12;
+};
+
+/**
+ * Parses a note name on its own (e.g. the bass of a slash chord or a key root)
+ * @param {string} note - Note name such as "E", "Bb" or "f#"
+ * @returns {Object|null} - { name, semitone } or null if invalid
+ */
+export const parseNote = (note) => {
+  if (!note || typeof note !== 'string') {
+    return null;
+  }
+
+  const match = note.trim().match(NOTE_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const name = spellNote(match[1], match[2]);
+  return name ? { name, semitone: noteToSemitone(name) } : null;
+};
+
+/**
+ * Reads alterations and added tones trailing a chord quality
+ * @param {string} text - Suffix text left after the quality alias
+ * @returns {Object|null} - { alterations, additions } or null if anything is left unparsed
+ */
+const parseModifiers = (text) => {
+  const alterations = [];
+  const additions = [];
+  let rest = text;
+
+  while (rest.length > 0) {
+    const modifier = rest.match(MODIFIER_PATTERN);
+    if (!modifier) {
+      return null;
+    }
+
+    if (modifier[3] || modifier[4]) {
+      additions.push(Number(modifier[3] || modifier[4]));
+    } else {
+      const accidental = modifier[1] === '+' ? '#' : modifier[1] === '-' ? 'b' : modifier[1];
+      const alteration = accidental + modifier[2];
+      if (!ALTERATION_INTERVALS[alteration]) {
+        return null;
+      }
+      alterations.push(alteration);
+    }
+
+    rest = rest.substring(modifier[0].length);
+  }
+
+  return { alterations, additions };
+};
+
+/**
+ * Reads the quality and trailing modifiers from a chord suffix
+ * @param {string} suffix - Everything after the root and before any slash bass
+ * @returns {Object|null} - { quality, alterations, additions } or null if unrecognized
+ */
+const parseSuffix = (suffix) => {
+  // A longer alias can swallow the start of a modifier ("7b9" is not "7b" + "9"),
+  // so fall back to shorter aliases until one leaves only valid modifiers
+  for (const { alias, quality } of QUALITY_ALIASES) {
+    if (suffix.startsWith(alias)) {
+      const modifiers = parseModifiers(suffix.substring(alias.length));
+      if (modifiers) {
+        return { quality, ...modifiers };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Builds the chord tones for a quality with its alterations and added tones
+ * @param {string} quality - Canonical quality name
+ * @param {Array<string>} alterations - Alterations such as "b9" or "#11"
+ * @param {Array<number>} additions - Added degrees such as 9 or 13
+ * @returns {Array<number>} - Sorted semitone intervals above the root
+ */
+const buildIntervals = (quality, alterations, additions) => {
+  const intervals = new Set(CHORD_QUALITY_DEFINITIONS[quality].intervals);
+
+  additions.forEach(degree => intervals.add(ADDITION_INTERVALS[degree]));
+
+  alterations.forEach(alteration => {
+    const { replaces, interval } = ALTERATION_INTERVALS[alteration];
+    intervals.delete(replaces);
+    intervals.add(interval);
+  });
+
+  return Array.from(intervals).sort((a, b) => a - b);
+};
+
+/**
+ * Parses a chord symbol into the shared chord model
+ * @param {string} chordSymbol - Chord symbol (e.g. "Am7", "Cm7b5", "G7b9/B", "C/E")
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.strict - Reject lowercase roots and case-folded qualities (default false)
+ * @returns {Object|null} - Chord model or null if the symbol is not a chord
+ */
+export const parseChordSymbol = (chordSymbol, options = {}) => {
+  const { strict = false } = options;
+
+  if (!chordSymbol || typeof chordSymbol !== 'string') {
+    return null;
+  }
+
+  const symbol = chordSymbol.trim();
+  if (symbol.length === 0) {
+    return null;
+  }
+
+  // Split off a slash bass note; "6/9" is a quality, not a slash chord
+  let body = symbol;
+  let bass = null;
+  const slashMatch = symbol.match(SLASH_BASS_PATTERN);
+  if (slashMatch && slashMatch.index > 0) {
+    if (strict && slashMatch[1][0] !== slashMatch[1][0].toUpperCase()) {
+      return null;
+    }
+    bass = parseNote(slashMatch[1]);
+    body = symbol.substring(0, slashMatch.index);
+  }
+
+  const rootMatch = body.match(ROOT_PATTERN);
+  if (!rootMatch || (strict && rootMatch[1] !== rootMatch[1].toUpperCase())) {
+    return null;
+  }
+
+  const root = spellNote(rootMatch[1], rootMatch[2]);
+  if (!root) {
+    return null;
+  }
+
+  const suffixText = body.substring(rootMatch[0].length);
+  const parsedSuffix = parseSuffix(suffixText) || (!strict && parseSuffix(suffixText.toLowerCase()));
+  if (!parsedSuffix) {
+    return null;
+  }
+
+  const { quality, alterations, additions } = parsedSuffix;
+  const definition = CHORD_QUALITY_DEFINITIONS[quality];
+  const modifiers = [
+    ...alterations,
+    ...additions.map(degree => `add${degree}`)
+  ].join('');
+  const intervals = buildIntervals(quality, alterations, additions);
+
+  return {
+    symbol,
+    root,
+    rootSemitone: noteToSemitone(root),
+    quality,
+    suffix: definition.suffix + modifiers,
+    nashvilleSuffix: (definition.nashville !== undefined ? definition.nashville : definition.suffix) + modifiers,
+    extensions: [...new Set(intervals.filter(i => i >= 12).map(i => EXTENSION_DEGREES[i]))],
+    alterations,
+    additions,
+    bass: bass ? bass.name : null,
+    bassSemitone: bass ? bass.semitone : null,
+    intervals
+  };
+};
+
+/**
+ * Checks whether a string is a chord symbol the model understands
+ * @param {string} chordSymbol - Chord symbol to check
+ * @param {Object} options - Same options as parseChordSymbol
+ * @returns {boolean} - Whether the symbol parses
+ */
+export const isChordSymbol = (chordSymbol, options = {}) => {
+  return parseChordSymbol(chordSymbol, options) !== null;
+};
+
+/**
+ * Gets the pitch classes (0-11) sounded by a chord, bass note included
+ * @param {Object} chord - Parsed chord model
+ * @returns {Array<number>} - Unique pitch classes
+ */
+export const getChordPitchClasses = (chord) => {
+  if (!chord) return [];
+
+  const pitchClasses = chord.intervals.map(interval => (chord.rootSemitone + interval) % 12);
+  if (chord.bassSemitone !== null) {
+    pitchClasses.unshift(chord.bassSemitone);
+  }
+
+  return [...new Set(pitchClasses)];
+};
+
+/**
+ * Builds a spelling-independent identity for a chord, so "Bb", "A#" and "bb" compare equal
+ * @param {string|Object} chord - Chord symbol or parsed chord model
+ * @param {Object} options - Identity options
+ * @param {boolean} options.ignoreBass - Leave out the slash bass, so inversions share an identity (default false)
+ * @returns {string|null} - Identity string or null if the chord does not parse
+ */
+export const getChordIdentity = (chord, options = {}) => {
+  const { ignoreBass = false } = options;
+  const parsed = typeof chord === 'string' ? parseChordSymbol(chord) : chord;
+  if (!parsed) return null;
+
+  const bass = parsed.bassSemitone !== null && !ignoreBass ? `/${parsed.bassSemitone}` : '';
+  return `${parsed.rootSemitone}:${parsed.suffix}${bass}`;
+};
+
+/**
+ * Gets the semitone value of a note name
+ * @param {string} note - Note name (e.g. "C#", "Db", "F##")
+ * @returns {number|null} - Semitone (0-11) or null if invalid
+ */
+export const getNoteSemitone = (note) => {
+  const parsed = parseNote(note);
+  return parsed ? parsed.semitone : null;
+};
+
+/**
+ * Get every chord quality the model understands
+ * @returns {Array<string>} - Canonical quality names
+ */
+export const getChordQualities = () => {
+  return Object.keys(CHORD_QUALITY_DEFINITIONS);
+};
+
+/**
+ * Get the canonical suffix and chord tones for a quality
+ * @param {string} quality - Canonical quality name (e.g. "minor7")
+ * @returns {Object|null} - { quality, suffix, intervals } or null if unknown
+ */
+export const getQualityDefinition = (quality) => {
+  const definition = CHORD_QUALITY_DEFINITIONS[quality];
+  if (!definition) return null;
+
+  return {
+    quality,
+    suffix: definition.suffix,
+    intervals: [...definition.intervals]
+  };
+};
+
+const chordModel = {
+  parseChordSymbol,
+  parseNote,
+  isChordSymbol,
+  getChordPitchClasses,
+  getChordIdentity,
+  getNoteSemitone,
+  getChordQualities,
+  getQualityDefinition
+};
+
+export default chordModel;
@@ -0,0 +1,123 @@
+/**
+ * Tests for the shared chord model
+ */
+
+import {
+  parseChordSymbol,
+  parseNote,
+  isChordSymbol,
+  getChordPitchClasses,
+  getChordIdentity,
+  getNoteSemitone
+} from './chordModel';
+
+describe('Chord Model', () => {
+  describe('parseChordSymbol', () => {
+    test('parses triads', () => {
+      expect(parseChordSymbol('C')).toMatchObject({ root: 'C', rootSemitone: 0, quality: 'major', suffix: '' });
+      expect(parseChordSymbol('Am')).toMatchObject({ root: 'A', quality: 'minor', suffix: 'm', intervals: [0, 3, 7] });
+      expect(parseChordSymbol('Bdim')).toMatchObject({ quality: 'diminished', nashvilleSuffix: '°' });
+      expect(parseChordSymbol('C+')).toMatchObject({ quality: 'augmented', suffix: 'aug' });
+    });
+
+    test('keeps the written root spelling', () => {
+      expect(parseChordSymbol('Bb')).toMatchObject({ root: 'Bb', rootSemitone: 10 });
+      expect(parseChordSymbol('A#')).toMatchObject({ root: 'A#', rootSemitone: 10 });
+      expect(parseChordSymbol('bbm')).toMatchObject({ root: 'Bb', quality: 'minor' });
+    });
+
+    test('parses double sharps and flats', () => {
+      expect(parseChordSymbol('F##dim')).toMatchObject({ root: 'F##', rootSemitone: 7, quality: 'diminished' });
+      expect(parseChordSymbol('Fxdim')).toMatchObject({ root: 'F##', rootSemitone: 7 });
+      expect(parseChordSymbol('Bbb')).toMatchObject({ root: 'Bbb', rootSemitone: 9, quality: 'major' });
+      expect(parseChordSymbol('E#m/G##')).toMatchObject({ root: 'E#', rootSemitone: 5, bass: 'G##', bassSemitone: 9 });
+      expect(parseChordSymbol('ex')).toBeNull();
+    });
+
+    test('recognizes alternate quality spellings', () => {
+      expect(parseChordSymbol('CM7').quality).toBe('major7');
+      expect(parseChordSymbol('C-7').quality).toBe('minor7');
+      expect(parseChordSymbol('Cø7').quality).toBe('half-diminished7');
+      expect(parseChordSymbol('Cm7b5').quality).toBe('half-diminished7');
+      expect(parseChordSymbol('CmMaj7').quality).toBe('minorMajor7');
+      expect(parseChordSymbol('Csus').quality).toBe('suspended4');
+      expect(parseChordSymbol('C6/9').quality).toBe('major6/9');
+      expect(parseChordSymbol('FMAJ7').quality).toBe('major7');
+    });
+
+    test('parses alterations and added tones', () => {
+      const chord = parseChordSymbol('G7b9');
+      expect(chord.quality).toBe('dominant7');
+      expect(chord.alterations).toEqual(['b9']);
+      expect(chord.suffix).toBe('7b9');
+      expect(chord.intervals).toEqual([0, 4, 7, 10, 13]);
+      expect(chord.extensions).toEqual([9]);
+
+      expect(parseChordSymbol('Cmaj7(#11)')).toMatchObject({ alterations: ['#11'], suffix: 'maj7#11' });
+      expect(parseChordSymbol('C7add13')).toMatchObject({ additions: [13], suffix: '7add13' });
+      expect(parseChordSymbol('C7(13)')).toMatchObject({ quality: 'dominant7', additions: [13], suffix: '7add13' });
+      expect(parseChordSymbol('C(9)')).toMatchObject({ quality: 'major', additions: [9] });
+      expect(parseChordSymbol('C(2)')).toBeNull();
+    });
+
+    test('parses slash chords', () => {
+      expect(parseChordSymbol('C/E')).toMatchObject({ root: 'C', bass: 'E', bassSemitone: 4 });
+      expect(parseChordSymbol('F#m7/A')).toMatchObject({ root: 'F#', quality: 'minor7', bass: 'A' });
+      expect(parseChordSymbol('C6/9/E')).toMatchObject({ quality: 'major6/9', bass: 'E' });
+      expect(parseChordSymbol('C')).toMatchObject({ bass: null, bassSemitone: null });
+    });
+
+    test('rejects invalid chords', () => {
+      ['', 'H', 'Cmajor', 'C-minor', 'C7sus2sus4', 'Cb#', 'C#b', 'C/', '/C', 'C/H', '123'].forEach(symbol => {
+        expect(parseChordSymbol(symbol)).toBeNull();
+      });
+      expect(parseChordSymbol(null)).toBeNull();
+      expect(parseChordSymbol(42)).toBeNull();
+    });
+
+    test('strict mode rejects case-folded chords', () => {
+      expect(parseChordSymbol('am', { strict: true })).toBeNull();
+      expect(parseChordSymbol('CMAJ7', { strict: true })).toBeNull();
+      expect(parseChordSymbol('C/e', { strict: true })).toBeNull();
+      expect(parseChordSymbol('Am/C', { strict: true })).not.toBeNull();
+    });
+  });
+
+  describe('notes', () => {
+    test('parses note names', () => {
+      expect(parseNote('f#')).toEqual({ name: 'F#', semitone: 6 });
+      expect(parseNote('Db')).toEqual({ name: 'Db', semitone: 1 });
+      expect(parseNote('Cx')).toEqual({ name: 'C##', semitone: 2 });
+      expect(parseNote('Cbb')).toEqual({ name: 'Cbb', semitone: 10 });
+      expect(parseNote('X')).toBeNull();
+      expect(getNoteSemitone('Bb')).toBe(10);
+      expect(getNoteSemitone('')).toBeNull();
+    });
+  });
+
+  describe('helpers', () => {
+    test('isChordSymbol', () => {
+      expect(isChordSymbol('Am7')).toBe(true);
+      expect(isChordSymbol('Xm')).toBe(false);
+    });
+
+    test('getChordPitchClasses includes the bass note', () => {
+      expect(getChordPitchClasses(parseChordSymbol('C'))).toEqual([0, 4, 7]);
+      expect(getChordPitchClasses(parseChordSymbol('C/D'))).toEqual([2, 0, 4, 7]);
+      expect(getChordPitchClasses(null)).toEqual([]);
+    });
+
+    test('getChordIdentity ignores spelling and case', () => {
+      expect(getChordIdentity('Bb')).toBe(getChordIdentity('A#'));
+      expect(getChordIdentity('am')).toBe(getChordIdentity('Amin'));
+      expect(getChordIdentity('C/E')).not.toBe(getChordIdentity('C'));
+      expect(getChordIdentity('nope')).toBeNull();
+    });
+
+    test('getChordIdentity can ignore the slash bass', () => {
+      expect(getChordIdentity('C/E', { ignoreBass: true })).toBe(getChordIdentity('C'));
+      expect(getChordIdentity('Am7/G', { ignoreBass: true })).toBe(getChordIdentity('Am7'));
+      expect(getChordIdentity('C/E', { ignoreBass: true })).not.toBe(getChordIdentity('Cm'));
+    });
+  });
+});
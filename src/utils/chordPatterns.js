@@ -0,0 +1,285 @@
+/**
+ * Chord patterns
+ * Plays each chord the way a player would rather than as a held pad: strummed like a guitar, broken
+ * into arpeggios or Alberti bass, or comped in short piano stabs. Strums and comping follow a one-bar
+ * rhythm per meter, written as a step grid like the drum patterns ("D"/"U" accented down and up
+ * strokes, "d"/"u" plain ones; "X"/"x" stabs and "-" holding them; "." rests), while arpeggios step
+ * through the chord on every step. Swing pushes the off-beat steps late, and humanizing loosens timing
+ * and dynamics
+ */
+
+import { getChordFrequencies, playChord, playNote } from './audioSynthesis';
+import { getBeatsPerBar, DEFAULT_TIME_SIGNATURE } from './rhythm';
+
+// Patterns; rhythms are keyed by beats per bar, and subdivision is the number of steps per beat
+const CHORD_PATTERNS = {
+  block: {
+    label: 'Block chords',
+    description: 'Each chord held as a pad',
+    type: 'block'
+  },
+  strum: {
+    label: 'Strum',
+    description: 'Guitar strumming: down, down-up, up, down-up',
+    type: 'strum',
+    rhythms: {
+      2: { subdivision: 2, steps: 'D. Du' },
+      3: { subdivision: 2, steps: 'D. Du Du' },
+      4: { subdivision: 2, steps: 'D. Du .u Du' },
+      6: { subdivision: 1, steps: 'D.uD.u' },
+      12: { subdivision: 1, steps: 'D.uD.uD.uD.u' }
+    }
+  },
+  'strum-down': {
+    label: 'Downstrokes',
+    description: 'A guitar downstroke on every beat',
+    type: 'strum',
+    rhythms: {}
+  },
+  arpeggio: {
+    label: 'Arpeggio',
+    description: 'Broken chord climbing in eighths',
+    type: 'arpeggio',
+    subdivision: 2,
+    order: 'up'
+  },
+  'arpeggio-updown': {
+    label: 'Arpeggio up and down',
+    description: 'Broken chord climbing and falling in eighths',
+    type: 'arpeggio',
+    subdivision: 2,
+    order: 'updown'
+  },
+  alberti: {
+    label: 'Alberti bass',
+    description: 'Low, high, middle, high in eighths, an octave down',
+    type: 'arpeggio',
+    subdivision: 2,
+    order: 'alberti',
+    octaveOffset: -1
+  },
+  comp: {
+    label: 'Piano comping',
+    description: 'Short piano stabs on a Charleston rhythm',
+    type: 'comp',
+    rhythms: {
+      3: { subdivision: 2, steps: 'X- .x --' },
+      4: { subdivision: 2, steps: 'X- .x -- ..' },
+      6: { subdivision: 1, steps: 'X-.x-.' },
+      12: { subdivision: 1, steps: 'X-.x-.X-.x-.' }
+    }
+  }
+};
+
+// Seconds between strings as a strum crosses them
+const STRUM_STRING_DELAY = 0.012;
+
+// Loudness of plain strokes and up strokes against an accented downstroke
+const PLAIN_LEVEL = 0.75;
+const UP_LEVEL = 0.6;
+
+// Furthest a humanized note moves, in seconds, and the most it is softened
+const HUMANIZE_TIME = 0.015;
+const HUMANIZE_LEVEL = 0.2;
+
+// Steps closer together than this are the same step
+const EPSILON = 1e-6;
+
+/**
+ * Gets the patterns chords can be played with
+ * @returns {Array} - Patterns: { id, label, description }
+ */
+export const getChordPatterns = () => {
+  return Object.entries(CHORD_PATTERNS).map(([id, { label, description }]) => ({ id, label, description }));
+};
+
+/**
+ * Checks whether a pattern is one chords can be played with
+ * @param {string} pattern - Pattern id
+ * @returns {boolean} - Whether it's a chord pattern
+ */
+export const isChordPattern = (pattern) => {
+  return Object.prototype.hasOwnProperty.call(CHORD_PATTERNS, pattern);
+};
+
+/**
+ * Gets the one-bar rhythm a strum or comping pattern plays in a meter; meters without one get a
+ * stroke or stab on every beat, accented on beat one
+ * @param {string} pattern - Pattern id
+ * @param {string} timeSignature - Time signature
+ * @returns {Object} - { subdivision, steps }, steps without the spaces
+ */
+export const getPatternRhythm = (pattern, timeSignature = DEFAULT_TIME_SIGNATURE) => {
+  const { type, rhythms = {} } = CHORD_PATTERNS[pattern] || {};
+  const beatsPerBar = getBeatsPerBar(timeSignature);
+  const rhythm = rhythms[beatsPerBar];
+  if (rhythm) {
+    return { subdivision: rhythm.subdivision, steps: rhythm.steps.replace(/\s/g, '') };
+  }
+
+  const [accent, plain] = type === 'comp' ? ['X', 'x'] : ['D', 'd'];
+  return { subdivision: 1, steps: accent + plain.repeat(beatsPerBar - 1) };
+};
+
+// Chord tones from low to high
+const getChordTones = (chord, octave, voicing) => {
+  return [...getChordFrequencies(chord, octave, voicing)].sort((a, b) => a - b);
+};
+
+// Index of the chord tone an arpeggio plays on its nth step
+const getArpeggioTone = (order, step, count) => {
+  if (count <= 1) return 0;
+  if (order === 'updown') {
+    const cycle = (count - 1) * 2;
+    const position = step % cycle;
+    return position < count ? position : cycle - position;
+  }
+  if (order === 'alberti') {
+    const middle = Math.floor((count - 1) / 2) || 1;
+    return [0, count - 1, middle, count - 1][step % 4];
+  }
+  return step % count;
+};
+
+/**
+ * Works out the notes a pattern plays for one chord
+ * @param {Object} event - Chord event from the transport: { chord, beat, beats, barBeat, timeSignature, time, duration }
+ * @param {Object} options - Options
+ * @param {string} options.pattern - Pattern id (default 'strum')
+ * @param {string} options.voicing - Chord voicing
+ * @param {number} options.octave - Octave the chord is voiced in (default 4)
+ * @param {number} options.swing - How far off-beat steps are pushed toward the triplet, 0-1
+ * @param {number} options.humanize - How loose timing and dynamics are, 0-1
+ * @param {Function} options.random - Random number source, for humanizing (default Math.random)
+ * @returns {Array} - Notes: { frequency, time, length, velocity }, velocity 0-1
+ */
+export const getPatternNotes = (event, options = {}) => {
+  const {
+    pattern = 'strum',
+    voicing = 'root',
+    octave = 4,
+    swing = 0,
+    humanize = 0,
+    random = Math.random
+  } = options;
+  const definition = CHORD_PATTERNS[pattern];
+  if (!definition || definition.type === 'block' || !(event.beats > 0) || !(event.duration > 0)) return [];
+
+  const secondsPerBeat = event.duration / event.beats;
+  const chordEnd = event.time + event.duration;
+  const timeSignature = event.timeSignature || DEFAULT_TIME_SIGNATURE;
+  const beatsPerBar = getBeatsPerBar(timeSignature);
+  const barBeat = event.barBeat || 0;
+  const { subdivision, steps } = definition.type === 'arpeggio'
+    ? { subdivision: definition.subdivision, steps: '' }
+    : getPatternRhythm(pattern, timeSignature);
+
+  // Grid steps the chord covers, in beats from its start; the chord always sounds as it arrives
+  const grid = [0];
+  for (let step = Math.ceil(barBeat * subdivision - EPSILON); step / subdivision - barBeat < event.beats - EPSILON; step++) {
+    const offset = step / subdivision - barBeat;
+    if (offset > EPSILON) grid.push(offset);
+  }
+
+  // Where a step sounds: off-beat eighths and sixteenths swing late, and humanizing nudges it
+  const getTime = (offset) => {
+    const position = Math.round((barBeat + offset) * subdivision);
+    const isOffBeat = subdivision % 2 === 0 && position % 2 === 1 && Math.abs((barBeat + offset) * subdivision - position) < EPSILON;
+    const swung = offset + (isOffBeat ? swing / (3 * subdivision) : 0);
+    const nudge = humanize > 0 ? (random() * 2 - 1) * humanize * HUMANIZE_TIME : 0;
+    return Math.max(event.time, event.time + swung * secondsPerBeat + nudge);
+  };
+  const getVelocity = (level) => level * (humanize > 0 ? 1 - random() * humanize * HUMANIZE_LEVEL : 1);
+
+  // Step mark at an offset, read from the bar's rhythm
+  const getMark = (offset) => {
+    const length = beatsPerBar * subdivision;
+    const position = Math.round((barBeat + offset) * subdivision);
+    return steps[((position % length) + length) % length];
+  };
+
+  const tones = getChordTones(event.chord, octave + (definition.octaveOffset || 0), voicing);
+  const notes = [];
+
+  if (definition.type === 'arpeggio') {
+    grid.forEach((offset, step) => {
+      const next = grid[step + 1] !== undefined ? grid[step + 1] : event.beats;
+      const time = getTime(offset);
+      notes.push({
+        frequency: tones[getArpeggioTone(definition.order, step, tones.length)],
+        time,
+        length: Math.min((next - offset) * secondsPerBeat * 1.5, chordEnd - time),
+        velocity: getVelocity(step === 0 ? 1 : PLAIN_LEVEL)
+      });
+    });
+    return notes;
+  }
+
+  // Strokes and stabs: marks that sound, the first one forced if it falls on a rest or hold
+  const hits = [];
+  grid.forEach((offset, step) => {
+    let mark = getMark(offset);
+    if (step === 0 && !/[DUdXx]/i.test(mark || '')) mark = definition.type === 'comp' ? 'x' : 'd';
+    if (mark && mark !== '.' && mark !== '-') hits.push({ offset, mark });
+  });
+
+  hits.forEach(({ offset, mark }, index) => {
+    const time = getTime(offset);
+    const nextOffset = index + 1 < hits.length ? hits[index + 1].offset : event.beats;
+
+    if (definition.type === 'comp') {
+      // A stab lasts through the holds after it, and stops at the next rest
+      let held = offset + 1 / subdivision;
+      while (held < nextOffset - EPSILON && getMark(held) === '-') held += 1 / subdivision;
+      const length = Math.min((Math.min(held, nextOffset) - offset) * secondsPerBeat * 0.9, chordEnd - time);
+      const velocity = getVelocity(mark === 'X' ? 1 : PLAIN_LEVEL);
+      tones.forEach(frequency => notes.push({ frequency, time, length, velocity }));
+      return;
+    }
+
+    // A strum rings until the next stroke, crossing the strings low to high going down and high to low going up
+    const isUp = mark === 'U' || mark === 'u';
+    const strings = isUp ? [...tones].reverse() : tones;
+    const level = mark === 'D' ? 1 : (isUp ? UP_LEVEL : PLAIN_LEVEL);
+    const velocity = getVelocity(level);
+    const ringUntil = event.time + nextOffset * secondsPerBeat;
+    strings.forEach((frequency, string) => {
+      const stringTime = time + string * STRUM_STRING_DELAY;
+      if (stringTime >= chordEnd) return;
+      notes.push({ frequency, time: stringTime, length: Math.max(ringUntil - stringTime, STRUM_STRING_DELAY), velocity });
+    });
+  });
+
+  return notes;
+};
+
+/**
+ * Voice that plays each chord in the pattern chosen (see createTransport)
+ * Reads soundOptions.pattern, swing and humanize; the block pattern plays the chord as a pad, as chordVoice does
+ * @param {AudioContext} audioContext - Web Audio API context
+ * @param {Object} event - Transport event
+ * @param {Object} soundOptions - Options from setSoundOptions
+ * @returns {Array<AudioNode>} - Nodes created
+ */
+export const patternVoice = (audioContext, event, soundOptions = {}) => {
+  if (event.type !== 'chord') return [];
+  const { pattern = 'block', volume = 0.2, waveType } = soundOptions;
+
+  if (!isChordPattern(pattern) || CHORD_PATTERNS[pattern].type === 'block') {
+    return playChord(audioContext, event.chord, event.duration, event.time, soundOptions);
+  }
+
+  return getPatternNotes(event, soundOptions).flatMap(note => {
+    return playNote(audioContext, note.frequency, note.time, note.length, { waveType, volume: volume * note.velocity });
+  });
+};
+
+const chordPatterns = {
+  getChordPatterns,
+  isChordPattern,
+  getPatternRhythm,
+  getPatternNotes,
+  patternVoice
+};
+
+export default chordPatterns;
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for the chord patterns: strums, arpeggios, Alberti bass and comping
+ */
+
+import { getChordPatterns, getPatternRhythm, getPatternNotes, patternVoice } from './chordPatterns.js';
+import { getChordFrequencies } from './audioSynthesis.js';
+import { createFakeAudioContext } from '../testUtils/fakeAudioContext.js';
+
+// A chord filling a bar of 4/4 at 120 BPM
+const event = { type: 'chord', index: 0, chord: 'C', beat: 0, beats: 4, barBeat: 0, timeSignature: '4/4', time: 0, duration: 2 };
+const [C4, E4, G4] = getChordFrequencies('C', 4, 'root');
+
+// Times notes start at, rounded to the millisecond
+const getOnsets = (notes) => [...new Set(notes.map(({ time }) => Math.round(time * 1000) / 1000))];
+
+describe('getPatternRhythm', () => {
+  test('has a one-bar rhythm for every pattern and meter', () => {
+    getChordPatterns().forEach(({ id }) => {
+      [2, 3, 4, 5, 6, 12].forEach(beats => {
+        const { subdivision, steps } = getPatternRhythm(id, `${beats}/${beats >= 6 ? 8 : 4}`);
+        expect(steps).toHaveLength(beats * subdivision);
+      });
+    });
+  });
+
+  test('strokes every beat in meters without a rhythm', () => {
+    expect(getPatternRhythm('strum', '5/4')).toEqual({ subdivision: 1, steps: 'Ddddd' });
+    expect(getPatternRhythm('comp', '2/4')).toEqual({ subdivision: 1, steps: 'Xx' });
+  });
+});
+
+describe('getPatternNotes', () => {
+  test('plays nothing for block chords', () => {
+    expect(getPatternNotes(event, { pattern: 'block' })).toEqual([]);
+    expect(getPatternNotes(event, { pattern: 'polka' })).toEqual([]);
+  });
+
+  test('strums down, down-up, up, down-up across the strings', () => {
+    const notes = getPatternNotes(event, { pattern: 'strum' });
+
+    expect(notes).toHaveLength(18);
+    expect(getOnsets(notes.filter(({ frequency }) => frequency === C4))).toEqual([0, 0.5, 0.774, 1.274, 1.5, 1.774]);
+    expect(notes.slice(0, 3).map(({ frequency }) => frequency)).toEqual([C4, E4, G4]);
+    expect(notes.slice(6, 9).map(({ frequency }) => frequency)).toEqual([G4, E4, C4]);
+    expect(notes[0].velocity).toBe(1);
+    expect(notes[6].velocity).toBeLessThan(notes[3].velocity);
+  });
+
+  test('lets a stroke ring until the next one', () => {
+    const [first] = getPatternNotes(event, { pattern: 'strum' });
+    expect(first.length).toBeCloseTo(0.5);
+  });
+
+  test('picks up the rhythm where the chord falls in the bar', () => {
+    const notes = getPatternNotes({ ...event, beat: 2, beats: 2, barBeat: 2, time: 1, duration: 1 }, { pattern: 'strum' });
+
+    // Beat three is a rest in the strum, but the chord still sounds as it arrives
+    expect(getOnsets(notes.filter((note, index) => index % 3 === 0))).toEqual([1, 1.25, 1.5, 1.75]);
+    expect(notes[0].velocity).toBeLessThan(1);
+  });
+
+  test('swings the off-beats', () => {
+    const straight = getPatternNotes(event, { pattern: 'arpeggio' });
+    const swung = getPatternNotes(event, { pattern: 'arpeggio', swing: 1 });
+
+    expect(straight.map(({ time }) => time)).toEqual([0, 0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75]);
+    expect(swung[0].time).toBe(0);
+    expect(swung[1].time).toBeCloseTo(0.25 + 0.5 / 6);
+    expect(swung[2].time).toBe(0.5);
+  });
+
+  test('breaks the chord into arpeggios and Alberti bass', () => {
+    const short = { ...event, beats: 2, duration: 1 };
+    expect(getPatternNotes(short, { pattern: 'arpeggio' }).map(({ frequency }) => frequency)).toEqual([C4, E4, G4, C4]);
+    expect(getPatternNotes(event, { pattern: 'arpeggio-updown' }).map(({ frequency }) => frequency))
+      .toEqual([C4, E4, G4, E4, C4, E4, G4, E4]);
+
+    const [C3, E3, G3] = getChordFrequencies('C', 3, 'root');
+    expect(getPatternNotes(short, { pattern: 'alberti' }).map(({ frequency }) => frequency)).toEqual([C3, G3, E3, G3]);
+  });
+
+  test('comps the chord in stabs held through the rhythm', () => {
+    const notes = getPatternNotes(event, { pattern: 'comp' });
+
+    expect(getOnsets(notes)).toEqual([0, 0.75]);
+    expect(notes[0].length).toBeCloseTo(0.45);
+    expect(notes[3].length).toBeCloseTo(0.675);
+    expect(notes[3].velocity).toBeLessThan(notes[0].velocity);
+  });
+
+  test('humanizes timing and dynamics without starting before the chord', () => {
+    const early = getPatternNotes(event, { pattern: 'arpeggio', humanize: 1, random: () => 0 });
+    const centred = getPatternNotes(event, { pattern: 'arpeggio', humanize: 1, random: () => 0.5 });
+
+    expect(early[0].time).toBe(0);
+    expect(early[1].time).toBeCloseTo(0.25 - 0.015);
+    expect(centred[1].time).toBeCloseTo(0.25);
+    expect(centred[0].velocity).toBeCloseTo(0.9);
+  });
+});
+
+describe('patternVoice', () => {
+  test('plays a note per string of each stroke', () => {
+    const audioContext = createFakeAudioContext();
+    patternVoice(audioContext, event, { pattern: 'strum', volume: 0.2 });
+
+    expect(audioContext.createOscillator).toHaveBeenCalledTimes(18);
+  });
+
+  test('holds block chords as a pad', () => {
+    const audioContext = createFakeAudioContext();
+    const nodes = patternVoice(audioContext, event, { pattern: 'block' });
+
+    expect(nodes.length).toBeGreaterThan(0);
+    expect(audioContext.createOscillator).toHaveBeenCalledTimes(3);
+  });
+
+  test('ignores beats', () => {
+    expect(patternVoice(createFakeAudioContext(), { type: 'beat', time: 0 }, { pattern: 'strum' })).toEqual([]);
+  });
+});
@@ -4,6 +4,162 @@
  */
 
 import songDatabase from '../data/songDatabase.js';
+import { parseChordSymbol, getChordIdentity, getNoteSemitone } from './chordModel.js';
+import { transposeKey, spellNoteInKey } from './noteSpelling.js';
+import { nashvilleToChord, progressionToNashville, getDefaultNumberingMode } from './nashvilleNumbers.js';
+import { getSectionKey, getDegreeTonic } from './sectionKeys.js';
+import { findKey } from './keyFinding.js';
+import { analyzeCadences, filterCadences } from './harmonicAnalysis.js';
+import { alignProgression } from './progressionAlignment.js';
+import { compileProgressionQuery } from './progressionQuery.js';
+import { parseFunctionQuery, matchFunctionQuery } from './functionQuery.js';
+import { songMatchesFilters, sectionMatchesFilters } from './filtering.js';
+import { scoreResultRanking } from './rarityRanking.js';
+import { getSongForm, hasListedForm, getFormLetters, getPerformedChords, parseFormPattern, findFormMatches } from './songForm.js';
+import {
+  createProgressionIndex,
+  syncProgressionIndex,
+  getIndexedSections,
+  findCandidateSections,
+  getSectionCadences,
+  toIndexTokens
+} from './progressionIndex.js';
+
+// A bass-line query written as scale degrees ("1", "b7", "#4") rather than note names
+const SCALE_DEGREE_PATTERN = /^[#b]?[1-7]$/;
+
+// N-gram index over the database, built when the search worker (or client) starts and brought up to
+// date as songs are added
+let searchIndex = null;
+
+/**
+ * Gets the search index, indexing any songs added to (or replaced in) the database since the last search
+ * @returns {Object} - Index from createProgressionIndex
+ */
+const getSearchIndex = () => {
+  if (!searchIndex) {
+    searchIndex = createProgressionIndex(songDatabase);
+  } else {
+    syncProgressionIndex(searchIndex, songDatabase);
+  }
+  return searchIndex;
+};
+
+/**
+ * Builds the search index ahead of the first search, so that search doesn't wait for it
+ * Searches build it themselves if this hasn't run
+ * @returns {number} - Number of sections indexed
+ */
+export const prepareSearchIndex = () => {
+  return getIndexedSections(getSearchIndex()).length;
+};
+
+/**
+ * Finds the sections worth checking for a progression search
+ * @param {Array} searchProgression - Search progression
+ * @param {Object} options - { exactMatch, allowTransposition, keyIndependent, queryTonic }
+ * @returns {Array} - Section entries ({ song, sectionName, sectionData, sectionKey }) in database order
+ */
+const findSearchCandidates = (searchProgression, options) => {
+  const { exactMatch, allowTransposition, keyIndependent, queryTonic } = options;
+  const index = getSearchIndex();
+
+  // A transposed match can start on any chord, so there is nothing to look up
+  if (allowTransposition && !keyIndependent) {
+    return getIndexedSections(index);
+  }
+
+  // A partial match needs at least two of the chords in a row, so any one bigram will do
+  return findCandidateSections(index, toIndexTokens(searchProgression, keyIndependent ? queryTonic : null), {
+    field: keyIndependent ? 'degrees' : 'chords',
+    requireAll: exactMatch
+  });
+};
+
+/**
+ * Removes the slash bass from a chord name as written ("C/E" becomes "C", "C6/9" is kept)
+ * @param {string} chord - Chord name
+ * @returns {string} - Chord name without its bass note
+ */
+const withoutBass = (chord) => {
+  const parsed = parseChordSymbol(chord);
+  return parsed && parsed.bass ? chord.substring(0, chord.lastIndexOf('/')) : chord;
+};
+
+// Chord identities by name, since the matchers compare the same few chord names over and over
+const chordIdentityCache = new Map();
+
+/**
+ * Gets a chord's identity, parsing each chord name only once
+ * @param {string} chord - Chord name
+ * @param {boolean} ignoreBass - Whether to leave out the slash bass
+ * @returns {string|null} - Identity from getChordIdentity
+ */
+const getCachedChordIdentity = (chord, ignoreBass) => {
+  const cacheKey = ignoreBass ? `${chord}\u0000` : chord;
+  let identity = chordIdentityCache.get(cacheKey);
+  if (identity === undefined) {
+    identity = getChordIdentity(chord, { ignoreBass });
+    chordIdentityCache.set(cacheKey, identity);
+  }
+  return identity;
+};
+
+/**
+ * Checks whether two chord names refer to the same chord
+ * Case-insensitive comparison goes through the chord model, so "Bb", "A#" and "bb" all match
+ * @param {string} chord1 - First chord name
+ * @param {string} chord2 - Second chord name
+ * @param {boolean} caseSensitive - Whether to compare the names exactly as written
+ * @param {boolean} ignoreInversions - Whether "C/E" counts as "C"
+ * @returns {boolean} - Whether the chords match
+ */
+const chordsMatch = (chord1, chord2, caseSensitive = false, ignoreInversions = false) => {
+  if (chord1 === chord2) return true;
+  if (caseSensitive) {
+    return ignoreInversions && withoutBass(chord1) === withoutBass(chord2);
+  }
+
+  const identity1 = getCachedChordIdentity(chord1, ignoreInversions);
+  if (identity1 === null) {
+    return chord1.toLowerCase() === chord2.toLowerCase();
+  }
+
+  return identity1 === getCachedChordIdentity(chord2, ignoreInversions);
+};
+
+/**
+ * Rewrites a progression as scale degrees, keeping each chord's quality and bass
+ * @param {Array} progression - Array of chord names
+ * @param {number} tonic - Semitone counted as the first degree
+ * @param {boolean} ignoreInversions - Whether to drop slash bass notes
+ * @returns {Array} - One comparable token per chord
+ */
+const toScaleDegrees = (progression, tonic, ignoreInversions) => {
+  return progression.map(chord => {
+    const parsed = parseChordSymbol(chord);
+    if (!parsed) return chord.toLowerCase();
+
+    return getChordIdentity({
+      ...parsed,
+      rootSemitone: (parsed.rootSemitone - tonic + 12) % 12,
+      bassSemitone: parsed.bassSemitone !== null ? (parsed.bassSemitone - tonic + 12) % 12 : null
+    }, { ignoreBass: ignoreInversions });
+  });
+};
+
+/**
+ * Checks a section's cadences against the cadence filters in a search's options
+ * @param {Array} cadences - Cadences from analyzeCadences
+ * @param {Object} options - Search options: cadenceFilter, a cadence type (or array of types) the
+ *   section must contain, and cadenceAtEnd, to only count the cadence the section ends on
+ * @returns {boolean} - Whether the section passes (always, without cadence filters)
+ */
+export const passesCadenceFilter = (cadences, options = {}) => {
+  const { cadenceFilter = null, cadenceAtEnd = false } = options;
+  if (!cadenceAtEnd && [].concat(cadenceFilter || []).length === 0) return true;
+  return filterCadences(cadences, cadenceFilter, cadenceAtEnd).length > 0;
+};
 
 /**
  * Searches for songs containing a specific chord progression
@@ -16,56 +172,60 @@ export const searchByProgression = (searchProgression, options = {}) => {
     exactMatch = false,          // Whether to match exactly or allow partial matches
     caseSensitive = false,       // Whether chord matching is case sensitive
     allowTransposition = false,  // Whether to find transposed versions
-    sectionFilter = null,        // Filter by specific section types
-    genreFilter = null,         // Filter by genre
-    decadeFilter = null,        // Filter by decade
-    complexityFilter = null,    // Filter by complexity
-    popularityFilter = null     // Filter by popularity
+    ignoreInversions = false,    // Whether "C/E" matches "C" (inversions match strictly by default)
+    keyIndependent = false,      // Compare scale degrees in each section's key, so "C G Am F" finds 1-5-6m-4 anywhere
+    queryKey = null              // Key of the search progression for keyIndependent (estimated when omitted)
   } = options;
+  // Song and section filters (genreFilter, sectionFilter, keyFilter, tempoFilter...) are read by
+  // songMatchesFilters and sectionMatchesFilters, and the cadence filters by passesCadenceFilter
 
   if (!Array.isArray(searchProgression) || searchProgression.length === 0) {
     return [];
   }
 
-  const normalizedSearch = caseSensitive 
-    ? searchProgression 
-    : searchProgression.map(chord => chord.toLowerCase());
+  const queryTonic = keyIndependent ? getDegreeTonic(queryKey || findKey(searchProgression).key) : null;
+  if (keyIndependent && queryTonic === null) {
+    return [];
+  }
 
   const results = [];
+  const candidates = findSearchCandidates(searchProgression, { exactMatch, allowTransposition, keyIndependent, queryTonic });
 
-  songDatabase.forEach(song => {
-    // Apply song-level filters first
-    if (genreFilter && song.genre.toLowerCase() !== genreFilter.toLowerCase()) return;
-    if (decadeFilter && song.decade !== decadeFilter) return;
-    if (popularityFilter && song.popularity !== popularityFilter) return;
+  candidates.forEach(section => {
+    const { song, sectionName, sectionData, sectionKey } = section;
+    // Apply song-level filters first, then section-level ones
+    if (!songMatchesFilters(song, options)) return;
+    if (!sectionMatchesFilters(song, sectionName, sectionData, options)) return;
 
-    // Search through each section of the song
-    Object.entries(song.sections).forEach(([sectionName, sectionData]) => {
-      // Apply section-level filters
-      if (sectionFilter && sectionName !== sectionFilter) return;
-      if (complexityFilter && sectionData.complexity !== complexityFilter) return;
+    const sectionProgression = sectionData.progression;
 
-      const sectionProgression = caseSensitive 
-        ? sectionData.progression 
-        : sectionData.progression.map(chord => chord.toLowerCase());
-
-      // Find matches in this section
-      const matches = findProgressionMatches(
-        normalizedSearch, 
+    // Find matches in this section
+    const matches = keyIndependent
+      ? findScaleDegreeMatches(
+        searchProgression, 
+        sectionProgression, 
+        { exactMatch, ignoreInversions, queryTonic, sectionKey }
+      )
+      : findProgressionMatches(
+        searchProgression, 
         sectionProgression, 
-        { exactMatch, allowTransposition }
+        { exactMatch, caseSensitive, allowTransposition, ignoreInversions, sectionKey }
       );
+    if (matches.length === 0) return;
 
-      matches.forEach(match => {
-        results.push({
-          ...song,
-          matchedSection: sectionName,
-          sectionData,
-          matchDetails: match,
-          searchProgression: searchProgression,
-          confidence: calculateMatchConfidence(match, searchProgression.length, sectionProgression.length)
-        });
-      });
+    const cadences = getSectionCadences(section);
+    if (!passesCadenceFilter(cadences, options)) return;
+
+    matches.forEach(match => {
+      results.push(Object.assign({}, song, {
+        matchedSection: sectionName,
+        sectionData,
+        sectionKey,
+        cadences,
+        matchDetails: match,
+        searchProgression: searchProgression,
+        confidence: calculateMatchConfidence(match, searchProgression.length, sectionProgression.length)
+      }));
     });
   });
 
@@ -75,20 +235,20 @@ export const searchByProgression = (searchProgression, options = {}) => {
 
 /**
  * Finds all matches of a search progression within a section progression
- * @param {Array} searchProgression - Normalized search progression
- * @param {Array} sectionProgression - Normalized section progression  
+ * @param {Array} searchProgression - Search progression
+ * @param {Array} sectionProgression - Section progression  
  * @param {Object} options - Search options
  * @returns {Array} - Array of match objects
  */
 const findProgressionMatches = (searchProgression, sectionProgression, options = {}) => {
-  const { exactMatch, allowTransposition } = options;
-  const matches = [];
+  const { exactMatch, caseSensitive, allowTransposition, ignoreInversions, sectionKey } = options;
+  let matches = [];
 
   if (exactMatch) {
     // Find exact sequence matches
     for (let i = 0; i <= sectionProgression.length - searchProgression.length; i++) {
       const slice = sectionProgression.slice(i, i + searchProgression.length);
-      if (progressionsMatch(searchProgression, slice, { allowTransposition })) {
+      if (progressionsMatch(searchProgression, slice, { caseSensitive, allowTransposition, ignoreInversions })) {
         matches.push({
           type: 'exact',
           startIndex: i,
@@ -100,11 +260,56 @@ const findProgressionMatches = (searchProgression, sectionProgression, options =
     }
   } else {
     // Find partial matches and subsequences
-    const partialMatches = findPartialMatches(searchProgression, sectionProgression, { allowTransposition });
-    matches.push(...partialMatches);
+    matches = findPartialMatches(
+      searchProgression, 
+      sectionProgression, 
+      { caseSensitive, allowTransposition, ignoreInversions }
+    );
   }
 
-  return matches;
+  if (!allowTransposition || matches.length === 0) return matches;
+
+  // Describe transposed matches relative to the section's own key, estimating it when the data has none
+  const referenceKey = sectionKey || findKey(sectionProgression).key;
+  return matches.map(match => ({
+    ...match,
+    transposition: getTransposition(match.originalChords, match.matchedChords, referenceKey, caseSensitive, ignoreInversions)
+  }));
+};
+
+/**
+ * Finds matches by scale degree, comparing the query in its key with the section in its own
+ * @param {Array} searchProgression - Search progression
+ * @param {Array} sectionProgression - Section progression
+ * @param {Object} options - Search options (queryTonic from getDegreeTonic)
+ * @returns {Array} - Array of match objects, with the section's chords and their Nashville numbers
+ */
+const findScaleDegreeMatches = (searchProgression, sectionProgression, options = {}) => {
+  const { exactMatch, ignoreInversions, queryTonic, sectionKey } = options;
+  const referenceKey = sectionKey || findKey(sectionProgression).key;
+  const sectionTonic = getDegreeTonic(referenceKey);
+  if (sectionTonic === null) return [];
+
+  // Degree tokens compare exactly, so match them like chord names and map back to the chords
+  const searchDegrees = toScaleDegrees(searchProgression, queryTonic, ignoreInversions);
+  const sectionDegrees = toScaleDegrees(sectionProgression, sectionTonic, ignoreInversions);
+  const semitones = (queryTonic - sectionTonic + 12) % 12;
+  // Number minor sections from the relative major too, so the degrees shown are the ones compared
+  const numberingMode = getDefaultNumberingMode(referenceKey) === 'major' ? 'major' : 'minor6';
+
+  return findProgressionMatches(searchDegrees, sectionDegrees, { exactMatch, caseSensitive: true })
+    .map(match => {
+      const matchedChords = sectionProgression.slice(match.startIndex, match.endIndex + 1);
+      const searchStart = match.searchStartIndex || 0;
+
+      return {
+        ...match,
+        matchedChords,
+        originalChords: searchProgression.slice(searchStart, searchStart + matchedChords.length),
+        scaleDegrees: progressionToNashville(matchedChords, referenceKey, { mode: numberingMode }),
+        transposition: semitones ? { semitones, key: transposeKey(referenceKey, semitones) } : null
+      };
+    });
 };
 
 /**
@@ -115,32 +320,47 @@ const findProgressionMatches = (searchProgression, sectionProgression, options =
  * @returns {Array} - Partial matches
  */
 const findPartialMatches = (searchProgression, sectionProgression, options = {}) => {
-  const { allowTransposition } = options;
+  const { caseSensitive, allowTransposition, ignoreInversions } = options;
   const matches = [];
 
+  // How many chords in a row match from each pair of positions, counted back from the ends so each
+  // search chord is compared with each section chord once rather than again for every subsequence
+  const runs = searchProgression.map(() => []);
+  const getRun = (searchIndex, sectionIndex) => (searchIndex < searchProgression.length && runs[searchIndex][sectionIndex]) || 0;
+  for (let searchIndex = searchProgression.length - 1; searchIndex >= 0; searchIndex--) {
+    for (let sectionIndex = sectionProgression.length - 1; sectionIndex >= 0; sectionIndex--) {
+      if (chordsMatch(searchProgression[searchIndex], sectionProgression[sectionIndex], caseSensitive, ignoreInversions)) {
+        runs[searchIndex][sectionIndex] = getRun(searchIndex + 1, sectionIndex + 1) + 1;
+      }
+    }
+  }
+
   // Find contiguous subsequences
   for (let searchStart = 0; searchStart < searchProgression.length; searchStart++) {
     for (let searchEnd = searchStart + 1; searchEnd <= searchProgression.length; searchEnd++) {
-      const searchSubseq = searchProgression.slice(searchStart, searchEnd);
-      
+      const length = searchEnd - searchStart;
+
       // Skip single chord matches unless it's the full search
-      if (searchSubseq.length === 1 && searchProgression.length > 1) continue;
-
-      for (let sectionStart = 0; sectionStart <= sectionProgression.length - searchSubseq.length; sectionStart++) {
-        const sectionSubseq = sectionProgression.slice(sectionStart, sectionStart + searchSubseq.length);
-        
-        if (progressionsMatch(searchSubseq, sectionSubseq, { allowTransposition })) {
-          matches.push({
-            type: 'partial',
-            startIndex: sectionStart,
-            endIndex: sectionStart + searchSubseq.length - 1,
-            matchedChords: sectionSubseq,
-            originalChords: searchSubseq,
-            searchStartIndex: searchStart,
-            searchEndIndex: searchEnd - 1,
-            coverage: searchSubseq.length / searchProgression.length
-          });
-        }
+      if (length === 1 && searchProgression.length > 1) continue;
+
+      for (let sectionStart = 0; sectionStart <= sectionProgression.length - length; sectionStart++) {
+        const inRun = getRun(searchStart, sectionStart) >= length;
+        if (!inRun && !allowTransposition) continue;
+
+        const searchSubseq = searchProgression.slice(searchStart, searchEnd);
+        const sectionSubseq = sectionProgression.slice(sectionStart, sectionStart + length);
+        if (!inRun && !isTransposition(searchSubseq, sectionSubseq)) continue;
+
+        matches.push({
+          type: 'partial',
+          startIndex: sectionStart,
+          endIndex: sectionStart + length - 1,
+          matchedChords: sectionSubseq,
+          originalChords: searchSubseq,
+          searchStartIndex: searchStart,
+          searchEndIndex: searchEnd - 1,
+          coverage: length / searchProgression.length
+        });
       }
     }
   }
@@ -157,12 +377,12 @@ const findPartialMatches = (searchProgression, sectionProgression, options = {})
  * @returns {boolean} - Whether progressions match
  */
 const progressionsMatch = (prog1, prog2, options = {}) => {
-  const { allowTransposition } = options;
+  const { caseSensitive, allowTransposition, ignoreInversions } = options;
   
   if (prog1.length !== prog2.length) return false;
 
   // Direct match
-  if (prog1.every((chord, i) => chord === prog2[i])) {
+  if (prog1.every((chord, i) => chordsMatch(chord, prog2[i], caseSensitive, ignoreInversions))) {
     return true;
   }
 
@@ -186,21 +406,16 @@ const isTransposition = (prog1, prog2) => {
   // Simple implementation: check if the interval pattern is the same
   // This is a basic version - could be enhanced with more music theory
   
-  const getChordRoot = (chord) => {
-    const match = chord.match(/^([A-G][b#]?)/);
-    return match ? match[1] : chord;
-  };
-
-  const noteToSemitone = {
-    'c': 0, 'c#': 1, 'db': 1, 'd': 2, 'd#': 3, 'eb': 3, 'e': 4, 'f': 5,
-    'f#': 6, 'gb': 6, 'g': 7, 'g#': 8, 'ab': 8, 'a': 9, 'a#': 10, 'bb': 10, 'b': 11
+  const getRootSemitone = (chord) => {
+    const parsed = parseChordSymbol(chord);
+    return parsed ? parsed.rootSemitone : 0;
   };
 
   const getIntervals = (progression) => {
     const intervals = [];
     for (let i = 1; i < progression.length; i++) {
-      const prev = noteToSemitone[getChordRoot(progression[i-1]).toLowerCase()] || 0;
-      const curr = noteToSemitone[getChordRoot(progression[i]).toLowerCase()] || 0;
+      const prev = getRootSemitone(progression[i-1]);
+      const curr = getRootSemitone(progression[i]);
       intervals.push((curr - prev + 12) % 12);
     }
     return intervals;
@@ -212,6 +427,34 @@ const isTransposition = (prog1, prog2) => {
   return intervals1.every((interval, i) => interval === intervals2[i]);
 };
 
+/**
+ * Works out how far a search progression is transposed from the section it matched
+ * @param {Array} searchChords - Chords from the search
+ * @param {Array} matchedChords - Chords they matched in the section
+ * @param {string} sectionKey - Key of the matched section
+ * @param {boolean} caseSensitive - Whether chord matching is case sensitive
+ * @param {boolean} ignoreInversions - Whether "C/E" counts as "C"
+ * @returns {Object|null} - { semitones, key } where key is the section key moved to the search's pitch,
+ *   or null when the match isn't transposed
+ */
+const getTransposition = (searchChords, matchedChords, sectionKey, caseSensitive, ignoreInversions) => {
+  if (searchChords.every((chord, i) => chordsMatch(chord, matchedChords[i], caseSensitive, ignoreInversions))) {
+    return null;
+  }
+
+  const searchRoot = parseChordSymbol(searchChords[0]);
+  const matchedRoot = parseChordSymbol(matchedChords[0]);
+  if (!searchRoot || !matchedRoot) return null;
+
+  const semitones = (searchRoot.rootSemitone - matchedRoot.rootSemitone + 12) % 12;
+  if (semitones === 0) return null;
+
+  return {
+    semitones,
+    key: sectionKey ? transposeKey(sectionKey, semitones) : null
+  };
+};
+
 /**
  * Removes duplicate matches and keeps the best ones
  * @param {Array} matches - Array of match objects
@@ -242,8 +485,8 @@ const deduplicateMatches = (matches) => {
 const calculateMatchConfidence = (match, searchLength, sectionLength) => {
   let confidence = 0;
 
-  // Base confidence from coverage
-  if (match.type === 'exact') {
+  // Base confidence from coverage (bass-line, query, function and cross-section matches always follow the whole query)
+  if (['exact', 'bassLine', 'query', 'function', 'crossSection'].includes(match.type)) {
     confidence = 1.0;
   } else {
     confidence = match.coverage || 0;
@@ -277,42 +520,43 @@ export const searchByChords = (chords, options = {}) => {
   const {
     requireAll = false,  // Whether all chords must be present
     caseSensitive = false,
-    sectionFilter = null,
-    genreFilter = null,
-    decadeFilter = null
+    ignoreInversions = false
   } = options;
 
   if (!Array.isArray(chords) || chords.length === 0) {
     return [];
   }
 
-  const normalizedChords = caseSensitive 
-    ? chords 
-    : chords.map(chord => chord.toLowerCase());
-
   const results = [];
 
-  songDatabase.forEach(song => {
+  // Only songs with the chords somewhere (all of them, or at least one) can qualify
+  const index = getSearchIndex();
+  const songsByChord = toIndexTokens(chords).map(token =>
+    new Set(findCandidateSections(index, [token]).map(section => section.song))
+  );
+  const candidateSongs = requireAll
+    ? [...songsByChord[0]].filter(song => songsByChord.every(songs => songs.has(song)))
+    : [...new Set(songsByChord.flatMap(songs => [...songs]))];
+
+  candidateSongs.forEach(song => {
     // Apply filters
-    if (genreFilter && song.genre.toLowerCase() !== genreFilter.toLowerCase()) return;
-    if (decadeFilter && song.decade !== decadeFilter) return;
+    if (!songMatchesFilters(song, options)) return;
 
     const songChords = new Set();
     const matchingSections = [];
 
     Object.entries(song.sections).forEach(([sectionName, sectionData]) => {
-      if (sectionFilter && sectionName !== sectionFilter) return;
+      if (!sectionMatchesFilters(song, sectionName, sectionData, options)) return;
 
-      const sectionChords = caseSensitive 
-        ? sectionData.progression 
-        : sectionData.progression.map(chord => chord.toLowerCase());
-
-      const foundChords = normalizedChords.filter(chord => sectionChords.includes(chord));
+      const foundChords = chords.filter(chord => 
+        sectionData.progression.some(sectionChord => chordsMatch(chord, sectionChord, caseSensitive, ignoreInversions))
+      );
       
       if (foundChords.length > 0) {
         matchingSections.push({
           sectionName,
           sectionData,
+          sectionKey: getSectionKey(song, sectionName),
           matchedChords: foundChords
         });
         foundChords.forEach(chord => songChords.add(chord));
@@ -320,7 +564,7 @@ export const searchByChords = (chords, options = {}) => {
     });
 
     // Check if song meets the requirements
-    const hasAllChords = normalizedChords.every(chord => songChords.has(chord));
+    const hasAllChords = chords.every(chord => songChords.has(chord));
     const hasAnyChords = songChords.size > 0;
 
     if ((requireAll && hasAllChords) || (!requireAll && hasAnyChords)) {
@@ -328,7 +572,7 @@ export const searchByChords = (chords, options = {}) => {
         ...song,
         matchedChords: Array.from(songChords),
         matchingSections,
-        chordCoverage: songChords.size / normalizedChords.length
+        chordCoverage: songChords.size / chords.length
       });
     }
   });
@@ -337,6 +581,521 @@ export const searchByChords = (chords, options = {}) => {
   return results.sort((a, b) => b.chordCoverage - a.chordCoverage);
 };
 
+/**
+ * Gets the bass line of a progression: each chord's slash bass, or else its root
+ * Repeated bass notes are merged, so a chord held for two bars doesn't break up a walk-down
+ * @param {Array} progression - Array of chord names
+ * @returns {Array} - [{ semitone, startIndex, endIndex }], semitone is null for chords that don't parse
+ */
+const getBassLine = (progression) => {
+  const bassLine = [];
+
+  progression.forEach((chord, index) => {
+    const parsed = parseChordSymbol(chord);
+    const semitone = parsed ? (parsed.bassSemitone !== null ? parsed.bassSemitone : parsed.rootSemitone) : null;
+    const previous = bassLine[bassLine.length - 1];
+
+    if (previous && semitone !== null && previous.semitone === semitone) {
+      previous.endIndex = index;
+    } else {
+      bassLine.push({ semitone, startIndex: index, endIndex: index });
+    }
+  });
+
+  return bassLine;
+};
+
+/**
+ * Reads a bass-line query as pitch classes, merging repeated notes
+ * @param {Array} bassLine - Scale degrees ("1", "b7") or note names ("C", "Bb")
+ * @param {string} key - Key the scale degrees are counted in
+ * @returns {Array|null} - Semitones, or null if an entry can't be read
+ */
+const readBassLineQuery = (bassLine, key = null) => {
+  const semitones = bassLine.map(entry => (
+    SCALE_DEGREE_PATTERN.test(entry) ? getNoteSemitone(nashvilleToChord(entry, key)) : getNoteSemitone(entry)
+  ));
+  if (semitones.some(semitone => semitone === null)) return null;
+
+  return semitones.filter((semitone, i) => i === 0 || semitone !== semitones[i - 1]);
+};
+
+/**
+ * Finds where a section's bass line follows the query notes
+ * @param {Array} targets - Query semitones
+ * @param {Array} bassLine - Section bass line from getBassLine
+ * @param {boolean} allowTransposition - Whether the same steps starting on any note count
+ * @returns {Array} - [{ startIndex, endIndex, semitones, offset }] with chord indexes into the section
+ */
+const findBassLineMatches = (targets, bassLine, allowTransposition) => {
+  const matches = [];
+
+  for (let i = 0; i <= bassLine.length - targets.length; i++) {
+    const notes = bassLine.slice(i, i + targets.length);
+    if (notes.some(note => note.semitone === null)) continue;
+
+    const offset = allowTransposition ? (targets[0] - notes[0].semitone + 12) % 12 : 0;
+    if (notes.every((note, j) => (note.semitone + offset) % 12 === targets[j])) {
+      matches.push({
+        startIndex: notes[0].startIndex,
+        endIndex: notes[notes.length - 1].endIndex,
+        semitones: notes.map(note => note.semitone),
+        offset
+      });
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Searches for sections whose bass line follows a sequence of notes
+ * The bass of each chord is its slash bass or else its root, so "C G/B Am" walks down C-B-A
+ * @param {Array} bassLine - Scale degrees in each section's key (["1", "7", "6"]) or note names (["C", "B", "A"])
+ * @param {Object} options - Search options
+ * @returns {Array} - Array of matching songs with match details
+ */
+export const searchByBassLine = (bassLine, options = {}) => {
+  const {
+    allowTransposition = false   // Note names only: match the same steps starting on any note
+  } = options;
+
+  if (!Array.isArray(bassLine) || bassLine.length === 0) {
+    return [];
+  }
+
+  const query = bassLine.map(entry => String(entry).trim());
+  const usesDegrees = query.every(entry => SCALE_DEGREE_PATTERN.test(entry));
+
+  // Note names read the same everywhere; scale degrees are read in each section's key
+  const noteTargets = usesDegrees ? null : readBassLineQuery(query);
+  if (!usesDegrees && !noteTargets) {
+    return [];
+  }
+
+  const results = [];
+
+  songDatabase.forEach(song => {
+    if (!songMatchesFilters(song, options)) return;
+
+    Object.entries(song.sections).forEach(([sectionName, sectionData]) => {
+      if (!sectionMatchesFilters(song, sectionName, sectionData, options)) return;
+
+      const sectionProgression = sectionData.progression;
+      const sectionKey = getSectionKey(song, sectionName);
+      const referenceKey = sectionKey || findKey(sectionProgression).key;
+
+      const targets = usesDegrees ? (referenceKey && readBassLineQuery(query, referenceKey)) : noteTargets;
+      if (!targets) return;
+
+      const bassMatches = findBassLineMatches(targets, getBassLine(sectionProgression), allowTransposition && !usesDegrees);
+      if (bassMatches.length === 0) return;
+
+      const cadences = analyzeCadences(sectionProgression, sectionKey);
+      if (!passesCadenceFilter(cadences, options)) return;
+
+      bassMatches.forEach(({ startIndex, endIndex, semitones, offset }) => {
+        const match = {
+          type: 'bassLine',
+          startIndex,
+          endIndex,
+          matchedChords: sectionProgression.slice(startIndex, endIndex + 1),
+          bassNotes: semitones.map(semitone => spellNoteInKey(semitone, referenceKey)),
+          transposition: offset
+            ? { semitones: offset, key: referenceKey ? transposeKey(referenceKey, offset) : null }
+            : null
+        };
+
+        results.push({
+          ...song,
+          matchedSection: sectionName,
+          sectionData,
+          sectionKey,
+          cadences,
+          matchDetails: match,
+          searchBassLine: query,
+          confidence: calculateMatchConfidence(match, targets.length, sectionProgression.length)
+        });
+      });
+    });
+  });
+
+  return results.sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * Searches for sections matching a progression query such as "1 * 4 5" or "6m (4|2m) 5"
+ * Numbers and numerals in the query are read in each section's key (see progressionQuery)
+ * @param {string} queryText - Query text
+ * @param {Object} options - Search options
+ * @returns {Array} - Array of matching songs; matchDetails.groups lists what each group captured
+ */
+export const searchByQuery = (queryText, options = {}) => {
+  const {
+    ignoreInversions = false     // Whether "C/E" matches "C"
+  } = options;
+
+  const query = compileProgressionQuery(queryText);
+  if (!query.isValid) {
+    return [];
+  }
+
+  const results = [];
+
+  songDatabase.forEach(song => {
+    if (!songMatchesFilters(song, options)) return;
+
+    Object.entries(song.sections).forEach(([sectionName, sectionData]) => {
+      if (!sectionMatchesFilters(song, sectionName, sectionData, options)) return;
+
+      const sectionProgression = sectionData.progression;
+      const sectionKey = getSectionKey(song, sectionName);
+
+      const matches = query.match(sectionProgression, { key: sectionKey, ignoreInversions });
+      if (matches.length === 0) return;
+
+      const cadences = analyzeCadences(sectionProgression, sectionKey);
+      if (!passesCadenceFilter(cadences, options)) return;
+
+      matches.forEach(({ startIndex, endIndex, matchedChords, groups }) => {
+        const match = { type: 'query', startIndex, endIndex, matchedChords, groups };
+
+        results.push({
+          ...song,
+          matchedSection: sectionName,
+          sectionData,
+          sectionKey,
+          cadences,
+          matchDetails: match,
+          searchQuery: queryText,
+          confidence: calculateMatchConfidence(match, matchedChords.length, sectionProgression.length)
+        });
+      });
+    });
+  });
+
+  return results.sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * Searches for sections whose chords do the jobs a function query lists, such as
+ * "tonic → predominant → dominant → tonic" or "any → V/V → V" (see functionQuery)
+ * Functions are read in each section's key, or the key its chords suggest, so I-IV-V-I in G and
+ * vi-ii-V-I in Eb both answer the first query
+ * @param {string} queryText - Function query text
+ * @param {Object} options - Search options
+ * @returns {Array} - One result per matching section, for its first match; matchDetails.functions
+ *   describes each matched chord
+ */
+export const searchByFunction = (queryText, options = {}) => {
+  const query = parseFunctionQuery(queryText);
+  if (!query.isValid) {
+    return [];
+  }
+
+  const results = [];
+
+  songDatabase.forEach(song => {
+    if (!songMatchesFilters(song, options)) return;
+
+    Object.entries(song.sections).forEach(([sectionName, sectionData]) => {
+      if (!sectionMatchesFilters(song, sectionName, sectionData, options)) return;
+
+      const sectionProgression = sectionData.progression;
+      const sectionKey = getSectionKey(song, sectionName);
+      const referenceKey = sectionKey || findKey(sectionProgression).key;
+
+      const matches = matchFunctionQuery(query, sectionProgression, referenceKey);
+      if (matches.length === 0) return;
+
+      const cadences = analyzeCadences(sectionProgression, sectionKey);
+      if (!passesCadenceFilter(cadences, options)) return;
+
+      const [{ startIndex, endIndex, matchedChords, functions, numbers }] = matches;
+      const match = { type: 'function', startIndex, endIndex, matchedChords, functions, numbers, occurrences: matches.length };
+
+      results.push({
+        ...song,
+        matchedSection: sectionName,
+        sectionData,
+        sectionKey,
+        cadences,
+        matchDetails: match,
+        searchQuery: queryText,
+        confidence: calculateMatchConfidence(match, matchedChords.length, sectionProgression.length)
+      });
+    });
+  });
+
+  return results.sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * Searches for sections that resemble a progression, ranked by how closely they align with it
+ * Extra, missing and different chords all count against a section, but a functional substitute
+ * (vi for I, ii for IV) counts less than an unrelated chord
+ * @param {Array} searchProgression - Array of chord names to search for
+ * @param {Object} options - Search options
+ * @returns {Array} - Array of matching songs; matchDetails.alignment shows which chords differ
+ */
+export const searchBySimilarity = (searchProgression, options = {}) => {
+  const {
+    minScore = 0.6,              // Lowest alignment score (0-1) to return
+    ignoreInversions = false,    // Whether "C/E" counts as the same chord as "C"
+    keyIndependent = false,      // Compare scale degrees in each section's key instead of the chords as written
+    queryKey = null              // Key of the search progression for keyIndependent (estimated when omitted)
+  } = options;
+
+  if (!Array.isArray(searchProgression) || searchProgression.length === 0) {
+    return [];
+  }
+
+  const searchKey = keyIndependent ? (queryKey || findKey(searchProgression).key) : null;
+  if (keyIndependent && getDegreeTonic(searchKey) === null) {
+    return [];
+  }
+
+  const results = [];
+
+  songDatabase.forEach(song => {
+    if (!songMatchesFilters(song, options)) return;
+
+    Object.entries(song.sections).forEach(([sectionName, sectionData]) => {
+      if (!sectionMatchesFilters(song, sectionName, sectionData, options)) return;
+
+      const sectionProgression = sectionData.progression;
+      const sectionKey = getSectionKey(song, sectionName);
+      const referenceKey = sectionKey || findKey(sectionProgression).key;
+
+      const aligned = alignProgression(searchProgression, sectionProgression, {
+        sectionKey: referenceKey,
+        queryKey: searchKey,
+        ignoreInversions
+      });
+      if (!aligned || aligned.startIndex === null || aligned.score < minScore) return;
+
+      const cadences = analyzeCadences(sectionProgression, sectionKey);
+      if (!passesCadenceFilter(cadences, options)) return;
+
+      results.push({
+        ...song,
+        matchedSection: sectionName,
+        sectionData,
+        sectionKey,
+        cadences,
+        matchDetails: {
+          type: 'similar',
+          startIndex: aligned.startIndex,
+          endIndex: aligned.endIndex,
+          matchedChords: sectionProgression.slice(aligned.startIndex, aligned.endIndex + 1),
+          originalChords: searchProgression,
+          alignment: aligned.alignment,
+          cost: aligned.cost,
+          score: aligned.score
+        },
+        searchProgression,
+        confidence: aligned.score
+      });
+    });
+  });
+
+  // Rank by alignment score, then by the tighter match
+  return results.sort((a, b) => (
+    b.confidence - a.confidence ||
+    (a.matchDetails.endIndex - a.matchDetails.startIndex) - (b.matchDetails.endIndex - b.matchDetails.startIndex)
+  ));
+};
+
+/**
+ * Searches for progressions that run from one section into the next, following each song's form
+ * A turnaround that ends the verse and the first chords of the chorus can match together, which no
+ * single section contains. Matches inside one section are left to the other searches
+ * @param {Array} searchProgression - Array of chord names to search for
+ * @param {Object} options - Search options
+ * @returns {Array} - Array of matching songs; matchDetails.spans lists the part of each section matched
+ */
+export const searchAcrossSections = (searchProgression, options = {}) => {
+  const {
+    caseSensitive = false,
+    ignoreInversions = false    // Whether "C/E" matches "C"
+  } = options;
+
+  if (!Array.isArray(searchProgression) || searchProgression.length < 2) {
+    return [];
+  }
+
+  const results = [];
+
+  songDatabase.forEach(song => {
+    if (!songMatchesFilters(song, options)) return;
+
+    const performed = getPerformedChords(song);
+    // The same sections meeting again (every verse into every chorus) give one result
+    const matchesBySpans = new Map();
+
+    for (let startIndex = 0; startIndex + searchProgression.length <= performed.length; startIndex++) {
+      const endIndex = startIndex + searchProgression.length - 1;
+      if (performed[startIndex].formIndex === performed[endIndex].formIndex) continue;
+
+      const stretch = performed.slice(startIndex, endIndex + 1);
+      if (!stretch.every(({ chord }, i) => chordsMatch(searchProgression[i], chord, caseSensitive, ignoreInversions))) {
+        continue;
+      }
+
+      const spans = [];
+      stretch.forEach(({ formIndex, sectionName, chordIndex }) => {
+        const last = spans[spans.length - 1];
+        if (last && last.formIndex === formIndex) {
+          last.endIndex = chordIndex;
+        } else {
+          spans.push({ formIndex, sectionName, startIndex: chordIndex, endIndex: chordIndex });
+        }
+      });
+
+      const spansKey = spans.map(span => `${span.sectionName}:${span.startIndex}-${span.endIndex}`).join('|');
+      if (matchesBySpans.has(spansKey)) {
+        matchesBySpans.get(spansKey).occurrences++;
+      } else {
+        matchesBySpans.set(spansKey, { startIndex, endIndex, stretch, spans, occurrences: 1 });
+      }
+    }
+
+    matchesBySpans.forEach(({ startIndex, endIndex, stretch, spans, occurrences }) => {
+      const sectionName = spans[0].sectionName;
+      const sectionData = song.sections[sectionName];
+      if (!sectionMatchesFilters(song, sectionName, sectionData, options)) return;
+
+      // Shown in full: the sections the match starts and ends in, as far as they were played around it
+      const firstChord = startIndex - stretch[0].chordIndex;
+      const lastSection = song.sections[spans[spans.length - 1].sectionName].progression;
+      const lastChord = endIndex + (lastSection.length - 1 - stretch[stretch.length - 1].chordIndex);
+      const performedChords = performed.slice(firstChord, lastChord + 1).map(({ chord }) => chord);
+      const sectionKey = getSectionKey(song, sectionName);
+
+      // Cadences are read across the sections the match runs through
+      const cadences = analyzeCadences(performedChords, sectionKey);
+      if (!passesCadenceFilter(cadences, options)) return;
+
+      const match = {
+        type: 'crossSection',
+        startIndex: startIndex - firstChord,
+        endIndex: endIndex - firstChord,
+        matchedChords: stretch.map(({ chord }) => chord),
+        performedChords,
+        spans,
+        occurrences
+      };
+
+      results.push({
+        ...song,
+        matchedSection: sectionName,
+        sectionData,
+        sectionKey,
+        cadences,
+        matchDetails: match,
+        searchProgression,
+        confidence: calculateMatchConfidence(match, searchProgression.length, performedChords.length)
+      });
+    });
+  });
+
+  return results.sort((a, b) => b.confidence - a.confidence || b.matchDetails.occurrences - a.matchDetails.occurrences);
+};
+
+/**
+ * Searches for songs whose form follows a pattern, such as "verse-chorus-verse-chorus-bridge-chorus" or "AABA"
+ * Songs that match with their whole form (intro and outro aside) rank first, and songs whose form is
+ * only inferred from their section order rank below songs that list it. Section and cadence filters
+ * pass a match when any section it covers passes them
+ * @param {string} patternText - Form pattern (see parseFormPattern in songForm.js)
+ * @param {Object} options - Search options
+ * @returns {Array} - One result per matching song; matchedSection is the first section of the match
+ *   that passes the filters
+ */
+export const searchByForm = (patternText, options = {}) => {
+  const pattern = parseFormPattern(patternText);
+  if (!pattern.isValid) {
+    return [];
+  }
+
+  const results = [];
+
+  songDatabase.forEach(song => {
+    if (!songMatchesFilters(song, options)) return;
+
+    const form = getSongForm(song);
+    const matches = findFormMatches(pattern, form);
+    if (matches.length === 0) return;
+
+    // The section a match is shown by: the first it covers that passes the filters
+    const findSection = ({ startIndex, endIndex }) => {
+      for (const sectionName of form.slice(startIndex, endIndex + 1)) {
+        const sectionData = song.sections[sectionName];
+        if (!sectionMatchesFilters(song, sectionName, sectionData, options)) continue;
+
+        const sectionKey = getSectionKey(song, sectionName);
+        const cadences = analyzeCadences(sectionData.progression, sectionKey);
+        if (!passesCadenceFilter(cadences, options)) continue;
+
+        return { sectionName, sectionData, sectionKey, cadences };
+      }
+      return null;
+    };
+
+    // Whole-form matches first, then the rest in form order
+    const ordered = [...matches.filter(match => match.wholeForm), ...matches.filter(match => !match.wholeForm)];
+    let chosen = null;
+    let section = null;
+    for (const match of ordered) {
+      section = findSection(match);
+      if (section) {
+        chosen = match;
+        break;
+      }
+    }
+    if (!chosen) return;
+
+    const { startIndex, endIndex, wholeForm } = chosen;
+    const { sectionName, sectionData, sectionKey, cadences } = section;
+    const listedForm = hasListedForm(song);
+    const coverage = wholeForm ? 1 : (endIndex - startIndex + 1) / form.length;
+
+    results.push({
+      ...song,
+      matchedSection: sectionName,
+      sectionData,
+      sectionKey,
+      cadences,
+      matchDetails: {
+        type: 'form',
+        startIndex,
+        endIndex,
+        form,
+        letters: getFormLetters(form),
+        matchedForm: form.slice(startIndex, endIndex + 1),
+        wholeForm,
+        listedForm,
+        occurrences: matches.length
+      },
+      searchForm: pattern.terms,
+      confidence: coverage * (listedForm ? 1 : 0.75)
+    });
+  });
+
+  return results.sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * Adds a rarity ranking to search results (see scoreResultRanking), weighed against the whole database
+ * @param {Array} results - Search results
+ * @returns {Array} - The results, each with ranking (null when it matched no chords)
+ */
+export const rankSearchResults = (results) => {
+  const index = getSearchIndex();
+  const gramScores = new Map();
+  return results.map(result => Object.assign({}, result, { ranking: scoreResultRanking(index, result, gramScores) }));
+};
+
 /**
  * Gets suggestions for chord progressions based on partial input
  * @param {Array} partialProgression - Incomplete progression
@@ -350,40 +1109,39 @@ export const getProgressionSuggestions = (partialProgression, maxSuggestions = 1
 
   const suggestions = new Map();
 
-  songDatabase.forEach(song => {
-    Object.values(song.sections).forEach(section => {
-      const progression = section.progression.map(chord => chord.toLowerCase());
+  const candidates = findCandidateSections(getSearchIndex(), toIndexTokens(partialProgression));
+
+  candidates.forEach(({ song, sectionName, sectionData }) => {
+    const progression = sectionData.progression;
+    
+    // Find where partial progression appears
+    for (let i = 0; i <= progression.length - partialProgression.length; i++) {
+      const slice = progression.slice(i, i + partialProgression.length);
       
-      // Find where partial progression appears
-      for (let i = 0; i <= progression.length - partialProgression.length; i++) {
-        const slice = progression.slice(i, i + partialProgression.length);
-        const normalizedPartial = partialProgression.map(chord => chord.toLowerCase());
-        
-        if (slice.every((chord, idx) => chord === normalizedPartial[idx])) {
-          // Found a match, get the next chord(s)
-          if (i + partialProgression.length < progression.length) {
-            const nextChord = progression[i + partialProgression.length];
-            const suggestionKey = [...partialProgression, nextChord].join('-');
-            
-            if (!suggestions.has(suggestionKey)) {
-              suggestions.set(suggestionKey, {
-                progression: [...partialProgression, nextChord],
-                count: 0,
-                examples: []
-              });
-            }
-            
-            const suggestion = suggestions.get(suggestionKey);
-            suggestion.count++;
-            suggestion.examples.push({
-              song: song.title,
-              artist: song.artist,
-              section: Object.keys(song.sections).find(key => song.sections[key] === section)
+      if (slice.every((chord, idx) => chordsMatch(partialProgression[idx], chord))) {
+        // Found a match, get the next chord(s)
+        if (i + partialProgression.length < progression.length) {
+          const nextChord = progression[i + partialProgression.length];
+          const suggestionKey = [...partialProgression, nextChord].join('-');
+          
+          if (!suggestions.has(suggestionKey)) {
+            suggestions.set(suggestionKey, {
+              progression: [...partialProgression, nextChord],
+              count: 0,
+              examples: []
             });
           }
+          
+          const suggestion = suggestions.get(suggestionKey);
+          suggestion.count++;
+          suggestion.examples.push({
+            song: song.title,
+            artist: song.artist,
+            section: sectionName
+          });
         }
       }
-    });
+    }
   });
 
   // Convert to array and sort by frequency
@@ -393,8 +1151,17 @@ export const getProgressionSuggestions = (partialProgression, maxSuggestions = 1
 };
 
 const chordSearchUtils = {
+  prepareSearchIndex,
+  passesCadenceFilter,
   searchByProgression,
   searchByChords,
+  searchByBassLine,
+  searchByQuery,
+  searchByFunction,
+  searchBySimilarity,
+  searchAcrossSections,
+  searchByForm,
+  rankSearchResults,
   getProgressionSuggestions
 };
 
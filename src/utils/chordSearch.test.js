@@ -6,7 +6,14 @@
 import {
   searchByProgression,
   searchByChords,
-  getProgressionSuggestions
+  searchByBassLine,
+  searchByQuery,
+  searchByFunction,
+  searchBySimilarity,
+  searchAcrossSections,
+  searchByForm,
+  getProgressionSuggestions,
+  passesCadenceFilter
 } from './chordSearch.js';
 
 // Mock song database for testing
@@ -18,6 +25,7 @@ const mockSongDatabase = [
     genre: 'rock',
     decade: '90s',
     popularity: 'mainstream',
+    key: 'C',
     sections: {
       verse: {
         progression: ['C', 'Am', 'F', 'G'],
@@ -27,7 +35,8 @@ const mockSongDatabase = [
         progression: ['F', 'C', 'G', 'Am'],
         complexity: 'simple'
       }
-    }
+    },
+    form: ['verse', 'chorus', 'verse', 'chorus']
   },
   {
     songId: 'test-song-2',
@@ -36,6 +45,7 @@ const mockSongDatabase = [
     genre: 'pop',
     decade: '2000s',
     popularity: 'mainstream',
+    key: 'C',
     sections: {
       verse: {
         progression: ['Dm', 'G', 'C', 'Am'],
@@ -43,7 +53,8 @@ const mockSongDatabase = [
       },
       bridge: {
         progression: ['Am', 'F', 'C', 'G'],
-        complexity: 'simple'
+        complexity: 'simple',
+        key: 'Am'
       }
     }
   },
@@ -60,13 +71,31 @@ const mockSongDatabase = [
         complexity: 'complex'
       }
     }
+  },
+  {
+    songId: 'test-song-4',
+    title: 'Test Song 4',
+    artist: 'Test Artist 4',
+    genre: 'folk',
+    decade: '60s',
+    popularity: 'deep-cut',
+    key: 'G',
+    sections: {
+      verse: {
+        progression: ['G', 'D/F#', 'Em', 'Em', 'Cmaj7', 'D'],
+        complexity: 'intermediate'
+      }
+    }
   }
 ];
 
 // Mock the song database import
+// (getter defers the lookup until after mockSongDatabase is initialized, since jest.mock is hoisted)
 jest.mock('../data/songDatabase.js', () => ({
   __esModule: true,
-  default: mockSongDatabase
+  get default() {
+    return mockSongDatabase;
+  }
 }));
 
 describe('searchByProgression', () => {
@@ -110,6 +139,20 @@ describe('searchByProgression', () => {
     });
   });
 
+  test('filters accept several values, any of which will do, and combine across fields', () => {
+    const results = searchByProgression(['C', 'G'], {
+      genreFilter: ['pop', 'folk'],
+      sectionFilter: ['verse', 'bridge'],
+      complexityFilter: ['simple']
+    });
+    expect(results.map(r => `${r.songId}:${r.matchedSection}`)).toEqual(['test-song-2:bridge']);
+
+    expect(searchByProgression(['C', 'G'], { keyFilter: ['Am', 'G'] }).map(r => r.matchedSection)).toEqual(['bridge']);
+    expect(searchByProgression(['C', 'G'], { artistFilter: 'artist 1' }).map(r => r.matchedSection)).toEqual(['chorus']);
+    expect(searchByChords(['Cmaj7'], { popularityFilter: ['deep-cut'], complexityFilter: ['complex'] }).map(r => r.songId))
+      .toEqual(['test-song-3']);
+  });
+
   test('filters by section', () => {
     const results = searchByProgression(['C'], { 
       exactMatch: false,
@@ -195,6 +238,364 @@ describe('searchByProgression', () => {
       expect(result).toHaveProperty('sectionData');
     });
   });
+
+  test('reports the key of the matched section', () => {
+    const results = searchByProgression(['Am', 'F', 'C', 'G'], { exactMatch: true });
+
+    expect(results).toHaveLength(1);
+    expect(results[0].matchedSection).toBe('bridge');
+    expect(results[0].sectionKey).toBe('Am');
+  });
+
+  test('describes transposed matches relative to the section key', () => {
+    const results = searchByProgression(['G', 'Em', 'C', 'D'], { exactMatch: true, allowTransposition: true });
+
+    expect(results).toHaveLength(1);
+    expect(results[0].title).toBe('Test Song 1');
+    expect(results[0].matchDetails.transposition).toEqual({ semitones: 7, key: 'G' });
+  });
+
+  test('estimates the section key for transposed matches when the song has none', () => {
+    const results = searchByProgression(['D', 'Bm7', 'Em7', 'A7'], { exactMatch: true, allowTransposition: true });
+
+    expect(results).toHaveLength(1);
+    expect(results[0].title).toBe('Test Song 3');
+    expect(results[0].sectionKey).toBeNull();
+    expect(results[0].matchDetails.transposition).toEqual({ semitones: 2, key: 'D' });
+  });
+
+  test('reports the cadences of the matched section', () => {
+    const results = searchByProgression(['G', 'Am'], { exactMatch: true });
+
+    expect(results).toHaveLength(1);
+    expect(results[0].cadences.map(cadence => cadence.type)).toEqual(['plagal', 'deceptive']);
+  });
+
+  test('filters by cadence type', () => {
+    const results = searchByProgression(['C'], { cadenceFilter: ['authentic', 'plagal'] });
+    const sections = results.map(result => `${result.songId}-${result.matchedSection}`);
+
+    expect(sections.sort()).toEqual(['test-song-1-chorus', 'test-song-2-verse']);
+  });
+
+  test('filters by the cadence a section ends on', () => {
+    const deceptive = searchByProgression(['C'], { cadenceFilter: 'deceptive', cadenceAtEnd: true });
+    expect(deceptive.map(result => `${result.songId}-${result.matchedSection}`)).toEqual(['test-song-1-chorus']);
+
+    const plagal = searchByProgression(['C'], { cadenceFilter: 'plagal', cadenceAtEnd: true });
+    expect(plagal).toHaveLength(0);
+
+    const anyEnding = searchByProgression(['C'], { cadenceAtEnd: true });
+    expect(anyEnding.map(result => result.matchedSection)).not.toContain('bridge');
+  });
+});
+
+describe('passesCadenceFilter', () => {
+  // A section that has a plagal cadence and ends on a deceptive one
+  const cadences = [{ type: 'plagal', isSectionEnd: false }, { type: 'deceptive', isSectionEnd: true }];
+
+  test('passes every section without cadence filters', () => {
+    expect(passesCadenceFilter(cadences, {})).toBe(true);
+    expect(passesCadenceFilter([], { cadenceFilter: [] })).toBe(true);
+  });
+
+  test('checks the cadence types, anywhere or at the end', () => {
+    expect(passesCadenceFilter(cadences, { cadenceFilter: 'plagal' })).toBe(true);
+    expect(passesCadenceFilter(cadences, { cadenceFilter: ['authentic', 'half'] })).toBe(false);
+    expect(passesCadenceFilter(cadences, { cadenceFilter: 'plagal', cadenceAtEnd: true })).toBe(false);
+    expect(passesCadenceFilter(cadences, { cadenceFilter: 'deceptive', cadenceAtEnd: true })).toBe(true);
+    expect(passesCadenceFilter([], { cadenceAtEnd: true })).toBe(false);
+  });
+});
+
+describe('inversions', () => {
+  test('match strictly by default', () => {
+    expect(searchByProgression(['G', 'D', 'Em'], { exactMatch: true })).toHaveLength(0);
+    expect(searchByProgression(['G', 'D/F#', 'Em'], { exactMatch: true })).toHaveLength(1);
+  });
+
+  test('can be ignored so a slash chord matches its root-position chord', () => {
+    const results = searchByProgression(['G', 'D', 'Em'], { exactMatch: true, ignoreInversions: true });
+
+    expect(results).toHaveLength(1);
+    expect(results[0].title).toBe('Test Song 4');
+    expect(results[0].matchDetails.matchedChords).toEqual(['G', 'D/F#', 'Em']);
+    expect(searchByProgression(['G/B', 'D', 'Em'], { exactMatch: true, ignoreInversions: true })).toHaveLength(1);
+  });
+
+  test('can be ignored in case-sensitive and chord searches', () => {
+    expect(searchByProgression(['G', 'D', 'Em'], { exactMatch: true, caseSensitive: true, ignoreInversions: true }))
+      .toHaveLength(1);
+    expect(searchByChords(['D'], { ignoreInversions: true }).map(result => result.songId)).toEqual(['test-song-4']);
+    expect(searchByChords(['D'])).toHaveLength(1);
+  });
+});
+
+describe('key-independent search', () => {
+  test('finds the same scale degrees in any key', () => {
+    const results = searchByProgression(['G', 'Em', 'C', 'D'], { exactMatch: true, keyIndependent: true });
+
+    expect(results).toHaveLength(1);
+    expect(results[0].title).toBe('Test Song 1');
+    expect(results[0].matchDetails.matchedChords).toEqual(['C', 'Am', 'F', 'G']);
+    expect(results[0].matchDetails.scaleDegrees).toEqual(['1', '6m', '4', '5']);
+    expect(results[0].matchDetails.transposition).toEqual({ semitones: 7, key: 'G' });
+  });
+
+  test('counts minor keys from their relative major', () => {
+    const results = searchByProgression(['Bm', 'G', 'D', 'A'], { exactMatch: true, keyIndependent: true });
+
+    expect(results).toHaveLength(1);
+    expect(results[0].matchedSection).toBe('bridge');
+    expect(results[0].matchDetails.scaleDegrees).toEqual(['6m', '4', '1', '5']);
+    expect(results[0].matchDetails.transposition).toEqual({ semitones: 2, key: 'Bm' });
+  });
+
+  test('reads the query in the given key', () => {
+    const inC = searchByProgression(['F', 'C'], { keyIndependent: true, queryKey: 'C' });
+    const inF = searchByProgression(['F', 'C'], { keyIndependent: true, queryKey: 'F' });
+
+    expect(inC.map(result => result.matchDetails.matchedChords)).toContainEqual(['F', 'C']);
+    expect(inF.map(result => result.matchDetails.matchedChords)).toContainEqual(['C', 'G']);
+    expect(inF.map(result => result.matchDetails.matchedChords)).not.toContainEqual(['F', 'C']);
+  });
+
+  test('keeps qualities and inversions unless inversions are ignored', () => {
+    const strict = searchByProgression(['A', 'E', 'F#m'], { exactMatch: true, keyIndependent: true });
+    expect(strict.map(result => result.matchDetails.matchedChords)).toEqual([['C', 'G', 'Am']]);
+    expect(searchByProgression(['A', 'E7', 'F#m'], { exactMatch: true, keyIndependent: true })).toHaveLength(0);
+
+    const results = searchByProgression(['A', 'E', 'F#m'], { exactMatch: true, keyIndependent: true, ignoreInversions: true });
+    expect(results.map(result => result.matchDetails.matchedChords)).toContainEqual(['G', 'D/F#', 'Em']);
+  });
+});
+
+describe('searchByBassLine', () => {
+  test('finds a walk-down written as scale degrees in each section key', () => {
+    const results = searchByBassLine(['1', '7', '6']);
+
+    expect(results).toHaveLength(1);
+    expect(results[0].title).toBe('Test Song 4');
+    expect(results[0].matchDetails).toMatchObject({
+      type: 'bassLine',
+      startIndex: 0,
+      endIndex: 3,
+      matchedChords: ['G', 'D/F#', 'Em', 'Em'],
+      bassNotes: ['G', 'F#', 'E'],
+      transposition: null
+    });
+  });
+
+  test('merges repeated bass notes', () => {
+    const result = searchByBassLine(['6', '4']).find(match => match.songId === 'test-song-4');
+
+    expect(result.matchDetails.matchedChords).toEqual(['Em', 'Em', 'Cmaj7']);
+    expect(result.matchDetails.startIndex).toBe(2);
+    expect(result.matchDetails.endIndex).toBe(4);
+  });
+
+  test('finds note names at pitch, or at any pitch with transposition', () => {
+    expect(searchByBassLine(['G', 'F#', 'E'])).toHaveLength(1);
+    expect(searchByBassLine(['C', 'B', 'A'])).toHaveLength(0);
+
+    const transposed = searchByBassLine(['C', 'B', 'A'], { allowTransposition: true });
+    expect(transposed).toHaveLength(1);
+    expect(transposed[0].matchDetails.transposition).toEqual({ semitones: 5, key: 'C' });
+  });
+
+  test('applies song and section filters', () => {
+    expect(searchByBassLine(['1', '7', '6'], { genreFilter: 'rock' })).toHaveLength(0);
+    expect(searchByBassLine(['1', '7', '6'], { sectionFilter: 'chorus' })).toHaveLength(0);
+  });
+
+  test('returns nothing for empty or unreadable bass lines', () => {
+    expect(searchByBassLine([])).toHaveLength(0);
+    expect(searchByBassLine(null)).toHaveLength(0);
+    expect(searchByBassLine(['C', 'nope'])).toHaveLength(0);
+    expect(searchByBassLine(['1', 'B'])).toHaveLength(0);
+  });
+});
+
+describe('searchByQuery', () => {
+  test('reads numbers in each section key', () => {
+    const verse = searchByQuery('6m (4|2m) 5').find(result => result.songId === 'test-song-1');
+    expect(verse.matchDetails).toMatchObject({ type: 'query', startIndex: 1, endIndex: 3 });
+
+    // The bridge is in A minor, so its Am F reads as 1m b6
+    const minor = searchByQuery('1m b6').map(result => `${result.songId}:${result.matchedSection}`);
+    expect(minor).toEqual(['test-song-2:bridge']);
+  });
+
+  test('finds wildcard matches with their span and groups', () => {
+    const results = searchByQuery('1 * (4|2m)');
+    const verse = results.find(result => result.songId === 'test-song-1' && result.matchedSection === 'verse');
+
+    expect(verse.matchDetails).toMatchObject({
+      startIndex: 0,
+      endIndex: 2,
+      matchedChords: ['C', 'Am', 'F'],
+      groups: [{ index: 1, startIndex: 2, endIndex: 2, chords: ['F'] }]
+    });
+    expect(verse.searchQuery).toBe('1 * (4|2m)');
+  });
+
+  test('returns nothing for an invalid query', () => {
+    expect(searchByQuery('C (')).toEqual([]);
+    expect(searchByQuery('')).toEqual([]);
+  });
+});
+
+describe('searchByFunction', () => {
+  test('finds sections that realize a function chain in their own key', () => {
+    const results = searchByFunction('tonic → predominant → dominant');
+    const found = results.map(result => `${result.songId}:${result.matchedSection}`);
+
+    expect(found).toEqual(expect.arrayContaining(['test-song-1:verse', 'test-song-3:verse', 'test-song-4:verse']));
+    expect(found).toHaveLength(3);
+
+    // Em Cmaj7 D is vi IV V in G
+    const folk = results.find(result => result.songId === 'test-song-4');
+    expect(folk.matchDetails).toMatchObject({
+      type: 'function',
+      startIndex: 3,
+      endIndex: 5,
+      matchedChords: ['Em', 'Cmaj7', 'D'],
+      numbers: ['6m', '4maj7', '5']
+    });
+  });
+
+  test('reads numerals in each section key', () => {
+    const found = searchByFunction('ii V I').map(result => `${result.songId}:${result.matchedSection}`);
+    expect(found).toEqual(['test-song-2:verse']);
+  });
+
+  test('returns nothing for an invalid query', () => {
+    expect(searchByFunction('tonic → cadence')).toEqual([]);
+    expect(searchByFunction('')).toEqual([]);
+  });
+});
+
+describe('searchBySimilarity', () => {
+  test('ranks exact sections first and keeps near misses', () => {
+    const results = searchBySimilarity(['C', 'Am', 'F', 'G']);
+
+    expect(results[0]).toMatchObject({ songId: 'test-song-1', matchedSection: 'verse', confidence: 1 });
+    expect(results.map(result => result.confidence)).toEqual(
+      [...results.map(result => result.confidence)].sort((a, b) => b - a)
+    );
+
+    // Cmaj7 Am7 Dm7 G7 differs in color on every chord and puts ii in place of IV
+    const jazz = results.find(result => result.songId === 'test-song-3');
+    expect(jazz.matchDetails.alignment.map(step => step.type)).toEqual(['variant', 'variant', 'substitute', 'variant']);
+    expect(jazz.confidence).toBeCloseTo(0.69, 2);
+  });
+
+  test('returns the alignment so differing chords can be shown', () => {
+    const results = searchBySimilarity(['Dm', 'G', 'C', 'F'], { minScore: 0.8 });
+    const match = results.find(result => result.songId === 'test-song-2' && result.matchedSection === 'verse');
+
+    expect(match.matchDetails).toMatchObject({
+      type: 'similar',
+      startIndex: 0,
+      endIndex: 3,
+      matchedChords: ['Dm', 'G', 'C', 'Am']
+    });
+    expect(match.matchDetails.alignment[3]).toMatchObject({ type: 'substitute', queryChord: 'F', sectionChord: 'Am' });
+  });
+
+  test('drops sections under the minimum score', () => {
+    const results = searchBySimilarity(['C', 'Am', 'F', 'G'], { minScore: 0.95 });
+    expect(results.every(result => result.confidence >= 0.95)).toBe(true);
+    expect(searchBySimilarity(['Bb', 'Eb', 'Ab'], { minScore: 0.5 })).toEqual([]);
+  });
+
+  test('compares scale degrees with keyIndependent', () => {
+    const results = searchBySimilarity(['A', 'F#m', 'D', 'E'], { keyIndependent: true, queryKey: 'A', minScore: 1 });
+    expect(results.map(result => result.songId)).toContain('test-song-1');
+  });
+
+  test('handles empty input', () => {
+    expect(searchBySimilarity([])).toEqual([]);
+    expect(searchBySimilarity(null)).toEqual([]);
+  });
+});
+
+describe('searchAcrossSections', () => {
+  test('matches a progression that runs from one section into the next', () => {
+    const results = searchAcrossSections(['G', 'F', 'C']);
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ songId: 'test-song-1', matchedSection: 'verse' });
+    expect(results[0].matchDetails).toMatchObject({
+      type: 'crossSection',
+      startIndex: 3,
+      endIndex: 5,
+      matchedChords: ['G', 'F', 'C'],
+      performedChords: ['C', 'Am', 'F', 'G', 'F', 'C', 'G', 'Am'],
+      spans: [
+        { formIndex: 0, sectionName: 'verse', startIndex: 3, endIndex: 3 },
+        { formIndex: 1, sectionName: 'chorus', startIndex: 0, endIndex: 1 }
+      ],
+      // The verse runs into the chorus twice in the form
+      occurrences: 2
+    });
+  });
+
+  test('follows section order for songs without a form', () => {
+    const results = searchAcrossSections(['C', 'Am', 'Am', 'F']);
+    expect(results.map(result => `${result.songId}:${result.matchedSection}`)).toEqual(['test-song-2:verse']);
+  });
+
+  test('filters by the cadences of the sections the match runs through', () => {
+    expect(searchAcrossSections(['G', 'F', 'C'], { cadenceFilter: 'deceptive', cadenceAtEnd: true })).toHaveLength(1);
+    expect(searchAcrossSections(['G', 'F', 'C'], { cadenceFilter: 'authentic' })).toEqual([]);
+  });
+
+  test('leaves matches inside one section to the other searches', () => {
+    expect(searchAcrossSections(['C', 'Am', 'F'])).toEqual([]);
+    expect(searchAcrossSections(['G'])).toEqual([]);
+    expect(searchAcrossSections(null)).toEqual([]);
+  });
+});
+
+describe('searchByForm', () => {
+  test('finds songs by section names', () => {
+    const results = searchByForm('verse-chorus-verse-chorus');
+
+    expect(results.map(result => result.songId)).toEqual(['test-song-1']);
+    expect(results[0].matchDetails).toMatchObject({ type: 'form', startIndex: 0, endIndex: 3, wholeForm: true, listedForm: true });
+    expect(results[0].confidence).toBe(1);
+  });
+
+  test('finds songs by letters, ranking whole and listed forms first', () => {
+    expect(searchByForm('ABAB').map(result => result.songId)).toEqual(['test-song-1']);
+
+    const results = searchByForm('AB');
+    expect(results.map(result => result.songId)).toEqual(['test-song-2', 'test-song-1']);
+    expect(results[0]).toMatchObject({ confidence: 0.75, matchDetails: { wholeForm: true, listedForm: false } });
+    expect(results[1]).toMatchObject({ confidence: 0.5, matchDetails: { occurrences: 3, letters: ['A', 'B', 'A', 'B'] } });
+  });
+
+  test('shows a match by the first section it covers that passes the section filters', () => {
+    const chorus = searchByForm('verse chorus', { sectionFilter: 'chorus' });
+    expect(chorus.map(result => `${result.songId}:${result.matchedSection}`)).toEqual(['test-song-1:chorus']);
+    expect(chorus[0].sectionData.progression).toEqual(['F', 'C', 'G', 'Am']);
+
+    expect(searchByForm('verse chorus', { sectionFilter: 'bridge' })).toEqual([]);
+  });
+
+  test('filters by the cadences of the sections a match covers', () => {
+    const deceptive = searchByForm('verse chorus', { cadenceFilter: 'deceptive', cadenceAtEnd: true });
+    expect(deceptive.map(result => `${result.songId}:${result.matchedSection}`)).toEqual(['test-song-1:chorus']);
+    expect(deceptive[0].cadences.map(cadence => cadence.type)).toEqual(['plagal', 'deceptive']);
+
+    expect(searchByForm('verse chorus', { cadenceFilter: 'authentic' })).toEqual([]);
+  });
+
+  test('returns nothing for an invalid pattern', () => {
+    expect(searchByForm('verse-refrain')).toEqual([]);
+    expect(searchByForm('')).toEqual([]);
+  });
 });
 
 describe('searchByChords', () => {
@@ -367,6 +768,36 @@ describe('getProgressionSuggestions', () => {
   });
 });
 
+describe('search index', () => {
+  test('finds songs added to the database after the first search', () => {
+    expect(searchByProgression(['Eb', 'Bb', 'Cm'], { exactMatch: true })).toHaveLength(0);
+
+    mockSongDatabase.push({
+      songId: 'test-song-added',
+      title: 'Added Song',
+      artist: 'Test Artist 5',
+      genre: 'rock',
+      decade: '80s',
+      popularity: 'mainstream',
+      key: 'Eb',
+      sections: {
+        chorus: { progression: ['Eb', 'Bb', 'Cm', 'Ab'], complexity: 'simple' }
+      }
+    });
+
+    try {
+      expect(searchByProgression(['Eb', 'Bb', 'Cm'], { exactMatch: true }).map(result => result.songId))
+        .toEqual(['test-song-added']);
+      expect(searchByChords(['Ab']).map(result => result.songId)).toEqual(['test-song-added']);
+      expect(getProgressionSuggestions(['Bb', 'Cm'])[0].progression).toEqual(['Bb', 'Cm', 'Ab']);
+    } finally {
+      mockSongDatabase.pop();
+    }
+
+    expect(searchByProgression(['Eb', 'Bb', 'Cm'], { exactMatch: true })).toHaveLength(0);
+  });
+});
+
 describe('Edge Cases and Error Handling', () => {
   test('handles malformed progression inputs', () => {
     expect(() => searchByProgression([''])).not.toThrow();
@@ -4,22 +4,23 @@
  */
 
 import { chordToNashville, nashvilleToChord } from './nashvilleNumbers';
+import { analyzeHarmonicFunctions, analyzeCadences } from './harmonicAnalysis';
 
 /**
  * Common chord substitution patterns based on music theory
  */
 const SUBSTITUTION_RULES = {
   // Major chord substitutions
-  '1': ['vi', '3', 'vi/3'], // I can go to vi, iii
+  '1': ['6m', '3m', '6m/3'], // I can go to vi, iii
   '2': ['4', '7dim'], // ii can go to IV, vii°
   '2m': ['4', '7dim'], // ii can go to IV, vii°
-  '3': ['1', 'vi'], // iii can go to I, vi
-  '3m': ['1', 'vi'], // iii can go to I, vi
-  '4': ['2m', '6', '1'], // IV can go to ii, vi, I
-  '5': ['7dim', '3', '2m/5'], // V can go to vii°, iii, ii/V
+  '3': ['1', '6m'], // iii can go to I, vi
+  '3m': ['1', '6m'], // iii can go to I, vi
+  '4': ['2m', '6m', '1'], // IV can go to ii, vi, I
+  '5': ['7dim', '3m', '2m/5'], // V can go to vii°, iii, ii/V
   '6': ['4', '1'], // vi can go to IV, I
   '6m': ['4', '1'], // vi can go to IV, I
-  '7dim': ['5', '3'], // vii° can go to V, iii
+  '7dim': ['5', '3m'], // vii° can go to V, iii
 
   // Extended chord substitutions
   '17': ['1'], // I7 can resolve to I
@@ -37,6 +38,20 @@ const SUBSTITUTION_RULES = {
   'bIII': ['6m', '4'], // bIII (modal) can go to vim, IV
 };
 
+/**
+ * Checks whether two Nashville numbers can stand in for each other, in either direction
+ * @param {string} number1 - Nashville number (e.g. "1", "6m", "7°")
+ * @param {string} number2 - Nashville number
+ * @returns {boolean} - Whether SUBSTITUTION_RULES lists one as a substitute for the other
+ */
+export const areSubstitutes = (number1, number2) => {
+  // The rules write diminished chords as "dim" rather than the Nashville "°"
+  const rule1 = String(number1).replace('°', 'dim');
+  const rule2 = String(number2).replace('°', 'dim');
+
+  return (SUBSTITUTION_RULES[rule1] || []).includes(rule2) || (SUBSTITUTION_RULES[rule2] || []).includes(rule1);
+};
+
 /**
  * Common progression variation patterns
  */
@@ -163,27 +178,29 @@ const getChromaticApproach = (currentNashville, targetNashville) => {
   return chromaticMap[targetNashville]?.[0];
 };
 
+// Dominant seventh that resolves to each diatonic chord ("1/4" would read as a slash bass)
+const SECONDARY_DOMINANTS = {
+  '2m': '67', // V/ii
+  '3m': '77', // V/iii
+  '4': '17',  // V/IV
+  '5': '27',  // V/V
+  '6m': '37', // V/vi
+};
+
 /**
  * Get secondary dominant suggestions
  */
 const getSecondaryDominant = (nashvilleNumber) => {
-  const secondaryDominants = {
-    '2m': '6/2', // V/ii
-    '3m': '7/3', // V/iii
-    '4': '1/4',  // V/IV
-    '5': '2/5',  // V/V
-    '6m': '3/6', // V/vi
-  };
-  
-  return secondaryDominants[nashvilleNumber];
+  return SECONDARY_DOMINANTS[nashvilleNumber];
 };
 
 /**
  * Determine the type of substitution
  */
 const getSubstitutionType = (original, substitution) => {
+  if (substitution === SECONDARY_DOMINANTS[original]) return 'secondary';
   if (substitution.includes('7')) return 'extended';
-  if (substitution.includes('/')) return 'secondary';
+  if (substitution.includes('/')) return 'inversion';
   if (substitution.includes('b') || substitution.includes('#')) return 'chromatic';
   if (substitution.includes('dim')) return 'diminished';
   return 'diatonic';
@@ -199,6 +216,7 @@ const getSubstitutionDescription = (original, substitution) => {
     'secondary': 'Secondary dominant - creates forward motion',
     'chromatic': 'Chromatic approach - smooth voice leading',
     'diminished': 'Diminished chord - creates tension and movement',
+    'inversion': 'Inversion - a different bass note under the same chord',
   };
   
   const type = getSubstitutionType(original, substitution);
@@ -314,7 +332,7 @@ const addInversions = (nashvilleProgression) => {
       const nextChord = nashvilleProgression[index + 1];
       // Add simple bass movement
       if (chord === '1' && nextChord === '6m') {
-        return '1'; // Could be 1/3 for smoother bass
+        return '1/3'; // Third in the bass steps up to the 6
       }
     }
     return chord;
@@ -360,10 +378,10 @@ const addJazzHarmony = (nashvilleProgression) => {
     if (index < nashvilleProgression.length - 1) {
       const nextChord = nashvilleProgression[index + 1];
       if (nextChord === '2m') {
-        return '6/2'; // V/ii
+        return SECONDARY_DOMINANTS['2m'];
       }
       if (nextChord === '6m') {
-        return '3/6'; // V/vi
+        return SECONDARY_DOMINANTS['6m'];
       }
     }
     return chord;
@@ -400,7 +418,9 @@ export const analyzeProgression = (progression, key) => {
     complexity: determineComplexity(nashvilleProgression),
     commonPatterns: findCommonPatterns(nashvilleProgression),
     suggestions: [],
-    quality: scoreProgression(nashvilleProgression)
+    quality: scoreProgression(nashvilleProgression),
+    harmonicFunctions: analyzeHarmonicFunctions(progression, key),
+    cadences: analyzeCadences(progression, key)
   };
 
   // Generate suggestions based on analysis
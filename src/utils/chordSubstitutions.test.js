@@ -225,6 +225,23 @@ describe('analyzeProgression', () => {
     expect(analysis.quality).toBeLessThanOrEqual(100);
   });
 
+  test('labels the harmonic function of each chord', () => {
+    const progression = ['C', 'E', 'Am', 'Bb'];
+    const analysis = analyzeProgression(progression, 'C');
+
+    expect(analysis.harmonicFunctions.map(result => result.label)).toEqual(['I', 'V/vi', 'vi', 'bVII']);
+    expect(analysis.harmonicFunctions.map(result => result.type)).toEqual([
+      'diatonic', 'secondary-dominant', 'diatonic', 'borrowed'
+    ]);
+  });
+
+  test('finds the cadences in the progression', () => {
+    const analysis = analyzeProgression(['C', 'G', 'Am', 'F', 'G', 'C'], 'C');
+
+    expect(analysis.cadences.map(cadence => cadence.type)).toEqual(['deceptive', 'authentic']);
+    expect(analysis.cadences[1]).toMatchObject({ startIndex: 4, isSectionEnd: true });
+  });
+
   test('determines complexity correctly', () => {
     // Simple progression (no 7ths, extensions, etc.)
     const simpleProgression = ['C', 'Am', 'F', 'G'];
@@ -3,13 +3,18 @@
  * Provides consistent chord handling for search and analysis
  */
 
+import { parseChordSymbol } from './chordModel.js';
+import { findKey } from './keyFinding.js';
+import { spellNoteInKey, getConventionalKeyName, transposeKey } from './noteSpelling.js';
+
 // Mapping of note names to semitone values (C = 0)
 const NOTE_TO_SEMITONE = {
   'c': 0, 'c#': 1, 'db': 1, 'd': 2, 'd#': 3, 'eb': 3, 'e': 4, 'f': 5,
   'f#': 6, 'gb': 6, 'g': 7, 'g#': 8, 'ab': 8, 'a': 9, 'a#': 10, 'bb': 10, 'b': 11
 };
 
-// Reverse mapping for semitone to note names (prefer sharps by default)
+// Reverse mapping for semitone to note names, used for normalized comparison
+// (prefer sharps; chords shown to users are spelled for their key by noteSpelling)
 const SEMITONE_TO_NOTE = [
   'C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'
 ];
@@ -93,48 +98,18 @@ const CHORD_QUALITIES = {
  * @returns {Object} - Parsed chord object or null if invalid
  */
 export const parseChord = (chordString) => {
-  if (!chordString || typeof chordString !== 'string') {
-    return null;
-  }
-
-  const chord = chordString.trim();
-  if (chord.length === 0) {
-    return null;
-  }
-
-  // Handle slash chords (e.g., "C/E", "Am/C")
-  const slashIndex = chord.lastIndexOf('/');
-  let bassNote = null;
-  let mainChord = chord;
-
-  if (slashIndex > 0 && slashIndex < chord.length - 1) {
-    bassNote = chord.substring(slashIndex + 1);
-    mainChord = chord.substring(0, slashIndex);
-  }
-
-  // Parse the main chord
-  const chordMatch = mainChord.match(/^([A-G][b#]?)(.*)$/i);
-  if (!chordMatch) {
+  const chord = parseChordSymbol(chordString);
+  if (!chord) {
     return null;
   }
 
-  const [, root, qualityString] = chordMatch;
-  const normalizedRoot = normalizeNote(root);
-  const quality = normalizeChordQuality(qualityString);
-
-  if (!normalizedRoot) {
-    return null;
-  }
-
-  const result = {
+  return {
     original: chordString,
-    root: normalizedRoot,
-    quality: quality || 'maj',
-    bass: bassNote ? normalizeNote(bassNote) : null,
-    isSlashChord: bassNote !== null
+    root: SEMITONE_TO_NOTE[chord.rootSemitone],
+    quality: normalizeChordQuality(chord.suffix),
+    bass: chord.bass ? SEMITONE_TO_NOTE[chord.bassSemitone] : null,
+    isSlashChord: chord.bass !== null
   };
-
-  return result;
 };
 
 /**
@@ -217,29 +192,31 @@ export const normalizeChordProgression = (chords) => {
 
 /**
  * Transposes a chord to a different key
+ * The result is spelled for the transposed key, so moving C-major chords up to F gives "Bb", not "A#"
  * @param {string} chordString - Chord to transpose
  * @param {number} semitones - Number of semitones to transpose (positive = up, negative = down)
+ * @param {Object} options - Options
+ * @param {string} options.key - Key the chord is in before transposing (the chord is spelled as its own key when omitted)
  * @returns {string} - Transposed chord or null if invalid
  */
-export const transposeChord = (chordString, semitones) => {
+export const transposeChord = (chordString, semitones, options = {}) => {
   const parsed = parseChord(chordString);
   if (!parsed) return null;
 
-  const transposeNote = (note) => {
-    const originalSemitone = NOTE_TO_SEMITONE[note.toLowerCase()];
-    const newSemitone = (originalSemitone + semitones + 12) % 12;
-    return SEMITONE_TO_NOTE[newSemitone];
-  };
+  const transposeNote = (note) => (NOTE_TO_SEMITONE[note.toLowerCase()] + semitones % 12 + 12) % 12;
 
   const newRoot = transposeNote(parsed.root);
-  const newBass = parsed.bass ? transposeNote(parsed.bass) : null;
+  const { intervals } = parseChordSymbol(chordString);
+  const targetKey = options.key
+    ? transposeKey(options.key, semitones)
+    : getConventionalKeyName(newRoot, intervals.includes(3) && !intervals.includes(4));
 
-  let result = newRoot;
+  let result = spellNoteInKey(newRoot, targetKey);
   if (parsed.quality !== 'maj') {
     result += parsed.quality;
   }
-  if (newBass) {
-    result += '/' + newBass;
+  if (parsed.bass) {
+    result += '/' + spellNoteInKey(transposeNote(parsed.bass), targetKey);
   }
 
   return result;
@@ -249,13 +226,16 @@ export const transposeChord = (chordString, semitones) => {
  * Transposes an entire chord progression
  * @param {Array} chords - Array of chord strings
  * @param {number} semitones - Number of semitones to transpose
+ * @param {Object} options - Options
+ * @param {string} options.key - Key of the progression (found from the chords when omitted)
  * @returns {Array} - Transposed chord progression
  */
-export const transposeProgression = (chords, semitones) => {
+export const transposeProgression = (chords, semitones, options = {}) => {
   if (!Array.isArray(chords)) return [];
-  
+
+  const key = options.key || findKey(chords).key;
   return chords
-    .map(chord => transposeChord(chord, semitones))
+    .map(chord => transposeChord(chord, semitones, { key }))
     .filter(chord => chord !== null);
 };
 
@@ -314,80 +294,20 @@ export const getEnharmonicEquivalents = (chordString) => {
 /**
  * Analyzes the key signature of a chord progression
  * @param {Array} chords - Array of chord strings
+ * @param {Object} options - Analysis options
+ * @param {number} options.maxResults - Number of candidate keys to return (default 5)
  * @returns {Object} - Key analysis with likely keys and confidence scores
  */
-export const analyzeKey = (chords) => {
-  if (!Array.isArray(chords) || chords.length === 0) {
-    return { likelyKeys: [], confidence: 0 };
-  }
-
-  const normalizedChords = normalizeChordProgression(chords);
-  const keyScores = {};
-
-  // For each possible key, calculate how well the chords fit
-  for (let i = 0; i < 12; i++) {
-    const keyNote = SEMITONE_TO_NOTE[i];
-    const majorScore = calculateKeyFit(normalizedChords, keyNote, 'major');
-    const minorScore = calculateKeyFit(normalizedChords, keyNote, 'minor');
-    
-    keyScores[keyNote] = majorScore;
-    keyScores[keyNote + 'm'] = minorScore;
-  }
-
-  // Sort by score and return top candidates
-  const sortedKeys = Object.entries(keyScores)
-    .sort(([,a], [,b]) => b - a)
-    .slice(0, 5)
-    .map(([key, score]) => ({ key, confidence: score }));
+export const analyzeKey = (chords, options = {}) => {
+  const { maxResults = 5 } = options;
+  const { confidence, candidates } = findKey(chords, { maxCandidates: maxResults });
 
   return {
-    likelyKeys: sortedKeys,
-    confidence: sortedKeys.length > 0 ? sortedKeys[0].confidence : 0
+    likelyKeys: candidates.map(({ key, confidence }) => ({ key, confidence })),
+    confidence
   };
 };
 
-/**
- * Calculates how well a chord progression fits a given key
- * @param {Array} chords - Normalized chord progression
- * @param {string} keyNote - Root note of the key
- * @param {string} mode - 'major' or 'minor'
- * @returns {number} - Fit score (0-1)
- */
-const calculateKeyFit = (chords, keyNote, mode) => {
-  const keyRoot = NOTE_TO_SEMITONE[keyNote.toLowerCase()];
-  let score = 0;
-  let totalWeight = 0;
-
-  // Define scale degrees and their weights for scoring
-  const majorScaleDegrees = [0, 2, 4, 5, 7, 9, 11]; // Major scale intervals
-  const minorScaleDegrees = [0, 2, 3, 5, 7, 8, 10]; // Natural minor scale intervals
-  const scaleDegrees = mode === 'major' ? majorScaleDegrees : minorScaleDegrees;
-
-  chords.forEach((chord, index) => {
-    const parsed = parseChord(chord);
-    if (!parsed) return;
-
-    const chordRoot = NOTE_TO_SEMITONE[parsed.root.toLowerCase()];
-    const interval = (chordRoot - keyRoot + 12) % 12;
-    
-    // Weight: first and last chords are more important
-    const weight = (index === 0 || index === chords.length - 1) ? 2 : 1;
-    totalWeight += weight;
-
-    // Check if chord root is in the key
-    if (scaleDegrees.includes(interval)) {
-      score += weight;
-      
-      // Bonus for tonic chords
-      if (interval === 0) {
-        score += weight * 0.5;
-      }
-    }
-  });
-
-  return totalWeight > 0 ? Math.min(1, score / totalWeight) : 0;
-};
-
 /**
  * Parses user input for chord progressions with flexible formatting
  * @param {string} input - User input string
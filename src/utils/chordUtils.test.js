@@ -198,13 +198,13 @@ describe('transposeChord', () => {
   });
 
   test('transposes chord down by semitones', () => {
-    expect(transposeChord('C', -2)).toBe('A#');
+    expect(transposeChord('C', -2)).toBe('Bb');
     expect(transposeChord('G', -7)).toBe('C');
   });
 
   test('handles wrapping around octave', () => {
     expect(transposeChord('C', 12)).toBe('C'); // Full octave
-    expect(transposeChord('C', 13)).toBe('C#'); // Octave + 1
+    expect(transposeChord('C', 13)).toBe('Db'); // Octave + 1
     expect(transposeChord('C', -1)).toBe('B');
   });
 
@@ -215,7 +215,16 @@ describe('transposeChord', () => {
 
   test('transposes slash chords', () => {
     expect(transposeChord('C/E', 2)).toBe('D/F#');
-    expect(transposeChord('Am/C', 3)).toBe('Cm/D#');
+    expect(transposeChord('Am/C', 3)).toBe('Cm/Eb');
+  });
+
+  test('spells the result for the transposed key', () => {
+    expect(transposeChord('F', 5, { key: 'C' })).toBe('Bb');
+    expect(transposeChord('Bdim', 7, { key: 'C' })).toBe('F#dim');
+    expect(transposeChord('Bdim', 6, { key: 'C' })).toBe('E#dim');
+    expect(transposeChord('Bdim', 8, { key: 'C' })).toBe('Gdim');
+    expect(transposeChord('G/B', 1, { key: 'C' })).toBe('Ab/C');
+    expect(transposeChord('Em', 1, { key: 'Am' })).toBe('Fm');
   });
 
   test('returns null for invalid input', () => {
@@ -231,6 +240,12 @@ describe('transposeProgression', () => {
     expect(result).toEqual(['D', 'Bm', 'G', 'A']);
   });
 
+  test('spells the progression in the new key', () => {
+    expect(transposeProgression(['C', 'G', 'Am', 'F'], 5)).toEqual(['F', 'C', 'Dm', 'Bb']);
+    expect(transposeProgression(['C', 'G', 'Am', 'F'], 6)).toEqual(['F#', 'C#', 'D#m', 'B']);
+    expect(transposeProgression(['G', 'D', 'Em', 'C'], 3, { key: 'G' })).toEqual(['Bb', 'F', 'Gm', 'Eb']);
+  });
+
   test('filters out invalid chords after transposition', () => {
     const input = ['C', 'invalid', 'Am'];
     const result = transposeProgression(input, 2);
@@ -0,0 +1,302 @@
+/**
+ * Drum machine
+ * A synthesized drum and metronome track for the playback transport. Each style is a one-bar pattern
+ * per meter, written as a step grid per instrument ("X" accented hit, "x" hit, "." rest; spaces only
+ * group the steps of each beat). The drum voice plays the steps of a beat when the transport passes it,
+ * and clicks through the count-in bar whatever the style
+ */
+
+import { playChord } from './audioSynthesis';
+import { getBeatsPerBar } from './rhythm';
+
+// Patterns per style, keyed by beats per bar; subdivision is the number of steps per beat
+const DRUM_STYLES = {
+  metronome: {
+    label: 'Metronome',
+    description: 'A click on every beat, accented on beat one',
+    patterns: {}
+  },
+  rock: {
+    label: 'Rock',
+    description: 'Straight eighths with the snare on the backbeat',
+    patterns: {
+      2: { subdivision: 2, tracks: { kick: 'X. ..', snare: '.. x.', hihat: 'Xx xx' } },
+      3: { subdivision: 2, tracks: { kick: 'X. .. ..', snare: '.. x. x.', hihat: 'Xx xx xx' } },
+      4: { subdivision: 2, tracks: { kick: 'X. .. xx ..', snare: '.. x. .. x.', hihat: 'Xx xx xx xx' } }
+    }
+  },
+  ballad: {
+    label: 'Ballad',
+    description: 'Soft cross-stick backbeat; a waltz in 3/4 and a rolling 6/8',
+    patterns: {
+      3: { subdivision: 2, tracks: { kick: 'X. .. ..', rim: '.. x. x.', hihat: 'X. x. x.' } },
+      4: { subdivision: 2, tracks: { kick: 'X. .. x. .x', rim: '.. x. .. x.', hihat: 'Xx xx xx xx' } },
+      6: { subdivision: 1, tracks: { kick: 'X.....', snare: '...x..', hihat: 'Xxxxxx' } },
+      12: { subdivision: 1, tracks: { kick: 'X.....x.....', snare: '...x.....x..', hihat: 'Xxxxxxxxxxxx' } }
+    }
+  },
+  shuffle: {
+    label: 'Shuffle',
+    description: 'Swung triplet feel with a backbeat',
+    patterns: {
+      4: { subdivision: 3, tracks: { kick: 'X.. ... x.. ...', snare: '... x.. ... x..', hihat: 'X.x x.x x.x x.x' } },
+      12: { subdivision: 1, tracks: { kick: 'X.....x.....', snare: '...x.....x..', hihat: 'X.xx.xx.xx.x' } }
+    }
+  },
+  bossa: {
+    label: 'Bossa nova',
+    description: 'Sixteenth-note bossa with a cross-stick clave',
+    patterns: {
+      2: { subdivision: 4, tracks: { kick: 'X..x x..x', rim: 'x..x ..x.', hihat: 'x.x. x.x.' } },
+      4: { subdivision: 4, tracks: { kick: 'X..x x..x x..x x..x', rim: 'x..x ..x. ..x. x...', hihat: 'x.x. x.x. x.x. x.x.' } }
+    }
+  },
+  reggae: {
+    label: 'Reggae',
+    description: 'One drop on beat three, with the skank chopping the chord on the offbeats',
+    patterns: {
+      4: { subdivision: 2, tracks: { kick: '.. .. X. ..', rim: '.. .. X. ..', hihat: 'Xx xx xx xx', skank: '.x .x .x .x' } }
+    }
+  }
+};
+
+// Style each genre plays with in 4/4; genres not listed get the metronome
+const GENRE_STYLES = {
+  rock: 'rock',
+  pop: 'rock',
+  alternative: 'rock',
+  grunge: 'rock',
+  punk: 'rock',
+  metal: 'rock',
+  indie: 'rock',
+  funk: 'rock',
+  disco: 'rock',
+  electronic: 'rock',
+  'hip-hop': 'rock',
+  blues: 'shuffle',
+  jazz: 'bossa',
+  reggae: 'reggae',
+  country: 'ballad',
+  folk: 'ballad',
+  soul: 'ballad',
+  'r&b': 'ballad'
+};
+
+// How loud hits are against an accented one
+const HIT_LEVEL = 0.6;
+
+// Seconds the skank's chord stab lasts
+const SKANK_LENGTH = 0.12;
+
+/**
+ * Gets the drum styles the drum voice can play
+ * @returns {Array} - Styles: { id, label, description }
+ */
+export const getDrumStyles = () => {
+  return Object.entries(DRUM_STYLES).map(([id, { label, description }]) => ({ id, label, description }));
+};
+
+/**
+ * Checks whether a style is one the drum voice plays
+ * @param {string} style - Style id
+ * @returns {boolean} - Whether it's a drum style
+ */
+export const isDrumStyle = (style) => {
+  return Object.prototype.hasOwnProperty.call(DRUM_STYLES, style);
+};
+
+/**
+ * Chooses a drum style for a song's genre and time signature
+ * A style without a pattern for the meter gives way to the ballad, which covers 3/4, 6/8 and 12/8,
+ * and then to the metronome
+ * @param {string} genre - Song genre
+ * @param {string} timeSignature - Time signature
+ * @returns {string} - Style id
+ */
+export const chooseDrumStyle = (genre, timeSignature) => {
+  const beatsPerBar = getBeatsPerBar(timeSignature);
+  const style = GENRE_STYLES[genre] || 'metronome';
+
+  if (style === 'metronome' || DRUM_STYLES[style].patterns[beatsPerBar]) return style;
+  if (DRUM_STYLES.ballad.patterns[beatsPerBar]) return 'ballad';
+  return 'metronome';
+};
+
+/**
+ * Gets the one-bar pattern a style plays in a meter; the metronome, or a style without a pattern
+ * for the meter, clicks each beat
+ * @param {string} style - Style id
+ * @param {string} timeSignature - Time signature
+ * @returns {Object} - { subdivision, tracks: { instrument: steps } }, steps without the spaces
+ */
+export const getDrumPattern = (style, timeSignature) => {
+  const beatsPerBar = getBeatsPerBar(timeSignature);
+  const pattern = DRUM_STYLES[style]?.patterns[beatsPerBar];
+  if (!pattern) {
+    return { subdivision: 1, tracks: { click: `X${'x'.repeat(beatsPerBar - 1)}` } };
+  }
+
+  const tracks = {};
+  Object.entries(pattern.tracks).forEach(([instrument, steps]) => {
+    tracks[instrument] = steps.replace(/\s/g, '');
+  });
+  return { subdivision: pattern.subdivision, tracks };
+};
+
+/**
+ * Gets the hits a style plays in one beat of the bar
+ * @param {string} style - Style id
+ * @param {string} timeSignature - Time signature
+ * @param {number} barBeat - Beat within the bar, from 0
+ * @returns {Array} - Hits: { instrument, offset, accent }, offset in beats from the start of the beat
+ */
+export const getDrumHits = (style, timeSignature, barBeat) => {
+  const { subdivision, tracks } = getDrumPattern(style, timeSignature);
+  const firstStep = Math.floor(barBeat) * subdivision;
+  const hits = [];
+
+  Object.entries(tracks).forEach(([instrument, steps]) => {
+    for (let step = 0; step < subdivision; step++) {
+      const mark = steps[firstStep + step];
+      if (mark === 'x' || mark === 'X') {
+        hits.push({ instrument, offset: step / subdivision, accent: mark === 'X' });
+      }
+    }
+  });
+  return hits;
+};
+
+// One second of white noise per audio context, shared by the snare and hi-hat
+const noiseBuffers = new WeakMap();
+
+const getNoiseBuffer = (audioContext) => {
+  if (!noiseBuffers.has(audioContext)) {
+    const length = audioContext.sampleRate;
+    const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    noiseBuffers.set(audioContext, buffer);
+  }
+  return noiseBuffers.get(audioContext);
+};
+
+// Gain that falls away from a peak, connected to the speakers
+const createDecay = (audioContext, peak, time, length) => {
+  const gain = audioContext.createGain();
+  gain.gain.setValueAtTime(Math.max(peak, 0.0001), time);
+  gain.gain.exponentialRampToValueAtTime(0.0001, time + length);
+  gain.connect(audioContext.destination);
+  return gain;
+};
+
+// A burst of filtered noise
+const playNoise = (audioContext, time, level, length, filterType, frequency) => {
+  const source = audioContext.createBufferSource();
+  source.buffer = getNoiseBuffer(audioContext);
+  const filter = audioContext.createBiquadFilter();
+  filter.type = filterType;
+  filter.frequency.setValueAtTime(frequency, time);
+  const gain = createDecay(audioContext, level, time, length);
+
+  source.connect(filter);
+  filter.connect(gain);
+  source.start(time);
+  source.stop(time + length);
+  return [source, filter, gain];
+};
+
+// A pitched blip, optionally sweeping down
+const playTone = (audioContext, time, level, length, waveType, frequency, endFrequency = frequency) => {
+  const oscillator = audioContext.createOscillator();
+  oscillator.type = waveType;
+  oscillator.frequency.setValueAtTime(frequency, time);
+  if (endFrequency !== frequency) {
+    oscillator.frequency.exponentialRampToValueAtTime(endFrequency, time + length);
+  }
+  const gain = createDecay(audioContext, level, time, length);
+
+  oscillator.connect(gain);
+  oscillator.start(time);
+  oscillator.stop(time + length);
+  return [oscillator, gain];
+};
+
+/**
+ * Plays one drum hit
+ * @param {AudioContext} audioContext - Web Audio API context
+ * @param {string} instrument - 'kick', 'snare', 'hihat', 'rim' or 'click'
+ * @param {number} time - Audio time of the hit
+ * @param {number} volume - Volume of an accented hit (0-1)
+ * @param {boolean} accent - Whether the hit is accented
+ * @returns {Array<AudioNode>} - Nodes created
+ */
+export const playDrum = (audioContext, instrument, time, volume = 0.5, accent = false) => {
+  const level = volume * (accent ? 1 : HIT_LEVEL);
+
+  switch (instrument) {
+    case 'kick':
+      return playTone(audioContext, time, level, 0.3, 'sine', 150, 45);
+    case 'snare':
+      return [
+        ...playNoise(audioContext, time, level * 0.8, 0.15, 'highpass', 1200),
+        ...playTone(audioContext, time, level * 0.5, 0.08, 'triangle', 190)
+      ];
+    case 'hihat':
+      return playNoise(audioContext, time, level * 0.4, 0.05, 'highpass', 7000);
+    case 'rim':
+      return playTone(audioContext, time, level * 0.6, 0.04, 'square', 850);
+    case 'click':
+      return playTone(audioContext, time, level * 0.6, 0.05, 'square', accent ? 1500 : 1000);
+    default:
+      return [];
+  }
+};
+
+/**
+ * Voice that plays the drum track under the chords (see createTransport)
+ * Reads soundOptions.drums: { style, volume }, where a style of 'off' plays only the count-in
+ * @param {AudioContext} audioContext - Web Audio API context
+ * @param {Object} event - Transport event; beats carry barBeat, timeSignature, duration and chord
+ * @param {Object} soundOptions - Options from setSoundOptions
+ * @returns {Array<AudioNode>} - Nodes created
+ */
+export const drumVoice = (audioContext, event, soundOptions = {}) => {
+  if (event.type !== 'beat') return [];
+  const { style = 'off', volume = 0.5 } = soundOptions.drums || {};
+
+  if (event.countIn) {
+    return playDrum(audioContext, 'click', event.time, volume, event.barBeat === 0);
+  }
+  if (!isDrumStyle(style)) return [];
+
+  return getDrumHits(style, event.timeSignature, event.barBeat).flatMap(({ instrument, offset, accent }) => {
+    const time = event.time + offset * event.duration;
+    if (instrument === 'skank') {
+      if (!event.chord) return [];
+      return playChord(audioContext, event.chord, SKANK_LENGTH, time, {
+        ...soundOptions,
+        volume: (soundOptions.volume ?? 0.2) * (accent ? 1 : HIT_LEVEL),
+        waveType: 'square',
+        attackTime: 0.005,
+        decayTime: 0.05,
+        releaseTime: 0.05,
+        filterFrequency: 2000
+      });
+    }
+    return playDrum(audioContext, instrument, time, volume, accent);
+  });
+};
+
+const drumMachine = {
+  getDrumStyles,
+  isDrumStyle,
+  chooseDrumStyle,
+  getDrumPattern,
+  getDrumHits,
+  playDrum,
+  drumVoice
+};
+
+export default drumMachine;
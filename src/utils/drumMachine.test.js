@@ -0,0 +1,68 @@
+/**
+ * Unit tests for the drum machine's styles, patterns and drum voice
+ */
+
+import { getDrumStyles, chooseDrumStyle, getDrumPattern, getDrumHits, drumVoice } from './drumMachine.js';
+import { createFakeAudioContext } from '../testUtils/fakeAudioContext.js';
+
+describe('chooseDrumStyle', () => {
+  test('picks a style for the genre', () => {
+    expect(chooseDrumStyle('rock', '4/4')).toBe('rock');
+    expect(chooseDrumStyle('blues', '4/4')).toBe('shuffle');
+    expect(chooseDrumStyle('jazz', '4/4')).toBe('bossa');
+    expect(chooseDrumStyle('reggae', '4/4')).toBe('reggae');
+    expect(chooseDrumStyle('classical', '4/4')).toBe('metronome');
+    expect(chooseDrumStyle(null, '4/4')).toBe('metronome');
+  });
+
+  test('gives way to a style that has the meter', () => {
+    expect(chooseDrumStyle('pop', '3/4')).toBe('rock');
+    expect(chooseDrumStyle('reggae', '6/8')).toBe('ballad');
+    expect(chooseDrumStyle('blues', '12/8')).toBe('shuffle');
+    expect(chooseDrumStyle('rock', '5/4')).toBe('metronome');
+  });
+});
+
+describe('patterns', () => {
+  test('has a one-bar pattern for every style and meter it lists', () => {
+    getDrumStyles().forEach(({ id }) => {
+      [2, 3, 4, 6, 12].forEach(beats => {
+        const { subdivision, tracks } = getDrumPattern(id, `${beats}/${beats >= 6 ? 8 : 4}`);
+        Object.values(tracks).forEach(steps => expect(steps).toHaveLength(beats * subdivision));
+      });
+    });
+  });
+
+  test('clicks every beat for the metronome, accenting beat one', () => {
+    expect(getDrumPattern('metronome', '3/4')).toEqual({ subdivision: 1, tracks: { click: 'Xxx' } });
+    expect(getDrumHits('metronome', '3/4', 0)).toEqual([{ instrument: 'click', offset: 0, accent: true }]);
+    expect(getDrumHits('metronome', '3/4', 2)).toEqual([{ instrument: 'click', offset: 0, accent: false }]);
+  });
+
+  test('places hits within the beat', () => {
+    const hits = getDrumHits('shuffle', '4/4', 1);
+    expect(hits).toContainEqual({ instrument: 'snare', offset: 0, accent: false });
+    expect(hits.filter(({ instrument }) => instrument === 'hihat').map(({ offset }) => offset)).toEqual([0, 2 / 3]);
+    expect(getDrumHits('reggae', '4/4', 0).find(({ instrument }) => instrument === 'skank').offset).toBe(0.5);
+  });
+});
+
+describe('drumVoice', () => {
+  const beat = { type: 'beat', beat: 0, barBeat: 0, timeSignature: '4/4', chord: 'C', time: 1, duration: 0.5, countIn: false };
+
+  test('plays the style hits at their times', () => {
+    const audioContext = createFakeAudioContext();
+    const nodes = drumVoice(audioContext, beat, { drums: { style: 'rock', volume: 0.5 } });
+
+    expect(nodes.length).toBeGreaterThan(0);
+    const starts = nodes.filter(node => node.start.mock.calls.length > 0).map(node => node.start.mock.calls[0][0]);
+    expect(starts).toEqual(expect.arrayContaining([1, 1.25]));
+  });
+
+  test('plays nothing with the drums off, but clicks the count-in', () => {
+    const audioContext = createFakeAudioContext();
+    expect(drumVoice(audioContext, beat, { drums: { style: 'off' } })).toEqual([]);
+    expect(drumVoice(audioContext, { ...beat, countIn: true }, { drums: { style: 'off' } }).length).toBeGreaterThan(0);
+    expect(drumVoice(audioContext, { type: 'chord' }, { drums: { style: 'rock' } })).toEqual([]);
+  });
+});
@@ -4,16 +4,258 @@
  */
 
 import { songDatabase } from '../data/songDatabase.js';
+import { analyzeCadences, filterCadences } from './harmonicAnalysis.js';
+import { getSectionKey } from './sectionKeys.js';
+import { parseChordSymbol, getChordIdentity } from './chordModel.js';
+import { getConventionalKeyName } from './noteSpelling.js';
+
+// What an unset filter allows, shared since filters are checked for every search result
+const NO_VALUES = Object.freeze([]);
+
+/**
+ * Lists the values a filter allows
+ * @param {string|Array|null} filter - One value, several values, or nothing
+ * @returns {Array} - Allowed values; empty when the filter allows anything
+ */
+const getFilterValues = (filter) => {
+  if (filter === undefined || filter === null || filter === '') return NO_VALUES;
+  if (!Array.isArray(filter)) return [filter];
+  return filter.filter(value => value !== '' && value !== null);
+};
+
+/**
+ * Checks a value against a filter that allows any of several values
+ * @param {string} value - Value to check
+ * @param {string|Array|null} filter - Allowed value or values (any one will do); empty allows anything
+ * @param {boolean} ignoreCase - Whether to compare case-insensitively
+ * @returns {boolean} - Whether the value passes
+ */
+export const matchesFilterValue = (value, filter, ignoreCase = false) => {
+  const allowed = getFilterValues(filter);
+  if (allowed.length === 0) return true;
+  if (value === undefined || value === null) return false;
+
+  if (!ignoreCase) return allowed.includes(value);
+  const text = String(value).toLowerCase();
+  return allowed.some(option => String(option).toLowerCase() === text);
+};
+
+/**
+ * Checks a number against a range
+ * @param {number} value - Value to check
+ * @param {Object|null} range - { min, max }, either end optional; null allows anything
+ * @returns {boolean} - Whether the value is in the range (a missing value never is)
+ */
+export const matchesRange = (value, range) => {
+  if (!range) return true;
+
+  const { min = null, max = null } = range;
+  if (min === null && max === null) return true;
+  if (typeof value !== 'number' || Number.isNaN(value)) return false;
+  return (min === null || value >= min) && (max === null || value <= max);
+};
+
+/**
+ * Gets what a key is compared by, so "Bb" and "A#" or "Am" and "Amin" are the same key
+ * @param {string} key - Key
+ * @returns {string} - Chord identity of the key, or the key in lower case when it doesn't parse
+ */
+const getKeyIdentity = (key) => getChordIdentity(key) || key.toLowerCase();
+
+// Key names by key as written, since results are counted by key on every search and the database
+// only uses a few dozen keys
+const keyNames = new Map();
+
+/**
+ * Gets the name a key is listed and counted under, one for every spelling of the same major or minor key
+ * @param {string} key - Key
+ * @returns {string|null} - Conventional name of the key ("Bb" for "A#", "Am" for "Amin"), or the key
+ *   as written when it isn't a plain major or minor key
+ */
+const getKeyName = (key) => {
+  if (!key) return null;
+
+  if (!keyNames.has(key)) {
+    const parsed = parseChordSymbol(key);
+    const isPlainKey = parsed && parsed.bassSemitone === null && ['', 'm'].includes(parsed.suffix);
+    keyNames.set(key, isPlainKey ? getConventionalKeyName(parsed.rootSemitone, parsed.suffix === 'm') : key);
+  }
+  return keyNames.get(key);
+};
+
+/**
+ * Checks a key against key filters, so "Bb" finds songs in A# and "am" finds Am
+ * @param {string} key - Key to check
+ * @param {string|Array|null} filter - Allowed key or keys
+ * @returns {boolean} - Whether the key passes
+ */
+const matchesKey = (key, filter) => {
+  const allowed = getFilterValues(filter);
+  if (allowed.length === 0) return true;
+  if (!key) return false;
+
+  const identity = getKeyIdentity(key);
+  return allowed.some(option => getKeyIdentity(option) === identity);
+};
+
+/**
+ * Checks an artist against artist filters, any part of the name matching
+ * @param {string} artist - Artist name
+ * @param {string|Array|null} filter - Name or names to look for
+ * @returns {boolean} - Whether the artist passes
+ */
+const matchesArtist = (artist, filter) => {
+  const allowed = getFilterValues(filter);
+  if (allowed.length === 0) return true;
+  if (!artist) return false;
+
+  return allowed.some(name => artist.toLowerCase().includes(name.toLowerCase()));
+};
+
+/**
+ * Applies the song-level search filters
+ * Each filter takes one value or an array of values (any one will do); a song has to pass every filter
+ * @param {Object} song - Song object
+ * @param {Object} filters - Search options: genreFilter, decadeFilter, popularityFilter, artistFilter,
+ *   tempoFilter and yearFilter (ranges as { min, max })
+ * @returns {boolean} - Whether the song passes
+ */
+export const songMatchesFilters = (song, filters = {}) => {
+  const {
+    genreFilter = null,
+    decadeFilter = null,
+    popularityFilter = null,
+    artistFilter = null,
+    tempoFilter = null,
+    yearFilter = null
+  } = filters;
+
+  return matchesFilterValue(song.genre, genreFilter, true) &&
+    matchesFilterValue(song.decade, decadeFilter) &&
+    matchesFilterValue(song.popularity, popularityFilter) &&
+    matchesArtist(song.artist, artistFilter) &&
+    matchesRange(song.tempo, tempoFilter) &&
+    matchesRange(song.year, yearFilter);
+};
+
+/**
+ * Applies the section-level search filters
+ * @param {Object} song - Song the section belongs to
+ * @param {string} sectionName - Section name
+ * @param {Object} sectionData - Section data
+ * @param {Object} filters - Search options: sectionFilter, complexityFilter and keyFilter (the section's own key)
+ * @returns {boolean} - Whether the section passes
+ */
+export const sectionMatchesFilters = (song, sectionName, sectionData, filters = {}) => {
+  const { sectionFilter = null, complexityFilter = null, keyFilter = null } = filters;
+
+  return matchesFilterValue(sectionName, sectionFilter) &&
+    matchesFilterValue(sectionData.complexity, complexityFilter) &&
+    matchesKey(getSectionKey(song, sectionName), keyFilter);
+};
+
+/**
+ * Applies every search filter to a search result
+ * @param {Object} result - Search result (a song with matchedSection and sectionData)
+ * @param {Object} filters - Search options
+ * @returns {boolean} - Whether the result passes
+ */
+export const resultMatchesFilters = (result, filters = {}) => {
+  return songMatchesFilters(result, filters) &&
+    sectionMatchesFilters(result, result.matchedSection, result.sectionData, filters);
+};
+
+// Filters the filter panel shows counts for: the search option each one sets, a result's value for it,
+// and how the value is checked (as in songMatchesFilters and sectionMatchesFilters). Keys are counted
+// under one name however they are spelled, as key filters match every spelling
+const COUNTED_FILTERS = {
+  genres: { option: 'genreFilter', getValue: result => result.genre, matches: (value, filter) => matchesFilterValue(value, filter, true) },
+  decades: { option: 'decadeFilter', getValue: result => result.decade, matches: matchesFilterValue },
+  popularities: { option: 'popularityFilter', getValue: result => result.popularity, matches: matchesFilterValue },
+  sections: { option: 'sectionFilter', getValue: result => result.matchedSection, matches: matchesFilterValue },
+  complexities: { option: 'complexityFilter', getValue: result => result.sectionData.complexity, matches: matchesFilterValue },
+  keys: { option: 'keyFilter', getValue: result => getKeyName(getSectionKey(result, result.matchedSection)), matches: matchesKey }
+};
+
+// Search options that narrow results without being counted
+const UNCOUNTED_FILTERS = ['artistFilter', 'tempoFilter', 'yearFilter'];
+
+/**
+ * Lists the search options that filter results by song or section details (not by chords)
+ * @returns {Array} - Option names, such as 'genreFilter'
+ */
+export const getFilterOptionNames = () => {
+  return [...Object.values(COUNTED_FILTERS).map(({ option }) => option), ...UNCOUNTED_FILTERS];
+};
+
+/**
+ * Counts the songs each filter value would leave, for unfiltered search results
+ * Each filter's counts apply all the other filters but not itself, so picking another value in
+ * the same filter (which widens the results) shows how many songs it would add
+ * @param {Array} results - Search results before filtering (songs with matchedSection and sectionData)
+ * @param {Object} filters - Search options currently applied
+ * @returns {Object} - { genres, decades, popularities, sections, complexities, keys }, each mapping
+ *   a value to its number of songs
+ */
+export const getFilterCounts = (results, filters = {}) => {
+  const uncountedFilters = Object.fromEntries(UNCOUNTED_FILTERS.map(option => [option, filters[option]]));
+  const checkUncounted = UNCOUNTED_FILTERS.some(option => filters[option]);
+  const countedFilters = Object.entries(COUNTED_FILTERS).map(([name, { option, getValue, matches }]) => ({
+    name,
+    getValue,
+    // Filters left unset pass every value without being checked
+    check: getFilterValues(filters[option]).length > 0 ? value => matches(value, filters[option]) : null,
+    songsByValue: new Map()
+  }));
+  const values = new Array(countedFilters.length);
+
+  results.forEach(result => {
+    if (checkUncounted && !songMatchesFilters(result, uncountedFilters)) return;
+
+    // Each value is read and checked once: a result counts for a filter when it passes all the others
+    let failed = -1;
+    for (let i = 0; i < countedFilters.length; i++) {
+      const { getValue, check } = countedFilters[i];
+      values[i] = getValue(result);
+      if (!check || check(values[i])) continue;
+      if (failed >= 0) return;
+      failed = i;
+    }
+
+    for (let i = 0; i < countedFilters.length; i++) {
+      const value = values[i];
+      if (value === undefined || value === null || (failed >= 0 && failed !== i)) continue;
+
+      const { songsByValue } = countedFilters[i];
+      if (songsByValue.has(value)) {
+        songsByValue.get(value).add(result.songId);
+      } else {
+        songsByValue.set(value, new Set([result.songId]));
+      }
+    }
+  });
+
+  return Object.fromEntries(countedFilters.map(({ name, songsByValue }) => (
+    [name, Object.fromEntries([...songsByValue].map(([value, songIds]) => [value, songIds.size]))]
+  )));
+};
 
 /**
  * Filter songs by multiple criteria without requiring a chord progression search
+ * Every criterion takes one value or an array of values, any one of which will do
  * @param {Array} database - The song database to search
  * @param {Object} filters - Filter criteria
- * @param {string} filters.genre - Genre filter
- * @param {string} filters.decade - Decade filter  
- * @param {string} filters.complexity - Complexity level filter
- * @param {string} filters.section - Section type filter
- * @param {string} filters.popularity - Popularity level filter
+ * @param {string|Array} filters.genre - Genre filter
+ * @param {string|Array} filters.decade - Decade filter  
+ * @param {string|Array} filters.complexity - Complexity level filter
+ * @param {string|Array} filters.section - Section type filter
+ * @param {string|Array} filters.popularity - Popularity level filter
+ * @param {string|Array} filters.key - Key filter (each section's own key)
+ * @param {string|Array} filters.artist - Artist filter (part of the name will do)
+ * @param {Object} filters.tempo - Tempo range in BPM, { min, max }
+ * @param {Object} filters.year - Release year range, { min, max }
+ * @param {string|Array} filters.cadence - Cadence type (or types) the section must contain
+ * @param {boolean} filters.cadenceAtEnd - Only count the cadence the section ends on
  * @returns {Array} Array of filtered songs
  */
 export const searchByFilters = (database = songDatabase, filters = {}) => {
@@ -22,26 +264,45 @@ export const searchByFilters = (database = songDatabase, filters = {}) => {
     decade,
     complexity,
     section,
-    popularity
+    popularity,
+    key,
+    artist,
+    tempo,
+    year,
+    cadence,
+    cadenceAtEnd = false
   } = filters;
 
   if (!Array.isArray(database)) {
     return [];
   }
 
+  const searchFilters = {
+    genreFilter: genre,
+    decadeFilter: decade,
+    popularityFilter: popularity,
+    artistFilter: artist,
+    tempoFilter: tempo,
+    yearFilter: year,
+    sectionFilter: section,
+    complexityFilter: complexity,
+    keyFilter: key
+  };
+  const filterByCadence = Boolean(cadenceAtEnd || getFilterValues(cadence).length > 0);
   const results = [];
 
   database.forEach(song => {
     // Apply song-level filters
-    if (genre && song.genre.toLowerCase() !== genre.toLowerCase()) return;
-    if (decade && song.decade !== decade) return;
-    if (popularity && song.popularity !== popularity) return;
+    if (!songMatchesFilters(song, searchFilters)) return;
 
     // Check if any section matches the criteria
     const matchingSections = Object.entries(song.sections).filter(([sectionName, sectionData]) => {
       // Apply section-level filters
-      if (section && sectionName !== section) return false;
-      if (complexity && sectionData.complexity !== complexity) return false;
+      if (!sectionMatchesFilters(song, sectionName, sectionData, searchFilters)) return false;
+      if (filterByCadence) {
+        const cadences = analyzeCadences(sectionData.progression, getSectionKey(song, sectionName));
+        if (filterCadences(cadences, cadence, cadenceAtEnd).length === 0) return false;
+      }
       return true;
     });
 
@@ -53,6 +314,7 @@ export const searchByFilters = (database = songDatabase, filters = {}) => {
           ...song,
           matchedSection: sectionName,
           sectionData,
+          sectionKey: getSectionKey(song, sectionName),
           matchType: 'filter',
           score: 1.0 // Perfect match for filter criteria
         });
@@ -65,6 +327,7 @@ export const searchByFilters = (database = songDatabase, filters = {}) => {
 
 /**
  * Get available filter values from the database
+ * Keys are listed once each, under the name getFilterCounts counts them by
  * @param {Array} database - The song database to analyze
  * @returns {Object} Object containing arrays of available filter values
  */
@@ -74,15 +337,19 @@ export const getAvailableFilters = (database = songDatabase) => {
   const complexities = new Set();
   const sections = new Set();
   const popularities = new Set();
+  const keys = new Set();
+  const artists = new Set();
 
   database.forEach(song => {
     genres.add(song.genre);
     decades.add(song.decade);
     popularities.add(song.popularity);
+    artists.add(song.artist);
 
     Object.entries(song.sections).forEach(([sectionName, sectionData]) => {
       sections.add(sectionName);
       complexities.add(sectionData.complexity);
+      keys.add(getKeyName(getSectionKey(song, sectionName)));
     });
   });
 
@@ -91,7 +358,9 @@ export const getAvailableFilters = (database = songDatabase) => {
     decades: Array.from(decades).sort(),
     complexities: Array.from(complexities).sort(),
     sections: Array.from(sections).sort(),
-    popularities: Array.from(popularities).sort()
+    popularities: Array.from(popularities).sort(),
+    keys: Array.from(keys).filter(Boolean).sort(),
+    artists: Array.from(artists).filter(Boolean).sort()
   };
 };
 
@@ -105,8 +374,17 @@ export const countFilteredSongs = (database = songDatabase, filters = {}) => {
   return searchByFilters(database, filters).length;
 };
 
-export default {
+const filtering = {
+  matchesFilterValue,
+  matchesRange,
+  songMatchesFilters,
+  sectionMatchesFilters,
+  resultMatchesFilters,
+  getFilterOptionNames,
+  getFilterCounts,
   searchByFilters,
   getAvailableFilters,
   countFilteredSongs
-};
\ No newline at end of file
+};
+
+export default filtering;
@@ -0,0 +1,130 @@
+/**
+ * Tests for song filtering and filter counts
+ */
+
+import {
+  matchesFilterValue,
+  matchesRange,
+  songMatchesFilters,
+  sectionMatchesFilters,
+  getFilterCounts,
+  searchByFilters,
+  getAvailableFilters
+} from './filtering';
+
+const database = [
+  {
+    songId: 'filter-song-1',
+    artist: 'The Beatles',
+    genre: 'rock',
+    decade: '60s',
+    year: 1965,
+    tempo: 96,
+    popularity: 'mainstream',
+    key: 'G',
+    sections: {
+      verse: { progression: ['G', 'C', 'D', 'G'], complexity: 'simple' },
+      bridge: { progression: ['Em', 'A', 'D'], complexity: 'intermediate', key: 'D' }
+    }
+  },
+  {
+    songId: 'filter-song-2',
+    artist: 'Miles Davis',
+    genre: 'Jazz',
+    decade: '50s',
+    year: 1959,
+    tempo: 136,
+    popularity: 'deep-cut',
+    key: 'Bb',
+    sections: {
+      verse: { progression: ['Cm7', 'F7', 'Bbmaj7'], complexity: 'complex' }
+    }
+  },
+  {
+    songId: 'filter-song-3',
+    artist: 'Beatles Tribute Band',
+    genre: 'pop',
+    decade: '90s',
+    year: 1994,
+    popularity: 'deep-cut',
+    key: 'A#',
+    sections: {
+      chorus: { progression: ['A#', 'F', 'Gm', 'D#'], complexity: 'simple' }
+    }
+  }
+];
+
+const describeResults = (results) => results.map(result => `${result.songId}:${result.matchedSection}`);
+
+describe('Filtering', () => {
+  test('matchesFilterValue allows any of several values, and anything when empty', () => {
+    expect(matchesFilterValue('rock', ['pop', 'rock'])).toBe(true);
+    expect(matchesFilterValue('rock', 'pop')).toBe(false);
+    expect(matchesFilterValue('Jazz', ['jazz'], true)).toBe(true);
+    expect(matchesFilterValue('rock', [])).toBe(true);
+    expect(matchesFilterValue('rock', null)).toBe(true);
+    expect(matchesFilterValue(undefined, ['rock'])).toBe(false);
+  });
+
+  test('matchesRange checks either end of a range', () => {
+    expect(matchesRange(96, { min: 90, max: 100 })).toBe(true);
+    expect(matchesRange(136, { min: 90, max: 100 })).toBe(false);
+    expect(matchesRange(136, { min: 120 })).toBe(true);
+    expect(matchesRange(96, { max: 90 })).toBe(false);
+    expect(matchesRange(undefined, { min: 90 })).toBe(false);
+    expect(matchesRange(undefined, { min: null, max: null })).toBe(true);
+    expect(matchesRange(undefined, null)).toBe(true);
+  });
+
+  test('songMatchesFilters and sectionMatchesFilters combine fields', () => {
+    const [beatles, miles] = database;
+
+    expect(songMatchesFilters(beatles, { genreFilter: ['rock', 'pop'], decadeFilter: '60s', tempoFilter: { max: 100 } })).toBe(true);
+    expect(songMatchesFilters(beatles, { genreFilter: ['rock'], decadeFilter: ['50s'] })).toBe(false);
+    expect(songMatchesFilters(miles, { yearFilter: { min: 1950, max: 1959 }, artistFilter: ['davis'] })).toBe(true);
+    expect(songMatchesFilters(miles, { artistFilter: ['beatles'] })).toBe(false);
+
+    expect(sectionMatchesFilters(beatles, 'bridge', beatles.sections.bridge, { keyFilter: 'D' })).toBe(true);
+    expect(sectionMatchesFilters(beatles, 'verse', beatles.sections.verse, { keyFilter: 'D' })).toBe(false);
+    expect(sectionMatchesFilters(beatles, 'verse', beatles.sections.verse, { sectionFilter: ['verse', 'chorus'] })).toBe(true);
+  });
+
+  test('searchByFilters accepts arrays and ranges for every field', () => {
+    expect(describeResults(searchByFilters(database, { genre: ['jazz', 'pop'] })))
+      .toEqual(['filter-song-2:verse', 'filter-song-3:chorus']);
+    expect(describeResults(searchByFilters(database, { complexity: ['simple'], popularity: 'mainstream' })))
+      .toEqual(['filter-song-1:verse']);
+    expect(describeResults(searchByFilters(database, { tempo: { min: 100 } }))).toEqual(['filter-song-2:verse']);
+    expect(describeResults(searchByFilters(database, { year: { min: 1960, max: 1999 }, artist: 'beatles' })))
+      .toEqual(['filter-song-1:verse', 'filter-song-1:bridge', 'filter-song-3:chorus']);
+  });
+
+  test('key filters compare keys however they are spelled', () => {
+    expect(describeResults(searchByFilters(database, { key: ['Bb'] })))
+      .toEqual(['filter-song-2:verse', 'filter-song-3:chorus']);
+    expect(describeResults(searchByFilters(database, { key: 'd' }))).toEqual(['filter-song-1:bridge']);
+  });
+
+  test('getFilterCounts counts songs per value, leaving out each field\'s own filter', () => {
+    const results = searchByFilters(database);
+    const counts = getFilterCounts(results, { genreFilter: ['rock'], popularityFilter: ['deep-cut'] });
+
+    // Genre counts ignore the genre filter but apply the popularity one, and vice versa
+    expect(counts.genres).toEqual({ Jazz: 1, pop: 1 });
+    expect(counts.popularities).toEqual({ mainstream: 1 });
+    expect(counts.sections).toEqual({});
+
+    const unfiltered = getFilterCounts(results);
+    expect(unfiltered.sections).toEqual({ verse: 2, bridge: 1, chorus: 1 });
+    // Bb and A# are the same key, counted once under its usual name
+    expect(unfiltered.keys).toEqual({ G: 1, D: 1, Bb: 2 });
+    expect(getFilterCounts(results, { keyFilter: ['A#'] }).genres).toEqual({ Jazz: 1, pop: 1 });
+  });
+
+  test('getAvailableFilters lists keys and artists', () => {
+    const available = getAvailableFilters(database);
+
+    expect(available.keys).toEqual(['Bb', 'D', 'G']);
+    expect(available.artists).toEqual(['Beatles Tribute Band', 'Miles Davis', 'The Beatles']);
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Harmonic function queries
+ * Reads searches such as "tonic → predominant → dominant → tonic" or "any → V/V → V" and finds the
+ * stretches of a progression whose chords do those jobs in its key, so I-IV-V-I, I-ii-V-I and
+ * vi-ii-V-I all answer the first one
+ *
+ * Terms, one chord each, separated by spaces, commas, dashes or arrows:
+ *   tonic, T                     I, iii or vi (i, III or VI in minor)
+ *   predominant, PD, S, SD       ii or IV, or a borrowed iv, bVI, bII or ii°
+ *   dominant, D                  V, vii° or a tritone substitute resolving to I
+ *   any, any chord, *            any chord
+ *   I, ii, V7, bVII, vii°        a Roman numeral, read in the key of the progression
+ *   V/V, V7/ii, vii°/vi          a secondary dominant or leading-tone chord of a scale degree
+ */
+
+import { parseChordSymbol } from './chordModel.js';
+import { romanToChord, progressionToNashville } from './nashvilleNumbers.js';
+import { analyzeHarmonicFunctions } from './harmonicAnalysis.js';
+
+// Words for each function, lowercased
+const FUNCTION_NAMES = {
+  tonic: 'tonic',
+  t: 'tonic',
+  predominant: 'predominant',
+  pd: 'predominant',
+  subdominant: 'predominant',
+  s: 'predominant',
+  sd: 'predominant',
+  dominant: 'dominant',
+  d: 'dominant'
+};
+
+const WILDCARDS = ['any', '*'];
+
+// Borrowed chords that lead to the dominant like ii and IV do: bII, ii°, iv and bVI (semitones above the tonic)
+const BORROWED_PREDOMINANTS = [1, 2, 5, 8];
+
+const NUMERAL_PATTERN = /^[b#]?(VII|VI|V|IV|III|II|I|vii|vi|v|iv|iii|ii|i)/;
+const SECONDARY_PATTERN = /^(V7?|vii(?:°|ø)?7?)\/(.+)$/;
+
+/**
+ * Splits query text into terms
+ * @param {string} text - Query text
+ * @returns {Array} - Term strings
+ */
+const splitTerms = (text) => {
+  return text
+    .replace(/any\s+chord/gi, 'any')
+    .replace(/pre-dominant/gi, 'predominant')
+    // "o" is easier to type than "°" ("viio/V")
+    .replace(/(vii)o/g, '$1°')
+    .split(/(?:->|[\s,→–—-])+/)
+    .filter(term => term.length > 0);
+};
+
+/**
+ * Reads a single term
+ * @param {string} text - Term text
+ * @returns {Object|null} - { type: 'function' | 'any' | 'numeral' | 'secondary', ... }, or null if unreadable
+ */
+const readTerm = (text) => {
+  const lower = text.toLowerCase();
+  if (FUNCTION_NAMES[lower]) {
+    return { type: 'function', text: FUNCTION_NAMES[lower], function: FUNCTION_NAMES[lower] };
+  }
+  if (WILDCARDS.includes(lower)) {
+    return { type: 'any', text: 'any' };
+  }
+
+  const secondary = text.match(SECONDARY_PATTERN);
+  if (secondary) {
+    const [, head, target] = secondary;
+    if (!NUMERAL_PATTERN.test(target) || !romanToChord(target, 'C')) return null;
+    return { type: 'secondary', text, leadingTone: head.startsWith('vii'), target };
+  }
+
+  if (NUMERAL_PATTERN.test(text) && romanToChord(text, 'C')) {
+    return { type: 'numeral', text };
+  }
+  return null;
+};
+
+/**
+ * Reads a function query
+ * @param {string} text - Query text
+ * @returns {Object} - { isValid, errors, terms }
+ */
+export const parseFunctionQuery = (text) => {
+  const termTexts = typeof text === 'string' ? splitTerms(text.trim()) : [];
+  if (termTexts.length === 0) {
+    return { isValid: false, errors: ['Function query is empty'], terms: [] };
+  }
+
+  const errors = [];
+  const terms = termTexts.map(termText => {
+    const term = readTerm(termText);
+    if (!term) {
+      errors.push(`Unknown function or numeral: ${termText}`);
+    }
+    return term;
+  });
+
+  return { isValid: errors.length === 0, errors, terms: errors.length === 0 ? terms : [] };
+};
+
+/**
+ * Classifies the third of a chord, so numerals can match by case (V is major, v minor)
+ * @param {Object} parsed - Parsed chord model
+ * @returns {string|null} - 'major', 'minor', or null for chords without a third (sus, power chords)
+ */
+const getThird = (parsed) => {
+  if (parsed.intervals.includes(4)) return 'major';
+  if (parsed.intervals.includes(3)) return 'minor';
+  return null;
+};
+
+/**
+ * Checks whether a chord is built on the same root, with the same third, as another
+ * @param {Object} parsed - Parsed chord from the progression
+ * @param {string} termChord - Chord a numeral spells in the key
+ * @returns {boolean} - Whether the chord realizes the numeral
+ */
+const matchesNumeralChord = (parsed, termChord) => {
+  const term = parseChordSymbol(termChord);
+  if (!term || term.rootSemitone !== parsed.rootSemitone) return false;
+
+  const third = getThird(parsed);
+  return third === null || third === getThird(term);
+};
+
+/**
+ * Checks whether an analyzed chord does what a term asks for
+ * @param {Object} term - Term from parseFunctionQuery
+ * @param {Object} chord - { parsed, analysis, interval } for one chord of the progression
+ * @param {string} key - Key of the progression
+ * @returns {boolean} - Whether the chord matches
+ */
+const termMatches = (term, chord, key) => {
+  if (term.type === 'any') return true;
+
+  const { parsed, analysis, interval } = chord;
+  if (!parsed) return false;
+
+  if (term.type === 'function') {
+    if (term.function === 'tonic') {
+      return analysis.type === 'diatonic' && analysis.function === 'tonic';
+    }
+    if (term.function === 'predominant') {
+      return (analysis.type === 'diatonic' && analysis.function === 'subdominant') ||
+        (analysis.type === 'borrowed' && BORROWED_PREDOMINANTS.includes(interval));
+    }
+    // Secondary dominants point at other chords, and only a tritone substitute for V resolves to I
+    return (analysis.type === 'diatonic' && analysis.function === 'dominant') ||
+      (analysis.type === 'tritone-substitution' && /^subV7\/[Ii]$/.test(analysis.label));
+  }
+
+  if (term.type === 'numeral') {
+    return matchesNumeralChord(parsed, romanToChord(term.text, key));
+  }
+
+  // Secondary dominants lie outside the key; a V of a degree that is itself in the key is just that degree
+  const target = parseChordSymbol(romanToChord(term.target, key));
+  if (!target || analysis.type === 'diatonic') return false;
+
+  if (term.leadingTone) {
+    return parsed.rootSemitone === (target.rootSemitone + 11) % 12 &&
+      parsed.intervals.includes(3) && parsed.intervals.includes(6);
+  }
+  return parsed.rootSemitone === (target.rootSemitone + 7) % 12 &&
+    parsed.intervals.includes(4) && parsed.intervals.includes(7) && !parsed.intervals.includes(11);
+};
+
+/**
+ * Finds every stretch of a progression that realizes a function query in a key
+ * @param {Object} query - Query from parseFunctionQuery
+ * @param {Array} progression - Array of chord names
+ * @param {string} key - Key the functions are read in
+ * @returns {Array} - [{ startIndex, endIndex, matchedChords, functions, numbers }] where functions
+ *   are the analyses (see analyzeChordFunction) and numbers the Nashville numbers of the matched chords
+ */
+export const matchFunctionQuery = (query, progression, key) => {
+  if (!query || !query.isValid || !Array.isArray(progression) || !key) return [];
+
+  const { terms } = query;
+  const keyRoot = parseChordSymbol(key);
+  if (!keyRoot || progression.length < terms.length) return [];
+
+  const analyses = analyzeHarmonicFunctions(progression, key);
+  const chords = progression.map((chord, index) => {
+    const parsed = parseChordSymbol(chord);
+    return {
+      parsed,
+      analysis: analyses[index],
+      interval: parsed ? (parsed.rootSemitone - keyRoot.rootSemitone + 12) % 12 : null
+    };
+  });
+
+  const matches = [];
+  for (let startIndex = 0; startIndex + terms.length <= progression.length; startIndex++) {
+    if (terms.every((term, i) => termMatches(term, chords[startIndex + i], key))) {
+      const endIndex = startIndex + terms.length - 1;
+      const matchedChords = progression.slice(startIndex, endIndex + 1);
+      matches.push({
+        startIndex,
+        endIndex,
+        matchedChords,
+        functions: analyses.slice(startIndex, endIndex + 1),
+        numbers: progressionToNashville(matchedChords, key)
+      });
+    }
+  }
+
+  return matches;
+};
+
+const functionQuery = {
+  parseFunctionQuery,
+  matchFunctionQuery
+};
+
+export default functionQuery;
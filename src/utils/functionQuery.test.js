@@ -0,0 +1,68 @@
+/**
+ * Unit tests for harmonic function queries
+ */
+
+import { parseFunctionQuery, matchFunctionQuery } from './functionQuery.js';
+
+const numbersMatching = (queryText, progression, key) => (
+  matchFunctionQuery(parseFunctionQuery(queryText), progression, key).map(match => match.numbers.join(' '))
+);
+
+describe('parseFunctionQuery', () => {
+  test('reads function names, abbreviations and arrows', () => {
+    const query = parseFunctionQuery('tonic → PD -> dominant, T');
+    expect(query.isValid).toBe(true);
+    expect(query.terms.map(term => term.text)).toEqual(['tonic', 'predominant', 'dominant', 'tonic']);
+    expect(parseFunctionQuery('pre-dominant - subdominant').terms.map(term => term.text))
+      .toEqual(['predominant', 'predominant']);
+  });
+
+  test('reads wildcards, numerals and secondary dominants', () => {
+    const query = parseFunctionQuery('any chord → V/V → V7 → viio/vi');
+    expect(query.terms.map(term => term.type)).toEqual(['any', 'secondary', 'numeral', 'secondary']);
+    expect(query.terms[3]).toMatchObject({ text: 'vii°/vi', leadingTone: true, target: 'vi' });
+  });
+
+  test('reports terms it can not read', () => {
+    expect(parseFunctionQuery('tonic → cadence').errors).toEqual(['Unknown function or numeral: cadence']);
+    expect(parseFunctionQuery('V/Q').isValid).toBe(false);
+    expect(parseFunctionQuery('').isValid).toBe(false);
+  });
+});
+
+describe('matchFunctionQuery', () => {
+  const chain = 'tonic → predominant → dominant → tonic';
+
+  test('matches every progression that realizes a function chain', () => {
+    expect(numbersMatching(chain, ['C', 'F', 'G', 'C'], 'C')).toEqual(['1 4 5 1']);
+    expect(numbersMatching(chain, ['C', 'Dm', 'G', 'C'], 'C')).toEqual(['1 2m 5 1']);
+    expect(numbersMatching(chain, ['Am', 'Dm', 'G', 'C'], 'C')).toEqual(['6m 2m 5 1']);
+    expect(numbersMatching(chain, ['G', 'Em', 'C', 'D', 'G'], 'G')).toEqual(['6m 4 5 1']);
+  });
+
+  test('reads minor keys from their own tonic and counts borrowed predominants', () => {
+    expect(numbersMatching(chain, ['Am', 'Dm', 'E', 'Am'], 'Am')).toEqual(['1m 4m 5 1m']);
+    expect(numbersMatching(chain, ['C', 'Fm', 'G7', 'C'], 'C')).toEqual(['1 4m 57 1']);
+    expect(numbersMatching(chain, ['C', 'G', 'F', 'C'], 'C')).toEqual([]);
+  });
+
+  test('matches numerals by root and case, and secondary dominants by their target', () => {
+    expect(numbersMatching('any → V/V → V', ['C', 'D7', 'G', 'C'], 'C')).toEqual(['1 27 5']);
+    expect(numbersMatching('any → V/V → V', ['C', 'Dm', 'G', 'C'], 'C')).toEqual([]);
+    expect(numbersMatching('vi ii V', ['Am7', 'Dm7', 'G7'], 'C')).toEqual(['6m7 2m7 57']);
+    expect(numbersMatching('VI', ['A'], 'C')).toEqual(['6']);
+    expect(numbersMatching('vi', ['A'], 'C')).toEqual([]);
+  });
+
+  test('describes each matched chord', () => {
+    const [match] = matchFunctionQuery(parseFunctionQuery('predominant dominant'), ['C', 'F', 'G'], 'C');
+    expect(match).toMatchObject({ startIndex: 1, endIndex: 2, matchedChords: ['F', 'G'] });
+    expect(match.functions.map(analysis => analysis.label)).toEqual(['IV', 'V']);
+  });
+
+  test('handles missing input', () => {
+    expect(matchFunctionQuery(parseFunctionQuery('tonic'), ['C'], null)).toEqual([]);
+    expect(matchFunctionQuery(parseFunctionQuery('nope'), ['C'], 'C')).toEqual([]);
+    expect(matchFunctionQuery(parseFunctionQuery('tonic dominant'), ['C'], 'C')).toEqual([]);
+  });
+});
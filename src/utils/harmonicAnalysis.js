@@ -0,0 +1,455 @@
+/**
+ * Harmonic function analysis
+ * Labels each chord in a progression by what it does in the key: diatonic function,
+ * secondary dominant, borrowed chord, tritone substitution or chromatic passing chord.
+ * Also finds the cadences that close phrases
+ */
+
+import { parseChordSymbol, getChordPitchClasses } from './chordModel.js';
+import { findKey } from './keyFinding.js';
+
+// Scales the key and its parallel mode are built from (semitones above the tonic)
+const MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11];
+const NATURAL_MINOR_SCALE = [0, 2, 3, 5, 7, 8, 10];
+
+// Raised seventh of harmonic minor, so V and vii° count as diatonic in minor keys
+const LEADING_TONE = 11;
+
+// Roman numeral for each semitone above the tonic, spelled against the major scale
+const CHROMATIC_NUMERALS = ['I', 'bII', 'II', 'bIII', 'III', 'IV', '#IV', 'V', 'bVI', 'VI', 'bVII', 'VII'];
+
+// Diatonic function of each scale degree
+const DEGREE_FUNCTIONS = {
+  1: 'tonic',
+  2: 'subdominant',
+  3: 'tonic',
+  4: 'subdominant',
+  5: 'dominant',
+  6: 'tonic',
+  7: 'dominant'
+};
+
+// Human-readable names for each label type
+const FUNCTION_TYPE_LABELS = {
+  'diatonic': 'Diatonic',
+  'secondary-dominant': 'Secondary dominant',
+  'borrowed': 'Borrowed chord',
+  'tritone-substitution': 'Tritone substitution',
+  'chromatic-passing': 'Chromatic passing chord',
+  'chromatic': 'Chromatic chord',
+  'unknown': 'Unrecognized chord'
+};
+
+// Cadence types, in the order they're listed in filters and legends
+const CADENCE_TYPES = {
+  'authentic': { name: 'Authentic', description: 'Dominant resolving to the tonic (V-I)' },
+  'plagal': { name: 'Plagal', description: 'Subdominant resolving to the tonic (IV-I)' },
+  'half': { name: 'Half', description: 'Phrase coming to rest on the dominant (-V)' },
+  'deceptive': { name: 'Deceptive', description: 'Dominant moving to the submediant instead of the tonic (V-vi)' }
+};
+
+/**
+ * Reads a key signature into its tonic and scales
+ * @param {string} key - Key signature (e.g. "C", "F#m")
+ * @returns {Object} - { tonic, isMinor, scale, parallelScale }
+ */
+const parseKey = (key) => {
+  const parsed = parseChordSymbol(key);
+  const tonic = parsed ? parsed.rootSemitone : 0;
+  const isMinor = parsed ? parsed.intervals.includes(3) && !parsed.intervals.includes(4) : false;
+
+  return {
+    tonic,
+    isMinor,
+    scale: isMinor ? [...NATURAL_MINOR_SCALE, LEADING_TONE] : MAJOR_SCALE,
+    parallelScale: isMinor ? MAJOR_SCALE : NATURAL_MINOR_SCALE
+  };
+};
+
+/**
+ * Builds a Roman numeral for a chord relative to the tonic
+ * @param {Object} chord - Parsed chord model
+ * @param {number} tonic - Tonic semitone
+ * @returns {string} - Numeral such as "bVII", "iv", "vii°" or "V7"
+ */
+const getNumeral = (chord, tonic) => {
+  const interval = (chord.rootSemitone - tonic + 12) % 12;
+  const hasMinorThird = chord.intervals.includes(3) && !chord.intervals.includes(4);
+  const numeral = CHROMATIC_NUMERALS[interval];
+  const base = hasMinorThird
+    ? numeral.replace(/[IV]+/, match => match.toLowerCase())
+    : numeral;
+
+  const symbols = {
+    'diminished': '°',
+    'diminished7': '°7',
+    'half-diminished7': 'ø7',
+    'augmented': '+',
+    'dominant7': '7',
+    'major7': 'maj7',
+    'minor7': '7'
+  };
+
+  return base + (symbols[chord.quality] || '');
+};
+
+/**
+ * Checks whether every chord tone belongs to a scale built on the tonic
+ * @param {Object} chord - Parsed chord model
+ * @param {number} tonic - Tonic semitone
+ * @param {Array<number>} scale - Scale intervals
+ * @returns {boolean} - Whether the chord fits the scale
+ */
+const fitsScale = (chord, tonic, scale) => {
+  const pitchClasses = getChordPitchClasses({ ...chord, bassSemitone: null });
+  return pitchClasses.every(pitchClass => scale.includes((pitchClass - tonic + 12) % 12));
+};
+
+/**
+ * Checks whether a chord sounds like a dominant (major third, optional minor seventh)
+ * @param {Object} chord - Parsed chord model
+ * @returns {boolean} - Whether the chord has dominant quality
+ */
+const isDominantQuality = (chord) => {
+  return chord.intervals.includes(4) && chord.intervals.includes(7) && !chord.intervals.includes(11);
+};
+
+/**
+ * Checks whether a chord sounds like a leading-tone chord (diminished fifth on a minor third)
+ * @param {Object} chord - Parsed chord model
+ * @returns {boolean} - Whether the chord has leading-tone quality
+ */
+const isLeadingToneQuality = (chord) => {
+  return chord.intervals.includes(3) && chord.intervals.includes(6);
+};
+
+/**
+ * Gets the diatonic chord a secondary function points at
+ * @param {number} target - Target root semitone
+ * @param {Object} keyInfo - Parsed key from parseKey
+ * @returns {Object|null} - { numeral } of the diatonic target, or null if the target isn't a usable degree
+ */
+const getDiatonicTarget = (target, keyInfo) => {
+  const interval = (target - keyInfo.tonic + 12) % 12;
+  const degreeIndex = keyInfo.scale.slice(0, 7).indexOf(interval);
+
+  // The tonic is a plain dominant, and diminished triads can't be tonicized
+  if (degreeIndex <= 0) return null;
+
+  const triadQualities = keyInfo.isMinor
+    ? ['minor', 'diminished', 'major', 'minor', 'minor', 'major', 'major']
+    : ['major', 'minor', 'minor', 'major', 'major', 'minor', 'diminished'];
+  const quality = triadQualities[degreeIndex];
+  if (quality === 'diminished') return null;
+
+  const numeral = CHROMATIC_NUMERALS[interval];
+  return {
+    numeral: quality === 'minor' ? numeral.replace(/[IV]+/, match => match.toLowerCase()) : numeral
+  };
+};
+
+/**
+ * Checks whether a chord sits between its neighbours on a chromatic line
+ * @param {Object} chord - Parsed chord model
+ * @param {Object|null} previous - Previous parsed chord
+ * @param {Object|null} next - Next parsed chord
+ * @returns {boolean} - Whether the chord is a chromatic passing chord
+ */
+const isChromaticPassing = (chord, previous, next) => {
+  if (!previous || !next) return false;
+
+  const stepIn = (chord.rootSemitone - previous.rootSemitone + 12) % 12;
+  const stepOut = (next.rootSemitone - chord.rootSemitone + 12) % 12;
+
+  const ascending = (stepIn === 1 || stepIn === 2) && stepOut === 1;
+  const descending = (stepIn === 11 || stepIn === 10) && stepOut === 11;
+  return ascending || descending;
+};
+
+/**
+ * Labels a single chord by its harmonic function in a key
+ * @param {string} chord - Chord symbol
+ * @param {string} key - Key signature (e.g. "C", "Am")
+ * @param {Object} context - Neighbouring chords
+ * @param {string} context.previous - Chord before this one
+ * @param {string} context.next - Chord after this one
+ * @returns {Object} - { chord, label, type, function, description }
+ */
+export const analyzeChordFunction = (chord, key = 'C', context = {}) => {
+  const parsed = parseChordSymbol(chord);
+  if (!parsed) {
+    return {
+      chord,
+      label: '?',
+      type: 'unknown',
+      function: null,
+      description: FUNCTION_TYPE_LABELS.unknown
+    };
+  }
+
+  const keyInfo = parseKey(key);
+  const previous = parseChordSymbol(context.previous);
+  const next = parseChordSymbol(context.next);
+  const numeral = getNumeral(parsed, keyInfo.tonic);
+
+  // Diatonic chords take the function of their scale degree
+  if (fitsScale(parsed, keyInfo.tonic, keyInfo.scale)) {
+    const interval = (parsed.rootSemitone - keyInfo.tonic + 12) % 12;
+    const degree = interval === LEADING_TONE && keyInfo.isMinor
+      ? 7
+      : keyInfo.scale.indexOf(interval) + 1;
+    const harmonicFunction = DEGREE_FUNCTIONS[degree];
+
+    return {
+      chord,
+      label: numeral,
+      type: 'diatonic',
+      function: harmonicFunction,
+      description: `${harmonicFunction.charAt(0).toUpperCase()}${harmonicFunction.slice(1)} function`
+    };
+  }
+
+  const resolvesTo = (target) => Boolean(next) && next.rootSemitone === target;
+  const isBorrowed = fitsScale(parsed, keyInfo.tonic, keyInfo.parallelScale);
+
+  // Secondary dominants: a dominant a fifth above, or a leading-tone chord a half step below, a diatonic chord.
+  // A chord that could also be borrowed only counts as a secondary dominant when it resolves
+  if (isDominantQuality(parsed)) {
+    const target = (parsed.rootSemitone + 5) % 12;
+    const diatonicTarget = getDiatonicTarget(target, keyInfo);
+    if (diatonicTarget && (!isBorrowed || resolvesTo(target))) {
+      const dominant = parsed.intervals.includes(10) ? 'V7' : 'V';
+      return {
+        chord,
+        label: `${dominant}/${diatonicTarget.numeral}`,
+        type: 'secondary-dominant',
+        function: 'dominant',
+        description: `Secondary dominant of ${diatonicTarget.numeral}${resolvesTo(target) ? ', resolving to it' : ''}`
+      };
+    }
+  }
+
+  if (isLeadingToneQuality(parsed)) {
+    const target = (parsed.rootSemitone + 1) % 12;
+    const diatonicTarget = getDiatonicTarget(target, keyInfo);
+    if (diatonicTarget && resolvesTo(target)) {
+      const symbol = parsed.quality === 'half-diminished7' ? 'ø7' : parsed.intervals.includes(9) ? '°7' : '°';
+      return {
+        chord,
+        label: `vii${symbol}/${diatonicTarget.numeral}`,
+        type: 'secondary-dominant',
+        function: 'dominant',
+        description: `Leading-tone chord of ${diatonicTarget.numeral}, resolving to it`
+      };
+    }
+  }
+
+  // Tritone substitutions: a dominant seventh a half step above its target
+  const isDominantSeventh = isDominantQuality(parsed) && parsed.intervals.includes(10);
+  const tritoneTarget = (parsed.rootSemitone + 11) % 12;
+  const tritoneTargetInterval = (tritoneTarget - keyInfo.tonic + 12) % 12;
+  const hasDiatonicTritoneTarget = keyInfo.scale.slice(0, 7).includes(tritoneTargetInterval);
+  const tritoneLabel = `subV7/${tritoneTargetInterval === 0
+    ? (keyInfo.isMinor ? 'i' : 'I')
+    : (getDiatonicTarget(tritoneTarget, keyInfo) || { numeral: CHROMATIC_NUMERALS[tritoneTargetInterval] }).numeral}`;
+
+  if (isDominantSeventh && hasDiatonicTritoneTarget && resolvesTo(tritoneTarget)) {
+    return {
+      chord,
+      label: tritoneLabel,
+      type: 'tritone-substitution',
+      function: 'dominant',
+      description: 'Tritone substitute for the dominant, resolving down a half step'
+    };
+  }
+
+  // Borrowed chords come from the parallel major or minor
+  if (isBorrowed) {
+    return {
+      chord,
+      label: numeral,
+      type: 'borrowed',
+      function: null,
+      description: `Borrowed from the parallel ${keyInfo.isMinor ? 'major' : 'minor'}`
+    };
+  }
+
+  if (isDominantSeventh && hasDiatonicTritoneTarget) {
+    return {
+      chord,
+      label: tritoneLabel,
+      type: 'tritone-substitution',
+      function: 'dominant',
+      description: 'Tritone substitute for the dominant'
+    };
+  }
+
+  if (isChromaticPassing(parsed, previous, next)) {
+    return {
+      chord,
+      label: numeral,
+      type: 'chromatic-passing',
+      function: null,
+      description: 'Chromatic passing chord between its neighbours'
+    };
+  }
+
+  return {
+    chord,
+    label: numeral,
+    type: 'chromatic',
+    function: null,
+    description: FUNCTION_TYPE_LABELS.chromatic
+  };
+};
+
+/**
+ * Labels every chord in a progression by its harmonic function
+ * @param {Array<string>} progression - Chord symbols
+ * @param {string} key - Key signature
+ * @returns {Array<Object>} - One analysis per chord (see analyzeChordFunction)
+ */
+export const analyzeHarmonicFunctions = (progression, key = 'C') => {
+  if (!Array.isArray(progression)) return [];
+
+  return progression.map((chord, index) => analyzeChordFunction(chord, key, {
+    previous: progression[index - 1],
+    next: progression[index + 1]
+  }));
+};
+
+/**
+ * Gets a readable name for a function type
+ * @param {string} type - Type from analyzeChordFunction
+ * @returns {string} - Display name
+ */
+export const getFunctionTypeLabel = (type) => {
+  return FUNCTION_TYPE_LABELS[type] || FUNCTION_TYPE_LABELS.unknown;
+};
+
+/**
+ * Classifies the cadence formed by two consecutive chords
+ * @param {Object} from - Parsed approach chord
+ * @param {Object} to - Parsed arrival chord
+ * @param {Object} keyInfo - Parsed key from parseKey
+ * @returns {string|null} - 'authentic', 'plagal' or 'deceptive', or null if the pair isn't a cadence
+ */
+const classifyCadence = (from, to, keyInfo) => {
+  const approach = (from.rootSemitone - keyInfo.tonic + 12) % 12;
+  const arrival = (to.rootSemitone - keyInfo.tonic + 12) % 12;
+  const isFifthDominant = approach === 7 && isDominantQuality(from);
+
+  if (arrival === 0) {
+    if (isFifthDominant || (approach === LEADING_TONE && isLeadingToneQuality(from))) return 'authentic';
+    if (approach === 5) return 'plagal';
+    return null;
+  }
+
+  // V-vi in major, V-VI in minor (and the borrowed V-bVI in major)
+  if (isFifthDominant && (arrival === 9 || arrival === 8)) return 'deceptive';
+
+  return null;
+};
+
+/**
+ * Finds the cadences in a progression
+ * Authentic, plagal and deceptive cadences are found anywhere in the progression; a half cadence
+ * is only reported where the progression ends on the dominant
+ * @param {Array<string>} progression - Chord symbols
+ * @param {string} key - Key signature (found from the chords when omitted)
+ * @returns {Array<Object>} - [{ type, startIndex, endIndex, chords, label, isSectionEnd }]
+ */
+export const analyzeCadences = (progression, key = null) => {
+  if (!Array.isArray(progression) || progression.length < 2) return [];
+
+  const resolvedKey = key || findKey(progression).key;
+  if (!resolvedKey) return [];
+
+  const keyInfo = parseKey(resolvedKey);
+  const parsed = progression.map(chord => parseChordSymbol(chord));
+  const lastIndex = progression.length - 1;
+  const cadences = [];
+
+  const addCadence = (type, startIndex) => {
+    cadences.push({
+      type,
+      startIndex,
+      endIndex: startIndex + 1,
+      chords: [progression[startIndex], progression[startIndex + 1]],
+      label: `${getNumeral(parsed[startIndex], keyInfo.tonic)}-${getNumeral(parsed[startIndex + 1], keyInfo.tonic)}`,
+      isSectionEnd: startIndex + 1 === lastIndex
+    });
+  };
+
+  for (let i = 0; i < lastIndex; i++) {
+    if (!parsed[i] || !parsed[i + 1]) continue;
+
+    const type = classifyCadence(parsed[i], parsed[i + 1], keyInfo);
+    if (type) addCadence(type, i);
+  }
+
+  // Half cadence: the phrase stops on V, arriving from another chord
+  const last = parsed[lastIndex];
+  const beforeLast = parsed[lastIndex - 1];
+  if (last && beforeLast
+    && (last.rootSemitone - keyInfo.tonic + 12) % 12 === 7
+    && isDominantQuality(last)
+    && beforeLast.rootSemitone !== last.rootSemitone) {
+    addCadence('half', lastIndex - 1);
+  }
+
+  return cadences;
+};
+
+/**
+ * Gets the cadence a progression ends on
+ * @param {Array<string>} progression - Chord symbols
+ * @param {string} key - Key signature (found from the chords when omitted)
+ * @returns {Object|null} - Cadence from analyzeCadences, or null if the progression doesn't end on one
+ */
+export const getEndingCadence = (progression, key = null) => {
+  return analyzeCadences(progression, key).find(cadence => cadence.isSectionEnd) || null;
+};
+
+/**
+ * Picks out the cadences that match a cadence filter
+ * @param {Array<Object>} cadences - Cadences from analyzeCadences
+ * @param {string|Array<string>} types - Cadence type or types to keep (all types when empty)
+ * @param {boolean} atEnd - Whether to keep only the cadence that ends the progression
+ * @returns {Array<Object>} - Matching cadences
+ */
+export const filterCadences = (cadences, types = null, atEnd = false) => {
+  if (!Array.isArray(cadences)) return [];
+
+  const wanted = [].concat(types || []);
+  return cadences.filter(cadence => {
+    if (atEnd && !cadence.isSectionEnd) return false;
+    return wanted.length === 0 || wanted.includes(cadence.type);
+  });
+};
+
+/**
+ * Gets display information for a cadence type
+ * @param {string} type - Cadence type
+ * @returns {Object|null} - { name, description } or null for unknown types
+ */
+export const getCadenceTypeInfo = (type) => CADENCE_TYPES[type] || null;
+
+/**
+ * Lists the cadence types the analyzer can detect
+ * @returns {Array<string>} - Cadence types
+ */
+export const getCadenceTypes = () => Object.keys(CADENCE_TYPES);
+
+const harmonicAnalysis = {
+  analyzeChordFunction,
+  analyzeHarmonicFunctions,
+  getFunctionTypeLabel,
+  analyzeCadences,
+  getEndingCadence,
+  filterCadences,
+  getCadenceTypeInfo,
+  getCadenceTypes
+};
+
+export default harmonicAnalysis;
@@ -0,0 +1,160 @@
+/**
+ * Tests for harmonic function analysis
+ */
+
+import {
+  analyzeChordFunction,
+  analyzeHarmonicFunctions,
+  getFunctionTypeLabel,
+  analyzeCadences,
+  getEndingCadence,
+  filterCadences,
+  getCadenceTypeInfo,
+  getCadenceTypes
+} from './harmonicAnalysis';
+
+describe('Harmonic Analysis', () => {
+  describe('analyzeChordFunction', () => {
+    test('labels diatonic chords with their function', () => {
+      expect(analyzeChordFunction('C', 'C')).toMatchObject({ label: 'I', type: 'diatonic', function: 'tonic' });
+      expect(analyzeChordFunction('Dm7', 'C')).toMatchObject({ label: 'ii7', function: 'subdominant' });
+      expect(analyzeChordFunction('F', 'C')).toMatchObject({ label: 'IV', function: 'subdominant' });
+      expect(analyzeChordFunction('G7', 'C')).toMatchObject({ label: 'V7', function: 'dominant' });
+      expect(analyzeChordFunction('Bdim', 'C')).toMatchObject({ label: 'vii°', function: 'dominant' });
+    });
+
+    test('treats the raised seventh as diatonic in minor keys', () => {
+      expect(analyzeChordFunction('E7', 'Am')).toMatchObject({ label: 'V7', type: 'diatonic', function: 'dominant' });
+      expect(analyzeChordFunction('Dm', 'Am')).toMatchObject({ label: 'iv', function: 'subdominant' });
+    });
+
+    test('detects secondary dominants', () => {
+      expect(analyzeChordFunction('E', 'C')).toMatchObject({ label: 'V/vi', type: 'secondary-dominant' });
+      expect(analyzeChordFunction('D7', 'C', { next: 'G' })).toMatchObject({
+        label: 'V7/V',
+        type: 'secondary-dominant',
+        description: 'Secondary dominant of V, resolving to it'
+      });
+      expect(analyzeChordFunction('A7', 'C')).toMatchObject({ label: 'V7/ii' });
+      expect(analyzeChordFunction('C#dim7', 'C', { next: 'Dm' })).toMatchObject({
+        label: 'vii°7/ii',
+        type: 'secondary-dominant'
+      });
+    });
+
+    test('detects chords borrowed from the parallel mode', () => {
+      expect(analyzeChordFunction('Bb', 'C')).toMatchObject({ label: 'bVII', type: 'borrowed' });
+      expect(analyzeChordFunction('Fm', 'C')).toMatchObject({ label: 'iv', type: 'borrowed' });
+      expect(analyzeChordFunction('Ab', 'C')).toMatchObject({ label: 'bVI', type: 'borrowed' });
+      expect(analyzeChordFunction('D', 'Am')).toMatchObject({
+        label: 'IV',
+        type: 'borrowed',
+        description: 'Borrowed from the parallel major'
+      });
+      expect(analyzeChordFunction('D', 'Am', { next: 'G' })).toMatchObject({ label: 'V/bVII', type: 'secondary-dominant' });
+    });
+
+    test('detects tritone substitutions', () => {
+      expect(analyzeChordFunction('Db7', 'C', { next: 'C' })).toMatchObject({
+        label: 'subV7/I',
+        type: 'tritone-substitution',
+        function: 'dominant'
+      });
+      expect(analyzeChordFunction('Eb7', 'C', { next: 'Dm7' })).toMatchObject({
+        label: 'subV7/ii',
+        type: 'tritone-substitution'
+      });
+    });
+
+    test('detects chromatic passing chords', () => {
+      expect(analyzeChordFunction('C#m', 'C', { previous: 'C', next: 'Dm' })).toMatchObject({
+        label: 'bii',
+        type: 'chromatic-passing'
+      });
+      expect(analyzeChordFunction('C#m', 'C')).toMatchObject({ type: 'chromatic' });
+    });
+
+    test('handles unreadable chords', () => {
+      expect(analyzeChordFunction('Xyz', 'C')).toMatchObject({ label: '?', type: 'unknown', function: null });
+    });
+  });
+
+  describe('analyzeHarmonicFunctions', () => {
+    test('labels each chord using its neighbours', () => {
+      const results = analyzeHarmonicFunctions(['C', 'A7', 'Dm', 'Db7', 'C'], 'C');
+      expect(results.map(result => result.label)).toEqual(['I', 'V7/ii', 'ii', 'subV7/I', 'I']);
+    });
+
+    test('returns an empty list for invalid input', () => {
+      expect(analyzeHarmonicFunctions(null, 'C')).toEqual([]);
+      expect(analyzeHarmonicFunctions([], 'C')).toEqual([]);
+    });
+  });
+
+  test('getFunctionTypeLabel', () => {
+    expect(getFunctionTypeLabel('borrowed')).toBe('Borrowed chord');
+    expect(getFunctionTypeLabel('nope')).toBe('Unrecognized chord');
+  });
+
+  describe('analyzeCadences', () => {
+    test('finds authentic and plagal cadences', () => {
+      expect(analyzeCadences(['C', 'F', 'G', 'C'], 'C')).toEqual([{
+        type: 'authentic',
+        startIndex: 2,
+        endIndex: 3,
+        chords: ['G', 'C'],
+        label: 'V-I',
+        isSectionEnd: true
+      }]);
+      expect(analyzeCadences(['C', 'Bdim', 'C'], 'C')[0]).toMatchObject({ type: 'authentic', label: 'vii°-I' });
+      expect(analyzeCadences(['C', 'F', 'C'], 'C')[0]).toMatchObject({ type: 'plagal', label: 'IV-I' });
+      expect(analyzeCadences(['Am', 'Dm', 'Am'], 'Am')[0]).toMatchObject({ type: 'plagal', label: 'iv-i' });
+    });
+
+    test('finds deceptive cadences in major and minor', () => {
+      expect(analyzeCadences(['C', 'G', 'Am', 'F'], 'C')).toEqual([
+        expect.objectContaining({ type: 'deceptive', startIndex: 1, label: 'V-vi', isSectionEnd: false })
+      ]);
+      expect(analyzeCadences(['Am', 'F', 'E7', 'F'], 'Am')[0]).toMatchObject({ type: 'deceptive', isSectionEnd: true });
+    });
+
+    test('only reports half cadences at the end of the progression', () => {
+      expect(analyzeCadences(['C', 'Am', 'F', 'G'], 'C')).toEqual([
+        expect.objectContaining({ type: 'half', chords: ['F', 'G'], isSectionEnd: true })
+      ]);
+      expect(analyzeCadences(['C', 'G', 'F', 'C'], 'C').map(cadence => cadence.type)).toEqual(['plagal']);
+      expect(analyzeCadences(['C', 'G', 'G'], 'C')).toEqual([]);
+    });
+
+    test('finds the key when none is given', () => {
+      expect(analyzeCadences(['Am', 'Dm', 'E7', 'Am'])[0]).toMatchObject({ type: 'authentic', label: 'V7-i' });
+    });
+
+    test('handles short and invalid progressions', () => {
+      expect(analyzeCadences(['C'], 'C')).toEqual([]);
+      expect(analyzeCadences(null, 'C')).toEqual([]);
+      expect(analyzeCadences(['Xyz', 'C'], 'C')).toEqual([]);
+    });
+  });
+
+  test('getEndingCadence', () => {
+    expect(getEndingCadence(['C', 'G', 'Am', 'F', 'G', 'Am'], 'C')).toMatchObject({ type: 'deceptive', startIndex: 4 });
+    expect(getEndingCadence(['C', 'G', 'Am', 'F'], 'C')).toBeNull();
+  });
+
+  test('filterCadences', () => {
+    const cadences = analyzeCadences(['C', 'F', 'C', 'G', 'Am'], 'C');
+
+    expect(filterCadences(cadences).map(cadence => cadence.type)).toEqual(['plagal', 'deceptive']);
+    expect(filterCadences(cadences, 'plagal')).toHaveLength(1);
+    expect(filterCadences(cadences, ['plagal'], true)).toHaveLength(0);
+    expect(filterCadences(cadences, null, true).map(cadence => cadence.type)).toEqual(['deceptive']);
+    expect(filterCadences(null, 'plagal')).toEqual([]);
+  });
+
+  test('cadence types', () => {
+    expect(getCadenceTypes()).toEqual(['authentic', 'plagal', 'half', 'deceptive']);
+    expect(getCadenceTypeInfo('deceptive')).toMatchObject({ name: 'Deceptive' });
+    expect(getCadenceTypeInfo('nope')).toBeNull();
+  });
+});
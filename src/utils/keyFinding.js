@@ -0,0 +1,211 @@
+/**
+ * Key finding engine
+ * Scores the chord tones of a progression against major and minor key profiles, then adjusts
+ * for cadences and for the first and last chords, returning every key ranked with a confidence
+ */
+
+import { parseChordSymbol, getChordPitchClasses } from './chordModel.js';
+import { getConventionalKeyName } from './noteSpelling.js';
+
+// Krumhansl-Kessler key profiles: how strongly each scale degree implies the key
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// How much each position counts towards the pitch profile. Section progressions loop, so the
+// last chord is as often a turnaround as a tonic and only counts a little extra
+const FIRST_CHORD_WEIGHT = 1.5;
+const LAST_CHORD_WEIGHT = 1.25;
+const ROOT_WEIGHT = 0.5;
+
+// Score bonuses added to the profile correlation (which runs from -1 to 1)
+const TONIC_BONUS = { first: 0.1, last: 0.06 };
+const CADENCE_BONUS = {
+  authentic: 0.12, // V(7) -> I or i
+  plagal: 0.05, // IV -> I, iv -> i
+  modal: 0.06 // bVII -> I or i, the rock, mixolydian and aeolian cadence
+};
+const MAX_CADENCE_BONUS = 0.3;
+const PREFERRED_KEY_BONUS = 0.1;
+
+// Spread of the softmax that turns scores into confidences
+const CONFIDENCE_TEMPERATURE = 0.05;
+
+/**
+ * Checks whether a chord has a minor third and no major third
+ * @param {Object} parsed - Parsed chord model
+ * @returns {boolean} - Whether the chord is minor
+ */
+const isMinorChord = (parsed) => parsed.intervals.includes(3) && !parsed.intervals.includes(4);
+
+/**
+ * Checks whether a chord can act as a dominant (major triad, optionally with a minor seventh)
+ * @param {Object} parsed - Parsed chord model
+ * @returns {boolean} - Whether the chord has dominant quality
+ */
+const isDominantChord = (parsed) => {
+  return parsed.intervals.includes(4) && parsed.intervals.includes(7) && !parsed.intervals.includes(11);
+};
+
+/**
+ * Pearson correlation between two equal-length vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} - Correlation (-1 to 1), 0 when either vector is flat
+ */
+const correlate = (a, b) => {
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const meanA = mean(a);
+  const meanB = mean(b);
+
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  a.forEach((value, i) => {
+    covariance += (value - meanA) * (b[i] - meanB);
+    varianceA += (value - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  });
+
+  return varianceA === 0 || varianceB === 0 ? 0 : covariance / Math.sqrt(varianceA * varianceB);
+};
+
+/**
+ * Builds a weighted pitch-class profile from the chord tones of a progression
+ * @param {Array<Object>} parsedChords - Parsed chords
+ * @returns {Array<number>} - Weight of each of the 12 pitch classes
+ */
+const buildPitchProfile = (parsedChords) => {
+  const weights = new Array(12).fill(0);
+
+  parsedChords.forEach((parsed, index) => {
+    let weight = 1;
+    if (index === 0) weight = FIRST_CHORD_WEIGHT;
+    if (index === parsedChords.length - 1) weight = Math.max(weight, LAST_CHORD_WEIGHT);
+
+    new Set(getChordPitchClasses(parsed)).forEach(pitchClass => {
+      weights[pitchClass] += weight;
+    });
+    weights[parsed.rootSemitone] += weight * ROOT_WEIGHT;
+  });
+
+  return weights;
+};
+
+/**
+ * Scores the cadences in a progression that resolve to a given tonic
+ * The progression is treated as a loop, so the last chord moving back to the first counts too
+ * @param {Array<Object>} parsedChords - Parsed chords
+ * @param {number} tonic - Tonic semitone
+ * @param {boolean} isMinorKey - Whether the key is minor
+ * @returns {number} - Cadence bonus
+ */
+const scoreCadences = (parsedChords, tonic, isMinorKey) => {
+  let bonus = 0;
+  if (parsedChords.length < 2) return bonus;
+
+  for (let i = 1; i <= parsedChords.length; i++) {
+    const from = parsedChords[i - 1];
+    const to = parsedChords[i % parsedChords.length];
+    if (to.rootSemitone !== tonic || isMinorChord(to) !== isMinorKey) continue;
+
+    const approach = (from.rootSemitone - tonic + 12) % 12;
+    if (approach === 7 && isDominantChord(from)) {
+      bonus += CADENCE_BONUS.authentic;
+    } else if (approach === 5 && isMinorChord(from) === isMinorKey) {
+      bonus += CADENCE_BONUS.plagal;
+    } else if (approach === 10 && !isMinorChord(from)) {
+      bonus += CADENCE_BONUS.modal;
+    }
+  }
+
+  return Math.min(bonus, MAX_CADENCE_BONUS);
+};
+
+/**
+ * Names a key, borrowing the tonic spelling from the progression when it has one
+ * @param {number} tonic - Tonic semitone
+ * @param {boolean} isMinorKey - Whether the key is minor
+ * @param {Object} spellings - First root spelling seen for each semitone
+ * @returns {string} - Key name such as "Bb" or "F#m"
+ */
+const nameKey = (tonic, isMinorKey, spellings) => {
+  if (spellings[tonic]) {
+    return spellings[tonic] + (isMinorKey ? 'm' : '');
+  }
+  return getConventionalKeyName(tonic, isMinorKey);
+};
+
+/**
+ * Finds the most likely keys of a chord progression
+ * @param {Array<string>} chords - Array of chord symbols
+ * @param {Object} options - Options
+ * @param {string} options.preferredKey - Key to favour slightly (e.g. the song key when analyzing a section)
+ * @param {number} options.maxCandidates - Number of ranked candidates to return (default all 24)
+ * @returns {Object} - { key, confidence, candidates: [{ key, tonic, mode, score, confidence }] }
+ */
+export const findKey = (chords, options = {}) => {
+  const { preferredKey = null, maxCandidates = 24 } = options;
+  const parsedChords = Array.isArray(chords)
+    ? chords.map(chord => parseChordSymbol(chord)).filter(Boolean)
+    : [];
+
+  if (parsedChords.length === 0) {
+    return { key: null, confidence: 0, candidates: [] };
+  }
+
+  const spellings = {};
+  parsedChords.forEach(parsed => {
+    if (!spellings[parsed.rootSemitone]) {
+      spellings[parsed.rootSemitone] = parsed.root;
+    }
+  });
+
+  const preferred = parseChordSymbol(preferredKey);
+  const pitchProfile = buildPitchProfile(parsedChords);
+  const first = parsedChords[0];
+  const last = parsedChords[parsedChords.length - 1];
+
+  const candidates = [];
+  for (let tonic = 0; tonic < 12; tonic++) {
+    [false, true].forEach(isMinorKey => {
+      const profile = isMinorKey ? MINOR_PROFILE : MAJOR_PROFILE;
+      const rotated = pitchProfile.map((_, pitchClass) => profile[(pitchClass - tonic + 12) % 12]);
+      const isTonic = (parsed) => parsed.rootSemitone === tonic && isMinorChord(parsed) === isMinorKey;
+
+      let score = correlate(pitchProfile, rotated);
+      score += scoreCadences(parsedChords, tonic, isMinorKey);
+      if (isTonic(first)) score += TONIC_BONUS.first;
+      if (isTonic(last)) score += TONIC_BONUS.last;
+      if (preferred && isTonic(preferred)) score += PREFERRED_KEY_BONUS;
+
+      candidates.push({
+        key: nameKey(tonic, isMinorKey, spellings),
+        tonic,
+        mode: isMinorKey ? 'minor' : 'major',
+        score
+      });
+    });
+  }
+
+  // Softmax over the scores, so confidences are comparable across candidates and sum to 1
+  const bestScore = Math.max(...candidates.map(candidate => candidate.score));
+  const exponentials = candidates.map(candidate => Math.exp((candidate.score - bestScore) / CONFIDENCE_TEMPERATURE));
+  const total = exponentials.reduce((sum, value) => sum + value, 0);
+  candidates.forEach((candidate, i) => {
+    candidate.confidence = exponentials[i] / total;
+  });
+
+  const ranked = candidates.sort((a, b) => b.score - a.score).slice(0, maxCandidates);
+
+  return {
+    key: ranked[0].key,
+    confidence: ranked[0].confidence,
+    candidates: ranked
+  };
+};
+
+const keyFinding = {
+  findKey
+};
+
+export default keyFinding;
@@ -0,0 +1,66 @@
+/**
+ * Tests for the key finding engine
+ */
+
+import { findKey } from './keyFinding';
+
+describe('Key Finding', () => {
+  describe('findKey', () => {
+    test('finds major keys', () => {
+      expect(findKey(['C', 'G', 'Am', 'F']).key).toBe('C');
+      expect(findKey(['G', 'D', 'Em', 'C']).key).toBe('G');
+      expect(findKey(['C', 'Am', 'F', 'G']).key).toBe('C');
+    });
+
+    test('finds minor keys from chord quality and cadences', () => {
+      expect(findKey(['Am', 'Dm', 'E7', 'Am']).key).toBe('Am');
+      expect(findKey(['Cm', 'Ab', 'Bb', 'Cm']).key).toBe('Cm');
+      expect(findKey(['Dm', 'C', 'Bb', 'A7']).key).toBe('Dm');
+    });
+
+    test('finds modal rock keys', () => {
+      expect(findKey(['D', 'C', 'G', 'D']).key).toBe('D');
+      expect(findKey(['E', 'D', 'A', 'E']).key).toBe('E');
+    });
+
+    test('treats the progression as a loop', () => {
+      // The turnaround chord at the end resolves back to the first chord
+      expect(findKey(['G', 'G', 'C', 'D']).key).toBe('G');
+      expect(findKey(['E', 'C#m', 'A', 'B']).key).toBe('E');
+    });
+
+    test('ranks every key with confidences that sum to 1', () => {
+      const result = findKey(['C', 'G', 'Am', 'F']);
+
+      expect(result.candidates).toHaveLength(24);
+      expect(result.candidates[0]).toMatchObject({ key: 'C', tonic: 0, mode: 'major' });
+      expect(result.confidence).toBe(result.candidates[0].confidence);
+
+      const total = result.candidates.reduce((sum, candidate) => sum + candidate.confidence, 0);
+      expect(total).toBeCloseTo(1);
+      result.candidates.slice(1).forEach((candidate, i) => {
+        expect(candidate.score).toBeLessThanOrEqual(result.candidates[i].score);
+      });
+    });
+
+    test('favours a preferred key in ambiguous progressions', () => {
+      expect(findKey(['Am', 'F', 'C', 'G']).key).toBe('Am');
+      expect(findKey(['Am', 'F', 'C', 'G'], { preferredKey: 'C' }).key).toBe('C');
+    });
+
+    test('spells keys the way the chords do', () => {
+      expect(findKey(['Bb', 'F', 'Gm', 'Eb']).key).toBe('Bb');
+      expect(findKey(['A#', 'F', 'Gm', 'D#']).key).toBe('A#');
+    });
+
+    test('limits the number of candidates', () => {
+      expect(findKey(['C', 'F', 'G'], { maxCandidates: 3 }).candidates).toHaveLength(3);
+    });
+
+    test('handles empty and invalid input', () => {
+      expect(findKey([])).toEqual({ key: null, confidence: 0, candidates: [] });
+      expect(findKey(null)).toEqual({ key: null, confidence: 0, candidates: [] });
+      expect(findKey(['nope']).key).toBeNull();
+    });
+  });
+});
@@ -3,6 +3,10 @@
  * Converts chord names to numbers based on key position
  */
 
+import { parseChordSymbol, getChordQualities, getQualityDefinition } from './chordModel';
+import { findKey } from './keyFinding';
+import { spellDegree, spellInterval, spellNoteInKey } from './noteSpelling';
+
 // Circle of fifths for key relationships (currently unused but kept for future features)
 // const CIRCLE_OF_FIFTHS = [
 //   'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'F', 'Bb', 'Eb', 'Ab'
@@ -14,232 +18,515 @@ const MAJOR_SCALE_INTERVALS = [0, 2, 4, 5, 7, 9, 11];
 // Nashville number system mapping
 const NASHVILLE_NUMBERS = ['1', '2', '3', '4', '5', '6', '7'];
 
-// Chord quality symbols for Nashville system
-const CHORD_QUALITIES = {
-  'major': '',
-  'minor': 'm',
-  'diminished': '°',
-  'augmented': '+',
-  'dominant7': '7',
-  'major7': 'maj7',
-  'minor7': 'm7',
-  'diminished7': '°7',
-  'half-diminished7': 'ø7',
-  'suspended2': 'sus2',
-  'suspended4': 'sus4',
-  'add9': 'add9',
-  'major9': 'maj9',
-  'minor9': 'm9',
-  'dominant9': '9'
+// Roman numeral mapping (lowercase for chords with a minor third)
+const ROMAN_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+// Figured-bass inversion marks, indexed by inversion (root position first)
+const FIGURED_BASS = {
+  triad: ['', '6', '6/4'],
+  seventh: ['7', '6/5', '4/3', '4/2']
+};
+
+// Roman numeral quality symbols; qualities not listed use their chord suffix
+const ROMAN_QUALITY_SYMBOLS = {
+  'major': { symbol: '', figures: 'triad' },
+  'minor': { symbol: '', figures: 'triad' },
+  'diminished': { symbol: '°', figures: 'triad' },
+  'augmented': { symbol: '+', figures: 'triad' },
+  'dominant7': { symbol: '', figures: 'seventh' },
+  'major7': { symbol: 'maj', figures: 'seventh' },
+  'minor7': { symbol: '', figures: 'seventh' },
+  'minorMajor7': { symbol: 'maj', figures: 'seventh' },
+  'diminished7': { symbol: '°', figures: 'seventh' },
+  'half-diminished7': { symbol: 'ø', figures: 'seventh' },
+  'augmented7': { symbol: '+', figures: 'seventh' },
+  // Written out so they don't read as a first-inversion "6"
+  'major6': { symbol: 'add6', figures: null },
+  'minor6': { symbol: 'add6', figures: null }
+};
+
+/**
+ * Numbering modes
+ * intervals: the scale the numbers are counted against
+ * tonicOffset: semitones from the key root to the chord numbered "1"
+ * "minor1" numbers a minor key from its own tonic (1m, b3, b6, b7), while
+ * "minor6" numbers it from the relative major so the tonic reads as 6m
+ */
+const NUMBERING_MODES = {
+  'major': { label: 'Major', keyLabel: 'major', intervals: MAJOR_SCALE_INTERVALS, tonicOffset: 0 },
+  'minor1': { label: 'Minor (1m)', keyLabel: 'minor', intervals: MAJOR_SCALE_INTERVALS, tonicOffset: 0 },
+  'minor6': { label: 'Minor (6m)', keyLabel: 'minor', intervals: MAJOR_SCALE_INTERVALS, tonicOffset: 3 },
+  'dorian': { label: 'Dorian', keyLabel: 'dorian', intervals: [0, 2, 3, 5, 7, 9, 10], tonicOffset: 0 },
+  'mixolydian': { label: 'Mixolydian', keyLabel: 'mixolydian', intervals: [0, 2, 4, 5, 7, 9, 10], tonicOffset: 0 },
+  'aeolian': { label: 'Aeolian', keyLabel: 'aeolian', intervals: [0, 2, 3, 5, 7, 8, 10], tonicOffset: 0 }
 };
 
 /**
- * Get the chromatic note number (0-11) for a note
- * @param {string} note - Note name (C, C#, Db, etc.)
- * @returns {number} - Chromatic position (0-11)
+ * Get the root semitone of a key signature
+ * @param {string} key - Key signature (C, G, F#, Bb, etc.)
+ * @returns {Object} - {root: string, semitone: number}, C for missing or invalid keys
  */
-function getNoteNumber(note) {
-  const noteMap = {
-    'C': 0, 'C#': 1, 'Db': 1,
-    'D': 2, 'D#': 3, 'Eb': 3,
-    'E': 4, 'F': 5,
-    'F#': 6, 'Gb': 6, 'G': 7,
-    'G#': 8, 'Ab': 8, 'A': 9,
-    'A#': 10, 'Bb': 10, 'B': 11
+function parseKey(key) {
+  const parsed = parseChordSymbol(key);
+  return parsed
+    ? { root: parsed.root, semitone: parsed.rootSemitone, isMinor: parsed.intervals.includes(3) }
+    : { root: 'C', semitone: 0, isMinor: false };
+}
+
+/**
+ * Get the default numbering mode for a key: minor keys ("F#m") number from 1m
+ * @param {string} key - Key signature
+ * @returns {string} - Numbering mode id
+ */
+export function getDefaultNumberingMode(key) {
+  return parseKey(key).isMinor ? 'minor1' : 'major';
+}
+
+/**
+ * Get the available numbering modes for display
+ * @returns {Array<Object>} - [{id, label, keyLabel}]
+ */
+export function getNumberingModes() {
+  return Object.entries(NUMBERING_MODES).map(([id, mode]) => ({
+    id,
+    label: mode.label,
+    keyLabel: mode.keyLabel
+  }));
+}
+
+/**
+ * Format a key for display with its numbering mode, e.g. "F# minor" or "G mixolydian"
+ * @param {string} key - Key signature (C, F#m, etc.)
+ * @param {string} mode - Numbering mode id (defaults from the key)
+ * @returns {string} - Display name
+ */
+export function formatKeyName(key, mode) {
+  const numbering = NUMBERING_MODES[mode] || NUMBERING_MODES[getDefaultNumberingMode(key)];
+  return `${parseKey(key).root} ${numbering.keyLabel}`;
+}
+
+/**
+ * Resolve the scale and the semitone numbered "1" for a key and numbering mode
+ * @param {string} key - Key signature
+ * @param {string} mode - Numbering mode id (defaults from the key)
+ * @returns {Object} - {intervals: Array<number>, tonic: number, keyRoot: string}
+ */
+function resolveNumbering(key, mode) {
+  const parsedKey = parseKey(key);
+  const numbering = NUMBERING_MODES[mode] || NUMBERING_MODES[getDefaultNumberingMode(key)];
+
+  return {
+    intervals: numbering.intervals,
+    tonic: (parsedKey.semitone + numbering.tonicOffset) % 12,
+    keyRoot: parsedKey.root
   };
-  
-  return noteMap[note] !== undefined ? noteMap[note] : 0;
 }
 
 /**
- * Parse a chord symbol into root note and quality
- * @param {string} chord - Chord symbol (Am7, F#maj7, etc.)
- * @returns {Object} - {root: string, quality: string}
+ * Find the scale degree of an interval above the tonic, with an accidental for chromatic roots
+ * @param {number} interval - Semitones above the tonic (0-11)
+ * @param {Array<number>} scaleIntervals - Scale the degrees are counted against
+ * @returns {Object} - {accidental: '' | 'b' | '#', degree: number (1-7)}
  */
-function parseChordSymbol(chord) {
-  if (!chord || typeof chord !== 'string') {
-    return { root: 'C', quality: 'major' };
+function findScaleDegree(interval, scaleIntervals) {
+  const scalePosition = scaleIntervals.indexOf(interval);
+  if (scalePosition !== -1) {
+    return { accidental: '', degree: scalePosition + 1 };
   }
   
-  const chordStr = chord.trim();
-  let root, quality;
+  // For chromatic notes, check which scale degree gives the most natural representation
+  const possibilities = [];
   
-  // Extract root note (handle sharps and flats)
-  if (chordStr.length >= 2 && (chordStr[1] === '#' || chordStr[1] === 'b')) {
-    root = chordStr.substring(0, 2);
-    quality = chordStr.substring(2);
-  } else {
-    root = chordStr[0];
-    quality = chordStr.substring(1);
+  for (let i = 0; i < scaleIntervals.length; i++) {
+    const flatNote = (scaleIntervals[i] - 1 + 12) % 12;
+    const sharpNote = (scaleIntervals[i] + 1) % 12;
+    
+    if (interval === flatNote) {
+      possibilities.push({ accidental: 'b', degree: i + 1 });
+    } else if (interval === sharpNote) {
+      possibilities.push({ accidental: '#', degree: i + 1 });
+    }
   }
   
-  // Normalize quality - preserve the original quality string for extended chords
-  if (!quality) {
-    quality = 'major';
-  } else if (quality === 'm') {
-    quality = 'minor';
-  } else if (quality === 'maj7' || quality === 'M7') {
-    quality = 'major7';
-  } else if (quality === 'maj9' || quality === 'M9') {
-    quality = 'major9';
-  } else if (quality === 'm7') {
-    quality = 'minor7';
-  } else if (quality === 'm9') {
-    quality = 'minor9';
-  } else if (quality === '7') {
-    quality = 'dominant7';
-  } else if (quality === '9') {
-    quality = 'dominant9';
-  } else if (quality === 'dim' || quality === '°') {
-    quality = 'diminished';
-  } else if (quality === 'aug' || quality === '+') {
-    quality = 'augmented';
-  } else if (quality === 'sus2') {
-    quality = 'suspended2';
-  } else if (quality === 'sus4') {
-    quality = 'suspended4';
-  } else if (quality === 'add9') {
-    quality = 'add9';
+  if (possibilities.length > 0) {
+    // In modal scales, an accidental that lands on the major-scale degree reads
+    // best (e.g., the raised leading tone in Aeolian is #7, not b1)
+    const distanceFromMajor = (p) => {
+      const distance = Math.abs(interval - MAJOR_SCALE_INTERVALS[p.degree - 1]);
+      return Math.min(distance, 12 - distance);
+    };
+    const closest = Math.min(...possibilities.map(distanceFromMajor));
+    const preferred = possibilities.filter(p => distanceFromMajor(p) === closest);
+    
+    // Prefer flat notation for notes that are naturally flat in common usage
+    // (e.g., Bb as b7 rather than #6)
+    const flatOption = preferred.find(p => p.accidental === 'b');
+    const sharpOption = preferred.find(p => p.accidental === '#');
+    
+    // Prefer b7 over #6, b3 over #2, etc.
+    if (flatOption && (flatOption.degree === 7 || flatOption.degree === 3 || flatOption.degree === 6)) {
+      return flatOption;
+    } else if (sharpOption && (sharpOption.degree === 4 || sharpOption.degree === 1 || sharpOption.degree === 5)) {
+      return sharpOption;
+    }
+    return flatOption || sharpOption;
   }
   
-  return { root, quality };
+  // Fallback: find closest scale degree
+  let closestInterval = 0;
+  let minDistance = 12;
+  
+  for (let i = 0; i < scaleIntervals.length; i++) {
+    const distance = Math.abs(interval - scaleIntervals[i]);
+    if (distance < minDistance) {
+      minDistance = distance;
+      closestInterval = i;
+    }
+  }
+  
+  return { accidental: '', degree: closestInterval + 1 };
+}
+
+/**
+ * Write an interval above the tonic as a Nashville scale degree
+ * @param {number} interval - Semitones above the tonic (0-11)
+ * @param {Array<number>} scaleIntervals - Scale the degrees are counted against
+ * @returns {string} - Scale degree such as "3" or "b7"
+ */
+function formatScaleDegree(interval, scaleIntervals) {
+  const { accidental, degree } = findScaleDegree(interval, scaleIntervals);
+  return accidental + NASHVILLE_NUMBERS[degree - 1];
 }
 
 /**
  * Convert a chord to Nashville number based on key
  * @param {string} chord - Chord symbol (Am7, F#maj7, etc.)
- * @param {string} key - Key signature (C, G, F#, etc.)
- * @returns {string} - Nashville number (1, 2m, 3, 4, 5, 6m, 7°, etc.)
+ * @param {string} key - Key signature (C, G, F#, F#m, etc.)
+ * @param {Object} options - Numbering options
+ * @param {string} options.mode - Numbering mode (major, minor1, minor6, dorian, mixolydian, aeolian)
+ * @returns {string} - Nashville number (1, 2m, 3, 4, 5, 6m, 7°, 1/3, etc.)
  */
-export function chordToNashville(chord, key = 'C') {
-  const { root, quality } = parseChordSymbol(chord);
-  const keyRoot = parseChordSymbol(key).root;
-  
-  const rootNumber = getNoteNumber(root);
-  const keyNumber = getNoteNumber(keyRoot);
+export function chordToNashville(chord, key = 'C', options = {}) {
+  // Unparseable chords fall back to the tonic major chord
+  const parsed = parseChordSymbol(chord) || parseChordSymbol('C');
+  const { quality } = parsed;
+  const { intervals: scaleIntervals, tonic: keyNumber } = resolveNumbering(key, options.mode);
   
   // Calculate the interval from the key
-  let interval = (rootNumber - keyNumber + 12) % 12;
+  const interval = (parsed.rootSemitone - keyNumber + 12) % 12;
+  const { accidental, degree } = findScaleDegree(interval, scaleIntervals);
+  const number = accidental + NASHVILLE_NUMBERS[degree - 1];
+  const qualitySymbol = parsed.nashvilleSuffix;
   
-  // Find the scale degree (1-7)
-  const scalePosition = MAJOR_SCALE_INTERVALS.indexOf(interval);
+  // A slash bass is numbered in the key too, so C/E in C is "1/3"
+  const bass = parsed.bassSemitone !== null
+    ? '/' + formatScaleDegree((parsed.bassSemitone - keyNumber + 12) % 12, scaleIntervals)
+    : '';
   
-  if (scalePosition !== -1) {
-    // It's a diatonic chord
-    const number = NASHVILLE_NUMBERS[scalePosition];
-    const qualitySymbol = CHORD_QUALITIES[quality] || '';
-    
-    // Determine if the chord fits the natural major scale harmony
-    const expectedQuality = getExpectedQuality(scalePosition + 1);
+  if (!accidental) {
+    // It's a diatonic chord - determine if it fits the natural harmony of the scale
+    const expectedQuality = getExpectedQuality(degree, scaleIntervals);
     
     if (quality === expectedQuality) {
       // Natural diatonic chord
-      return number + (quality === 'minor' || quality === 'diminished' ? CHORD_QUALITIES[quality] : '');
-    } else {
-      // Modified chord (e.g., major 3 instead of minor 3)
-      return number + qualitySymbol;
-    }
-  } else {
-    // Chromatic chord - determine best flat/sharp representation
-    const qualitySymbol = CHORD_QUALITIES[quality] || '';
-    
-    // For chromatic notes, check which scale degree gives the most natural representation
-    const possibilities = [];
-    
-    for (let i = 0; i < MAJOR_SCALE_INTERVALS.length; i++) {
-      const scaleNote = (keyNumber + MAJOR_SCALE_INTERVALS[i]) % 12;
-      const flatNote = (scaleNote - 1 + 12) % 12;
-      const sharpNote = (scaleNote + 1) % 12;
-      
-      if (rootNumber === flatNote) {
-        possibilities.push({ symbol: 'b' + NASHVILLE_NUMBERS[i], degree: i + 1, type: 'flat' });
-      } else if (rootNumber === sharpNote) {
-        possibilities.push({ symbol: '#' + NASHVILLE_NUMBERS[i], degree: i + 1, type: 'sharp' });
-      }
-    }
-    
-    if (possibilities.length > 0) {
-      // Prefer flat notation for notes that are naturally flat in common usage
-      // (e.g., Bb as b7 rather than #6)
-      const flatOption = possibilities.find(p => p.type === 'flat');
-      const sharpOption = possibilities.find(p => p.type === 'sharp');
-      
-      // Prefer b7 over #6, b3 over #2, etc.
-      if (flatOption && (flatOption.degree === 7 || flatOption.degree === 3 || flatOption.degree === 6)) {
-        return flatOption.symbol + qualitySymbol;
-      } else if (sharpOption && (sharpOption.degree === 4 || sharpOption.degree === 1 || sharpOption.degree === 5)) {
-        return sharpOption.symbol + qualitySymbol;
-      } else if (flatOption) {
-        return flatOption.symbol + qualitySymbol;
-      } else {
-        return sharpOption.symbol + qualitySymbol;
-      }
-    }
-    
-    // Fallback: find closest scale degree
-    let closestInterval = 0;
-    let minDistance = 12;
-    
-    for (let i = 0; i < MAJOR_SCALE_INTERVALS.length; i++) {
-      const distance = Math.abs(interval - MAJOR_SCALE_INTERVALS[i]);
-      if (distance < minDistance) {
-        minDistance = distance;
-        closestInterval = i;
-      }
+      return number + (quality === 'minor' || quality === 'diminished' ? qualitySymbol : '') + bass;
     }
-    
-    return NASHVILLE_NUMBERS[closestInterval] + qualitySymbol;
   }
+  
+  // Modified or chromatic chord (e.g., major 3 instead of minor 3, or b7)
+  return number + qualitySymbol + bass;
 }
 
 /**
- * Get the expected chord quality for a scale degree in major key
+ * Get the expected chord quality for a scale degree by stacking thirds in the scale
  * @param {number} degree - Scale degree (1-7)
+ * @param {Array<number>} scaleIntervals - Scale the degree belongs to (default major)
  * @returns {string} - Expected quality
  */
-function getExpectedQuality(degree) {
-  const majorKeyQualities = {
-    1: 'major',     // I
-    2: 'minor',     // ii
-    3: 'minor',     // iii
-    4: 'major',     // IV
-    5: 'major',     // V
-    6: 'minor',     // vi
-    7: 'diminished' // vii°
-  };
+function getExpectedQuality(degree, scaleIntervals = MAJOR_SCALE_INTERVALS) {
+  const at = (index) => scaleIntervals[index % 7] + (index >= 7 ? 12 : 0);
+  const rootIndex = degree - 1;
+  const third = at(rootIndex + 2) - at(rootIndex);
+  const fifth = at(rootIndex + 4) - at(rootIndex);
   
-  return majorKeyQualities[degree] || 'major';
+  if (third === 4) {
+    return fifth === 8 ? 'augmented' : 'major';
+  }
+  return fifth === 6 ? 'diminished' : 'minor';
 }
 
 /**
  * Convert a chord progression to Nashville numbers
  * @param {Array<string>} chords - Array of chord symbols
  * @param {string} key - Key signature
+ * @param {Object} options - Numbering options (see chordToNashville)
  * @returns {Array<string>} - Array of Nashville numbers
  */
-export function progressionToNashville(chords, key = 'C') {
+export function progressionToNashville(chords, key = 'C', options = {}) {
   if (!Array.isArray(chords)) {
     return [];
   }
   
-  return chords.map(chord => chordToNashville(chord, key));
+  return chords.map(chord => chordToNashville(chord, key, options));
+}
+
+/**
+ * Get the Roman numeral spelling rules for a chord quality
+ * @param {string} quality - Canonical quality name
+ * @returns {Object} - {symbol, figures, lowercase, suffix}
+ */
+function getRomanQuality(quality) {
+  const definition = getQualityDefinition(quality) || getQualityDefinition('major');
+  const lowercase = definition.intervals.includes(3) && !definition.intervals.includes(4);
+  const known = ROMAN_QUALITY_SYMBOLS[quality];
+  
+  if (known) {
+    return { ...known, lowercase, suffix: definition.suffix };
+  }
+  
+  // Lowercase numerals already say "minor", so drop the chord symbol's leading "m"
+  const symbol = lowercase && /^m(?!aj)/.test(definition.suffix)
+    ? definition.suffix.substring(1)
+    : definition.suffix;
+  return { symbol, figures: null, lowercase, suffix: definition.suffix };
+}
+
+/**
+ * Find which chord tone is in the bass (1 = third, 2 = fifth, 3 = seventh)
+ * @param {Object} parsed - Parsed chord model
+ * @returns {number} - Inversion number, or -1 if the bass is not a chord tone
+ */
+function getInversion(parsed) {
+  if (parsed.bassSemitone === null) {
+    return 0;
+  }
+  
+  const bassInterval = (parsed.bassSemitone - parsed.rootSemitone + 12) % 12;
+  return parsed.intervals.findIndex(interval => interval % 12 === bassInterval);
+}
+
+/**
+ * Convert a chord to a Roman numeral based on key
+ * @param {string} chord - Chord symbol (Am7, G7/B, etc.)
+ * @param {string} key - Key signature (C, G, F#m, etc.)
+ * @param {Object} options - Numbering options (see chordToNashville)
+ * @returns {string} - Roman numeral (I, ii7, V6/5, viiø7, bVII, etc.)
+ */
+export function chordToRoman(chord, key = 'C', options = {}) {
+  // Unparseable chords fall back to the tonic major chord
+  const parsed = parseChordSymbol(chord) || parseChordSymbol('C');
+  const { intervals: scaleIntervals, tonic } = resolveNumbering(key, options.mode);
+  
+  const interval = (parsed.rootSemitone - tonic + 12) % 12;
+  const { accidental, degree } = findScaleDegree(interval, scaleIntervals);
+  const romanQuality = getRomanQuality(parsed.quality);
+  
+  const numeral = romanQuality.lowercase
+    ? ROMAN_NUMERALS[degree - 1].toLowerCase()
+    : ROMAN_NUMERALS[degree - 1];
+  const modifiers = parsed.suffix.substring(romanQuality.suffix.length);
+  const figures = romanQuality.figures ? FIGURED_BASS[romanQuality.figures] : null;
+  
+  // Inversions get figured bass; any other bass note is written out
+  const inversion = getInversion(parsed);
+  let figure = figures ? figures[0] : '';
+  let bass = '';
+  if (inversion > 0 && figures && inversion < figures.length) {
+    figure = figures[inversion];
+  } else if (inversion !== 0) {
+    bass = '/' + parsed.bass;
+  }
+  
+  return accidental + numeral + romanQuality.symbol + figure + modifiers + bass;
+}
+
+/**
+ * Convert a chord progression to Roman numerals
+ * @param {Array<string>} chords - Array of chord symbols
+ * @param {string} key - Key signature
+ * @param {Object} options - Numbering options (see chordToNashville)
+ * @returns {Array<string>} - Array of Roman numerals
+ */
+export function progressionToRoman(chords, key = 'C', options = {}) {
+  if (!Array.isArray(chords)) {
+    return [];
+  }
+  
+  return chords.map(chord => chordToRoman(chord, key, options));
+}
+
+/**
+ * Convert a Roman numeral back to a chord symbol
+ * @param {string} romanNumeral - Roman numeral (I, ii7, V6/4, bVII, viiø7, etc.)
+ * @param {string} key - Key signature
+ * @param {Object} options - Numbering options (see chordToNashville)
+ * @returns {string|null} - Chord symbol, or null if the numeral can't be read
+ */
+export function romanToChord(romanNumeral, key = 'C', options = {}) {
+  if (!romanNumeral || typeof romanNumeral !== 'string') {
+    return null;
+  }
+  
+  const match = romanNumeral.trim().match(/^([b#]?)(VII|VI|V|IV|III|II|I|vii|vi|v|iv|iii|ii|i)(.*)$/);
+  if (!match) {
+    return null;
+  }
+  
+  const [, accidental, numeral, rest] = match;
+  const lowercase = numeral === numeral.toLowerCase();
+  const degree = ROMAN_NUMERALS.indexOf(numeral.toUpperCase()) + 1;
+  const { intervals: scaleIntervals, tonic } = resolveNumbering(key, options.mode);
+  
+  let interval = scaleIntervals[degree - 1];
+  if (accidental === '#') {
+    interval = (interval + 1) % 12;
+  } else if (accidental === 'b') {
+    interval = (interval - 1 + 12) % 12;
+  }
+  const rootNote = spellDegree(spellNoteInKey(tonic, key), degree, interval)
+    || spellNoteInKey(tonic + interval, key);
+  
+  // A written-out bass note ("IV/G")
+  let figureText = rest;
+  let bassNote = null;
+  const bassMatch = rest.match(/\/([A-G][#b]?)$/);
+  if (bassMatch) {
+    bassNote = bassMatch[1];
+    figureText = rest.substring(0, bassMatch.index);
+  }
+  
+  // Try every quality spelled with this numeral case, longest symbol first,
+  // and keep the first whose leftovers are valid chord modifiers
+  const candidates = [];
+  getChordQualities().forEach(quality => {
+    const romanQuality = getRomanQuality(quality);
+    if (romanQuality.lowercase !== lowercase) return;
+    
+    const figures = romanQuality.figures ? FIGURED_BASS[romanQuality.figures] : [''];
+    figures.forEach((figure, inversion) => {
+      candidates.push({ text: romanQuality.symbol + figure, suffix: romanQuality.suffix, inversion });
+    });
+  });
+  candidates.sort((a, b) => b.text.length - a.text.length);
+  
+  for (const candidate of candidates) {
+    if (!figureText.startsWith(candidate.text)) continue;
+    if (bassNote && candidate.inversion > 0) continue;
+    
+    const chord = rootNote + candidate.suffix + figureText.substring(candidate.text.length);
+    const parsed = parseChordSymbol(chord);
+    if (!parsed) continue;
+    
+    if (candidate.inversion > 0) {
+      const bassSemitone = (parsed.rootSemitone + parsed.intervals[candidate.inversion]) % 12;
+      return `${chord}/${spellInterval(rootNote, parsed.intervals[candidate.inversion]) || spellNoteInKey(bassSemitone, key)}`;
+    }
+    return bassNote ? `${chord}/${bassNote}` : chord;
+  }
+  
+  return null;
+}
+
+/**
+ * Render a progression in the chosen notation
+ * @param {Array<string>} chords - Array of chord symbols
+ * @param {string} notation - 'chords', 'nashville' or 'roman'
+ * @param {string} key - Key signature
+ * @param {Object} options - Numbering options (see chordToNashville)
+ * @returns {Array<string>} - Rendered progression
+ */
+export function progressionToNotation(chords, notation, key = 'C', options = {}) {
+  if (notation === 'nashville') {
+    return progressionToNashville(chords, key, options);
+  }
+  if (notation === 'roman') {
+    return progressionToRoman(chords, key, options);
+  }
+  return Array.isArray(chords) ? chords : [];
+}
+
+/**
+ * Read a progression typed as Nashville numbers ("1 5 6m 4") or Roman numerals ("I V vi IV")
+ * The numbers are spelled in C, or in C minor when the 1 chord is minor, so a search can
+ * compare them by scale degree against songs in any key
+ * @param {Array<string>} tokens - Typed progression, one chord per entry
+ * @returns {Object|null} - {notation: 'nashville' | 'roman', chords, key}, or null unless every
+ *   entry is a number (or every entry a numeral)
+ */
+export function readNumberedProgression(tokens) {
+  if (!Array.isArray(tokens) || tokens.length === 0) {
+    return null;
+  }
+  
+  let notation = null;
+  let chords = null;
+  if (tokens.every(token => /^[#b]?[1-7]/.test(token))) {
+    notation = 'nashville';
+    chords = tokens.map(token => nashvilleToChord(token, 'C'));
+  } else {
+    // A lowercase tonic ("i iv v") puts the numerals in C minor, so VI is Ab rather than A;
+    // flats on the degrees minor already lowers ("bVI") count from the major scale, as getDiatonicChords writes them
+    notation = 'roman';
+    const isMinor = tokens.some(token => /^i(?![iv])/.test(token.trim()));
+    chords = tokens.map(token => {
+      if (!isMinor) return romanToChord(token, 'C');
+      const mode = /^b(III|VI|VII)/i.test(token.trim()) ? getDefaultNumberingMode('Cm') : 'aeolian';
+      return romanToChord(token, 'Cm', { mode });
+    });
+    if (chords.some(chord => chord === null)) {
+      return null;
+    }
+  }
+  
+  const tonicIsMinor = chords.some(chord => {
+    const parsed = parseChordSymbol(chord);
+    return parsed.rootSemitone === 0 && parsed.intervals.includes(3) && !parsed.intervals.includes(4);
+  });
+  
+  return { notation, chords, key: tonicIsMinor ? 'Cm' : 'C' };
+}
+
+/**
+ * Spell the note on a Nashville scale degree, so flat keys get flats and F# major's 7 is E#
+ * @param {number} degree - Scale degree (1-7)
+ * @param {string} accidental - '', '#' or 'b'
+ * @param {string} key - Key signature
+ * @param {Object} numbering - Resolved numbering (see resolveNumbering)
+ * @returns {string} - Note name
+ */
+function spellScaleDegree(degree, accidental, key, numbering) {
+  const offset = accidental === '#' ? 1 : accidental === 'b' ? -1 : 0;
+  const interval = (numbering.intervals[degree - 1] + offset + 12) % 12;
+
+  return spellDegree(spellNoteInKey(numbering.tonic, key), degree, interval)
+    || spellNoteInKey(numbering.tonic + interval, key);
 }
 
 /**
  * Convert Nashville number back to chord symbol
- * @param {string} nashvilleNumber - Nashville number (1, 2m, #4°, etc.)
+ * @param {string} nashvilleNumber - Nashville number (1, 2m, #4°, 1/3, etc.)
  * @param {string} key - Key signature
+ * @param {Object} options - Numbering options (see chordToNashville)
  * @returns {string} - Chord symbol
  */
-export function nashvilleToChord(nashvilleNumber, key = 'C') {
+export function nashvilleToChord(nashvilleNumber, key = 'C', options = {}) {
   if (!nashvilleNumber || typeof nashvilleNumber !== 'string') {
     return 'C';
   }
   
-  const keyRoot = parseChordSymbol(key).root;
-  const keyNumber = getNoteNumber(keyRoot);
+  const numbering = resolveNumbering(key, options.mode);
+  const { keyRoot } = numbering;
   
   let number = nashvilleNumber;
+  
+  // A slash bass written as a scale degree ("1/3", "5/b7"); "6/9" is a quality
+  let bassDegree = null;
+  const bassMatch = number.match(/\/([#b]?)([1-7])$/);
+  if (bassMatch && bassMatch.index > 0) {
+    bassDegree = { accidental: bassMatch[1], degree: parseInt(bassMatch[2]) };
+    number = number.substring(0, bassMatch.index);
+  }
+  
   let isSharp = false;
   let isFlat = false;
   
@@ -272,116 +559,40 @@ export function nashvilleToChord(nashvilleNumber, key = 'C') {
     return keyRoot; // Return the key root instead of 'C'
   }
   
-  // Get the base interval
-  let interval = MAJOR_SCALE_INTERVALS[degree - 1];
+  const rootNote = spellScaleDegree(degree, isSharp ? '#' : isFlat ? 'b' : '', key, numbering);
+  const bass = bassDegree
+    ? '/' + spellScaleDegree(bassDegree.degree, bassDegree.accidental, key, numbering)
+    : '';
   
-  // Apply sharps and flats
-  if (isSharp) {
-    interval = (interval + 1) % 12;
-  } else if (isFlat) {
-    interval = (interval - 1 + 12) % 12;
+  // Only keep quality symbols the chord model recognizes
+  if (!qualitySymbol || !parseChordSymbol(rootNote + qualitySymbol)) {
+    return rootNote + bass;
   }
-  
-  // Calculate the root note
-  const rootNumber = (keyNumber + interval) % 12;
-  const rootNote = getNoteFromNumber(rootNumber);
-  
-  // Convert quality symbol back to chord quality
-  const quality = getQualityFromSymbol(qualitySymbol);
-  
-  // Only append qualitySymbol for non-major chords, but preserve seventh extensions
-  if (quality === 'major' && !qualitySymbol.includes('7') && !qualitySymbol.includes('9')) {
-    return rootNote;
-  }
-  return rootNote + qualitySymbol;
+  return rootNote + qualitySymbol + bass;
 }
 
 /**
- * Get note name from chromatic number
- * @param {number} number - Chromatic position (0-11)
- * @returns {string} - Note name
+ * Get the diatonic chords of a key, spelled for its key signature
+ * Minor keys include the major V of harmonic minor alongside the natural-minor v
+ * @param {string} key - Key signature (e.g. "F#", "Ebm")
+ * @returns {Array<string>} - Chord symbols in scale order
  */
-function getNoteFromNumber(number) {
-  const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-  return notes[number] || 'C';
-}
+export function getDiatonicChords(key = 'C') {
+  const numerals = parseKey(key).isMinor
+    ? ['i', 'ii°', 'bIII', 'iv', 'v', 'V', 'bVI', 'bVII']
+    : ['I', 'ii', 'iii', 'IV', 'V', 'vi', 'vii°'];
 
-/**
- * Get quality from Nashville symbol
- * @param {string} symbol - Quality symbol (m, °, 7, etc.)
- * @returns {string} - Quality name
- */
-function getQualityFromSymbol(symbol) {
-  const symbolMap = {
-    '': 'major',
-    'm': 'minor',
-    '°': 'diminished',
-    '+': 'augmented',
-    '7': 'dominant7',
-    'maj7': 'major7',
-    'm7': 'minor7',
-    '°7': 'diminished7',
-    'ø7': 'half-diminished7',
-    'sus2': 'suspended2',
-    'sus4': 'suspended4',
-    'add9': 'add9',
-    'maj9': 'major9',
-    'm9': 'minor9',
-    '9': 'dominant9'
-  };
-  
-  return symbolMap[symbol] || 'major';
+  return numerals.map(numeral => romanToChord(numeral, key, { mode: getDefaultNumberingMode(key) }));
 }
 
 /**
  * Detect the key of a chord progression
+ * Uses the shared key-finding engine, so the result can be a minor key (e.g. "Am")
  * @param {Array<string>} chords - Array of chord symbols
- * @returns {string} - Most likely key
+ * @returns {string} - Most likely key, or 'C' when nothing can be detected
  */
 export function detectKey(chords) {
-  if (!Array.isArray(chords) || chords.length === 0) {
-    return 'C';
-  }
-  
-  // Enhanced key detection based on chord frequency and harmonic weights
-  const chordCounts = {};
-  const roots = chords.map(chord => {
-    const parsed = parseChordSymbol(chord);
-    return parsed.root || 'C'; // Fallback to C for invalid chords
-  }).filter(root => root.match(/^[A-G][#b]?$/)); // Only valid note names
-  
-  if (roots.length === 0) {
-    return 'C';
-  }
-  
-  roots.forEach(root => {
-    chordCounts[root] = (chordCounts[root] || 0) + 1;
-  });
-  
-  // Weight commonly used chord progressions
-  // In major keys, look for I-IV-V relationships
-  const possibleKeys = Object.keys(chordCounts);
-  let bestKey = 'C';
-  let bestScore = 0;
-  
-  possibleKeys.forEach(key => {
-    let score = chordCounts[key] * 2; // Base score from frequency
-    
-    // Check for common chord relationships in this key
-    const keyNum = getNoteNumber(key);
-    const fourth = getNoteFromNumber((keyNum + 5) % 12); // IV chord
-    const fifth = getNoteFromNumber((keyNum + 7) % 12); // V chord
-    
-    if (chordCounts[fourth]) score += chordCounts[fourth];
-    if (chordCounts[fifth]) score += chordCounts[fifth];
-    
-    if (score > bestScore) {
-      bestScore = score;
-      bestKey = key;
-    }
-  });
-  
-  return bestKey;
+  return findKey(chords).key || 'C';
 }
 
 /**
@@ -7,7 +7,15 @@ import {
   progressionToNashville,
   nashvilleToChord,
   detectKey,
-  getCommonProgressions
+  getCommonProgressions,
+  getDefaultNumberingMode,
+  getNumberingModes,
+  chordToRoman,
+  progressionToRoman,
+  romanToChord,
+  progressionToNotation,
+  getDiatonicChords,
+  readNumberedProgression
 } from './nashvilleNumbers';
 
 describe('Nashville Number System', () => {
@@ -64,6 +72,14 @@ describe('Nashville Number System', () => {
       expect(chordToNashville('Gsus2', 'C')).toBe('5sus2');
     });
 
+    test('numbers slash bass notes in the key', () => {
+      expect(chordToNashville('C/E', 'C')).toBe('1/3');
+      expect(chordToNashville('D/F#', 'G')).toBe('5/7');
+      expect(chordToNashville('Am7/G', 'C')).toBe('6m7/5');
+      expect(chordToNashville('C/Bb', 'C')).toBe('1/b7');
+      expect(chordToNashville('Ab/C', 'Fm')).toBe('b3/5');
+    });
+
     test('handles edge cases', () => {
       expect(chordToNashville('', 'C')).toBe('1');
       expect(chordToNashville(null, 'C')).toBe('1');
@@ -121,7 +137,17 @@ describe('Nashville Number System', () => {
 
     test('handles chromatic chords', () => {
       expect(nashvilleToChord('#4', 'C')).toBe('F#');
-      expect(nashvilleToChord('b7', 'C')).toBe('A#');
+      expect(nashvilleToChord('b7', 'C')).toBe('Bb');
+      expect(nashvilleToChord('b5', 'C')).toBe('Gb');
+    });
+
+    test('spells chords for the key signature', () => {
+      expect(nashvilleToChord('4', 'F')).toBe('Bb');
+      expect(nashvilleToChord('7°', 'F#')).toBe('E#°');
+      expect(nashvilleToChord('7°', 'G#')).toBe('F##°');
+      expect(nashvilleToChord('3m', 'Db')).toBe('Fm');
+      expect(nashvilleToChord('b3', 'F#m')).toBe('A');
+      expect(nashvilleToChord('5', 'Ebm')).toBe('Bb');
     });
 
     test('handles seventh chords', () => {
@@ -129,6 +155,14 @@ describe('Nashville Number System', () => {
       expect(nashvilleToChord('1maj7', 'C')).toBe('Cmaj7');
     });
 
+    test('reads slash bass degrees', () => {
+      expect(nashvilleToChord('1/3', 'C')).toBe('C/E');
+      expect(nashvilleToChord('5/7', 'F')).toBe('C/E');
+      expect(nashvilleToChord('1/b7', 'Eb')).toBe('Eb/Db');
+      expect(nashvilleToChord('4/5', 'Bb')).toBe('Eb/F');
+      expect(nashvilleToChord('16/9', 'C')).toBe('C6/9');
+    });
+
     test('handles edge cases', () => {
       expect(nashvilleToChord('', 'C')).toBe('C');
       expect(nashvilleToChord(null, 'C')).toBe('C');
@@ -140,7 +174,12 @@ describe('Nashville Number System', () => {
     test('detects key from common progressions', () => {
       expect(detectKey(['C', 'G', 'Am', 'F'])).toBe('C');
       expect(detectKey(['G', 'D', 'Em', 'C'])).toBe('G');
-      expect(detectKey(['Am', 'F', 'C', 'G'])).toBe('C'); // Most common root
+      expect(detectKey(['Am', 'F', 'C', 'G'])).toBe('Am'); // Starts on the minor tonic and loops back to it
+    });
+
+    test('detects minor and modal keys', () => {
+      expect(detectKey(['Am', 'Dm', 'E7', 'Am'])).toBe('Am');
+      expect(detectKey(['D', 'C', 'G', 'D'])).toBe('D'); // Mixolydian rock, not G major
     });
 
     test('handles repeated chords', () => {
@@ -195,6 +234,14 @@ describe('Nashville Number System', () => {
       const convertedBack = nashvilleProgression.map(num => nashvilleToChord(num, 'C'));
       expect(convertedBack).toEqual(['C', 'G', 'Am', 'F']);
     });
+
+    test('slash chords survive a round trip', () => {
+      const walkDown = ['G', 'D/F#', 'Em', 'Em/D', 'C'];
+      const numbers = progressionToNashville(walkDown, 'G');
+
+      expect(numbers).toEqual(['1', '5/7', '6m', '6m/5', '4']);
+      expect(numbers.map(num => nashvilleToChord(num, 'G'))).toEqual(walkDown);
+    });
   });
 
   describe('complex chord types', () => {
@@ -214,4 +261,144 @@ describe('Nashville Number System', () => {
       expect(chordToNashville('Fadd9', 'C')).toBe('4add9');
     });
   });
-});
\ No newline at end of file
+
+  describe('minor and modal numbering', () => {
+    const wonderwall = ['F#m', 'A', 'E', 'B'];
+
+    test('minor keys default to 1m-relative numbering', () => {
+      expect(getDefaultNumberingMode('F#m')).toBe('minor1');
+      expect(getDefaultNumberingMode('A')).toBe('major');
+      expect(progressionToNashville(wonderwall, 'F#m')).toEqual(['1m', 'b3', 'b7', '4']);
+    });
+
+    test('numbers minor keys from the relative major', () => {
+      expect(progressionToNashville(wonderwall, 'F#m', { mode: 'minor6' })).toEqual(['6m', '1', '5', '2']);
+      expect(nashvilleToChord('6m', 'F#m', { mode: 'minor6' })).toBe('F#m');
+    });
+
+    test('numbers against modal scales', () => {
+      expect(progressionToNashville(['Am', 'G', 'F', 'E'], 'A', { mode: 'aeolian' })).toEqual(['1m', '7', '6', '5']);
+      expect(chordToNashville('G#°', 'A', { mode: 'aeolian' })).toBe('#7°');
+      expect(progressionToNashville(['G', 'F', 'C'], 'G', { mode: 'mixolydian' })).toEqual(['1', '7', '4']);
+      expect(progressionToNashville(['Dm', 'G', 'F#'], 'D', { mode: 'dorian' })).toEqual(['1m', '4', '#3']);
+      expect(nashvilleToChord('7', 'G', { mode: 'mixolydian' })).toBe('F');
+    });
+
+    test('lists numbering modes for display', () => {
+      const ids = getNumberingModes().map(mode => mode.id);
+      expect(ids).toEqual(['major', 'minor1', 'minor6', 'dorian', 'mixolydian', 'aeolian']);
+    });
+  });
+
+  describe('Roman numerals', () => {
+    test('uses case for chord quality', () => {
+      expect(progressionToRoman(['C', 'G', 'Am', 'F'], 'C')).toEqual(['I', 'V', 'vi', 'IV']);
+      expect(progressionToRoman(['Dm7', 'G7', 'Cmaj7'], 'C')).toEqual(['ii7', 'V7', 'Imaj7']);
+    });
+
+    test('marks diminished, half-diminished and augmented chords', () => {
+      expect(chordToRoman('Bdim', 'C')).toBe('vii°');
+      expect(chordToRoman('Bdim7', 'C')).toBe('vii°7');
+      expect(chordToRoman('Bm7b5', 'C')).toBe('viiø7');
+      expect(chordToRoman('Caug', 'C')).toBe('I+');
+    });
+
+    test('writes inversions as figured bass', () => {
+      expect(chordToRoman('C/E', 'C')).toBe('I6');
+      expect(chordToRoman('G/D', 'C')).toBe('V6/4');
+      expect(chordToRoman('G7/B', 'C')).toBe('V6/5');
+      expect(chordToRoman('G7/D', 'C')).toBe('V4/3');
+      expect(chordToRoman('G7/F', 'C')).toBe('V4/2');
+      expect(chordToRoman('C/D', 'C')).toBe('I/D');
+    });
+
+    test('handles chromatic chords and modes', () => {
+      expect(chordToRoman('Bb', 'C')).toBe('bVII');
+      expect(progressionToRoman(['Am', 'F', 'C', 'E7'], 'A', { mode: 'aeolian' })).toEqual(['i', 'VI', 'III', 'V7']);
+    });
+
+    test('parses Roman numerals back to chords', () => {
+      expect(romanToChord('vi', 'C')).toBe('Am');
+      expect(romanToChord('V7', 'G')).toBe('D7');
+      expect(romanToChord('V6/5', 'C')).toBe('G7/B');
+      expect(romanToChord('I6/4', 'C')).toBe('C/G');
+      expect(romanToChord('viiø7', 'C')).toBe('Bm7b5');
+      expect(romanToChord('vii°', 'C')).toBe('Bdim');
+      expect(romanToChord('Iadd6', 'C')).toBe('C6');
+      expect(romanToChord('IV/G', 'C')).toBe('F/G');
+    });
+
+    test('lists the diatonic chords of a key', () => {
+      expect(getDiatonicChords('C')).toEqual(['C', 'Dm', 'Em', 'F', 'G', 'Am', 'Bdim']);
+      expect(getDiatonicChords('F#')).toEqual(['F#', 'G#m', 'A#m', 'B', 'C#', 'D#m', 'E#dim']);
+      expect(getDiatonicChords('Db')).toEqual(['Db', 'Ebm', 'Fm', 'Gb', 'Ab', 'Bbm', 'Cdim']);
+      expect(getDiatonicChords('G#')[6]).toBe('F##dim');
+      expect(getDiatonicChords('Am')).toEqual(['Am', 'Bdim', 'C', 'Dm', 'Em', 'E', 'F', 'G']);
+    });
+
+    test('spells Roman numerals for the key signature', () => {
+      expect(romanToChord('bVII', 'F')).toBe('Eb');
+      expect(romanToChord('vii°', 'F#')).toBe('E#dim');
+      expect(romanToChord('V6', 'Eb')).toBe('Bb/D');
+      expect(romanToChord('III6', 'C')).toBe('E/G#');
+    });
+
+    test('round-trips chords through Roman numerals', () => {
+      ['C', 'Dm7', 'G7/B', 'Am/C', 'Fmaj7', 'Bm7b5', 'Cadd9', 'G7b9', 'E7', 'C6/9'].forEach(chord => {
+        expect(romanToChord(chordToRoman(chord, 'C'), 'C')).toBe(chord);
+      });
+    });
+
+    test('rejects unreadable numerals', () => {
+      expect(romanToChord('', 'C')).toBeNull();
+      expect(romanToChord('X', 'C')).toBeNull();
+      expect(romanToChord('Vi', 'C')).toBeNull();
+      expect(romanToChord('V7foo', 'C')).toBeNull();
+    });
+
+    test('renders progressions in any notation', () => {
+      const progression = ['C', 'Am'];
+      expect(progressionToNotation(progression, 'chords', 'C')).toEqual(['C', 'Am']);
+      expect(progressionToNotation(progression, 'nashville', 'C')).toEqual(['1', '6m']);
+      expect(progressionToNotation(progression, 'roman', 'C')).toEqual(['I', 'vi']);
+    });
+  });
+
+  describe('readNumberedProgression', () => {
+    test('reads Nashville numbers and Roman numerals in C', () => {
+      expect(readNumberedProgression(['1', '5', '6m', '4'])).toEqual({
+        notation: 'nashville',
+        chords: ['C', 'G', 'Am', 'F'],
+        key: 'C'
+      });
+      expect(readNumberedProgression(['ii7', 'V7', 'Imaj7'])).toEqual({
+        notation: 'roman',
+        chords: ['Dm7', 'G7', 'Cmaj7'],
+        key: 'C'
+      });
+      expect(readNumberedProgression(['1', '5/7', 'b7']).chords).toEqual(['C', 'G/B', 'Bb']);
+    });
+
+    test('reads a minor 1 chord as a minor key', () => {
+      expect(readNumberedProgression(['1m', 'b6', 'b7'])).toMatchObject({ chords: ['Cm', 'Ab', 'Bb'], key: 'Cm' });
+      expect(readNumberedProgression(['i', 'iv', 'V']).key).toBe('Cm');
+    });
+
+    test('reads Roman numerals in C minor when the tonic is lowercase', () => {
+      expect(readNumberedProgression(['i', 'VI', 'III', 'VII'])).toEqual({
+        notation: 'roman',
+        chords: ['Cm', 'Ab', 'Eb', 'Bb'],
+        key: 'Cm'
+      });
+      expect(readNumberedProgression(['i', 'iv', 'v']).chords).toEqual(['Cm', 'Fm', 'Gm']);
+      expect(readNumberedProgression(['i', 'bVI', 'bVII', 'V7']).chords).toEqual(['Cm', 'Ab', 'Bb', 'G7']);
+    });
+
+    test('returns null for chord names and mixed input', () => {
+      expect(readNumberedProgression(['C', 'G'])).toBeNull();
+      expect(readNumberedProgression(['1', 'G'])).toBeNull();
+      expect(readNumberedProgression(['I', '5'])).toBeNull();
+      expect(readNumberedProgression([])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Key-aware note spelling
+ * Names notes after their scale degree in a key, so flat keys are spelled with flats, sharp keys
+ * with sharps, and double sharps or flats appear where the key signature calls for them
+ */
+
+import { parseChordSymbol } from './chordModel.js';
+
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_SEMITONES = [0, 2, 4, 5, 7, 9, 11];
+
+// Scale degree each semitone above the tonic is spelled as. Chromatic notes read as
+// b2, b3, #4, b6 and b7, the way borrowed chords and secondary dominants usually appear
+const INTERVAL_DEGREES = [1, 2, 2, 3, 3, 4, 4, 5, 6, 6, 7, 7];
+
+// Chord-tone degree each semitone above a chord root is spelled as (b9, 3rds, b5 and #5, 6th, 7ths)
+const CHORD_TONE_DEGREES = [1, 2, 2, 3, 3, 4, 5, 5, 5, 6, 7, 7];
+
+// The other way to spell each chromatic interval (#1, #2, b5, #5, #6)
+const ALTERNATIVE_DEGREES = { 1: 1, 3: 2, 6: 5, 8: 5, 10: 6 };
+
+// Semitones above the tonic that belong to the key (minor includes the raised seventh).
+// Only these keep a double sharp or flat; chromatic notes are respelled to avoid one
+const MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11];
+const MINOR_SCALE = [0, 2, 3, 5, 7, 8, 10, 11];
+
+// Conventional key spellings (fewest accidentals), used when there is no key to spell against
+const MAJOR_KEY_ROOTS = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const MINOR_KEY_ROOTS = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'G#', 'A', 'Bb', 'B'];
+
+/**
+ * Reads the tonic of a key signature
+ * @param {string} key - Key signature (e.g. "Bb", "F#m")
+ * @returns {Object|null} - { root, semitone, isMinor } or null if the key can't be read
+ */
+const parseKeyTonic = (key) => {
+  const parsed = parseChordSymbol(key);
+  if (!parsed) return null;
+
+  return {
+    root: parsed.root,
+    semitone: parsed.rootSemitone,
+    isMinor: parsed.intervals.includes(3) && !parsed.intervals.includes(4)
+  };
+};
+
+/**
+ * Gets the conventional name of a key, spelled with the fewest accidentals
+ * @param {number} semitone - Tonic semitone (0-11)
+ * @param {boolean} isMinor - Whether the key is minor
+ * @returns {string} - Key name such as "Bb" or "F#m"
+ */
+export const getConventionalKeyName = (semitone, isMinor = false) => {
+  const index = ((semitone % 12) + 12) % 12;
+  return isMinor ? `${MINOR_KEY_ROOTS[index]}m` : MAJOR_KEY_ROOTS[index];
+};
+
+/**
+ * Spells the note a given number of semitones above a tonic as a particular scale degree
+ * @param {string} tonic - Tonic note name (e.g. "F#")
+ * @param {number} degree - Scale degree (1-7) whose letter the note takes
+ * @param {number} semitones - Semitones above the tonic
+ * @returns {string|null} - Note name such as "E#" or "F##", or null if it would need more than a double accidental
+ */
+export const spellDegree = (tonic, degree, semitones) => {
+  const parsedTonic = parseKeyTonic(tonic);
+  if (!parsedTonic || degree < 1 || degree > 7) return null;
+
+  const letterIndex = (LETTERS.indexOf(parsedTonic.root[0]) + degree - 1) % 7;
+  const target = (((parsedTonic.semitone + semitones) % 12) + 12) % 12;
+  const offset = ((target - LETTER_SEMITONES[letterIndex] + 18) % 12) - 6;
+  if (Math.abs(offset) > 2) return null;
+
+  return LETTERS[letterIndex] + (offset > 0 ? '#'.repeat(offset) : 'b'.repeat(-offset));
+};
+
+/**
+ * Spells a chord tone from the chord root (e.g. the third of E is G#, not Ab)
+ * @param {string} root - Chord root note name
+ * @param {number} semitones - Semitones above the root
+ * @returns {string|null} - Note name, or null if the root can't be read
+ */
+export const spellInterval = (root, semitones) => {
+  const interval = ((semitones % 12) + 12) % 12;
+  return spellDegree(root, CHORD_TONE_DEGREES[interval], interval);
+};
+
+/**
+ * Spells a pitch class the way it's written in a key
+ * @param {number} semitone - Pitch class (0-11)
+ * @param {string} key - Key signature (conventional spelling when omitted or unreadable)
+ * @returns {string} - Note name
+ */
+export const spellNoteInKey = (semitone, key = null) => {
+  const pitchClass = ((semitone % 12) + 12) % 12;
+  const keyTonic = parseKeyTonic(key);
+  if (!keyTonic) return MAJOR_KEY_ROOTS[pitchClass];
+
+  const interval = (pitchClass - keyTonic.semitone + 12) % 12;
+  const spelled = spellDegree(keyTonic.root, INTERVAL_DEGREES[interval], interval);
+  const scale = keyTonic.isMinor ? MINOR_SCALE : MAJOR_SCALE;
+  if (spelled && (spelled.length < 3 || scale.includes(interval))) {
+    return spelled;
+  }
+
+  const alternative = ALTERNATIVE_DEGREES[interval]
+    ? spellDegree(keyTonic.root, ALTERNATIVE_DEGREES[interval], interval)
+    : null;
+  return alternative && alternative.length < 3 ? alternative : MAJOR_KEY_ROOTS[pitchClass];
+};
+
+/**
+ * Respells the root and bass of a chord for a key, keeping its quality
+ * @param {string} chord - Chord symbol
+ * @param {string} key - Key signature (the chord is spelled as its own key when omitted)
+ * @returns {string|null} - Respelled chord symbol, or null if the chord doesn't parse
+ */
+export const spellChordInKey = (chord, key = null) => {
+  const parsed = parseChordSymbol(chord);
+  if (!parsed) return null;
+
+  const isMinor = parsed.intervals.includes(3) && !parsed.intervals.includes(4);
+  const spellingKey = key || getConventionalKeyName(parsed.rootSemitone, isMinor);
+  const root = spellNoteInKey(parsed.rootSemitone, spellingKey);
+  const bass = parsed.bassSemitone !== null ? `/${spellNoteInKey(parsed.bassSemitone, spellingKey)}` : '';
+
+  return root + parsed.suffix + bass;
+};
+
+/**
+ * Transposes a key signature, spelling the new key conventionally
+ * @param {string} key - Key signature (e.g. "C", "Am")
+ * @param {number} semitones - Semitones to move (positive = up)
+ * @returns {string|null} - Transposed key such as "Bb" or "F#m", or null if the key can't be read
+ */
+export const transposeKey = (key, semitones) => {
+  const keyTonic = parseKeyTonic(key);
+  if (!keyTonic) return null;
+
+  return getConventionalKeyName(keyTonic.semitone + semitones, keyTonic.isMinor);
+};
+
+const noteSpelling = {
+  getConventionalKeyName,
+  spellDegree,
+  spellInterval,
+  spellNoteInKey,
+  spellChordInKey,
+  transposeKey
+};
+
+export default noteSpelling;
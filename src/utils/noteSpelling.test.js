@@ -0,0 +1,98 @@
+/**
+ * Tests for key-aware note spelling
+ */
+
+import {
+  getConventionalKeyName,
+  spellDegree,
+  spellInterval,
+  spellNoteInKey,
+  spellChordInKey,
+  transposeKey
+} from './noteSpelling';
+
+const spellChromatic = (key) => Array.from({ length: 12 }, (_, semitone) => spellNoteInKey(semitone, key));
+
+describe('Note Spelling', () => {
+  describe('spellNoteInKey', () => {
+    test('uses flats in flat keys and sharps in sharp keys', () => {
+      expect(spellNoteInKey(10, 'F')).toBe('Bb');
+      expect(spellNoteInKey(10, 'B')).toBe('A#');
+      expect(spellNoteInKey(3, 'Cm')).toBe('Eb');
+      expect(spellNoteInKey(8, 'Am')).toBe('G#');
+    });
+
+    test('spells diatonic notes by scale degree, double sharps included', () => {
+      expect(spellNoteInKey(5, 'F#')).toBe('E#');
+      expect(spellNoteInKey(11, 'Gb')).toBe('Cb');
+      expect(spellNoteInKey(7, 'G#')).toBe('F##');
+      expect(spellNoteInKey(2, 'D#m')).toBe('C##');
+    });
+
+    test('reads chromatic notes as b2, b3, #4, b6 and b7', () => {
+      expect(spellChromatic('C')).toEqual(['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B']);
+      expect(spellChromatic('E')).toEqual(['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']);
+    });
+
+    test('avoids double accidentals on chromatic notes', () => {
+      expect(spellNoteInKey(2, 'Db')).toBe('D');
+      expect(spellNoteInKey(2, 'G#')).toBe('D');
+      expect(spellNoteInKey(9, 'D#m')).toBe('A');
+    });
+
+    test('falls back to conventional spelling without a key', () => {
+      expect(spellNoteInKey(10)).toBe('Bb');
+      expect(spellNoteInKey(6, 'nope')).toBe('F#');
+      expect(spellNoteInKey(-1)).toBe('B');
+    });
+  });
+
+  describe('spellDegree', () => {
+    test('spells a note as the given scale degree', () => {
+      expect(spellDegree('C', 4, 6)).toBe('F#');
+      expect(spellDegree('C', 5, 6)).toBe('Gb');
+      expect(spellDegree('G#', 7, 11)).toBe('F##');
+    });
+
+    test('returns null when a spelling would need more than a double accidental', () => {
+      expect(spellDegree('C', 2, 5)).toBeNull();
+      expect(spellDegree('C', 8, 0)).toBeNull();
+      expect(spellDegree('nope', 1, 0)).toBeNull();
+    });
+  });
+
+  test('spellInterval spells chord tones from the root', () => {
+    expect(spellInterval('E', 4)).toBe('G#');
+    expect(spellInterval('Db', 7)).toBe('Ab');
+    expect(spellInterval('B', 6)).toBe('F');
+    expect(spellInterval('C', 3)).toBe('Eb');
+  });
+
+  describe('spellChordInKey', () => {
+    test('respells root and bass for the key', () => {
+      expect(spellChordInKey('A#', 'F')).toBe('Bb');
+      expect(spellChordInKey('Fdim', 'F#')).toBe('E#dim');
+      expect(spellChordInKey('Gdim', 'G#')).toBe('F##dim');
+      expect(spellChordInKey('D#m7/A#', 'Eb')).toBe('Ebm7/Bb');
+    });
+
+    test('spells a chord as its own key when no key is given', () => {
+      expect(spellChordInKey('A#')).toBe('Bb');
+      expect(spellChordInKey('Gbm')).toBe('F#m');
+      expect(spellChordInKey('Db/F')).toBe('Db/F');
+    });
+
+    test('returns null for invalid chords', () => {
+      expect(spellChordInKey('nope', 'C')).toBeNull();
+    });
+  });
+
+  test('transposeKey and getConventionalKeyName', () => {
+    expect(transposeKey('C', 5)).toBe('F');
+    expect(transposeKey('C', -2)).toBe('Bb');
+    expect(transposeKey('Am', 4)).toBe('C#m');
+    expect(transposeKey('nope', 2)).toBeNull();
+    expect(getConventionalKeyName(3, true)).toBe('Ebm');
+    expect(getConventionalKeyName(6)).toBe('F#');
+  });
+});
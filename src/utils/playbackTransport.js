@@ -0,0 +1,577 @@
+/**
+ * Playback transport
+ * The one engine every player in the app plays progressions through. A short timer wakes a scheduler
+ * that queues the next fraction of a second of audio on the Web Audio clock, so chords land on the beat
+ * however busy the page is, and listeners hear about each chord when it actually sounds rather than
+ * keeping time of their own
+ *
+ * Positions are in beats from the start of the progression; each chord lasts one beat unless it's
+ * given a duration. Bars are counted in the meter (time signature and pickup) set with setMeter, and
+ * a count-in bar can lead playback in. Events sent to listeners:
+ *   { type: 'chord', index, chord, beat, beats, barBeat,           a chord starts sounding; nextChord is the
+ *     timeSignature, nextChord, time, duration }                   one played after it, or null at the end
+ *   { type: 'beat', beat, barBeat, timeSignature, index, chord,    a whole beat passes; count-in beats
+ *     time, duration, countIn }                                    have countIn set and a negative beat
+ *   { type: 'position', beat, index, chordProgress, progress }     on every scheduler run while playing
+ *   { type: 'state', status }                                      'playing', 'paused' or 'stopped'
+ *   { type: 'end' }                                                the progression finished without a loop
+ */
+
+import { getSharedAudioContext, playChord, stopAudioNodes } from './audioSynthesis';
+import { DEFAULT_TIME_SIGNATURE, getBeatsPerBar } from './rhythm';
+
+const DEFAULT_BPM = 120;
+
+// Seconds of audio scheduled ahead of the clock, and milliseconds between scheduler runs
+const DEFAULT_LOOKAHEAD = 0.1;
+const DEFAULT_SCHEDULE_INTERVAL = 25;
+
+// Seconds between pressing play and the first chord, so its attack isn't cut short
+const START_DELAY = 0.05;
+
+// Seconds a scheduled step is kept once it has finished, for reading the position
+const HISTORY_SECONDS = 1;
+
+/**
+ * Voice that plays each chord as a synthesized pad (see playChord)
+ * Voices are called for every event the transport schedules and return the audio nodes they create
+ * @param {AudioContext} audioContext - Web Audio API context
+ * @param {Object} event - Chord or beat event, with the audio time it falls on
+ * @param {Object} soundOptions - Options from setSoundOptions, passed on to playChord
+ * @returns {Array<AudioNode>} - Nodes created
+ */
+export const chordVoice = (audioContext, event, soundOptions) => {
+  if (event.type !== 'chord') return [];
+  return playChord(audioContext, event.chord, event.duration, event.time, soundOptions);
+};
+
+/**
+ * Lays a progression out in beats
+ * Steps are the points the scheduler stops at: the start of each chord and each whole beat
+ * @param {Array<string>} chords - Chord symbols
+ * @param {Array<number>|null} durations - Beats each chord lasts, one by default
+ * @returns {Object} - { chords: [{ chord, index, startBeat, beats }], steps: [{ beat, index, chordStart, wholeBeat }], length }
+ */
+const buildTimeline = (chords, durations) => {
+  let beat = 0;
+  const timeline = chords.map((chord, index) => {
+    const beats = durations && durations[index] > 0 ? durations[index] : 1;
+    const entry = { chord, index, startBeat: beat, beats };
+    beat += beats;
+    return entry;
+  });
+
+  const steps = [];
+  timeline.forEach(({ index, startBeat, beats }) => {
+    steps.push({ beat: startBeat, index, chordStart: true, wholeBeat: Number.isInteger(startBeat) });
+    for (let whole = Math.floor(startBeat) + 1; whole < startBeat + beats; whole++) {
+      steps.push({ beat: whole, index, chordStart: false, wholeBeat: true });
+    }
+  });
+
+  return { chords: timeline, steps, length: beat };
+};
+
+/**
+ * Creates a transport
+ * @param {Object} options - Options
+ * @param {number} options.bpm - Starting tempo (default 120)
+ * @param {Array<Function>} options.voices - Voices that turn events into sound (default [chordVoice])
+ * @param {Object} options.soundOptions - Options passed to the voices, such as volume, waveType and voicing
+ * @param {Function} options.getAudioContext - Resolves the audio context to play on (default the shared one)
+ * @param {number} options.lookahead - Seconds of audio scheduled ahead
+ * @param {number} options.scheduleInterval - Milliseconds between scheduler runs
+ * @returns {Object} - Transport with play, pause, stop, seek, seekToChord, setTempo, setLoop,
+ *   setProgression, setMeter, setCountIn, setSoundOptions, setVoices, subscribe, getState and dispose
+ */
+export const createTransport = (options = {}) => {
+  const {
+    getAudioContext = getSharedAudioContext,
+    lookahead = DEFAULT_LOOKAHEAD,
+    scheduleInterval = DEFAULT_SCHEDULE_INTERVAL
+  } = options;
+
+  let audioContext = null;
+  let bpm = options.bpm || DEFAULT_BPM;
+  let voices = options.voices || [chordVoice];
+  let soundOptions = options.soundOptions || {};
+  let timeline = buildTimeline([], null);
+  let source = { chords: null, durations: null }; // Arrays the timeline was built from
+  let loop = null; // { start, end } chord indices, both included
+  let meter = { timeSignature: DEFAULT_TIME_SIGNATURE, pickup: 0 };
+  let countIn = false; // Whether play leads in with a bar of clicks
+
+  let status = 'stopped';
+  let restingBeat = 0; // Position while paused or stopped
+  let stepIndex = 0; // Next step to schedule
+  let cursorTime = 0; // Audio time of the next step
+  let endQueued = false;
+  let scheduled = []; // [{ time, beat, beats, index, nodes }] steps already handed to the voices
+  let pending = []; // Events waiting for their time to reach the listeners
+  let timer = null;
+  const listeners = new Set();
+
+  const secondsPerBeat = () => 60 / bpm;
+
+  // Beat within its bar, from 0; the pickup is the end of the bar before bar 1
+  const getBarBeat = (beat) => {
+    const beatsPerBar = getBeatsPerBar(meter.timeSignature);
+    return (((beat - meter.pickup) % beatsPerBar) + beatsPerBar) % beatsPerBar;
+  };
+
+  const notify = (event) => {
+    listeners.forEach(listener => listener(event));
+  };
+
+  const setStatus = (nextStatus) => {
+    status = nextStatus;
+    notify({ type: 'state', status });
+  };
+
+  // Beats the transport plays between: the loop region, or the whole progression
+  const getBounds = () => {
+    const { chords, length } = timeline;
+    if (loop && chords[loop.start] && chords[loop.end]) {
+      const last = chords[loop.end];
+      return { startBeat: chords[loop.start].startBeat, endBeat: last.startBeat + last.beats, looping: true };
+    }
+    return { startBeat: 0, endBeat: length, looping: false };
+  };
+
+  // The step sounding at a beat: the last one starting at or before it
+  const findStepAt = (beat) => {
+    const { steps } = timeline;
+    let found = 0;
+    for (let i = 0; i < steps.length && steps[i].beat <= beat; i++) found = i;
+    return found;
+  };
+
+  // Chord played after one: the next, or the start of the loop at its end
+  const getNextChord = (index) => {
+    const { chords } = timeline;
+    const { looping } = getBounds();
+    if (looping && index === loop.end) return chords[loop.start].chord;
+    return chords[index + 1] ? chords[index + 1].chord : null;
+  };
+
+  const findChordAt = (beat) => {
+    return timeline.steps.length > 0 ? timeline.chords[timeline.steps[findStepAt(beat)].index] : null;
+  };
+
+  // Beat that sounds at an audio time, read from the steps already scheduled
+  const beatAt = (time) => {
+    let current = null;
+    for (const item of scheduled) {
+      if (item.time <= time) current = item;
+    }
+    if (!current) return scheduled.length > 0 ? scheduled[0].beat : restingBeat;
+    return current.beat + Math.min((time - current.time) / secondsPerBeat(), current.beats);
+  };
+
+  const getBeat = () => (status === 'playing' && audioContext ? beatAt(audioContext.currentTime) : restingBeat);
+
+  const describePosition = (beat) => {
+    const chord = findChordAt(beat);
+    return {
+      type: 'position',
+      beat,
+      index: chord ? chord.index : 0,
+      chordProgress: chord ? Math.min(Math.max((beat - chord.startBeat) / chord.beats, 0), 1) : 0,
+      progress: timeline.length > 0 ? Math.min(beat / timeline.length, 1) : 0
+    };
+  };
+
+  // Hands an event to every voice and keeps it for the listeners until its time comes
+  const sound = (event) => {
+    const nodes = voices.flatMap(voice => voice(audioContext, event, soundOptions) || []);
+    pending.push(event);
+    return nodes;
+  };
+
+  // Schedules a step, or the rest of one; restarting plays the chord again even partway through it
+  const scheduleStep = (step, time, fromBeat, toBeat, restart = false) => {
+    const chord = timeline.chords[step.index];
+    const nodes = [];
+    if (step.chordStart || restart) {
+      const beats = chord.startBeat + chord.beats - fromBeat;
+      nodes.push(...sound({
+        type: 'chord',
+        index: chord.index,
+        chord: chord.chord,
+        beat: fromBeat,
+        beats,
+        barBeat: getBarBeat(fromBeat),
+        timeSignature: meter.timeSignature,
+        nextChord: getNextChord(chord.index),
+        time,
+        duration: beats * secondsPerBeat()
+      }));
+    }
+    if (step.wholeBeat && fromBeat === step.beat) {
+      nodes.push(...sound({
+        type: 'beat',
+        beat: step.beat,
+        barBeat: getBarBeat(step.beat),
+        timeSignature: meter.timeSignature,
+        index: chord.index,
+        chord: chord.chord,
+        time,
+        duration: secondsPerBeat(),
+        countIn: false
+      }));
+    }
+    scheduled.push({ time, beat: fromBeat, beats: toBeat - fromBeat, index: chord.index, nodes });
+  };
+
+  // Schedules a bar of count-in beats from a time, holding the position at the beat playback starts on
+  const scheduleCountIn = (time, beat, index) => {
+    const beatsPerBar = getBeatsPerBar(meter.timeSignature);
+    for (let count = 0; count < beatsPerBar; count++) {
+      const beatTime = time + count * secondsPerBeat();
+      const nodes = sound({
+        type: 'beat',
+        beat: count - beatsPerBar,
+        barBeat: count,
+        timeSignature: meter.timeSignature,
+        index,
+        chord: null,
+        time: beatTime,
+        duration: secondsPerBeat(),
+        countIn: true
+      });
+      scheduled.push({ time: beatTime, beat, beats: 0, index, nodes, countIn: true });
+    }
+    return time + beatsPerBar * secondsPerBeat();
+  };
+
+  const getStepEnd = (index, endBeat) => {
+    const next = timeline.steps[index + 1];
+    return next && next.beat < endBeat ? next.beat : endBeat;
+  };
+
+  // Schedules every step that falls before the lookahead horizon
+  const scheduleAhead = () => {
+    const horizon = audioContext.currentTime + lookahead;
+    const { steps } = timeline;
+    const { startBeat, endBeat, looping } = getBounds();
+
+    while (!endQueued && cursorTime < horizon) {
+      if (stepIndex >= steps.length || steps[stepIndex].beat >= endBeat) {
+        if (!looping) {
+          pending.push({ type: 'end', time: cursorTime });
+          endQueued = true;
+          break;
+        }
+        stepIndex = findStepAt(startBeat);
+      }
+
+      const step = steps[stepIndex];
+      const stepEnd = getStepEnd(stepIndex, endBeat);
+      scheduleStep(step, cursorTime, step.beat, stepEnd);
+      cursorTime += (stepEnd - step.beat) * secondsPerBeat();
+      stepIndex++;
+    }
+  };
+
+  const stopNodes = (items) => {
+    items.forEach(item => stopAudioNodes(item.nodes));
+  };
+
+  const clearTimer = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  // Silences everything and forgets what was scheduled
+  const silence = () => {
+    stopNodes(scheduled);
+    scheduled = [];
+    pending = [];
+    endQueued = false;
+  };
+
+  const finish = () => {
+    clearTimer();
+    scheduled = [];
+    pending = [];
+    endQueued = false;
+    restingBeat = 0;
+    notify(describePosition(0));
+    setStatus('stopped');
+    notify({ type: 'end' });
+  };
+
+  // Tells listeners about the events whose time has come, then schedules ahead
+  const tick = () => {
+    const now = audioContext.currentTime;
+    while (pending.length > 0 && pending[0].time <= now) {
+      const event = pending.shift();
+      if (event.type === 'end') {
+        finish();
+        return;
+      }
+      notify(event);
+    }
+
+    // Keep the step sounding now, and drop the ones long finished
+    const latest = scheduled.filter(item => item.time <= now).pop();
+    scheduled = scheduled.filter(item => item === latest || item.time + item.beats * secondsPerBeat() > now - HISTORY_SECONDS);
+
+    notify(describePosition(beatAt(now)));
+    scheduleAhead();
+  };
+
+  /**
+   * Restarts scheduling from a beat
+   * With retrigger, everything sounding stops and the chord at the beat plays again from there (play,
+   * resume, seek), after a count-in bar when asked for; without it the current chord rings on and only
+   * what follows is rescheduled (tempo and loop changes), and a count-in under way is cut short
+   */
+  const restartFrom = (beat, retrigger, withCountIn = false) => {
+    const now = audioContext.currentTime;
+    if (retrigger) {
+      silence();
+    } else {
+      stopNodes(scheduled.filter(item => item.time > now));
+      scheduled = scheduled.filter(item => item.time <= now);
+      pending = pending.filter(event => event.time <= now);
+      endQueued = false;
+    }
+
+    if (timeline.steps.length === 0) return;
+
+    const { endBeat } = getBounds();
+    const index = findStepAt(beat);
+    const step = timeline.steps[index];
+    const stepEnd = getStepEnd(index, Math.max(endBeat, beat));
+
+    if (retrigger) {
+      const time = withCountIn ? scheduleCountIn(now + START_DELAY, beat, step.index) : now + START_DELAY;
+      scheduleStep(step, time, beat, stepEnd, true);
+      stepIndex = index + 1;
+      cursorTime = time + (stepEnd - beat) * secondsPerBeat();
+    } else if (beat > step.beat || scheduled.some(item => !item.countIn)) {
+      // The step at the beat is already sounding, even when the change falls right on it. Mark where
+      // the change happened, so positions read at the new tempo from here
+      scheduled.push({ time: now, beat, beats: stepEnd - beat, index: step.index, nodes: [] });
+      stepIndex = index + 1;
+      cursorTime = now + (stepEnd - beat) * secondsPerBeat();
+    } else {
+      stepIndex = index;
+      cursorTime = now + START_DELAY;
+    }
+    scheduleAhead();
+  };
+
+  /**
+   * Starts or resumes playback where it last stopped
+   * @param {number} fromBeat - Beat to start from instead
+   * @returns {Promise} - Resolves once playback has started
+   */
+  const play = async (fromBeat = null) => {
+    if (timeline.steps.length === 0 || status === 'playing') return;
+
+    audioContext = await getAudioContext();
+    if (audioContext.state === 'suspended') {
+      await audioContext.resume();
+    }
+
+    const beat = fromBeat !== null ? fromBeat : restingBeat;
+    restingBeat = beat < timeline.length ? beat : 0;
+    clearTimer();
+    setStatus('playing');
+    restartFrom(restingBeat, true, countIn);
+    timer = setInterval(tick, scheduleInterval);
+  };
+
+  /**
+   * Pauses playback, keeping the exact beat it reached
+   */
+  const pause = () => {
+    if (status !== 'playing') return;
+    restingBeat = getBeat();
+    clearTimer();
+    silence();
+    setStatus('paused');
+  };
+
+  /**
+   * Stops playback and goes back to the start
+   */
+  const stop = () => {
+    clearTimer();
+    silence();
+    restingBeat = 0;
+    notify(describePosition(0));
+    if (status !== 'stopped') setStatus('stopped');
+  };
+
+  /**
+   * Moves to a beat, carrying on playing from there if playing
+   * @param {number} beat - Beat from the start of the progression
+   */
+  const seek = (beat) => {
+    const target = Math.min(Math.max(beat, 0), Math.max(timeline.length - 1e-9, 0));
+    const chord = findChordAt(target);
+    if (status === 'playing') {
+      restartFrom(target, true);
+    } else {
+      restingBeat = target;
+    }
+    if (chord) {
+      notify({ type: 'chord', index: chord.index, chord: chord.chord, beat: target, beats: chord.startBeat + chord.beats - target, time: null, duration: null });
+    }
+    notify(describePosition(target));
+  };
+
+  /**
+   * Moves to the start of a chord
+   * @param {number} index - Chord index
+   */
+  const seekToChord = (index) => {
+    const chord = timeline.chords[index];
+    if (chord) seek(chord.startBeat);
+  };
+
+  /**
+   * Changes the tempo, live if playing: the chord sounding rings on and the next one comes at the new tempo
+   * @param {number} nextBpm - Beats per minute
+   */
+  const setTempo = (nextBpm) => {
+    if (!(nextBpm > 0) || nextBpm === bpm) return;
+    if (status === 'playing') {
+      const beat = getBeat();
+      bpm = nextBpm;
+      restartFrom(beat, false);
+    } else {
+      bpm = nextBpm;
+    }
+  };
+
+  /**
+   * Sets the loop region
+   * @param {Object|boolean|null} region - { start, end } chord indices (both included), true for the
+   *   whole progression, or null for no loop
+   */
+  const setLoop = (region) => {
+    if (region === true) {
+      loop = { start: 0, end: Math.max(timeline.chords.length - 1, 0), whole: true };
+    } else if (region && region.start <= region.end) {
+      loop = { start: Math.max(region.start, 0), end: region.end };
+    } else {
+      loop = null;
+    }
+    if (status === 'playing') restartFrom(getBeat(), false);
+  };
+
+  /**
+   * Sets the progression to play, carrying on from the same beat if playing
+   * @param {Array<string>} chords - Chord symbols
+   * @param {Array<number>} durations - Beats each chord lasts (default one each)
+   */
+  const setProgression = (chords = [], durations = null) => {
+    if (chords === source.chords && durations === source.durations) return;
+    source = { chords, durations };
+
+    const beat = getBeat();
+    timeline = buildTimeline(Array.isArray(chords) ? chords : [], durations);
+    if (loop && loop.whole) {
+      loop = { ...loop, end: Math.max(timeline.chords.length - 1, 0) };
+    }
+
+    if (timeline.steps.length === 0) {
+      stop();
+    } else if (beat >= timeline.length) {
+      stop();
+    } else if (status === 'playing') {
+      restartFrom(beat, true);
+    }
+  };
+
+  /**
+   * Sets the meter bars are counted in; beats already scheduled keep the bar position they had
+   * @param {string} timeSignature - Time signature (default 4/4)
+   * @param {number} pickup - Beats before bar 1
+   */
+  const setMeter = (timeSignature = DEFAULT_TIME_SIGNATURE, pickup = 0) => {
+    meter = { timeSignature: timeSignature || DEFAULT_TIME_SIGNATURE, pickup: pickup > 0 ? pickup : 0 };
+  };
+
+  /**
+   * Sets whether play leads in with a bar of count-in beats
+   * @param {boolean} enabled - Whether to count in
+   */
+  const setCountIn = (enabled) => {
+    countIn = Boolean(enabled);
+  };
+
+  /**
+   * Sets the options voices play with; they apply from the next chord scheduled
+   * @param {Object} nextOptions - Options such as volume, waveType, voicing and octave
+   */
+  const setSoundOptions = (nextOptions) => {
+    soundOptions = { ...nextOptions };
+  };
+
+  /**
+   * Sets the voices events are played with
+   * @param {Array<Function>} nextVoices - Voices, such as chordVoice
+   */
+  const setVoices = (nextVoices) => {
+    voices = Array.isArray(nextVoices) ? nextVoices : [chordVoice];
+  };
+
+  /**
+   * Listens for transport events
+   * @param {Function} listener - Called with each event
+   * @returns {Function} - Stops listening
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  /**
+   * Gets where the transport is
+   * @returns {Object} - { status, bpm, beat, index, chordProgress, progress, length, loop, meter, countIn }
+   */
+  const getState = () => {
+    const { beat, index, chordProgress, progress } = describePosition(getBeat());
+    return { status, bpm, beat, index, chordProgress, progress, length: timeline.length, loop, meter, countIn };
+  };
+
+  /**
+   * Stops playback and drops every listener
+   */
+  const dispose = () => {
+    stop();
+    listeners.clear();
+  };
+
+  return {
+    play,
+    pause,
+    stop,
+    seek,
+    seekToChord,
+    setTempo,
+    setLoop,
+    setProgression,
+    setMeter,
+    setCountIn,
+    setSoundOptions,
+    setVoices,
+    subscribe,
+    getState,
+    dispose
+  };
+};
+
+const playbackTransport = {
+  chordVoice,
+  createTransport
+};
+
+export default playbackTransport;
@@ -0,0 +1,191 @@
+/**
+ * Unit tests for the playback transport, driven by a fake audio clock
+ */
+
+import { createTransport } from './playbackTransport.js';
+
+const createClock = () => ({
+  currentTime: 0,
+  state: 'running',
+  resume: jest.fn()
+});
+
+// Moves the audio clock and the scheduler timer on together
+const advance = (clock, seconds) => {
+  const steps = Math.round(seconds / 0.025);
+  for (let i = 0; i < steps; i++) {
+    clock.currentTime += 0.025;
+    jest.advanceTimersByTime(25);
+  }
+};
+
+const setup = (chords = ['C', 'G', 'Am', 'F'], options = {}) => {
+  const clock = createClock();
+  const voice = jest.fn(() => [{ stop: jest.fn() }]);
+  const events = [];
+  const transport = createTransport({ voices: [voice], getAudioContext: async () => clock, ...options });
+  transport.setProgression(chords, options.durations);
+  transport.subscribe(event => events.push({ ...event, heardAt: clock.currentTime }));
+
+  const scheduledChords = () => voice.mock.calls.map(([, event]) => event).filter(event => event.type === 'chord');
+  const heardChords = () => events.filter(event => event.type === 'chord');
+  return { clock, voice, events, transport, scheduledChords, heardChords };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('createTransport', () => {
+  test('schedules chords ahead on the audio clock, one beat each', async () => {
+    const { clock, transport, scheduledChords } = setup();
+    await transport.play();
+
+    expect(scheduledChords().map(({ chord }) => chord)).toEqual(['C']);
+    advance(clock, 0.5);
+    expect(scheduledChords().map(({ chord, time }) => [chord, time])).toEqual([['C', 0.05], ['G', 0.55]]);
+    expect(scheduledChords()[1].duration).toBeCloseTo(0.5);
+  });
+
+  test('tells listeners about a chord when it sounds, not when it is scheduled', async () => {
+    const { clock, transport, heardChords } = setup();
+    await transport.play();
+
+    advance(clock, 0.5);
+    expect(heardChords().map(({ chord }) => chord)).toEqual(['C']);
+    advance(clock, 0.05);
+    const [, g] = heardChords();
+    expect(g.chord).toBe('G');
+    expect(g.heardAt).toBeGreaterThanOrEqual(g.time);
+    expect(g.heardAt - g.time).toBeLessThan(0.03);
+  });
+
+  test('resumes from the exact beat it paused on', async () => {
+    const { clock, transport, scheduledChords } = setup();
+    await transport.play();
+
+    advance(clock, 0.8);
+    transport.pause();
+    expect(transport.getState()).toMatchObject({ status: 'paused', index: 1 });
+    expect(transport.getState().beat).toBeCloseTo(1.5);
+
+    clock.currentTime = 5;
+    await transport.play();
+    const resumed = scheduledChords().pop();
+    expect(resumed).toMatchObject({ chord: 'G', index: 1 });
+    expect(resumed.beats).toBeCloseTo(0.5);
+    expect(resumed.duration).toBeCloseTo(0.25);
+  });
+
+  test('changes tempo live, from the next chord on', async () => {
+    const { clock, transport, scheduledChords } = setup();
+    await transport.play();
+
+    advance(clock, 0.3);
+    transport.setTempo(60);
+    advance(clock, 0.6);
+
+    // Half of C played at 120 BPM, the other half takes half a second at 60
+    const g = scheduledChords().find(({ chord }) => chord === 'G');
+    expect(g.time).toBeCloseTo(0.8);
+    expect(g.duration).toBeCloseTo(1);
+  });
+
+  test('plays to the end and stops without a loop', async () => {
+    const { clock, transport, events } = setup(['C', 'G']);
+    await transport.play();
+
+    advance(clock, 1.2);
+    expect(transport.getState()).toMatchObject({ status: 'stopped', beat: 0 });
+    expect(events.map(({ type }) => type)).toContain('end');
+  });
+
+  test('repeats a loop region', async () => {
+    const { clock, transport, scheduledChords } = setup();
+    transport.setLoop({ start: 1, end: 2 });
+    transport.seekToChord(1);
+    await transport.play();
+
+    advance(clock, 2.5);
+    expect(scheduledChords().map(({ chord }) => chord)).toEqual(['G', 'Am', 'G', 'Am', 'G', 'Am']);
+    expect(transport.getState().status).toBe('playing');
+  });
+
+  test('tells voices the chord played next, going round a loop', async () => {
+    const { clock, transport, scheduledChords } = setup();
+    await transport.play();
+
+    advance(clock, 2);
+    expect(scheduledChords().map(({ nextChord }) => nextChord)).toEqual(['G', 'Am', 'F', null]);
+    transport.stop();
+
+    const looped = setup();
+    looped.transport.setLoop({ start: 1, end: 2 });
+    looped.transport.seekToChord(1);
+    await looped.transport.play();
+    advance(looped.clock, 1);
+    expect(looped.scheduledChords().map(({ chord, nextChord }) => [chord, nextChord])).toEqual([['G', 'Am'], ['Am', 'G'], ['G', 'Am']]);
+  });
+
+  test('seeks to a chord, telling listeners straight away', async () => {
+    const { clock, transport, scheduledChords, heardChords } = setup();
+    await transport.play();
+
+    advance(clock, 0.1);
+    transport.seekToChord(3);
+    expect(heardChords().pop()).toMatchObject({ chord: 'F', index: 3 });
+    expect(scheduledChords().pop()).toMatchObject({ chord: 'F', time: clock.currentTime + 0.05 });
+  });
+
+  test('plays chords for their durations and sends whole beats', async () => {
+    const { clock, transport, voice, scheduledChords } = setup(['C', 'G'], { durations: [2, 1] });
+    await transport.play();
+
+    advance(clock, 1.5);
+    expect(scheduledChords().map(({ chord, time }) => [chord, time])).toEqual([['C', 0.05], ['G', 1.05]]);
+    expect(scheduledChords()[0].duration).toBeCloseTo(1);
+    const beats = voice.mock.calls.map(([, event]) => event).filter(event => event.type === 'beat');
+    expect(beats.map(({ beat }) => beat)).toEqual([0, 1, 2]);
+  });
+
+  test('counts beats in their bars, with the pickup ending the bar before bar 1', async () => {
+    const { clock, transport, voice } = setup(['G', 'C', 'F'], { durations: [1, 3, 3] });
+    transport.setMeter('3/4', 1);
+    await transport.play();
+
+    advance(clock, 3.5);
+    const beats = voice.mock.calls.map(([, event]) => event).filter(event => event.type === 'beat');
+    expect(beats.map(({ barBeat }) => barBeat)).toEqual([2, 0, 1, 2, 0, 1, 2]);
+    expect(beats[1]).toMatchObject({ chord: 'C', timeSignature: '3/4', countIn: false });
+    expect(beats[1].duration).toBeCloseTo(0.5);
+  });
+
+  test('leads in with a bar of count-in beats before the first chord', async () => {
+    const { clock, transport, voice, scheduledChords, events } = setup(['C', 'G'], { durations: [4, 4] });
+    transport.setCountIn(true);
+    await transport.play();
+
+    advance(clock, 2.2);
+    const countIn = voice.mock.calls.map(([, event]) => event).filter(event => event.countIn);
+    expect(countIn.map(({ beat, barBeat, time }) => [beat, barBeat, time])).toEqual([
+      [-4, 0, 0.05], [-3, 1, 0.55], [-2, 2, 1.05], [-1, 3, 1.55]
+    ]);
+    expect(scheduledChords()[0]).toMatchObject({ chord: 'C', time: 2.05 });
+    expect(transport.getState().beat).toBeCloseTo(0.3);
+    expect(events.filter(event => event.countIn)).toHaveLength(4);
+  });
+
+  test('stops the sound it scheduled when stopped', async () => {
+    const { clock, transport, voice } = setup();
+    await transport.play();
+
+    advance(clock, 0.5);
+    transport.stop();
+    voice.mock.results.forEach(({ value }) => expect(value[0].stop).toHaveBeenCalled());
+    expect(transport.getState()).toMatchObject({ status: 'stopped', beat: 0 });
+  });
+});
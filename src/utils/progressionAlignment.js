@@ -0,0 +1,202 @@
+/**
+ * Progression alignment
+ * Lines a search progression up against a section with a weighted edit distance, so near misses
+ * still match and a functional substitute (vi for I, ii for IV) costs less than an unrelated chord
+ */
+
+import { parseChordSymbol, getChordIdentity } from './chordModel.js';
+import { chordToNashville, getDefaultNumberingMode } from './nashvilleNumbers.js';
+import { areSubstitutes } from './chordSubstitutions.js';
+import { findKey } from './keyFinding.js';
+
+// Cost of each way a query chord can line up with the section (a query chord that isn't there at all costs 1)
+const ALIGNMENT_COSTS = {
+  match: 0,        // Same chord
+  variant: 0.25,   // Same root and third with a different color or bass (C for Cmaj7 or C/E)
+  substitute: 0.5, // Functional substitute per SUBSTITUTION_RULES (Am for C, Dm for F)
+  replace: 1,      // Unrelated chord
+  missing: 1,      // Query chord with no counterpart in the section
+  extra: 0.5       // Section chord between query chords, such as a passing chord
+};
+
+/**
+ * Reads the key a progression is numbered in
+ * Minor keys are numbered from their relative major so SUBSTITUTION_RULES (written for major keys) apply
+ * @param {string} key - Key signature
+ * @returns {Object|null} - { key, mode, tonic } or null if the key can't be read
+ */
+const readKey = (key) => {
+  const parsed = parseChordSymbol(key);
+  if (!parsed) return null;
+
+  const isMinor = getDefaultNumberingMode(key) !== 'major';
+  return {
+    key,
+    mode: isMinor ? 'minor6' : 'major',
+    tonic: (parsed.rootSemitone + (isMinor ? 3 : 0)) % 12
+  };
+};
+
+/**
+ * Describes a chord by its place in a key
+ * @param {string} chord - Chord symbol
+ * @param {Object} numbering - Key from readKey
+ * @param {boolean} ignoreInversions - Whether to drop slash bass notes
+ * @returns {Object} - { chord, identity, triad } where triad is the Nashville number of the plain triad
+ */
+const describeChord = (chord, numbering, ignoreInversions) => {
+  const parsed = parseChordSymbol(chord);
+  if (!parsed) {
+    return { chord, identity: String(chord).toLowerCase(), triad: null };
+  }
+
+  const identity = getChordIdentity({
+    ...parsed,
+    rootSemitone: (parsed.rootSemitone - numbering.tonic + 12) % 12,
+    bassSemitone: parsed.bassSemitone !== null ? (parsed.bassSemitone - numbering.tonic + 12) % 12 : null
+  }, { ignoreBass: ignoreInversions });
+
+  // Sevenths, extensions and suspensions are set aside so only the function is compared
+  const { intervals } = parsed;
+  let triadSuffix = '';
+  if (intervals.includes(3) && !intervals.includes(4)) {
+    triadSuffix = intervals.includes(6) && !intervals.includes(7) ? 'dim' : 'm';
+  }
+
+  return {
+    chord,
+    identity,
+    triad: chordToNashville(parsed.root + triadSuffix, numbering.key, { mode: numbering.mode })
+  };
+};
+
+/**
+ * Classifies how a section chord stands in for a query chord
+ * @param {Object} queryChord - Query chord from describeChord
+ * @param {Object} sectionChord - Section chord from describeChord
+ * @returns {string} - 'match', 'variant', 'substitute' or 'replace'
+ */
+const classifyPair = (queryChord, sectionChord) => {
+  if (queryChord.identity === sectionChord.identity) return 'match';
+  if (!queryChord.triad || !sectionChord.triad) return 'replace';
+  if (queryChord.triad === sectionChord.triad) return 'variant';
+  if (areSubstitutes(queryChord.triad, sectionChord.triad)) return 'substitute';
+  return 'replace';
+};
+
+/**
+ * Compares two chords in their keys
+ * @param {string} queryChord - Chord from the search progression
+ * @param {string} sectionChord - Chord from the section
+ * @param {Object} options - { queryKey, sectionKey, ignoreInversions } (queryKey defaults to sectionKey, which defaults to C)
+ * @returns {Object} - { type, cost } with type 'match', 'variant', 'substitute' or 'replace'
+ */
+export const compareChords = (queryChord, sectionChord, options = {}) => {
+  const { sectionKey = 'C', queryKey = sectionKey, ignoreInversions = false } = options;
+  const sectionNumbering = readKey(sectionKey) || readKey('C');
+  const queryNumbering = readKey(queryKey) || sectionNumbering;
+
+  const type = classifyPair(
+    describeChord(queryChord, queryNumbering, ignoreInversions),
+    describeChord(sectionChord, sectionNumbering, ignoreInversions)
+  );
+  return { type, cost: ALIGNMENT_COSTS[type] };
+};
+
+/**
+ * Aligns a search progression against the best-fitting stretch of a section
+ * Every query chord is accounted for; section chords before and after the stretch are free
+ * @param {Array} searchProgression - Query chords
+ * @param {Array} sectionProgression - Section chords
+ * @param {Object} options - Alignment options
+ * @param {string} options.sectionKey - Key of the section (estimated when omitted)
+ * @param {string} options.queryKey - Key of the query; defaults to the section key, so chords compare as written
+ * @param {boolean} options.ignoreInversions - Whether "C/E" matches "C" outright (default false)
+ * @returns {Object|null} - { score, cost, startIndex, endIndex, alignment } or null without chords to align.
+ *   alignment lists { type, queryIndex, sectionIndex, queryChord, sectionChord, cost } in order, where type is
+ *   'match', 'variant', 'substitute', 'replace', 'missing' (no section chord) or 'extra' (no query chord).
+ *   score runs from 1 (identical) down to 0; startIndex is null when no section chord lines up
+ */
+export const alignProgression = (searchProgression, sectionProgression, options = {}) => {
+  if (!Array.isArray(searchProgression) || searchProgression.length === 0 ||
+      !Array.isArray(sectionProgression) || sectionProgression.length === 0) {
+    return null;
+  }
+
+  const { ignoreInversions = false } = options;
+  const sectionNumbering = readKey(options.sectionKey || findKey(sectionProgression).key) || readKey('C');
+  const queryNumbering = (options.queryKey && readKey(options.queryKey)) || sectionNumbering;
+
+  const query = searchProgression.map(chord => describeChord(chord, queryNumbering, ignoreInversions));
+  const section = sectionProgression.map(chord => describeChord(chord, sectionNumbering, ignoreInversions));
+  const rows = query.length;
+  const columns = section.length;
+
+  // costs[i][j] is the cheapest alignment of the first i query chords ending at section chord j.
+  // The first row is free so the alignment can start anywhere in the section
+  const costs = Array.from({ length: rows + 1 }, (_, i) => new Array(columns + 1).fill(i * ALIGNMENT_COSTS.missing));
+  const steps = Array.from({ length: rows + 1 }, () => new Array(columns + 1).fill(null));
+  for (let i = 1; i <= rows; i++) {
+    steps[i][0] = 'missing';
+  }
+
+  for (let i = 1; i <= rows; i++) {
+    for (let j = 1; j <= columns; j++) {
+      const type = classifyPair(query[i - 1], section[j - 1]);
+      const candidates = [
+        { type, cost: costs[i - 1][j - 1] + ALIGNMENT_COSTS[type] },
+        { type: 'missing', cost: costs[i - 1][j] + ALIGNMENT_COSTS.missing },
+        { type: 'extra', cost: costs[i][j - 1] + ALIGNMENT_COSTS.extra }
+      ];
+      // Earlier candidates win ties, preferring to pair chords up
+      const best = candidates.reduce((a, b) => (b.cost < a.cost ? b : a));
+      costs[i][j] = best.cost;
+      steps[i][j] = best.type;
+    }
+  }
+
+  // The alignment can end anywhere in the section too
+  let end = 0;
+  for (let j = 1; j <= columns; j++) {
+    if (costs[rows][j] < costs[rows][end]) end = j;
+  }
+
+  const alignment = [];
+  let i = rows;
+  let j = end;
+  while (i > 0) {
+    const type = steps[i][j];
+    const hasQuery = type !== 'extra';
+    const hasSection = type !== 'missing';
+
+    alignment.unshift({
+      type,
+      queryIndex: hasQuery ? i - 1 : null,
+      sectionIndex: hasSection ? j - 1 : null,
+      queryChord: hasQuery ? searchProgression[i - 1] : null,
+      sectionChord: hasSection ? sectionProgression[j - 1] : null,
+      cost: ALIGNMENT_COSTS[type]
+    });
+
+    if (hasQuery) i--;
+    if (hasSection) j--;
+  }
+
+  const sectionIndexes = alignment.filter(step => step.sectionIndex !== null).map(step => step.sectionIndex);
+  const cost = costs[rows][end];
+
+  return {
+    score: Math.max(0, 1 - cost / rows),
+    cost,
+    startIndex: sectionIndexes.length > 0 ? sectionIndexes[0] : null,
+    endIndex: sectionIndexes.length > 0 ? sectionIndexes[sectionIndexes.length - 1] : null,
+    alignment
+  };
+};
+
+const progressionAlignment = {
+  compareChords,
+  alignProgression
+};
+
+export default progressionAlignment;
@@ -0,0 +1,82 @@
+/**
+ * Tests for weighted progression alignment
+ */
+
+import { alignProgression, compareChords } from './progressionAlignment';
+
+const describeSteps = (result) => result.alignment.map(step => step.type);
+
+describe('Progression Alignment', () => {
+  describe('compareChords', () => {
+    test('ranks a substitute between a color change and an unrelated chord', () => {
+      expect(compareChords('C', 'C')).toEqual({ type: 'match', cost: 0 });
+      expect(compareChords('C', 'Cmaj7')).toEqual({ type: 'variant', cost: 0.25 });
+      expect(compareChords('C', 'Am')).toEqual({ type: 'substitute', cost: 0.5 });
+      expect(compareChords('F', 'Dm')).toEqual({ type: 'substitute', cost: 0.5 });
+      expect(compareChords('C', 'Bb')).toEqual({ type: 'replace', cost: 1 });
+    });
+
+    test('reads substitutes in the section key', () => {
+      expect(compareChords('D', 'Bm', { sectionKey: 'G' }).type).toBe('substitute');
+      expect(compareChords('D', 'Bm', { sectionKey: 'C' }).type).toBe('replace');
+    });
+
+    test('compares scale degrees when the query has its own key', () => {
+      expect(compareChords('C', 'G', { queryKey: 'C', sectionKey: 'G' }).type).toBe('match');
+      expect(compareChords('Am', 'Em', { queryKey: 'Am', sectionKey: 'Em' }).type).toBe('match');
+    });
+
+    test('treats inversions as variants unless they are ignored', () => {
+      expect(compareChords('C', 'C/E').type).toBe('variant');
+      expect(compareChords('C', 'C/E', { ignoreInversions: true }).type).toBe('match');
+    });
+  });
+
+  describe('alignProgression', () => {
+    test('scores an identical stretch as 1 wherever it sits in the section', () => {
+      const result = alignProgression(['Am', 'F', 'C'], ['G', 'Am', 'F', 'C', 'G'], { sectionKey: 'C' });
+
+      expect(result.score).toBe(1);
+      expect(result.startIndex).toBe(1);
+      expect(result.endIndex).toBe(3);
+      expect(describeSteps(result)).toEqual(['match', 'match', 'match']);
+    });
+
+    test('costs a functional substitute less than an unrelated chord', () => {
+      const substituted = alignProgression(['C', 'G', 'Am', 'F'], ['Am', 'G', 'Am', 'F'], { sectionKey: 'C' });
+      const replaced = alignProgression(['C', 'G', 'Am', 'F'], ['Bb', 'G', 'Am', 'F'], { sectionKey: 'C' });
+
+      expect(describeSteps(substituted)[0]).toBe('substitute');
+      expect(describeSteps(replaced)[0]).toBe('replace');
+      expect(substituted.score).toBeGreaterThan(replaced.score);
+    });
+
+    test('records extra and missing chords with their positions', () => {
+      const extra = alignProgression(['C', 'G', 'Am', 'F'], ['C', 'G', 'E7', 'Am', 'F'], { sectionKey: 'C' });
+      expect(extra.alignment[2]).toEqual({
+        type: 'extra',
+        queryIndex: null,
+        sectionIndex: 2,
+        queryChord: null,
+        sectionChord: 'E7',
+        cost: 0.5
+      });
+      expect(extra.score).toBe(0.875);
+
+      const missing = alignProgression(['C', 'G', 'Am', 'F'], ['C', 'G', 'F'], { sectionKey: 'C' });
+      expect(missing.alignment[2]).toMatchObject({ type: 'missing', queryChord: 'Am', sectionChord: null });
+      expect(missing.score).toBe(0.75);
+    });
+
+    test('aligns by scale degree across keys', () => {
+      const result = alignProgression(['C', 'G', 'Am', 'F'], ['D', 'A', 'Bm', 'G'], { queryKey: 'C', sectionKey: 'D' });
+      expect(result.score).toBe(1);
+    });
+
+    test('returns null without chords and a zero score when nothing lines up', () => {
+      expect(alignProgression([], ['C'])).toBeNull();
+      expect(alignProgression(['C'], [])).toBeNull();
+      expect(alignProgression(['nope'], ['C'], { sectionKey: 'C' }).score).toBe(0);
+    });
+  });
+});
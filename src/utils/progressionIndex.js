@@ -0,0 +1,302 @@
+/**
+ * Progression index
+ * Inverted index of chord and scale-degree n-grams, pointing to the sections (and offsets) they occur in,
+ * so searches only check the sections that could match instead of rescanning the whole database
+ */
+
+import { parseChordSymbol, getChordIdentity } from './chordModel.js';
+import { getSectionKey, getDegreeTonic } from './sectionKeys.js';
+import { findKey } from './keyFinding.js';
+import { analyzeCadences } from './harmonicAnalysis.js';
+
+// Longest n-gram indexed; longer queries are looked up by their overlapping bigrams
+const MAX_GRAM_LENGTH = 2;
+
+// Separates chord tokens inside an n-gram key
+const GRAM_SEPARATOR = ' ';
+
+// Tokens by tonic and chord name, since the database and the queries spell the same few chords over and over
+const tokenCache = new Map();
+
+const toIndexToken = (chord, tonic) => {
+  const parsed = parseChordSymbol(chord);
+  if (!parsed) return String(chord).toLowerCase();
+
+  const rootSemitone = tonic === null ? parsed.rootSemitone : (parsed.rootSemitone - tonic + 12) % 12;
+  return getChordIdentity({ ...parsed, rootSemitone }, { ignoreBass: true });
+};
+
+/**
+ * Turns a progression into the tokens the index stores
+ * Slash basses are left out so one lookup serves searches that match inversions strictly or loosely;
+ * the search itself still checks the bass
+ * @param {Array} progression - Array of chord names
+ * @param {number|null} tonic - Semitone counted as the first degree (from getDegreeTonic), or null for chords as written
+ * @returns {Array} - One token per chord
+ */
+export const toIndexTokens = (progression, tonic = null) => {
+  return progression.map(chord => {
+    const cacheKey = `${tonic}${GRAM_SEPARATOR}${chord}`;
+    if (!tokenCache.has(cacheKey)) {
+      tokenCache.set(cacheKey, toIndexToken(chord, tonic));
+    }
+    return tokenCache.get(cacheKey);
+  });
+};
+
+/**
+ * Lists the n-grams of a token list with their offsets
+ * @param {Array} tokens - Tokens from toIndexTokens
+ * @param {number} length - N-gram length
+ * @returns {Array} - [{ gram, offset }]
+ */
+const getGrams = (tokens, length) => {
+  const grams = [];
+  for (let offset = 0; offset <= tokens.length - length; offset++) {
+    grams.push({ gram: tokens.slice(offset, offset + length).join(GRAM_SEPARATOR), offset });
+  }
+  return grams;
+};
+
+/**
+ * Adds a section's n-grams to one field of the index
+ * @param {Map} field - Map of n-gram to { sectionIds, offsets }
+ * @param {Array} tokens - Section tokens
+ * @param {number} sectionId - Section id
+ */
+const addGrams = (field, tokens, sectionId) => {
+  for (let length = 1; length <= MAX_GRAM_LENGTH; length++) {
+    getGrams(tokens, length).forEach(({ gram, offset }) => {
+      if (!field.has(gram)) {
+        field.set(gram, { sectionIds: [], offsets: [] });
+      }
+      const postings = field.get(gram);
+      postings.sectionIds.push(sectionId);
+      postings.offsets.push(offset);
+    });
+  }
+};
+
+/**
+ * Creates an index over a list of songs
+ * @param {Array} songs - Songs to index
+ * @returns {Object} - Index for indexSong, removeSong, syncProgressionIndex and findCandidateSections
+ */
+export const createProgressionIndex = (songs = []) => {
+  const index = {
+    songs: new Map(),    // songId -> { song, sectionIds }
+    sections: [],        // sectionId -> { id, song, sectionName, sectionData, sectionKey, referenceKey, tonic, cadences, removed }
+    chords: new Map(),   // Chord n-grams as written
+    degrees: new Map(),  // Scale-degree (Nashville) n-grams in each section's key
+    gramCounts: new Map(), // 'field n-gram' -> number of sections it occurs in, cleared on every change
+    sectionCount: 0,     // Sections of the indexed songs, removed ones aside
+    syncedSongs: []      // The song list as of the last sync, in its order
+  };
+
+  return syncProgressionIndex(index, songs);
+};
+
+/**
+ * Adds a song to the index, replacing any song already indexed with the same id
+ * @param {Object} index - Index from createProgressionIndex
+ * @param {Object} song - Song object
+ * @returns {Object} - The index
+ */
+export const indexSong = (index, song) => {
+  if (!song || !song.songId) return index;
+  if (index.songs.has(song.songId)) {
+    removeSong(index, song.songId);
+  }
+  index.gramCounts.clear();
+
+  const sectionIds = Object.entries(song.sections || {}).map(([sectionName, sectionData]) => {
+    const progression = sectionData.progression || [];
+    const sectionKey = getSectionKey(song, sectionName);
+    // Sections without a key are numbered in the key their chords suggest, as the searches do
+    const referenceKey = sectionKey || (progression.length > 0 ? findKey(progression).key : null);
+    const tonic = getDegreeTonic(referenceKey);
+    const id = index.sections.length;
+
+    index.sections.push({
+      id, song, sectionName, sectionData, sectionKey, referenceKey, tonic, cadences: analyzeCadences(progression, sectionKey), removed: false
+    });
+    addGrams(index.chords, toIndexTokens(progression), id);
+
+    if (tonic !== null) {
+      addGrams(index.degrees, toIndexTokens(progression, tonic), id);
+    }
+    return id;
+  });
+
+  index.songs.set(song.songId, { song, sectionIds });
+  index.sectionCount += sectionIds.length;
+  return index;
+};
+
+/**
+ * Removes a song from the index
+ * Its sections are marked removed rather than unlinked, and lookups skip them
+ * @param {Object} index - Index from createProgressionIndex
+ * @param {string} songId - Id of the song to remove
+ * @returns {Object} - The index
+ */
+export const removeSong = (index, songId) => {
+  const entry = index.songs.get(songId);
+  if (!entry) return index;
+
+  entry.sectionIds.forEach(id => {
+    index.sections[id].removed = true;
+  });
+  index.songs.delete(songId);
+  index.sectionCount -= entry.sectionIds.length;
+  index.syncedSongs = [];
+  index.gramCounts.clear();
+  return index;
+};
+
+/**
+ * Brings the index in line with a song list, indexing songs that are new or have been replaced
+ * Songs are compared by reference, so this only reindexes what changed
+ * @param {Object} index - Index from createProgressionIndex
+ * @param {Array} songs - Current song list
+ * @returns {Object} - The index
+ */
+export const syncProgressionIndex = (index, songs) => {
+  // Songs still where they were at the last sync are quicker to check there than by id
+  let changed = songs.length !== index.syncedSongs.length;
+  songs.forEach((song, position) => {
+    if (index.syncedSongs[position] === song) return;
+    changed = true;
+    const entry = index.songs.get(song.songId);
+    if (!entry || entry.song !== song) {
+      indexSong(index, song);
+    }
+  });
+  if (changed) {
+    index.syncedSongs = [...songs];
+  }
+
+  if (index.songs.size > songs.length) {
+    const currentIds = new Set(songs.map(song => song.songId));
+    [...index.songs.keys()].filter(songId => !currentIds.has(songId)).forEach(songId => removeSong(index, songId));
+  }
+  return index;
+};
+
+/**
+ * Lists every section in the index, for searches the n-grams can't narrow down
+ * @param {Object} index - Index from createProgressionIndex
+ * @returns {Array} - Section entries in index order
+ */
+export const getIndexedSections = (index) => {
+  return index.sections.filter(section => !section.removed);
+};
+
+/**
+ * Finds the sections that could contain a progression
+ * A single chord is looked up directly; longer progressions by their overlapping bigrams
+ * @param {Object} index - Index from createProgressionIndex
+ * @param {Array} tokens - Query tokens from toIndexTokens
+ * @param {Object} options - Lookup options
+ * @param {string} options.field - 'chords' (as written) or 'degrees' (tokens built with a tonic)
+ * @param {boolean} options.requireAll - Whether a section needs every n-gram (whole-progression matches)
+ *   or any one of them (partial matches)
+ * @returns {Array} - Section entries in index order; each candidate still has to be checked
+ */
+export const findCandidateSections = (index, tokens, options = {}) => {
+  const { field = 'chords', requireAll = true } = options;
+  if (!Array.isArray(tokens) || tokens.length === 0) return [];
+
+  const postings = index[field];
+  const grams = getGrams(tokens, Math.min(tokens.length, MAX_GRAM_LENGTH)).map(({ gram }) => gram);
+  const sectionSets = [...new Set(grams)]
+    .map(gram => new Set(postings.has(gram) ? postings.get(gram).sectionIds : []))
+    .sort((a, b) => a.size - b.size);
+
+  let candidates;
+  if (requireAll) {
+    // Start from the rarest n-gram and keep the sections that have all the others
+    candidates = [...sectionSets[0]].filter(id => sectionSets.every(set => set.has(id)));
+  } else {
+    candidates = [...new Set(sectionSets.flatMap(set => [...set]))];
+  }
+
+  return candidates
+    .sort((a, b) => a - b)
+    .map(id => index.sections[id])
+    .filter(section => !section.removed);
+};
+
+/**
+ * Finds a song's section in the index
+ * @param {Object} index - Index from createProgressionIndex
+ * @param {string} songId - Song id
+ * @param {string} sectionName - Section name
+ * @returns {Object|null} - Section entry, or null if the song or section isn't indexed
+ */
+export const findIndexedSection = (index, songId, sectionName) => {
+  const entry = index.songs.get(songId);
+  if (!entry) return null;
+
+  const id = entry.sectionIds.find(sectionId => index.sections[sectionId].sectionName === sectionName);
+  return id === undefined ? null : index.sections[id];
+};
+
+/**
+ * Counts the sections in the index
+ * @param {Object} index - Index from createProgressionIndex
+ * @returns {number} - Number of sections, removed ones aside
+ */
+export const countIndexedSections = (index) => index.sectionCount;
+
+/**
+ * Counts how many sections each n-gram of a progression occurs in, for weighting matches by rarity
+ * The n-grams are the longest the index holds (bigrams, or the single chord of a one-chord progression)
+ * @param {Object} index - Index from createProgressionIndex
+ * @param {Array} tokens - Tokens from toIndexTokens
+ * @param {string} field - 'chords' or 'degrees' (tokens built with a tonic)
+ * @returns {Array} - [{ offset, length, sections }] in progression order
+ */
+export const countGramSections = (index, tokens, field = 'chords') => {
+  if (!Array.isArray(tokens) || tokens.length === 0) return [];
+
+  const length = Math.min(tokens.length, MAX_GRAM_LENGTH);
+  return getGrams(tokens, length).map(({ gram, offset }) => {
+    const cacheKey = `${field}${GRAM_SEPARATOR}${gram}`;
+    if (!index.gramCounts.has(cacheKey)) {
+      const postings = index[field].get(gram);
+      const sectionIds = postings ? new Set(postings.sectionIds.filter(id => !index.sections[id].removed)) : new Set();
+      index.gramCounts.set(cacheKey, sectionIds.size);
+    }
+    return { offset, length, sections: index.gramCounts.get(cacheKey) };
+  });
+};
+
+/**
+ * Gets the cadences in an indexed section, analyzed when it was indexed
+ * Replacing a song indexes new section entries, so the saved cadences never go stale
+ * @param {Object} section - Section entry from the index
+ * @returns {Array} - Cadences from analyzeCadences
+ */
+export const getSectionCadences = (section) => {
+  if (!section.cadences) {
+    section.cadences = analyzeCadences(section.sectionData.progression || [], section.sectionKey);
+  }
+  return section.cadences;
+};
+
+const progressionIndex = {
+  toIndexTokens,
+  createProgressionIndex,
+  indexSong,
+  removeSong,
+  syncProgressionIndex,
+  getIndexedSections,
+  findCandidateSections,
+  findIndexedSection,
+  countIndexedSections,
+  countGramSections,
+  getSectionCadences
+};
+
+export default progressionIndex;
@@ -0,0 +1,124 @@
+/**
+ * Tests for the progression n-gram index
+ */
+
+import {
+  toIndexTokens,
+  createProgressionIndex,
+  indexSong,
+  removeSong,
+  syncProgressionIndex,
+  getIndexedSections,
+  findCandidateSections,
+  findIndexedSection,
+  countIndexedSections,
+  countGramSections,
+  getSectionCadences
+} from './progressionIndex';
+
+const songs = [
+  {
+    songId: 'song-c',
+    key: 'C',
+    sections: {
+      verse: { progression: ['C', 'Am', 'F', 'G'] },
+      chorus: { progression: ['F', 'G', 'C/E', 'Am'] }
+    }
+  },
+  {
+    songId: 'song-g',
+    key: 'G',
+    sections: {
+      verse: { progression: ['G', 'Em', 'C', 'D'] }
+    }
+  }
+];
+
+const describeSections = (sections) => sections.map(section => `${section.song.songId}:${section.sectionName}`);
+
+describe('Progression Index', () => {
+  test('toIndexTokens spells chords the same way and drops slash basses', () => {
+    expect(toIndexTokens(['Bb', 'A#', 'C/E'])).toEqual(['10:', '10:', '0:']);
+    expect(toIndexTokens(['G', 'Em'], 7)).toEqual(toIndexTokens(['C', 'Am'], 0));
+    expect(toIndexTokens(['nope'])).toEqual(['nope']);
+  });
+
+  test('finds sections holding every bigram of a progression', () => {
+    const index = createProgressionIndex(songs);
+    const candidates = findCandidateSections(index, toIndexTokens(['F', 'G', 'C']));
+
+    expect(describeSections(candidates)).toEqual(['song-c:chorus']);
+  });
+
+  test('finds sections holding any bigram for partial matches', () => {
+    const index = createProgressionIndex(songs);
+    const candidates = findCandidateSections(index, toIndexTokens(['F', 'G', 'Bb']), { requireAll: false });
+
+    expect(describeSections(candidates)).toEqual(['song-c:verse', 'song-c:chorus']);
+  });
+
+  test('looks up single chords and scale degrees', () => {
+    const index = createProgressionIndex(songs);
+
+    expect(describeSections(findCandidateSections(index, toIndexTokens(['D'])))).toEqual(['song-g:verse']);
+    // 1 6m 4 in any key
+    expect(describeSections(findCandidateSections(index, toIndexTokens(['A', 'F#m', 'D'], 9), { field: 'degrees' })))
+      .toEqual(['song-c:verse', 'song-g:verse']);
+    expect(findCandidateSections(index, [])).toEqual([]);
+  });
+
+  test('adds, replaces and removes songs incrementally', () => {
+    const index = createProgressionIndex(songs);
+    indexSong(index, { songId: 'song-d', key: 'D', sections: { bridge: { progression: ['Bm', 'G', 'D', 'A'] } } });
+    expect(describeSections(findCandidateSections(index, toIndexTokens(['G', 'D'])))).toEqual(['song-d:bridge']);
+
+    indexSong(index, { songId: 'song-d', key: 'D', sections: { bridge: { progression: ['Bm', 'A'] } } });
+    expect(findCandidateSections(index, toIndexTokens(['G', 'D']))).toEqual([]);
+
+    removeSong(index, 'song-g');
+    expect(findCandidateSections(index, toIndexTokens(['Em']))).toEqual([]);
+    expect(getIndexedSections(index)).toHaveLength(3);
+  });
+
+  test('syncProgressionIndex only reindexes new and replaced songs', () => {
+    const database = [...songs];
+    const index = createProgressionIndex(database);
+    const sectionCount = index.sections.length;
+
+    syncProgressionIndex(index, database);
+    expect(index.sections).toHaveLength(sectionCount);
+
+    database.push({ songId: 'song-e', key: 'E', sections: { verse: { progression: ['E', 'B'] } } });
+    database[0] = { ...songs[0], sections: { verse: { progression: ['C', 'F'] } } };
+    syncProgressionIndex(index, database);
+    expect(describeSections(getIndexedSections(index))).toEqual(['song-g:verse', 'song-c:verse', 'song-e:verse']);
+
+    syncProgressionIndex(index, database.slice(1));
+    expect(describeSections(getIndexedSections(index))).toEqual(['song-g:verse', 'song-e:verse']);
+  });
+
+  test('getSectionCadences analyzes a section once, in its key', () => {
+    const index = createProgressionIndex(songs);
+    const [section] = findCandidateSections(index, toIndexTokens(['F', 'G', 'C/E']));
+
+    const cadences = getSectionCadences(section);
+    expect(cadences.map(cadence => cadence.type)).toContain('authentic');
+    expect(getSectionCadences(section)).toBe(cadences);
+  });
+
+  test('counts the sections each n-gram occurs in, keeping up with changes', () => {
+    const index = createProgressionIndex(songs);
+    expect(countIndexedSections(index)).toBe(3);
+    expect(findIndexedSection(index, 'song-g', 'verse').referenceKey).toBe('G');
+    expect(findIndexedSection(index, 'song-g', 'bridge')).toBeNull();
+
+    // C-Am reads as 1-6m, which every section has; Am-F (6m-4) is in both verses
+    expect(countGramSections(index, toIndexTokens(['C', 'Am', 'F'], 0), 'degrees'))
+      .toEqual([{ offset: 0, length: 2, sections: 3 }, { offset: 1, length: 2, sections: 2 }]);
+    expect(countGramSections(index, toIndexTokens(['Am']), 'chords')).toEqual([{ offset: 0, length: 1, sections: 2 }]);
+
+    removeSong(index, 'song-g');
+    expect(countIndexedSections(index)).toBe(2);
+    expect(countGramSections(index, toIndexTokens(['C', 'Am'], 0), 'degrees')[0].sections).toBe(2);
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * Progression query language
+ * Compiles queries such as "1 * 4 5", "6m (4|2m) 5", "1 5{1,2} 6m" or "!bVII" into a matcher
+ * that finds every stretch of a progression the query describes
+ *
+ * Syntax, one chord per term:
+ *   C, Am7, D/F#     a chord as written
+ *   1, 6m, 5/7       a Nashville number, read in the key of the progression
+ *   I, vi, bVII      a Roman numeral, read in the key of the progression
+ *   C?, 5?, V?       any chord on that root, whatever its quality or bass
+ *   *                any chord
+ *   !term            any chord except the term (or except every chord in a group)
+ *   (a|b c)          alternatives, captured as a numbered group
+ *   term{2}          exactly 2 in a row; {1,3} one to three; {2,} two or more
+ * Chords with bracketed modifiers ("C7(b9)", "Cm(maj7)") read as a plain progression, but inside a
+ * query they must be written without brackets ("C7b9", "CmMaj7")
+ */
+
+import { parseChordSymbol, getChordIdentity } from './chordModel.js';
+import { nashvilleToChord, romanToChord } from './nashvilleNumbers.js';
+import { findKey } from './keyFinding.js';
+
+// Characters that mark query syntax when the token they are in isn't a chord symbol such as "C7(b9)"
+const QUERY_SYNTAX_PATTERN = /[*()|{}?!]/;
+
+// Separators, punctuation, repeat counts and terms, in the order they're tried
+const TOKEN_PATTERN = /[\s,]+|[()|!]|\{[^}]*\}?|[^\s,()|!{}]+/g;
+
+const NASHVILLE_PATTERN = /^([#b]?[1-7])(.*?)(\/[#b]?[1-7])?$/;
+const REPEAT_PATTERN = /^\{(\d+)(,(\d*))?\}$/;
+
+/**
+ * Checks whether typed input uses query syntax rather than being a plain list of chords
+ * A chord symbol with brackets in it, such as "C7(b9)" or "Cm(maj7)", is still a chord
+ * @param {string} text - Typed input
+ * @returns {boolean} - Whether the input contains wildcards, groups, repeats, "?" or negation
+ */
+export const isProgressionQuery = (text) => {
+  if (typeof text !== 'string') return false;
+
+  return text.split(/[\s,]+/).some(token => QUERY_SYNTAX_PATTERN.test(token) && !parseChordSymbol(token));
+};
+
+/**
+ * Splits a query into tokens, keeping the position of each for error messages
+ * @param {string} text - Query text
+ * @returns {Array} - [{ text, position }] without separators
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+    if (!/^[\s,]+$/.test(match[0])) {
+      tokens.push({ text: match[0], position: match.index });
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Reads a single chord term
+ * @param {string} text - Term text, with any trailing "?" already removed
+ * @returns {Object|null} - { notation, text } where notation is 'chord', 'nashville' or 'roman', or null if unreadable
+ */
+const readTerm = (text) => {
+  const nashville = text.match(NASHVILLE_PATTERN);
+  if (nashville) {
+    const quality = nashville[2];
+    return !quality || parseChordSymbol(`C${quality}`) ? { notation: 'nashville', text } : null;
+  }
+  if (romanToChord(text, 'C')) {
+    return { notation: 'roman', text };
+  }
+  if (parseChordSymbol(text)) {
+    return { notation: 'chord', text };
+  }
+  return null;
+};
+
+/**
+ * Describes where in the query something went wrong
+ * @param {Object} token - Token from tokenize, or undefined at the end of the query
+ * @returns {string} - "at column N" or "at the end of the query"
+ */
+const describePosition = (token) => {
+  return token ? `at column ${token.position + 1}` : 'at the end of the query';
+};
+
+/**
+ * Recursive-descent parser over the token list
+ * Throws a plain message on the first error, which parseProgressionQuery turns into its result
+ * @param {Array} tokens - Tokens from tokenize
+ * @returns {Object} - { pattern, groupCount }
+ */
+const parseTokens = (tokens) => {
+  let index = 0;
+  let groupCount = 0;
+  const peek = () => tokens[index];
+
+  // A single-chord term: a chord, number, numeral or "*", optionally negated
+  const isSingleChord = (item) => item.min === 1 && item.max === 1 && item.term.type !== 'group';
+
+  const parsePrimary = (negated) => {
+    const token = peek();
+    if (!token) {
+      throw new Error(`Expected a chord ${describePosition(token)}`);
+    }
+
+    if (token.text === '(') {
+      index++;
+      // Negated groups only list chords to avoid, so they aren't captured
+      const groupIndex = negated ? null : ++groupCount;
+      const alternatives = parseAlternatives();
+      if (!peek() || peek().text !== ')') {
+        throw new Error(`Expected ")" to close the group opened ${describePosition(token)}`);
+      }
+      index++;
+      return { type: 'group', index: groupIndex, alternatives };
+    }
+
+    if (token.text === ')' || token.text === '|' || token.text.startsWith('{')) {
+      throw new Error(`Unexpected "${token.text}" ${describePosition(token)}`);
+    }
+
+    index++;
+    if (token.text === '*') {
+      return { type: 'any' };
+    }
+
+    const anyQuality = token.text.length > 1 && token.text.endsWith('?');
+    const term = readTerm(anyQuality ? token.text.slice(0, -1) : token.text);
+    if (!term) {
+      throw new Error(`"${token.text}" ${describePosition(token)} isn't a chord, number or numeral`);
+    }
+    return { type: 'chord', ...term, anyQuality };
+  };
+
+  const parseItem = () => {
+    const bang = peek() && peek().text === '!' ? peek() : null;
+    const negated = Boolean(bang);
+    if (negated) {
+      index++;
+    }
+
+    let term = parsePrimary(negated);
+    if (negated) {
+      const alternatives = term.type === 'group' ? term.alternatives : [[{ term, min: 1, max: 1 }]];
+      if (!alternatives.every(sequence => sequence.length === 1 && isSingleChord(sequence[0]))) {
+        throw new Error(`"!" ${describePosition(bang)} can only exclude single chords`);
+      }
+      term = { type: 'not', terms: alternatives.map(sequence => sequence[0].term) };
+    }
+
+    let min = 1;
+    let max = 1;
+    const repeat = peek();
+    if (repeat && repeat.text.startsWith('{')) {
+      const counts = repeat.text.match(REPEAT_PATTERN);
+      if (!counts) {
+        throw new Error(`"${repeat.text}" ${describePosition(repeat)} should look like {2}, {1,3} or {2,}`);
+      }
+      min = parseInt(counts[1], 10);
+      max = counts[2] === undefined ? min : counts[3] === '' ? Infinity : parseInt(counts[3], 10);
+      if (max < min || max === 0) {
+        throw new Error(`"${repeat.text}" ${describePosition(repeat)} can't match any chords`);
+      }
+      index++;
+    }
+
+    return { term, min, max };
+  };
+
+  const parseSequence = () => {
+    const items = [];
+    while (peek() && peek().text !== '|' && peek().text !== ')') {
+      items.push(parseItem());
+    }
+    if (items.length === 0) {
+      throw new Error(`Expected a chord ${describePosition(peek())}`);
+    }
+    return items;
+  };
+
+  const parseAlternatives = () => {
+    const alternatives = [parseSequence()];
+    while (peek() && peek().text === '|') {
+      index++;
+      alternatives.push(parseSequence());
+    }
+    return alternatives;
+  };
+
+  const pattern = parseAlternatives();
+  if (peek()) {
+    throw new Error(`Unexpected "${peek().text}" ${describePosition(peek())}`);
+  }
+  return { pattern, groupCount };
+};
+
+/**
+ * Parses a progression query
+ * @param {string} text - Query text
+ * @returns {Object} - { isValid, errors, pattern, groupCount }; pattern is a list of alternative
+ *   sequences of { term, min, max } items
+ */
+export const parseProgressionQuery = (text) => {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    return { isValid: false, errors: ['Query is empty'], pattern: null, groupCount: 0 };
+  }
+
+  try {
+    const { pattern, groupCount } = parseTokens(tokenize(text));
+    return { isValid: true, errors: [], pattern, groupCount };
+  } catch (error) {
+    return { isValid: false, errors: [error.message], pattern: null, groupCount: 0 };
+  }
+};
+
+/**
+ * Builds the chord test for a single-chord term in a key
+ * @param {Object} term - Parsed term
+ * @param {string} key - Key that numbers and numerals are read in
+ * @param {boolean} ignoreInversions - Whether slash bass notes are ignored
+ * @returns {Function} - (parsedChord) => boolean, where parsedChord may be null for unreadable chords
+ */
+const buildChordTest = (term, key, ignoreInversions) => {
+  if (term.type === 'any') {
+    return () => true;
+  }
+  if (term.type === 'not') {
+    const tests = term.terms.map(inner => buildChordTest(inner, key, ignoreInversions));
+    return (chord) => !tests.some(test => test(chord));
+  }
+
+  let symbol = term.text;
+  if (term.notation === 'nashville') {
+    symbol = nashvilleToChord(term.text, key);
+  } else if (term.notation === 'roman') {
+    symbol = romanToChord(term.text, key);
+  }
+
+  const target = parseChordSymbol(symbol);
+  if (!target) {
+    return () => false;
+  }
+  if (term.anyQuality) {
+    return (chord) => Boolean(chord) && chord.rootSemitone === target.rootSemitone;
+  }
+
+  const identity = getChordIdentity(target, { ignoreBass: ignoreInversions });
+  return (chord) => Boolean(chord) && getChordIdentity(chord, { ignoreBass: ignoreInversions }) === identity;
+};
+
+/**
+ * Attaches chord tests to every single-chord term of a pattern
+ * @param {Array} alternatives - Pattern from parseProgressionQuery
+ * @param {string} key - Key that numbers and numerals are read in
+ * @param {boolean} ignoreInversions - Whether slash bass notes are ignored
+ * @returns {Array} - Pattern with a test on each non-group term
+ */
+const bindPattern = (alternatives, key, ignoreInversions) => {
+  return alternatives.map(sequence => sequence.map(item => ({
+    ...item,
+    term: item.term.type === 'group'
+      ? { ...item.term, alternatives: bindPattern(item.term.alternatives, key, ignoreInversions) }
+      : { ...item.term, test: buildChordTest(item.term, key, ignoreInversions) }
+  })));
+};
+
+/**
+ * Compiles a progression query into a matcher
+ * @param {string} text - Query text
+ * @returns {Object} - { isValid, errors, groupCount, match } where match(progression, options) returns every
+ *   match as { startIndex, endIndex, matchedChords, groups }. Options are key (for numbers and numerals,
+ *   estimated from the progression when omitted) and ignoreInversions. groups lists the captured groups that
+ *   took part as { index, startIndex, endIndex, chords }, keeping the last pass through a repeated group
+ */
+export const compileProgressionQuery = (text) => {
+  const { isValid, errors, pattern, groupCount } = parseProgressionQuery(text);
+  if (!isValid) {
+    return { isValid, errors, groupCount, match: () => [] };
+  }
+
+  const match = (progression, options = {}) => {
+    if (!Array.isArray(progression) || progression.length === 0) {
+      return [];
+    }
+
+    const { ignoreInversions = false } = options;
+    const key = options.key || findKey(progression).key || 'C';
+    const chords = progression.map(chord => parseChordSymbol(chord));
+    const bound = bindPattern(pattern, key, ignoreInversions);
+
+    // Continuation-passing backtracking: each matcher calls next(position, captures) for every way
+    // it can match and returns the first non-null result
+    const matchAlternatives = (alternatives, position, captures, next) => {
+      for (const sequence of alternatives) {
+        const result = matchSequence(sequence, 0, position, captures, next);
+        if (result) return result;
+      }
+      return null;
+    };
+
+    const matchTerm = (term, position, captures, next) => {
+      if (term.type === 'group') {
+        return matchAlternatives(term.alternatives, position, captures, (end, inner) => (
+          next(end, term.index ? { ...inner, [term.index]: { startIndex: position, endIndex: end - 1 } } : inner)
+        ));
+      }
+      return position < chords.length && term.test(chords[position]) ? next(position + 1, captures) : null;
+    };
+
+    // Repeats are greedy, giving back one pass at a time when the rest of the query fails
+    const matchItem = (item, position, captures, next) => {
+      const attempt = (count, current, currentCaptures) => {
+        if (count < item.max) {
+          const result = matchTerm(item.term, current, currentCaptures, (end, inner) => (
+            end > current ? attempt(count + 1, end, inner) : null
+          ));
+          if (result) return result;
+        }
+        return count >= item.min ? next(current, currentCaptures) : null;
+      };
+      return attempt(0, position, captures);
+    };
+
+    const matchSequence = (sequence, itemIndex, position, captures, next) => {
+      if (itemIndex === sequence.length) {
+        return next(position, captures);
+      }
+      return matchItem(sequence[itemIndex], position, captures, (end, inner) => (
+        matchSequence(sequence, itemIndex + 1, end, inner, next)
+      ));
+    };
+
+    const matches = [];
+    for (let start = 0; start < chords.length; start++) {
+      const found = matchAlternatives(bound, start, {}, (end, captures) => (
+        end > start ? { end, captures } : null
+      ));
+      if (!found) continue;
+
+      matches.push({
+        startIndex: start,
+        endIndex: found.end - 1,
+        matchedChords: progression.slice(start, found.end),
+        groups: Object.entries(found.captures)
+          .map(([index, span]) => ({
+            index: Number(index),
+            ...span,
+            chords: progression.slice(span.startIndex, span.endIndex + 1)
+          }))
+          .sort((a, b) => a.index - b.index)
+      });
+    }
+
+    return matches;
+  };
+
+  return { isValid, errors, groupCount, match };
+};
+
+const progressionQuery = {
+  isProgressionQuery,
+  parseProgressionQuery,
+  compileProgressionQuery
+};
+
+export default progressionQuery;
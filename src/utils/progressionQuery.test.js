@@ -0,0 +1,100 @@
+/**
+ * Tests for the progression query language
+ */
+
+import { isProgressionQuery, parseProgressionQuery, compileProgressionQuery } from './progressionQuery';
+
+const spans = (query, progression, options = { key: 'C' }) => (
+  compileProgressionQuery(query).match(progression, options).map(match => match.matchedChords)
+);
+
+describe('Progression Query', () => {
+  test('isProgressionQuery spots query syntax', () => {
+    expect(isProgressionQuery('1 * 4 5')).toBe(true);
+    expect(isProgressionQuery('6m (4|2m) 5')).toBe(true);
+    expect(isProgressionQuery('C?')).toBe(true);
+    expect(isProgressionQuery('C Am F G')).toBe(false);
+    expect(isProgressionQuery('6m (4 | 2m) 5')).toBe(true);
+    expect(isProgressionQuery('C (G)')).toBe(true);
+  });
+
+  test('isProgressionQuery reads chords with bracketed modifiers as chords', () => {
+    expect(isProgressionQuery('Cm(maj7) F')).toBe(false);
+    expect(isProgressionQuery('C(add9) G')).toBe(false);
+    expect(isProgressionQuery('C7(b9) F')).toBe(false);
+    expect(isProgressionQuery('C7(13) F')).toBe(false);
+    expect(isProgressionQuery('C7(b9) *')).toBe(true);
+    expect(isProgressionQuery(null)).toBe(false);
+  });
+
+  describe('parseProgressionQuery', () => {
+    test('reads chords, numbers and numerals', () => {
+      const { isValid, pattern, groupCount } = parseProgressionQuery('C 6m bVII (4|2m)');
+
+      expect(isValid).toBe(true);
+      expect(groupCount).toBe(1);
+      expect(pattern[0].map(item => item.term.notation || item.term.type)).toEqual(['chord', 'nashville', 'roman', 'group']);
+    });
+
+    test('reports the first error with its column', () => {
+      expect(parseProgressionQuery('C (F').errors).toEqual(['Expected ")" to close the group opened at column 3']);
+      expect(parseProgressionQuery('C )').errors).toEqual(['Unexpected ")" at column 3']);
+      expect(parseProgressionQuery('C Xyz').errors).toEqual(['"Xyz" at column 3 isn\'t a chord, number or numeral']);
+      expect(parseProgressionQuery('C{3,1}').errors).toEqual(['"{3,1}" at column 2 can\'t match any chords']);
+      expect(parseProgressionQuery('C{2').errors).toEqual(['"{2" at column 2 should look like {2}, {1,3} or {2,}']);
+      expect(parseProgressionQuery('!(C D)').errors).toEqual(['"!" at column 1 can only exclude single chords']);
+      expect(parseProgressionQuery('C |').errors).toEqual(['Expected a chord at the end of the query']);
+      expect(parseProgressionQuery('  ')).toMatchObject({ isValid: false, errors: ['Query is empty'] });
+    });
+  });
+
+  describe('compileProgressionQuery', () => {
+    test('matches any chord with a wildcard', () => {
+      expect(spans('1 * 4 5', ['C', 'Am', 'F', 'G', 'C', 'Em', 'F', 'G'])).toEqual([
+        ['C', 'Am', 'F', 'G'],
+        ['C', 'Em', 'F', 'G']
+      ]);
+    });
+
+    test('reads numbers and numerals in the given key', () => {
+      expect(spans('1 5 6m 4', ['G', 'D', 'Em', 'C'], { key: 'G' })).toEqual([['G', 'D', 'Em', 'C']]);
+      expect(spans('I V vi IV', ['G', 'D', 'Em', 'C'], { key: 'C' })).toEqual([]);
+    });
+
+    test('captures the alternative each match took', () => {
+      const matches = compileProgressionQuery('6m (4|2m) 5').match(['Am', 'Dm', 'G', 'Am', 'F', 'G'], { key: 'C' });
+
+      expect(matches.map(match => match.groups)).toEqual([
+        [{ index: 1, startIndex: 1, endIndex: 1, chords: ['Dm'] }],
+        [{ index: 1, startIndex: 4, endIndex: 4, chords: ['F'] }]
+      ]);
+    });
+
+    test('repeats greedily within the counts', () => {
+      expect(spans('1 5{1,2} 6m', ['C', 'G', 'G', 'Am', 'C', 'G', 'G', 'G', 'Am'])).toEqual([['C', 'G', 'G', 'Am']]);
+      expect(spans('C G{2,}', ['C', 'G', 'G', 'G', 'F'])).toEqual([['C', 'G', 'G', 'G']]);
+      expect(spans('(C|Am){2} F', ['C', 'Am', 'F'])).toEqual([['C', 'Am', 'F']]);
+    });
+
+    test('matches any quality on a root with "?"', () => {
+      expect(spans('C? G', ['Cmaj7', 'G', 'C/E', 'G', 'Cm', 'G7'])).toEqual([['Cmaj7', 'G'], ['C/E', 'G']]);
+      expect(spans('5? 1', ['G7', 'C'])).toEqual([['G7', 'C']]);
+    });
+
+    test('excludes chords with "!"', () => {
+      expect(spans('!bVII', ['C', 'Bb', 'F'])).toEqual([['C'], ['F']]);
+      expect(spans('1 !(4|5)', ['C', 'F', 'C', 'Am'])).toEqual([['C', 'Am']]);
+    });
+
+    test('follows ignoreInversions', () => {
+      expect(spans('C G', ['C/E', 'G'])).toEqual([]);
+      expect(spans('C G', ['C/E', 'G'], { key: 'C', ignoreInversions: true })).toEqual([['C/E', 'G']]);
+    });
+
+    test('returns no matches for an invalid query', () => {
+      const query = compileProgressionQuery('C (');
+      expect(query.isValid).toBe(false);
+      expect(query.match(['C'])).toEqual([]);
+    });
+  });
+});
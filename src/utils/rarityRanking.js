@@ -0,0 +1,167 @@
+/**
+ * Rarity ranking
+ * Weighs search matches by how distinctive the chords they matched are across the database (an
+ * inverse document frequency over the index's n-grams, read as scale degrees where the key is known),
+ * how much of their section they cover, and how much the section matters to the song, so a rare turn
+ * in a chorus can outrank the I-V-vi-IV that half the database shares
+ */
+
+import { toIndexTokens, findIndexedSection, countIndexedSections, countGramSections } from './progressionIndex.js';
+import { getDegreeTonic } from './sectionKeys.js';
+import { getSectionType } from './songForm.js';
+
+// Share of the score each factor contributes
+const RANKING_WEIGHTS = {
+  rarity: 0.5,
+  coverage: 0.3,
+  importance: 0.2
+};
+
+// How much each section type carries a song; types not listed get DEFAULT_IMPORTANCE
+const SECTION_IMPORTANCE = {
+  chorus: 1,
+  verse: 0.85,
+  'pre-chorus': 0.75,
+  bridge: 0.75,
+  'post-chorus': 0.7,
+  solo: 0.6,
+  instrumental: 0.6,
+  breakdown: 0.55,
+  interlude: 0.55,
+  intro: 0.5,
+  outro: 0.4
+};
+const DEFAULT_IMPORTANCE = 0.6;
+
+// Orders results can be sorted in, as listed in SearchResults
+const RANKING_ORDERS = {
+  unusual: { label: 'Most unusual', description: 'Distinctive progressions first' },
+  typical: { label: 'Most typical', description: 'Common progressions first' },
+  match: { label: 'Closest match', description: 'Closest to the search first' }
+};
+
+/**
+ * Gets how much a section carries its song
+ * @param {string} sectionName - Section name
+ * @returns {number} - Importance (0-1), 1 for a chorus
+ */
+export const getSectionImportance = (sectionName) => {
+  return SECTION_IMPORTANCE[getSectionType(sectionName)] || DEFAULT_IMPORTANCE;
+};
+
+/**
+ * Lists the orders results can be sorted in
+ * @returns {Array} - [{ id, label, description }]
+ */
+export const getRankingOrders = () => {
+  return Object.entries(RANKING_ORDERS).map(([id, order]) => ({ id, ...order }));
+};
+
+/**
+ * Formats a 0-1 value as a whole percentage
+ * @param {number} value - Value
+ * @returns {string} - Percentage such as "72%"
+ */
+const toPercent = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * Weighs the n-grams of matched chords by how few sections they occur in
+ * @param {Object} index - Index from createProgressionIndex
+ * @param {Array} matchedChords - Chords the result matched
+ * @param {string|null} tonic - Tonic the chords are read as scale degrees of, or null
+ * @returns {Object} - { grams, rarity, totalSections, rarityExplanation }
+ */
+const scoreGrams = (index, matchedChords, tonic) => {
+  const field = tonic === null ? 'chords' : 'degrees';
+  const totalSections = Math.max(countIndexedSections(index), 1);
+  const maxIdf = Math.log(totalSections + 1);
+  const grams = countGramSections(index, toIndexTokens(matchedChords, tonic), field).map(({ offset, length, sections }) => ({
+    chords: matchedChords.slice(offset, offset + length),
+    sections,
+    idf: Math.log((totalSections + 1) / (sections + 1))
+  }));
+
+  const rarity = grams.reduce((sum, gram) => sum + gram.idf, 0) / (grams.length * maxIdf);
+  const byRarity = [...grams].sort((a, b) => a.sections - b.sections);
+  const rarest = byRarity[0];
+  const commonest = byRarity[byRarity.length - 1];
+  const describeGram = (gram) => `${gram.chords.join(' - ')} is in ${gram.sections} of ${totalSections} sections`;
+
+  return {
+    grams,
+    rarity,
+    totalSections,
+    rarityExplanation: `Rarity ${toPercent(rarity)}: ${describeGram(rarest)}${commonest.sections !== rarest.sections ? `, ${describeGram(commonest)}` : ''}`
+  };
+};
+
+/**
+ * Scores a search result by the rarity of what it matched, its coverage of the section and the section's importance
+ * @param {Object} index - Index from createProgressionIndex, over the database the result came from
+ * @param {Object} result - Search result with matchDetails.matchedChords
+ * @param {Map} gramScores - Rarities already worked out for other results of the same search, by
+ *   matched chords and tonic (optional)
+ * @returns {Object|null} - { unusual, typical, rarity, coverage, importance, grams, totalSections, explanation },
+ *   or null for results without matched chords (such as form matches)
+ */
+export const scoreResultRanking = (index, result, gramScores = new Map()) => {
+  const match = result.matchDetails || {};
+  const matchedChords = match.matchedChords;
+  if (!Array.isArray(matchedChords) || matchedChords.length === 0) return null;
+
+  // Scale degrees make C-G-Am-F in C as common as G-D-Em-C in G
+  const section = findIndexedSection(index, result.songId, result.matchedSection);
+  const tonic = section ? section.tonic : getDegreeTonic(result.sectionKey);
+  const cacheKey = `${tonic} ${matchedChords.join(' ')}`;
+  if (!gramScores.has(cacheKey)) {
+    gramScores.set(cacheKey, scoreGrams(index, matchedChords, tonic));
+  }
+  const { grams, rarity, totalSections, rarityExplanation } = gramScores.get(cacheKey);
+
+  const sectionLength = (match.performedChords || result.sectionData?.progression || matchedChords).length;
+  const coverage = Math.min(matchedChords.length / Math.max(sectionLength, 1), 1);
+  const importance = getSectionImportance(result.matchedSection);
+  const sharedScore = RANKING_WEIGHTS.coverage * coverage + RANKING_WEIGHTS.importance * importance;
+
+  return {
+    unusual: RANKING_WEIGHTS.rarity * rarity + sharedScore,
+    typical: RANKING_WEIGHTS.rarity * (1 - rarity) + sharedScore,
+    rarity,
+    coverage,
+    importance,
+    grams,
+    totalSections,
+    explanation: [
+      rarityExplanation,
+      `Coverage ${toPercent(coverage)}: matches ${matchedChords.length} of ${sectionLength} chords`,
+      `Importance ${toPercent(importance)}: ${getSectionType(result.matchedSection)} section`
+    ]
+  };
+};
+
+/**
+ * Sorts search results in a ranking order
+ * Results without a ranking keep their place after the ranked ones
+ * @param {Array} results - Search results, with ranking from scoreResultRanking
+ * @param {string} order - 'unusual', 'typical' or 'match' (by confidence)
+ * @returns {Array} - Sorted copy of the results
+ */
+export const sortByRanking = (results, order = 'unusual') => {
+  if (!Array.isArray(results)) return [];
+
+  const getScore = (result) => {
+    if (order === 'match') return result.confidence || 0;
+    return result.ranking ? result.ranking[order] : -Infinity;
+  };
+
+  return [...results].sort((a, b) => getScore(b) - getScore(a) || (b.confidence || 0) - (a.confidence || 0));
+};
+
+const rarityRanking = {
+  getSectionImportance,
+  getRankingOrders,
+  scoreResultRanking,
+  sortByRanking
+};
+
+export default rarityRanking;
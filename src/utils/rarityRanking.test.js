@@ -0,0 +1,107 @@
+/**
+ * Tests for rarity-weighted ranking of search results
+ */
+
+import { createProgressionIndex } from './progressionIndex.js';
+import { getSectionImportance, getRankingOrders, scoreResultRanking, sortByRanking } from './rarityRanking.js';
+
+// Three songs share I-V-vi-IV; only one has the bVI-bVII-I turn
+const songs = [
+  {
+    songId: 'pop-1',
+    key: 'C',
+    sections: {
+      chorus: { progression: ['C', 'G', 'Am', 'F'] },
+      outro: { progression: ['C', 'G', 'Am', 'F', 'C'] }
+    }
+  },
+  {
+    songId: 'pop-2',
+    key: 'G',
+    sections: { verse: { progression: ['G', 'D', 'Em', 'C'] } }
+  },
+  {
+    songId: 'rock-1',
+    key: 'A',
+    sections: { chorus: { progression: ['A', 'D', 'F', 'G', 'A'] } }
+  }
+];
+
+const index = createProgressionIndex(songs);
+
+const createResult = (songId, matchedSection, matchedChords, confidence = 1) => {
+  const song = songs.find(entry => entry.songId === songId);
+  return {
+    ...song,
+    matchedSection,
+    sectionData: song.sections[matchedSection],
+    sectionKey: song.key,
+    matchDetails: { matchedChords },
+    confidence
+  };
+};
+
+describe('getSectionImportance', () => {
+  test('weighs choruses over verses over outros', () => {
+    expect(getSectionImportance('chorus')).toBe(1);
+    expect(getSectionImportance('verse-2')).toBe(getSectionImportance('verse'));
+    expect(getSectionImportance('verse')).toBeGreaterThan(getSectionImportance('outro'));
+    expect(getSectionImportance('coda')).toBe(0.6);
+  });
+});
+
+describe('scoreResultRanking', () => {
+  test('scores shared progressions as common, in any key', () => {
+    const ranking = scoreResultRanking(index, createResult('pop-2', 'verse', ['G', 'D', 'Em', 'C']));
+
+    expect(ranking.totalSections).toBe(4);
+    expect(ranking.grams.map(gram => gram.sections)).toEqual([3, 3, 3]);
+    expect(ranking.coverage).toBe(1);
+    expect(ranking.importance).toBe(0.85);
+    expect(ranking.typical).toBeGreaterThan(ranking.unusual);
+    expect(ranking.explanation).toEqual([
+      'Rarity 14%: G - D is in 3 of 4 sections',
+      'Coverage 100%: matches 4 of 4 chords',
+      'Importance 85%: verse section'
+    ]);
+  });
+
+  test('scores a rare span as unusual', () => {
+    const rare = scoreResultRanking(index, createResult('rock-1', 'chorus', ['D', 'F', 'G', 'A']));
+    const common = scoreResultRanking(index, createResult('pop-1', 'chorus', ['C', 'G', 'Am', 'F']));
+
+    expect(rare.rarity).toBeGreaterThan(common.rarity);
+    expect(rare.unusual).toBeGreaterThan(common.unusual);
+    expect(rare.explanation[0]).toBe('Rarity 57%: D - F is in 1 of 4 sections');
+
+    // A span that is partly shared names its rarest and its commonest chords
+    const mixed = scoreResultRanking(index, createResult('pop-1', 'outro', ['Am', 'F', 'C']));
+    expect(mixed.explanation[0]).toBe('Rarity 35%: F - C is in 1 of 4 sections, Am - F is in 3 of 4 sections');
+  });
+
+  test('skips results without matched chords', () => {
+    expect(scoreResultRanking(index, { ...createResult('pop-1', 'chorus', []), matchDetails: { type: 'form' } })).toBeNull();
+  });
+});
+
+describe('sortByRanking', () => {
+  const results = [
+    createResult('pop-1', 'outro', ['C', 'G', 'Am', 'F'], 0.9),
+    createResult('rock-1', 'chorus', ['D', 'F', 'G', 'A'], 0.8),
+    createResult('pop-1', 'chorus', ['C', 'G', 'Am', 'F'], 1),
+    { ...createResult('pop-2', 'verse', []), matchDetails: { type: 'form' }, confidence: 0.95 }
+  ].map(result => ({ ...result, ranking: scoreResultRanking(index, result) }));
+
+  const describeOrder = (sorted) => sorted.map(result => `${result.songId}:${result.matchedSection}`);
+
+  test('sorts by unusual or typical score, unranked results last', () => {
+    expect(describeOrder(sortByRanking(results, 'unusual'))).toEqual(['rock-1:chorus', 'pop-1:chorus', 'pop-1:outro', 'pop-2:verse']);
+    expect(describeOrder(sortByRanking(results, 'typical'))).toEqual(['pop-1:chorus', 'pop-1:outro', 'rock-1:chorus', 'pop-2:verse']);
+  });
+
+  test('sorts by confidence for the closest match', () => {
+    expect(describeOrder(sortByRanking(results, 'match'))).toEqual(['pop-1:chorus', 'pop-2:verse', 'pop-1:outro', 'rock-1:chorus']);
+    expect(getRankingOrders().map(order => order.id)).toEqual(['unusual', 'typical', 'match']);
+    expect(sortByRanking(null)).toEqual([]);
+  });
+});
@@ -4,6 +4,7 @@
  */
 
 import { progressionToNashville } from './nashvilleNumbers';
+import { getSectionKey } from './sectionKeys';
 
 /**
  * Calculate similarity score between two chord progressions
@@ -75,7 +76,7 @@ export const findRelatedSongs = (targetSong, songDatabase, options = {}) => {
   const targetProgressions = Object.entries(targetSong.sections).map(([sectionName, section]) => ({
     sectionName,
     progression: section.progression,
-    key: targetSong.key
+    key: getSectionKey(targetSong, sectionName)
   }));
 
   songDatabase.forEach(song => {
@@ -90,8 +91,8 @@ export const findRelatedSongs = (targetSong, songDatabase, options = {}) => {
         const similarity = calculateProgressionSimilarity(
           targetSection.progression,
           section.progression,
-          targetSong.key,
-          song.key
+          targetSection.key,
+          getSectionKey(song, sectionName)
         );
 
         if (similarity > maxSimilarity) {
@@ -238,6 +238,25 @@ describe('findRelatedSongs', () => {
       expect(match.bestMatch.similarity).toBeDefined();
     });
   });
+
+  test('compares sections in their own keys', () => {
+    const modulatingSong = {
+      ...targetSong,
+      sections: {
+        ...targetSong.sections,
+        bridge: {
+          progression: ['D', 'Bm', 'G', 'A'],
+          key: 'D'
+        }
+      }
+    };
+    const { progressionToNashville } = require('./nashvilleNumbers');
+
+    findRelatedSongs(modulatingSong, songDatabase, { minSimilarity: 0.0 });
+
+    expect(progressionToNashville).toHaveBeenCalledWith(['D', 'Bm', 'G', 'A'], 'D');
+    expect(progressionToNashville).not.toHaveBeenCalledWith(['D', 'Bm', 'G', 'A'], 'C');
+  });
 });
 
 describe('getSimilarityExplanation', () => {
@@ -0,0 +1,205 @@
+/**
+ * Rhythm
+ * Beat-level timing of a section: how many beats each chord lasts, the time signature the beats are
+ * counted in and any pickup (the beats before bar 1). Sections list them as `durations`, `timeSignature`
+ * and `pickup`; sections without durations are read as spreading their chords evenly over their bars.
+ * Durations count the time signature's beat, so a bar of 6/8 has six
+ */
+
+export const DEFAULT_TIME_SIGNATURE = '4/4';
+
+// Note values a time signature can count
+const BEAT_UNITS = [1, 2, 4, 8, 16];
+
+// Beat totals are sums of fractions, so compare them with some slack
+const EPSILON = 1e-6;
+
+/**
+ * Parses a time signature
+ * @param {string} timeSignature - Time signature, such as "4/4", "3/4" or "6/8"
+ * @returns {Object|null} - { beats, unit }, or null if it isn't a time signature
+ */
+export const parseTimeSignature = (timeSignature) => {
+  const match = typeof timeSignature === 'string' && timeSignature.trim().match(/^(\d{1,2})\/(\d{1,2})$/);
+  if (!match) return null;
+
+  const beats = parseInt(match[1], 10);
+  const unit = parseInt(match[2], 10);
+  if (beats < 1 || !BEAT_UNITS.includes(unit)) return null;
+  return { beats, unit };
+};
+
+/**
+ * Checks whether a value is a time signature
+ * @param {string} timeSignature - Value to check
+ * @returns {boolean} - Whether it's a time signature
+ */
+export const isValidTimeSignature = (timeSignature) => {
+  return parseTimeSignature(timeSignature) !== null;
+};
+
+/**
+ * Gets the time signature a section is played in: its own, else the song's, else 4/4
+ * @param {Object} section - Section object
+ * @param {Object} song - Song object (optional)
+ * @returns {string} - Time signature
+ */
+export const getTimeSignature = (section, song = null) => {
+  if (isValidTimeSignature(section?.timeSignature)) return section.timeSignature;
+  if (isValidTimeSignature(song?.timeSignature)) return song.timeSignature;
+  return DEFAULT_TIME_SIGNATURE;
+};
+
+/**
+ * Gets the number of beats in a bar
+ * @param {string} timeSignature - Time signature
+ * @returns {number} - Beats per bar (4 for anything that isn't a time signature)
+ */
+export const getBeatsPerBar = (timeSignature) => {
+  return (parseTimeSignature(timeSignature) || parseTimeSignature(DEFAULT_TIME_SIGNATURE)).beats;
+};
+
+/**
+ * Checks whether a section lists a usable duration for every chord
+ * @param {Object} section - Section object
+ * @returns {boolean} - Whether the section has durations
+ */
+export const hasDurations = (section) => {
+  return Boolean(section && Array.isArray(section.progression) && Array.isArray(section.durations) &&
+    section.durations.length === section.progression.length &&
+    section.durations.every(beats => typeof beats === 'number' && beats > 0));
+};
+
+/**
+ * Gets the beats each chord of a section lasts
+ * Sections without durations spread their chords evenly over their bars, or give each chord a bar
+ * @param {Object} section - Section object
+ * @param {Object} song - Song object (optional), for its time signature
+ * @returns {Array<number>} - Beats per chord
+ */
+export const getChordDurations = (section, song = null) => {
+  const progression = section?.progression || [];
+  if (hasDurations(section)) return [...section.durations];
+  if (progression.length === 0) return [];
+
+  const beatsPerBar = getBeatsPerBar(getTimeSignature(section, song));
+  const bars = section.bars > 0 ? section.bars : progression.length;
+  return progression.map(() => (bars * beatsPerBar) / progression.length);
+};
+
+/**
+ * Adds up durations
+ * @param {Array<number>} durations - Beats per chord
+ * @returns {number} - Total beats
+ */
+export const getTotalBeats = (durations = []) => {
+  return durations.reduce((total, beats) => total + beats, 0);
+};
+
+/**
+ * Counts the bars durations fill, not counting the pickup; a bar left unfinished at the end still counts
+ * @param {Array<number>} durations - Beats per chord
+ * @param {string} timeSignature - Time signature
+ * @param {number} pickup - Beats before bar 1
+ * @returns {number} - Number of bars
+ */
+export const countBars = (durations, timeSignature = DEFAULT_TIME_SIGNATURE, pickup = 0) => {
+  const beats = getTotalBeats(durations) - (pickup || 0);
+  return beats > EPSILON ? Math.ceil(beats / getBeatsPerBar(timeSignature) - EPSILON) : 0;
+};
+
+/**
+ * Gets the number of bars a section lasts, counted from its durations when it has them
+ * @param {Object} section - Section object
+ * @param {Object} song - Song object (optional), for its time signature
+ * @returns {number} - Number of bars
+ */
+export const getSectionBars = (section, song = null) => {
+  if (hasDurations(section)) {
+    return countBars(section.durations, getTimeSignature(section, song), section.pickup);
+  }
+  return section?.bars || 0;
+};
+
+/**
+ * Lays chords out in bars. A chord that runs over a bar line is split, and the part in the
+ * following bar is marked as tied
+ * @param {Array<number>} durations - Beats per chord
+ * @param {string} timeSignature - Time signature
+ * @param {number} pickup - Beats before bar 1
+ * @returns {Array<Object>} - Bars: { number, isPickup, beats, chords: [{ index, beats, startBeat, tied }] },
+ *   where the pickup is bar 0 and startBeat counts from the start of the bar
+ */
+export const layoutBars = (durations, timeSignature = DEFAULT_TIME_SIGNATURE, pickup = 0) => {
+  const beatsPerBar = getBeatsPerBar(timeSignature);
+  const bars = [];
+  let bar = null;
+
+  const openBar = () => {
+    const isPickup = bars.length === 0 && pickup > EPSILON;
+    bar = {
+      number: pickup > EPSILON ? bars.length : bars.length + 1,
+      isPickup,
+      beats: isPickup ? pickup : beatsPerBar,
+      chords: [],
+      filled: 0
+    };
+    bars.push(bar);
+  };
+
+  durations.forEach((duration, index) => {
+    let remaining = duration;
+    while (remaining > EPSILON) {
+      if (!bar || bar.filled >= bar.beats - EPSILON) openBar();
+      const beats = Math.min(remaining, bar.beats - bar.filled);
+      bar.chords.push({ index, beats, startBeat: bar.filled, tied: remaining < duration - EPSILON });
+      bar.filled += beats;
+      remaining -= beats;
+    }
+  });
+
+  return bars.map(({ filled, ...rest }) => rest);
+};
+
+/**
+ * Writes chords and their durations in bar notation, one dot per beat a chord is held:
+ * "| C . G . | Am . . . |", led by the time signature when it isn't 4/4. Durations that aren't
+ * whole beats are written as counts instead: "C(1.5) G(2.5)"
+ * @param {Array<string>} progression - Chord names
+ * @param {Array<number>} durations - Beats per chord
+ * @param {string} timeSignature - Time signature
+ * @param {number} pickup - Beats before bar 1
+ * @returns {string} - Notation sectionParser reads back
+ */
+export const formatRhythmNotation = (progression, durations, timeSignature = DEFAULT_TIME_SIGNATURE, pickup = 0) => {
+  const prefix = timeSignature !== DEFAULT_TIME_SIGNATURE ? `${timeSignature} ` : '';
+
+  if (!durations.every(beats => Number.isInteger(beats)) || !Number.isInteger(pickup || 0)) {
+    return prefix + progression.map((chord, index) => `${chord}(${durations[index]})`).join(' ');
+  }
+
+  const bars = layoutBars(durations, timeSignature, pickup).map(bar => {
+    return bar.chords.map(({ index, beats, tied }) => {
+      const dots = Array(tied ? beats : beats - 1).fill('.');
+      return (tied ? dots : [progression[index], ...dots]).join(' ');
+    }).join(' ');
+  });
+  return `${prefix}| ${bars.join(' | ')} |`;
+};
+
+const rhythm = {
+  DEFAULT_TIME_SIGNATURE,
+  parseTimeSignature,
+  isValidTimeSignature,
+  getTimeSignature,
+  getBeatsPerBar,
+  hasDurations,
+  getChordDurations,
+  getTotalBeats,
+  countBars,
+  getSectionBars,
+  layoutBars,
+  formatRhythmNotation
+};
+
+export default rhythm;
@@ -0,0 +1,89 @@
+/**
+ * Unit tests for beat-level rhythm: time signatures, chord durations and bars
+ */
+
+import {
+  parseTimeSignature,
+  getTimeSignature,
+  getChordDurations,
+  countBars,
+  getSectionBars,
+  layoutBars,
+  formatRhythmNotation
+} from './rhythm.js';
+
+describe('parseTimeSignature', () => {
+  test('reads beats and beat unit', () => {
+    expect(parseTimeSignature('3/4')).toEqual({ beats: 3, unit: 4 });
+    expect(parseTimeSignature('6/8')).toEqual({ beats: 6, unit: 8 });
+  });
+
+  test('rejects values that are not time signatures', () => {
+    expect(parseTimeSignature('4/3')).toBeNull();
+    expect(parseTimeSignature('0/4')).toBeNull();
+    expect(parseTimeSignature('C/E')).toBeNull();
+  });
+
+  test('takes the section time signature over the song one', () => {
+    expect(getTimeSignature({ timeSignature: '3/4' }, { timeSignature: '6/8' })).toBe('3/4');
+    expect(getTimeSignature({}, { timeSignature: '6/8' })).toBe('6/8');
+    expect(getTimeSignature({})).toBe('4/4');
+  });
+});
+
+describe('getChordDurations', () => {
+  test('uses the durations a section lists', () => {
+    expect(getChordDurations({ progression: ['C', 'G', 'Am'], durations: [2, 2, 4], bars: 2 })).toEqual([2, 2, 4]);
+  });
+
+  test('spreads chords evenly over the bars of a section without durations', () => {
+    expect(getChordDurations({ progression: ['C', 'G', 'Am', 'F'], bars: 4 })).toEqual([4, 4, 4, 4]);
+    expect(getChordDurations({ progression: ['C', 'G', 'Am', 'F'], bars: 2 })).toEqual([2, 2, 2, 2]);
+    expect(getChordDurations({ progression: ['C', 'G'], bars: 2 }, { timeSignature: '3/4' })).toEqual([3, 3]);
+  });
+
+  test('ignores durations that do not match the chords', () => {
+    expect(getChordDurations({ progression: ['C', 'G'], durations: [2], bars: 2 })).toEqual([4, 4]);
+  });
+});
+
+describe('bars', () => {
+  test('counts bars from durations, leaving out the pickup', () => {
+    expect(countBars([2, 2, 4])).toBe(2);
+    expect(countBars([3, 3, 3], '3/4')).toBe(3);
+    expect(countBars([1, 4, 4], '4/4', 1)).toBe(2);
+    expect(countBars([4, 2])).toBe(2);
+  });
+
+  test('counts a section from its durations when it has them', () => {
+    expect(getSectionBars({ progression: ['C', 'G', 'Am'], durations: [2, 2, 4], bars: 3 })).toBe(2);
+    expect(getSectionBars({ progression: ['C', 'G'], bars: 2 })).toBe(2);
+  });
+
+  test('lays chords out in bars, tying a chord over the bar line', () => {
+    const bars = layoutBars([1, 2, 6, 3], '4/4', 1);
+
+    expect(bars.map(({ number, isPickup }) => [number, isPickup])).toEqual([[0, true], [1, false], [2, false], [3, false]]);
+    expect(bars[1].chords).toEqual([
+      { index: 1, beats: 2, startBeat: 0, tied: false },
+      { index: 2, beats: 2, startBeat: 2, tied: false }
+    ]);
+    expect(bars[2].chords).toEqual([{ index: 2, beats: 4, startBeat: 0, tied: true }]);
+    expect(bars[3].chords).toEqual([{ index: 3, beats: 3, startBeat: 0, tied: false }]);
+  });
+});
+
+describe('formatRhythmNotation', () => {
+  test('writes bars with a dot per beat held', () => {
+    expect(formatRhythmNotation(['C', 'G', 'Am'], [2, 2, 4])).toBe('| C . G . | Am . . . |');
+    expect(formatRhythmNotation(['G', 'C', 'F'], [1, 3, 3], '3/4', 1)).toBe('3/4 | G | C . . | F . . |');
+  });
+
+  test('continues a tied chord with dots', () => {
+    expect(formatRhythmNotation(['C', 'G'], [6, 2])).toBe('| C . . . | . . G . |');
+  });
+
+  test('writes counts for durations that are not whole beats', () => {
+    expect(formatRhythmNotation(['C', 'G'], [1.5, 2.5])).toBe('C(1.5) G(2.5)');
+  });
+});
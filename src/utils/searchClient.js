@@ -0,0 +1,300 @@
+/**
+ * Search client
+ * Async API over the search worker. Requests go to the worker one at a time; each belongs to a channel
+ * ('search', 'relatedSongs', 'variations'), and a newer request on a channel cancels the stale one,
+ * so a query typed over never runs, or stops with the worker running it, which is replaced by a fresh
+ * one. Where workers aren't available (tests, old browsers) or the worker fails, tasks run
+ * synchronously on the main thread instead
+ */
+
+import { addSong } from '../data/songDatabase.js';
+import { runSearchTask, prepareSearch } from './searchTasks.js';
+import { createSearchWorker } from '../workers/createSearchWorker.js';
+
+/**
+ * Creates the error a cancelled request rejects with
+ * @param {string} channel - Channel of the cancelled request
+ * @returns {Error} - Error with cancelled set to true
+ */
+const createCancelledError = (channel) => {
+  const error = new Error(`The ${channel} request was replaced by a newer one`);
+  error.cancelled = true;
+  return error;
+};
+
+/**
+ * Checks whether a request failed only because it was cancelled
+ * Callers usually ignore these, since a newer request is on its way
+ * @param {Error} error - Error a request rejected with
+ * @returns {boolean} - Whether the request was cancelled
+ */
+export const isCancelledError = (error) => {
+  return Boolean(error && error.cancelled);
+};
+
+/**
+ * Creates a search client
+ * @param {Function} createWorker - Returns a worker (or null to run synchronously); defaults to the search worker
+ * @returns {Object} - { run, cancel, addSong, isUsingWorker, terminate }
+ */
+export const createSearchClient = (createWorker = createSearchWorker) => {
+  let worker = null;
+  let workerFailed = false;
+  let nextId = 1;
+  let activeRequest = null;    // Request the worker is working on
+  const queue = [];            // Requests waiting for the worker
+  const channels = new Map();  // channel -> latest unfinished request
+  const addedSongs = new Map(); // songId -> song added through the client, for a replacement worker's copy
+
+  const finish = (request) => {
+    if (channels.get(request.channel) === request) {
+      channels.delete(request.channel);
+    }
+  };
+
+  const runSynchronously = (request) => {
+    finish(request);
+    try {
+      request.resolve(runSearchTask(request.task, request.args));
+    } catch (error) {
+      request.reject(error);
+    }
+  };
+
+  const sendNext = () => {
+    if (activeRequest || queue.length === 0) return;
+
+    activeRequest = queue.shift();
+    const { id, task, args } = activeRequest;
+    worker.postMessage({ id, task, args });
+  };
+
+  const handleMessage = ({ data }) => {
+    const request = activeRequest;
+    if (!request || !data || data.id !== request.id) return;
+
+    activeRequest = null;
+    finish(request);
+    // A cancelled request has already rejected, so its result is dropped
+    if (!request.cancelled) {
+      if (data.error) {
+        request.reject(new Error(data.error));
+      } else {
+        request.resolve(data.result);
+      }
+    }
+    sendNext();
+  };
+
+  // A worker that fails to load or crashes hands its requests back to the main thread for good
+  const handleError = (event) => {
+    if (event && event.preventDefault) event.preventDefault();
+    console.warn('Search worker failed, searching on the main thread instead:', event && event.message);
+
+    worker.terminate();
+    worker = null;
+    workerFailed = true;
+
+    const requests = [activeRequest, ...queue].filter(request => request && !request.cancelled);
+    activeRequest = null;
+    queue.length = 0;
+    requests.forEach(runSynchronously);
+  };
+
+  // Starts a worker, bringing its copy of the database up to date with the songs added so far
+  // (their answers match no request, so they're dropped)
+  const startWorker = () => {
+    try {
+      worker = createWorker();
+    } catch (error) {
+      console.warn('Search worker unavailable:', error);
+      worker = null;
+    }
+
+    // Without a worker, searching is made ready here on the main thread, ahead of the first search
+    if (!worker) {
+      workerFailed = true;
+      prepareSearch();
+      return null;
+    }
+    worker.onmessage = handleMessage;
+    worker.onerror = handleError;
+    addedSongs.forEach(song => worker.postMessage({ id: nextId++, task: 'addSong', args: { song } }));
+    return worker;
+  };
+
+  const getWorker = () => {
+    if (worker || workerFailed) return worker;
+    return startWorker();
+  };
+
+  // A worker can't be interrupted, so one busy with a cancelled request is replaced by a fresh one
+  const restartWorker = () => {
+    worker.terminate();
+    worker = null;
+    activeRequest = null;
+
+    if (startWorker()) {
+      sendNext();
+    } else {
+      queue.splice(0).filter(request => !request.cancelled).forEach(runSynchronously);
+    }
+  };
+
+  /**
+   * Cancels the unfinished request on a channel
+   * A request still waiting is dropped; one the worker has started stops with the worker, which is
+   * replaced by a fresh one for the requests after it
+   * @param {string} channel - Channel to cancel
+   */
+  const cancel = (channel) => {
+    const request = channels.get(channel);
+    if (!request) return;
+
+    channels.delete(channel);
+    request.cancelled = true;
+    const queued = queue.indexOf(request);
+    if (queued !== -1) {
+      queue.splice(queued, 1);
+    }
+    request.reject(createCancelledError(channel));
+
+    if (request === activeRequest && worker) {
+      restartWorker();
+    }
+  };
+
+  /**
+   * Runs a task, cancelling the channel's previous request
+   * @param {string} task - Task name from searchTasks.js
+   * @param {Object} args - Task arguments (must survive structured cloning)
+   * @param {Object} options - { channel } (defaults to the task name; null never cancels)
+   * @returns {Promise} - Resolves with the task result; rejects with a cancelled error when replaced
+   */
+  const run = (task, args = {}, options = {}) => {
+    const { channel = task } = options;
+    if (channel !== null) {
+      cancel(channel);
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = { id: nextId++, task, args, channel, resolve, reject, cancelled: false };
+
+      if (!getWorker()) {
+        runSynchronously(request);
+        return;
+      }
+      if (channel !== null) {
+        channels.set(channel, request);
+      }
+      queue.push(request);
+      sendNext();
+    });
+  };
+
+  return {
+    run,
+    cancel,
+
+    /**
+     * Adds a song to the database, and to the worker's copy of it
+     * @param {Object} song - Song object
+     * @returns {Promise} - Resolves once searches can find the song
+     */
+    addSong: (song) => {
+      addSong(song);
+      if (!getWorker()) return Promise.resolve(song.songId);
+
+      addedSongs.set(song.songId, song);
+      return run('addSong', { song }, { channel: null });
+    },
+
+    /**
+     * @returns {boolean} - Whether tasks run in a worker rather than synchronously
+     */
+    isUsingWorker: () => Boolean(getWorker()),
+
+    /**
+     * Stops the worker, cancelling everything still waiting
+     */
+    terminate: () => {
+      queue.length = 0;
+      activeRequest = null;
+      [...channels.keys()].forEach(cancel);
+      if (worker) {
+        worker.terminate();
+        worker = null;
+      }
+    }
+  };
+};
+
+// Shared client for the app, started on first use
+let searchClient = null;
+
+const getSearchClient = () => {
+  if (!searchClient) {
+    searchClient = createSearchClient();
+  }
+  return searchClient;
+};
+
+/**
+ * Searches without blocking the main thread, replacing any search still running
+ * @param {Array} query - Search terms (empty to only count filter values)
+ * @param {Object} options - Options for runFilteredSearch in searchTasks.js
+ * @returns {Promise<Object>} - { results, filterCounts }
+ */
+export const searchAsync = (query, options = {}) => {
+  return getSearchClient().run('search', { query, options });
+};
+
+/**
+ * Finds related songs without blocking the main thread
+ * @param {Object} song - Song to find relatives of
+ * @param {Object} options - Options for findRelatedSongs
+ * @returns {Promise<Array>} - Related songs
+ */
+export const findRelatedSongsAsync = (song, options = {}) => {
+  return getSearchClient().run('relatedSongs', { song, options });
+};
+
+/**
+ * Generates progression variations without blocking the main thread
+ * @param {Array} progression - Chord progression
+ * @param {string} key - Key signature
+ * @param {Object} options - Options for getProgressionVariations
+ * @returns {Promise<Array>} - Variations
+ */
+export const getProgressionVariationsAsync = (progression, key, options = {}) => {
+  return getSearchClient().run('variations', { progression, key, options });
+};
+
+/**
+ * Adds a song so searches everywhere (worker included) can find it
+ * @param {Object} song - Song object
+ * @returns {Promise} - Resolves once searches can find the song
+ */
+export const addSongToSearch = (song) => {
+  return getSearchClient().addSong(song);
+};
+
+/**
+ * Cancels the unfinished request on a channel, such as when the component waiting for it unmounts
+ * @param {string} channel - 'search', 'relatedSongs' or 'variations'
+ */
+export const cancelSearchTask = (channel) => {
+  getSearchClient().cancel(channel);
+};
+
+const searchClientApi = {
+  isCancelledError,
+  createSearchClient,
+  searchAsync,
+  findRelatedSongsAsync,
+  getProgressionVariationsAsync,
+  addSongToSearch,
+  cancelSearchTask
+};
+
+export default searchClientApi;
@@ -0,0 +1,255 @@
+/**
+ * Tests for the search worker tasks and the async search client
+ */
+
+import { runSearch, runFilteredSearch, prepareSearch, runSearchTask, handleSearchTaskMessage } from './searchTasks';
+import { createSearchClient, isCancelledError, searchAsync } from './searchClient';
+
+const mockSongs = [
+  {
+    songId: 'client-song-1',
+    title: 'Client Song 1',
+    artist: 'Artist A',
+    genre: 'pop',
+    decade: '2000s',
+    popularity: 'mainstream',
+    key: 'C',
+    sections: {
+      verse: { progression: ['C', 'G', 'Am', 'F'], complexity: 'simple' },
+      chorus: { progression: ['F', 'G', 'C', 'Am'], complexity: 'simple' }
+    }
+  },
+  {
+    songId: 'client-song-2',
+    title: 'Client Song 2',
+    artist: 'Artist B',
+    genre: 'rock',
+    decade: '90s',
+    popularity: 'mainstream',
+    key: 'G',
+    sections: {
+      verse: { progression: ['G', 'D', 'Em', 'C'], complexity: 'simple' },
+      chorus: { progression: ['C', 'G', 'Am', 'F'], complexity: 'simple' }
+    }
+  }
+];
+
+// Mock the song database (getters defer the lookup, since jest.mock is hoisted above mockSongs)
+jest.mock('../data/songDatabase.js', () => ({
+  __esModule: true,
+  get default() {
+    return mockSongs;
+  },
+  addSong: (song) => {
+    const index = mockSongs.findIndex(existing => existing.songId === song.songId);
+    if (index === -1) {
+      mockSongs.push(song);
+    } else {
+      mockSongs[index] = song;
+    }
+    return song;
+  }
+}));
+
+// Jest can't load the real worker (import.meta), and jsdom has no Worker anyway
+jest.mock('../workers/createSearchWorker.js', () => ({
+  createSearchWorker: () => null
+}));
+
+// Worker stand-in that answers each message on a later tick, like a real one
+const createFakeWorker = () => {
+  const worker = {
+    postMessage: jest.fn(message => {
+      setTimeout(() => worker.onmessage({ data: handleSearchTaskMessage(JSON.parse(JSON.stringify(message))) }), 0);
+    }),
+    terminate: jest.fn()
+  };
+  return worker;
+};
+
+const searchIds = (results) => results.map(result => `${result.songId}:${result.matchedSection}`);
+
+// The search task answers with { results, filterCounts }
+const getResults = (search) => search.then(({ results }) => results);
+
+describe('Search Tasks', () => {
+  test('runSearch picks the search for the options and query', () => {
+    expect(searchIds(runSearch(['C', 'G', 'Am', 'F'], { exactMatch: true })))
+      .toEqual(['client-song-1:verse', 'client-song-2:chorus']);
+    expect(runSearch(['C', '*', 'Am'])[0].matchDetails.type).toBe('query');
+    expect(runSearch(['C', 'G', 'Am', 'F'], { similar: true })[0].matchDetails.type).toBe('similar');
+    expect(runSearch(['Am', 'F', 'F', 'G'], { acrossSections: true })[0].matchDetails.type).toBe('crossSection');
+    expect(runSearch(['predominant', 'dominant', 'tonic'], { functional: true })[0].matchDetails.type).toBe('function');
+    expect(searchIds(runSearch(['verse', 'chorus'], { form: true }))).toEqual(['client-song-1:verse', 'client-song-2:verse']);
+  });
+
+  test('runFilteredSearch filters the results and counts each filter value for the query', () => {
+    const { results, filterCounts } = runFilteredSearch(['C', 'G', 'Am', 'F'], {
+      exactMatch: true,
+      genreFilter: ['rock', 'folk']
+    });
+
+    expect(searchIds(results)).toEqual(['client-song-2:chorus']);
+    expect(results[0].ranking.explanation).toHaveLength(3);
+    expect(filterCounts.genres).toEqual({ pop: 1, rock: 1 });
+    expect(filterCounts.sections).toEqual({ chorus: 1 });
+    expect(filterCounts.keys).toEqual({ G: 1 });
+  });
+
+  test('runFilteredSearch shows form matches by a section that passes the section filters', () => {
+    const { results } = runFilteredSearch(['verse', 'chorus'], { form: true, sectionFilter: 'chorus' });
+    expect(searchIds(results)).toEqual(['client-song-1:chorus', 'client-song-2:chorus']);
+  });
+
+  test('runFilteredSearch counts the whole database without a query', () => {
+    const { results, filterCounts } = runFilteredSearch([], { decadeFilter: '90s' });
+
+    expect(results).toEqual([]);
+    expect(filterCounts.decades).toEqual({ '2000s': 1, '90s': 1 });
+    expect(filterCounts.sections).toEqual({ verse: 1, chorus: 1 });
+  });
+
+  test('prepareSearch indexes the database before the first search', () => {
+    expect(prepareSearch()).toBe(4);
+  });
+
+  test('handleSearchTaskMessage answers with a result or an error', () => {
+    const related = handleSearchTaskMessage({ id: 1, task: 'relatedSongs', args: { song: mockSongs[0], options: {} } });
+    expect(related.id).toBe(1);
+    expect(related.result[0].song.songId).toBe('client-song-2');
+
+    expect(handleSearchTaskMessage({ id: 2, task: 'nope', args: {} }))
+      .toEqual({ id: 2, error: 'Unknown search task: nope' });
+    expect(() => runSearchTask('nope')).toThrow('Unknown search task');
+  });
+});
+
+describe('Search Client', () => {
+  test('runs tasks synchronously when there is no worker', async () => {
+    const client = createSearchClient(() => null);
+
+    expect(client.isUsingWorker()).toBe(false);
+    await expect(getResults(client.run('search', { query: ['C', 'G'], options: {} }))).resolves.toHaveLength(2);
+    await expect(getResults(searchAsync(['G', 'D']))).resolves.toHaveLength(1);
+
+    const variations = await client.run('variations', { progression: ['C', 'Am', 'F', 'G'], key: 'C', options: {} });
+    expect(variations.length).toBeGreaterThan(0);
+  });
+
+  test('sends tasks to the worker and resolves with its answers', async () => {
+    const worker = createFakeWorker();
+    const client = createSearchClient(() => worker);
+
+    const { results } = await client.run('search', { query: ['C', 'G', 'Am', 'F'], options: { exactMatch: true } });
+    expect(searchIds(results)).toEqual(['client-song-1:verse', 'client-song-2:chorus']);
+    expect(worker.postMessage).toHaveBeenCalledWith({
+      id: 1,
+      task: 'search',
+      args: { query: ['C', 'G', 'Am', 'F'], options: { exactMatch: true } }
+    });
+
+    await expect(client.run('nope')).rejects.toThrow('Unknown search task: nope');
+  });
+
+  test('a newer request cancels the stale one on its channel', async () => {
+    const worker = createFakeWorker();
+    const client = createSearchClient(() => worker);
+
+    const first = client.run('search', { query: ['C', 'G'], options: {} });
+    const stale = client.run('search', { query: ['C', 'G', 'Am'], options: {} });
+    const related = client.run('relatedSongs', { song: mockSongs[0], options: {} });
+    const latest = client.run('search', { query: ['G', 'D'], options: {} });
+
+    // The first search had already gone to the worker, so it was stopped and the stale one sent to a
+    // fresh worker; the stale one was stopped in turn, letting the related songs through
+    await expect(first).rejects.toMatchObject({ cancelled: true });
+    await expect(stale).rejects.toMatchObject({ cancelled: true });
+    await expect(related).resolves.toHaveLength(1);
+    await expect(getResults(latest)).resolves.toHaveLength(1);
+    expect(worker.postMessage.mock.calls.map(([message]) => message.args.query))
+      .toEqual([['C', 'G'], ['C', 'G', 'Am'], undefined, ['G', 'D']]);
+    expect(worker.terminate).toHaveBeenCalledTimes(2);
+
+    const cancelled = client.run('search', { query: ['C'], options: {} });
+    client.cancel('search');
+    const error = await cancelled.catch(err => err);
+    expect(isCancelledError(error)).toBe(true);
+    expect(isCancelledError(new Error('Search failed'))).toBe(false);
+  });
+
+  test('replaces a worker busy with a cancelled request, keeping the songs added to it', async () => {
+    const workers = [];
+    const client = createSearchClient(() => {
+      workers.push(createFakeWorker());
+      return workers[workers.length - 1];
+    });
+    const song = {
+      songId: 'client-song-3',
+      title: 'Client Song 3',
+      artist: 'Artist C',
+      key: 'D',
+      sections: { verse: { progression: ['D', 'A', 'Bm', 'G'] } }
+    };
+
+    try {
+      await client.addSong(song);
+      const waiting = client.run('relatedSongs', { song: mockSongs[0], options: {} });
+      const busy = client.run('search', { query: ['C', 'G'], options: {} });
+      client.cancel('relatedSongs');
+      expect(workers).toHaveLength(2);
+      expect(workers[0].terminate).toHaveBeenCalled();
+      expect(workers[1].postMessage).toHaveBeenNthCalledWith(1, expect.objectContaining({ task: 'addSong', args: { song } }));
+
+      await expect(waiting).rejects.toMatchObject({ cancelled: true });
+      await expect(getResults(busy)).resolves.toHaveLength(2);
+
+      // Cancelling a request that's still waiting leaves the worker alone
+      const running = client.run('search', { query: ['C'], options: {} });
+      const queued = client.run('variations', { progression: ['C', 'G'], key: 'C', options: {} });
+      client.cancel('variations');
+      await expect(queued).rejects.toMatchObject({ cancelled: true });
+      await expect(getResults(running)).resolves.toHaveLength(4);
+      expect(workers).toHaveLength(2);
+    } finally {
+      client.terminate();
+      mockSongs.pop();
+    }
+  });
+
+  test('falls back to the main thread when the worker fails', async () => {
+    const worker = {
+      postMessage: jest.fn(() => setTimeout(() => worker.onerror({ message: 'Failed to load' }), 0)),
+      terminate: jest.fn()
+    };
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const client = createSearchClient(() => worker);
+
+    await expect(getResults(client.run('search', { query: ['G', 'D'], options: {} }))).resolves.toHaveLength(1);
+    expect(worker.terminate).toHaveBeenCalled();
+    expect(client.isUsingWorker()).toBe(false);
+    warn.mockRestore();
+  });
+
+  test('addSong updates the database and the worker copy', async () => {
+    const worker = createFakeWorker();
+    const client = createSearchClient(() => worker);
+    const song = {
+      songId: 'client-song-3',
+      title: 'Client Song 3',
+      artist: 'Artist C',
+      genre: 'folk',
+      decade: '70s',
+      key: 'D',
+      sections: { verse: { progression: ['D', 'A', 'Bm', 'G'] } }
+    };
+
+    try {
+      await client.addSong(song);
+      expect(mockSongs).toContainEqual(song);
+      expect(worker.postMessage).toHaveBeenCalledWith(expect.objectContaining({ task: 'addSong' }));
+      await expect(getResults(client.run('search', { query: ['A', 'Bm'], options: {} }))).resolves.toHaveLength(1);
+    } finally {
+      mockSongs.pop();
+    }
+  });
+});
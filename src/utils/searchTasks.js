@@ -0,0 +1,140 @@
+/**
+ * Search tasks
+ * The work the search worker does, callable by name so the worker and the synchronous fallback
+ * in searchClient.js run exactly the same code
+ */
+
+import songDatabase, { addSong } from '../data/songDatabase.js';
+import {
+  prepareSearchIndex,
+  searchByProgression,
+  searchByBassLine,
+  searchByQuery,
+  searchByFunction,
+  searchBySimilarity,
+  searchAcrossSections,
+  searchByForm,
+  rankSearchResults
+} from './chordSearch.js';
+import { isProgressionQuery } from './progressionQuery.js';
+import { findRelatedSongs } from './relatedSongs.js';
+import { getProgressionVariations } from './chordSubstitutions.js';
+import { searchByFilters, resultMatchesFilters, getFilterCounts, getFilterOptionNames } from './filtering.js';
+
+/**
+ * Runs a search in the mode its options ask for
+ * Bass-line searches read the query as notes, form searches as section names or letters and function
+ * searches as harmonic functions; every other mode reads it as chords, unless it uses query syntax
+ * ("1 * 4 5"), similarity searches rank sections by how closely they align with it, and cross-section
+ * searches follow each song's form
+ * @param {Array} query - Search terms (chords, notes for a bass line, functions, or a form pattern)
+ * @param {Object} options - Search options
+ * @returns {Array} - Matching songs, best first
+ */
+export const runSearch = (query, options = {}) => {
+  if (options.bassLine) return searchByBassLine(query, options);
+  if (options.form) return searchByForm(query.join(' '), options);
+  if (options.functional) return searchByFunction(query.join(' '), options);
+  if (options.acrossSections) return searchAcrossSections(query, options);
+  if (isProgressionQuery(query.join(' '))) return searchByQuery(query.join(' '), options);
+  if (options.similar) return searchBySimilarity(query, options);
+  return searchByProgression(query, options);
+};
+
+// Filters a form search applies itself, as its results stand for every section the match covers
+const FORM_SECTION_FILTERS = ['sectionFilter', 'complexityFilter', 'keyFilter'];
+
+/**
+ * Runs a search and counts the songs each filter value would leave
+ * The search runs without the song and section filters so every value can be counted, and the
+ * filters are applied to its results afterwards (form searches keep the section filters, to show each
+ * song by a section that passes them). Without a query the counts cover the whole database.
+ * Each result carries a rarity ranking, so SearchResults can sort by how typical or unusual it is
+ * @param {Array} query - Search terms (may be empty)
+ * @param {Object} options - Search options, filters included
+ * @returns {Object} - { results, filterCounts } with filterCounts from getFilterCounts
+ */
+export const runFilteredSearch = (query, options = {}) => {
+  const filterNames = getFilterOptionNames();
+  const searchOptions = Object.fromEntries(Object.entries(options).filter(([name]) => (
+    !filterNames.includes(name) || (options.form && FORM_SECTION_FILTERS.includes(name))
+  )));
+  const hasQuery = Array.isArray(query) && query.length > 0;
+
+  const unfilteredResults = hasQuery
+    ? runSearch(query, searchOptions)
+    : searchByFilters(songDatabase, { cadence: options.cadenceFilter, cadenceAtEnd: options.cadenceAtEnd });
+
+  return {
+    results: hasQuery ? rankSearchResults(unfilteredResults.filter(result => resultMatchesFilters(result, options))) : [],
+    filterCounts: getFilterCounts(unfilteredResults, options)
+  };
+};
+
+/**
+ * Gets searching ready as the search worker (or the synchronous client) starts
+ * Builds the search index, then runs a search of the first section's opening chords through it so
+ * the engine has compiled the search code before the first query someone types
+ * @returns {number} - Number of sections indexed
+ */
+export const prepareSearch = () => {
+  const sectionCount = prepareSearchIndex();
+  const [firstSong] = songDatabase;
+  const [firstSection] = firstSong ? Object.values(firstSong.sections || {}) : [];
+  const sample = ((firstSection && firstSection.progression) || []).slice(0, 4);
+
+  // Filtered by the song's genre, so counting and applying the filters is warmed up too
+  if (sample.length > 1) {
+    runFilteredSearch(sample, { genreFilter: firstSong.genre });
+  }
+  return sectionCount;
+};
+
+// Tasks by name; each takes one structured-cloneable argument object
+const SEARCH_TASKS = {
+  search: ({ query, options }) => runFilteredSearch(query, options),
+  relatedSongs: ({ song, options }) => findRelatedSongs(song, songDatabase, options),
+  variations: ({ progression, key, options }) => getProgressionVariations(progression, key, options),
+  // Keeps a worker's copy of the database in step with songs added on the main thread
+  addSong: ({ song }) => {
+    addSong(song);
+    return song.songId;
+  }
+};
+
+/**
+ * Runs a search task
+ * @param {string} task - Task name ('search', 'relatedSongs', 'variations' or 'addSong')
+ * @param {Object} args - Task arguments
+ * @returns {*} - Task result
+ */
+export const runSearchTask = (task, args = {}) => {
+  if (!SEARCH_TASKS[task]) {
+    throw new Error(`Unknown search task: ${task}`);
+  }
+  return SEARCH_TASKS[task](args);
+};
+
+/**
+ * Answers a message sent to the search worker
+ * @param {Object} message - { id, task, args }
+ * @returns {Object} - { id, result } or { id, error } with the error message
+ */
+export const handleSearchTaskMessage = (message) => {
+  const { id, task, args } = message || {};
+  try {
+    return { id, result: runSearchTask(task, args) };
+  } catch (error) {
+    return { id, error: error.message };
+  }
+};
+
+const searchTasks = {
+  runSearch,
+  runFilteredSearch,
+  prepareSearch,
+  runSearchTask,
+  handleSearchTaskMessage
+};
+
+export default searchTasks;
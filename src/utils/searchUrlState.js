@@ -0,0 +1,273 @@
+/**
+ * Search URL state
+ * Writes the search the home page shows (query, search mode, filters, tempo, voicing, playing pattern, drums, bass
+ * and notation) as URL
+ * parameters and reads it back, so a search can be linked, bookmarked and restored after a refresh:
+ * /?q=1-5-6m-4&mode=transposed&genre=rock,pop&bpm=90
+ * Values left at their defaults stay out of the URL
+ */
+
+import { getAvailableVoicings } from './audioSynthesis.js';
+import { getNumberingModes, readNumberedProgression } from './nashvilleNumbers.js';
+import { isProgressionQuery, parseProgressionQuery } from './progressionQuery.js';
+import { parseProgressionInput } from './chordUtils.js';
+import { parseFunctionQuery } from './functionQuery.js';
+import { parseFormPattern } from './songForm.js';
+import { isDrumStyle } from './drumMachine.js';
+import { isChordPattern } from './chordPatterns.js';
+import { isBassStyle } from './bassLines.js';
+
+// Modes whose input isn't a progression of chords or numbers
+const NON_CHORD_MODES = ['bassline', 'function', 'form'];
+
+// Search modes SearchSection offers
+const SEARCH_MODES = ['exact', 'partial', 'transposed', 'function', 'degrees', 'similar', 'across', 'bassline', 'form'];
+
+const NOTATIONS = ['chords', 'nashville', 'roman'];
+
+// Playback tempo bounds, as SearchSection allows
+const MIN_BPM = 40;
+const MAX_BPM = 200;
+
+// URL parameter for each list filter, written as comma-separated values
+const LIST_PARAMS = {
+  genres: 'genre',
+  decades: 'decade',
+  sections: 'section',
+  complexities: 'complexity',
+  popularities: 'popularity',
+  keys: 'key',
+  artists: 'artist',
+  cadences: 'cadence'
+};
+
+// URL parameter for each range filter, written as "min-max", "min-" or "-max"
+const RANGE_PARAMS = {
+  tempoRange: 'tempo',
+  yearRange: 'year'
+};
+
+/**
+ * Creates the filters with nothing selected
+ * @returns {Object} - Filters as FilterPanel edits them
+ */
+export const createEmptyFilters = () => ({
+  genres: [],
+  decades: [],
+  sections: [],
+  complexities: [],
+  popularities: [],
+  progressionLength: null,
+  artists: [],
+  keys: [],
+  tempoRange: null, // { min, max } in BPM
+  yearRange: null, // { min, max }
+  cadences: [],
+  cadencePosition: null // 'ending' to only match the cadence a section ends on
+});
+
+/**
+ * Creates the search state of a page with no search
+ * @returns {Object} - { query, mode, ignoreInversions, filters, bpm, voicing, pattern, swing, humanize, drumStyle,
+ *   countIn, bassStyle, notation, numberingMode }
+ */
+export const createDefaultSearchState = () => ({
+  query: '',
+  mode: 'exact',
+  ignoreInversions: false,
+  filters: createEmptyFilters(),
+  bpm: 120,
+  voicing: 'root',
+  pattern: 'block', // Chord pattern id
+  swing: 0, // 0-1, written to the URL as a percentage
+  humanize: 0, // 0-1, written to the URL as a percentage
+  drumStyle: 'off', // 'off', 'auto' or a drum style id
+  countIn: false,
+  bassStyle: 'off', // 'off' or a bass style id
+  notation: 'chords',
+  numberingMode: null
+});
+
+/**
+ * Gets the options a search state searches with, so a search always runs in the mode and with the
+ * matching options on screen. Numbers ("1 5 6m 4", "I V vi IV") have no key of their own, so they
+ * always search by scale degree, read in the key SearchSection spells them in
+ * @param {Object} state - Search state, as from createDefaultSearchState; missing fields are defaults
+ * @returns {Object} - Search options for searchAsync, without the filters
+ */
+export const getSearchOptions = (state = {}) => {
+  const { query, mode, ignoreInversions } = { ...createDefaultSearchState(), ...state };
+  const readsNumbers = !NON_CHORD_MODES.includes(mode) && mode !== 'across' && !isProgressionQuery(query);
+  const numbered = readsNumbers
+    ? readNumberedProgression(query.split(/[\s,|-]+/).filter(token => token.length > 0))
+    : null;
+  return {
+    exactMatch: mode === 'exact',
+    allowTransposition: mode === 'transposed',
+    keyIndependent: mode === 'degrees' || Boolean(numbered),
+    queryKey: numbered ? numbered.key : null,
+    ignoreInversions,
+    similar: mode === 'similar',
+    functional: mode === 'function',
+    acrossSections: mode === 'across',
+    bassLine: mode === 'bassline',
+    form: mode === 'form'
+  };
+};
+
+/**
+ * Reads the progression a search state searches for from its query, the way SearchSection reads typing.
+ * Bass lines are passed on note by note, functions, forms and queries ("1 * 4 5") term by term once they
+ * parse, and numbers ("1 5 6m 4", "I V vi IV") as the chords they stand for in C
+ * @param {Object} state - Search state, as from createDefaultSearchState; missing fields are defaults
+ * @returns {Array<string>} - Search terms, empty when the query doesn't parse
+ */
+export const getSearchProgression = (state = {}) => {
+  const { query, mode } = { ...createDefaultSearchState(), ...state };
+  if (!query.trim()) return [];
+
+  const tokens = query.split(/[\s,|-]+/).filter(token => token.length > 0);
+  if (mode === 'bassline') return tokens;
+
+  const modeInput = mode === 'function' ? parseFunctionQuery(query) : mode === 'form' ? parseFormPattern(query) : null;
+  if (modeInput) {
+    return modeInput.isValid ? modeInput.terms.map(term => term.text || term) : [];
+  }
+  if (mode !== 'across' && isProgressionQuery(query)) {
+    return parseProgressionQuery(query).isValid ? query.trim().split(/\s+/) : [];
+  }
+  const numbered = readNumberedProgression(tokens);
+  return numbered ? numbered.chords : parseProgressionInput(query);
+};
+
+/**
+ * Reads a whole number from a URL parameter
+ * @param {string|null} value - Parameter value
+ * @returns {number|null} - Number, or null if the value isn't one
+ */
+const readInteger = (value) => {
+  return value !== null && /^\d+$/.test(value) ? parseInt(value, 10) : null;
+};
+
+/**
+ * Reads a range filter from a URL parameter
+ * @param {string|null} value - Parameter value, such as "90-120", "1970-" or "-1989"
+ * @returns {Object|null} - { min, max }, or null if the value isn't a range
+ */
+const readRange = (value) => {
+  const match = value && value.match(/^(\d*)-(\d*)$/);
+  if (!match || (!match[1] && !match[2])) return null;
+  return { min: match[1] ? parseInt(match[1], 10) : null, max: match[2] ? parseInt(match[2], 10) : null };
+};
+
+/**
+ * Writes a search state as URL parameters
+ * @param {Object} state - Search state, as from createDefaultSearchState; missing fields are defaults
+ * @returns {string} - Query string, without the "?", of the values that differ from the defaults
+ */
+export const encodeSearchState = (state = {}) => {
+  const defaults = createDefaultSearchState();
+  const {
+    query, mode, ignoreInversions, bpm, voicing, pattern, swing, humanize, drumStyle, countIn, bassStyle, notation,
+    numberingMode
+  } = { ...defaults, ...state };
+  const filters = { ...defaults.filters, ...state.filters };
+  const params = new URLSearchParams();
+
+  if (query.trim()) params.set('q', query.trim());
+  if (mode !== defaults.mode) params.set('mode', mode);
+  if (ignoreInversions) params.set('inversions', 'ignore');
+
+  Object.entries(LIST_PARAMS).forEach(([filterType, param]) => {
+    if (Array.isArray(filters[filterType]) && filters[filterType].length > 0) {
+      params.set(param, filters[filterType].join(','));
+    }
+  });
+  Object.entries(RANGE_PARAMS).forEach(([filterType, param]) => {
+    const range = filters[filterType];
+    if (range && (range.min != null || range.max != null)) {
+      params.set(param, `${range.min ?? ''}-${range.max ?? ''}`);
+    }
+  });
+  if (filters.progressionLength) params.set('length', String(filters.progressionLength));
+  if (filters.cadencePosition) params.set('cadenceAt', filters.cadencePosition);
+
+  if (bpm !== defaults.bpm) params.set('bpm', String(bpm));
+  if (voicing !== defaults.voicing) params.set('voicing', voicing);
+  if (pattern !== defaults.pattern) params.set('pattern', pattern);
+  if (swing > 0) params.set('swing', String(Math.round(swing * 100)));
+  if (humanize > 0) params.set('humanize', String(Math.round(humanize * 100)));
+  if (drumStyle !== defaults.drumStyle) params.set('drums', drumStyle);
+  if (countIn) params.set('countin', 'on');
+  if (bassStyle !== defaults.bassStyle) params.set('bass', bassStyle);
+  if (notation !== defaults.notation) params.set('notation', notation);
+  if (numberingMode) params.set('numbering', numberingMode);
+
+  // Commas are safe in a query string, and lists read better with them left as they are
+  return params.toString().replace(/%2C/gi, ',');
+};
+
+/**
+ * Reads a search state from URL parameters
+ * Unknown parameters are ignored, and values that can't be read fall back to their defaults
+ * @param {URLSearchParams|string} params - Parameters, or a query string such as "?q=C-G-Am-F"
+ * @returns {Object} - Search state, as from createDefaultSearchState
+ */
+export const decodeSearchState = (params) => {
+  const searchParams = params instanceof URLSearchParams ? params : new URLSearchParams(params || '');
+  const state = createDefaultSearchState();
+
+  state.query = searchParams.get('q') || '';
+  if (SEARCH_MODES.includes(searchParams.get('mode'))) state.mode = searchParams.get('mode');
+  state.ignoreInversions = searchParams.get('inversions') === 'ignore';
+
+  Object.entries(LIST_PARAMS).forEach(([filterType, param]) => {
+    const value = searchParams.get(param);
+    if (value) {
+      state.filters[filterType] = value.split(',').map(item => item.trim()).filter(item => item.length > 0);
+    }
+  });
+  Object.entries(RANGE_PARAMS).forEach(([filterType, param]) => {
+    state.filters[filterType] = readRange(searchParams.get(param));
+  });
+  state.filters.progressionLength = readInteger(searchParams.get('length'));
+  if (searchParams.get('cadenceAt') === 'ending') state.filters.cadencePosition = 'ending';
+
+  const bpm = readInteger(searchParams.get('bpm'));
+  if (bpm !== null) state.bpm = Math.max(MIN_BPM, Math.min(MAX_BPM, bpm));
+
+  const voicing = searchParams.get('voicing');
+  if (getAvailableVoicings().some(({ name }) => name === voicing)) state.voicing = voicing;
+
+  const pattern = searchParams.get('pattern');
+  if (isChordPattern(pattern)) state.pattern = pattern;
+  const swing = readInteger(searchParams.get('swing'));
+  if (swing !== null) state.swing = Math.min(swing, 100) / 100;
+  const humanize = readInteger(searchParams.get('humanize'));
+  if (humanize !== null) state.humanize = Math.min(humanize, 100) / 100;
+
+  const drumStyle = searchParams.get('drums');
+  if (drumStyle === 'auto' || isDrumStyle(drumStyle)) state.drumStyle = drumStyle;
+  state.countIn = searchParams.get('countin') === 'on';
+  const bassStyle = searchParams.get('bass');
+  if (isBassStyle(bassStyle)) state.bassStyle = bassStyle;
+
+  const notation = searchParams.get('notation');
+  if (NOTATIONS.includes(notation)) state.notation = notation;
+
+  const numberingMode = searchParams.get('numbering');
+  if (getNumberingModes().some(({ id }) => id === numberingMode)) state.numberingMode = numberingMode;
+
+  return state;
+};
+
+const searchUrlState = {
+  createEmptyFilters,
+  createDefaultSearchState,
+  getSearchOptions,
+  getSearchProgression,
+  encodeSearchState,
+  decodeSearchState
+};
+
+export default searchUrlState;
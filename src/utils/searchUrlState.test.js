@@ -0,0 +1,121 @@
+/**
+ * Unit tests for writing search state to the URL and reading it back
+ */
+
+import {
+  createEmptyFilters,
+  createDefaultSearchState,
+  encodeSearchState,
+  decodeSearchState,
+  getSearchOptions,
+  getSearchProgression
+} from './searchUrlState.js';
+
+describe('encodeSearchState', () => {
+  test('leaves defaults out of the URL', () => {
+    expect(encodeSearchState(createDefaultSearchState())).toBe('');
+    expect(encodeSearchState({ query: '   ' })).toBe('');
+  });
+
+  test('writes the query, mode, filters and playback settings', () => {
+    const search = encodeSearchState({
+      query: '1-5-6m-4',
+      mode: 'transposed',
+      filters: { genres: ['rock', 'pop'], tempoRange: { min: 90, max: null } },
+      bpm: 90,
+      notation: 'nashville'
+    });
+
+    expect(search).toBe('q=1-5-6m-4&mode=transposed&genre=rock,pop&tempo=90-&bpm=90&notation=nashville');
+  });
+});
+
+describe('decodeSearchState', () => {
+  test('reads a shared search', () => {
+    const state = decodeSearchState('?q=1-5-6m-4&mode=transposed&genre=rock,pop&bpm=90');
+
+    expect(state).toMatchObject({ query: '1-5-6m-4', mode: 'transposed', bpm: 90, voicing: 'root', notation: 'chords' });
+    expect(state.filters).toEqual({ ...createEmptyFilters(), genres: ['rock', 'pop'] });
+  });
+
+  test('reads ranges, lengths and cadence positions', () => {
+    const { filters } = decodeSearchState('year=1970-1989&tempo=-120&length=4&cadenceAt=ending&cadence=authentic');
+
+    expect(filters.yearRange).toEqual({ min: 1970, max: 1989 });
+    expect(filters.tempoRange).toEqual({ min: null, max: 120 });
+    expect(filters.progressionLength).toBe(4);
+    expect(filters.cadencePosition).toBe('ending');
+    expect(filters.cadences).toEqual(['authentic']);
+  });
+
+  test('falls back to defaults for values it cannot read', () => {
+    const state = decodeSearchState('mode=fuzzy&bpm=fast&voicing=cluster&pattern=polka&swing=lots&drums=polka&bass=slap&notation=tab&numbering=lydian&year=-');
+
+    expect(state).toEqual(createDefaultSearchState());
+    expect(decodeSearchState('bpm=500').bpm).toBe(200);
+    expect(decodeSearchState(null)).toEqual(createDefaultSearchState());
+    expect(decodeSearchState('swing=250').swing).toBe(1);
+  });
+
+  test('reads back what encodeSearchState writes', () => {
+    const state = {
+      ...createDefaultSearchState(),
+      query: 'tonic → predominant → dominant',
+      mode: 'function',
+      ignoreInversions: true,
+      filters: { ...createEmptyFilters(), artists: ['The Beatles'], keys: ['C', 'G'], tempoRange: { min: 90, max: 120 } },
+      bpm: 140,
+      voicing: 'open',
+      pattern: 'strum',
+      swing: 0.5,
+      humanize: 0.25,
+      drumStyle: 'bossa',
+      countIn: true,
+      bassStyle: 'walking',
+      notation: 'roman',
+      numberingMode: 'mixolydian'
+    };
+
+    expect(decodeSearchState(encodeSearchState(state))).toEqual(state);
+  });
+});
+
+describe('getSearchOptions', () => {
+  test('searches in the mode on screen', () => {
+    expect(getSearchOptions()).toMatchObject({ exactMatch: true, functional: false, keyIndependent: false });
+    expect(getSearchOptions({ query: 'tonic dominant', mode: 'function' })).toMatchObject({ exactMatch: false, functional: true });
+    expect(getSearchOptions({ mode: 'bassline' }).bassLine).toBe(true);
+    expect(getSearchOptions({ mode: 'form' }).form).toBe(true);
+    expect(getSearchOptions({ mode: 'degrees' }).keyIndependent).toBe(true);
+  });
+
+  test('always searches numbers by scale degree', () => {
+    expect(getSearchOptions({ query: '1 5 6m 4' })).toMatchObject({ exactMatch: true, keyIndependent: true, queryKey: 'C' });
+    expect(getSearchOptions({ query: 'I V vi IV', mode: 'partial' })).toMatchObject({ keyIndependent: true, queryKey: 'C' });
+    expect(getSearchOptions({ query: '1m b7 b6', mode: 'transposed' }).queryKey).toBe('Cm');
+    expect(getSearchOptions({ query: 'C G Am F' })).toMatchObject({ keyIndependent: false, queryKey: null });
+    expect(getSearchOptions({ query: '1 7 6', mode: 'bassline' }).keyIndependent).toBe(false);
+    expect(getSearchOptions({ query: '1 * 4 5' }).keyIndependent).toBe(false);
+  });
+
+  test('passes on the inversion setting', () => {
+    expect(getSearchOptions({ ignoreInversions: true }).ignoreInversions).toBe(true);
+    expect(getSearchOptions({ ignoreInversions: false }).ignoreInversions).toBe(false);
+  });
+});
+
+describe('getSearchProgression', () => {
+  test('reads chords and numbers as chords in C', () => {
+    expect(getSearchProgression({ query: 'C-G-Am-F' })).toEqual(['C', 'G', 'Am', 'F']);
+    expect(getSearchProgression({ query: '1 5 6m 4' })).toEqual(['C', 'G', 'Am', 'F']);
+    expect(getSearchProgression({ query: 'i VI III VII', mode: 'partial' })).toEqual(['Cm', 'Ab', 'Eb', 'Bb']);
+    expect(getSearchProgression()).toEqual([]);
+  });
+
+  test('passes on bass lines, queries and other modes term by term', () => {
+    expect(getSearchProgression({ query: '1 7 6', mode: 'bassline' })).toEqual(['1', '7', '6']);
+    expect(getSearchProgression({ query: '1 * 4 5' })).toEqual(['1', '*', '4', '5']);
+    expect(getSearchProgression({ query: 'AABA', mode: 'form' }).length).toBeGreaterThan(0);
+    expect(getSearchProgression({ query: '1 (4', mode: 'exact' })).toEqual([]);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Section key utilities
+ * Resolves the key each song section is in, and suggests local keys for sections that modulate
+ */
+
+import { findKey } from './keyFinding.js';
+import { getChordIdentity, parseChordSymbol } from './chordModel.js';
+
+/**
+ * Gets the key a section is in: its own key if it has one, otherwise the song key
+ * @param {Object} song - Song object
+ * @param {string} sectionName - Name of the section
+ * @returns {string|null} - Key of the section
+ */
+export const getSectionKey = (song, sectionName) => {
+  if (!song) return null;
+
+  const section = song.sections?.[sectionName];
+  return section?.key || song.key || null;
+};
+
+/**
+ * Gets the semitone scale degrees are counted from in a key
+ * Minor keys count from their relative major, so A minor and C major share degrees
+ * and a relative-key mix-up in the data doesn't hide a match
+ * @param {string} key - Key signature (e.g. "G", "F#m")
+ * @returns {number|null} - Semitone (0-11), or null if the key can't be read
+ */
+export const getDegreeTonic = (key) => {
+  const parsed = parseChordSymbol(key);
+  if (!parsed) return null;
+
+  const isMinor = parsed.intervals.includes(3) && !parsed.intervals.includes(4);
+  return (parsed.rootSemitone + (isMinor ? 3 : 0)) % 12;
+};
+
+/**
+ * Suggests the local key of a progression from its chords
+ * The reference key gets a small head start, so ambiguous progressions (like C-Am-F-G,
+ * which fits both C and Am) aren't reported as key changes
+ * @param {Array} progression - Array of chord names
+ * @param {string} referenceKey - Key to favour (usually the song key)
+ * @returns {Object|null} - { key, confidence } or null if no key can be suggested
+ */
+export const suggestProgressionKey = (progression, referenceKey = null) => {
+  const { key, confidence } = findKey(progression, { preferredKey: referenceKey });
+  if (!key) return null;
+
+  // Keep the reference spelling when the suggestion is the same key
+  const isReference = referenceKey && getChordIdentity(referenceKey) === getChordIdentity(key);
+  return { key: isReference ? referenceKey : key, confidence };
+};
+
+/**
+ * Analyzes the key of every section in a song
+ * @param {Object} song - Song object
+ * @returns {Object} - Map of section name to { key, suggestedKey, confidence, isModulation }
+ */
+export const analyzeSectionKeys = (song) => {
+  if (!song || !song.sections) return {};
+
+  const songKeyIdentity = song.key ? getChordIdentity(song.key) : null;
+
+  return Object.entries(song.sections).reduce((keys, [sectionName, section]) => {
+    const suggestion = suggestProgressionKey(section.progression || [], song.key);
+    const key = section.key || song.key || suggestion?.key || null;
+
+    keys[sectionName] = {
+      key,
+      suggestedKey: suggestion ? suggestion.key : null,
+      confidence: suggestion ? suggestion.confidence : 0,
+      isModulation: Boolean(key && songKeyIdentity && getChordIdentity(key) !== songKeyIdentity)
+    };
+
+    return keys;
+  }, {});
+};
+
+const sectionKeyUtils = {
+  getSectionKey,
+  getDegreeTonic,
+  suggestProgressionKey,
+  analyzeSectionKeys
+};
+
+export default sectionKeyUtils;
@@ -0,0 +1,78 @@
+/**
+ * Tests for section key utilities
+ */
+
+import {
+  getSectionKey,
+  getDegreeTonic,
+  suggestProgressionKey,
+  analyzeSectionKeys
+} from './sectionKeys';
+
+const modulatingSong = {
+  songId: 'modulating-song',
+  key: 'C',
+  sections: {
+    verse: {
+      progression: ['C', 'Am', 'F', 'G']
+    },
+    bridge: {
+      progression: ['D', 'Bm', 'G', 'A'],
+      key: 'D'
+    },
+    outro: {
+      progression: ['E', 'C#m', 'A', 'B']
+    }
+  }
+};
+
+describe('Section Keys', () => {
+  describe('getSectionKey', () => {
+    test('uses the section key when present', () => {
+      expect(getSectionKey(modulatingSong, 'bridge')).toBe('D');
+    });
+
+    test('falls back to the song key', () => {
+      expect(getSectionKey(modulatingSong, 'verse')).toBe('C');
+      expect(getSectionKey(modulatingSong, 'missing')).toBe('C');
+      expect(getSectionKey(null, 'verse')).toBeNull();
+    });
+  });
+
+  test('getDegreeTonic counts minor keys from the relative major', () => {
+    expect(getDegreeTonic('G')).toBe(7);
+    expect(getDegreeTonic('Am')).toBe(0);
+    expect(getDegreeTonic('nope')).toBeNull();
+  });
+
+  describe('suggestProgressionKey', () => {
+    test('suggests the key that fits the chords', () => {
+      expect(suggestProgressionKey(['E', 'C#m', 'A', 'B'])).toMatchObject({ key: 'E' });
+    });
+
+    test('prefers the reference key when it fits equally well', () => {
+      expect(suggestProgressionKey(['Am', 'F', 'C', 'G'], 'C')).toMatchObject({ key: 'C' });
+      expect(suggestProgressionKey(['Am', 'F', 'C', 'G'], 'Am')).toMatchObject({ key: 'Am' });
+    });
+
+    test('returns null for empty progressions', () => {
+      expect(suggestProgressionKey([])).toBeNull();
+      expect(suggestProgressionKey(null)).toBeNull();
+    });
+  });
+
+  describe('analyzeSectionKeys', () => {
+    test('flags sections that change key', () => {
+      const keys = analyzeSectionKeys(modulatingSong);
+
+      expect(keys.verse).toMatchObject({ key: 'C', suggestedKey: 'C', isModulation: false });
+      expect(keys.bridge).toMatchObject({ key: 'D', isModulation: true });
+      expect(keys.outro).toMatchObject({ key: 'C', suggestedKey: 'E', isModulation: false });
+    });
+
+    test('handles songs without sections', () => {
+      expect(analyzeSectionKeys(null)).toEqual({});
+      expect(analyzeSectionKeys({ key: 'C' })).toEqual({});
+    });
+  });
+});
@@ -3,8 +3,14 @@
  * Handles flexible section naming and chord progression parsing
  */
 
+import { parseChordSymbol } from './chordModel.js';
+import { DEFAULT_TIME_SIGNATURE, isValidTimeSignature, getBeatsPerBar, hasDurations, countBars, formatRhythmNotation } from './rhythm.js';
+
 /**
  * Parse freeform text input into structured song sections
+ * Chords can be written plainly, one per bar ("C Am F G"), or with their rhythm: bar lines with a
+ * dot or slash per beat a chord is held ("| C . G . | Am . . . |"), or beat counts ("C(2) G(2)").
+ * A time signature can lead the chords ("3/4 | C . . | G . . |"), and a short first bar is a pickup
  * @param {string} sectionsText - Raw text input from textarea
  * @returns {Object} - Structured sections object
  */
@@ -14,7 +20,7 @@ export function parseSectionsText(sectionsText) {
   }
 
   const lines = sectionsText.split('\n');
-  const sections = {};
+  const sectionTexts = {};
   let currentSection = null;
 
   for (let line of lines) {
@@ -31,34 +37,51 @@ export function parseSectionsText(sectionsText) {
       const sectionName = trimmed.substring(0, colonIndex).trim().toLowerCase();
       const chordsText = trimmed.substring(colonIndex + 1).trim();
 
-      if (sectionName && chordsText) {
-        // Parse chords from the text after the colon
-        const chords = parseChords(chordsText);
-        
-        if (chords.length > 0) {
-          sections[sectionName] = createSectionObject(chords, sectionName);
-          currentSection = sectionName;
-        }
+      if (sectionName && chordsText && parseChords(chordsText).length > 0) {
+        sectionTexts[sectionName] = [chordsText];
+        currentSection = sectionName;
       }
     } 
     // If we're in a section and this line doesn't have a colon, 
     // treat it as additional chords for the current section
     else if (currentSection && trimmed) {
-      const additionalChords = parseChords(trimmed);
-      if (additionalChords.length > 0) {
-        sections[currentSection].progression = [
-          ...sections[currentSection].progression,
-          ...additionalChords
-        ];
-        // Recalculate bars after adding chords
-        sections[currentSection].bars = sections[currentSection].progression.length;
+      if (parseChords(trimmed).length > 0 || hasRhythmNotation(trimmed)) {
+        sectionTexts[currentSection].push(trimmed);
       }
     }
   }
 
+  // Sections are read whole, so a beat held over from one line carries on into the next
+  const sections = {};
+  Object.entries(sectionTexts).forEach(([sectionName, texts]) => {
+    const chordsText = texts.join(' ');
+    const rhythm = hasRhythmNotation(chordsText) ? parseRhythm(chordsText) : null;
+    const chords = rhythm ? rhythm.chords : parseChords(chordsText);
+    sections[sectionName] = createSectionObject(chords, sectionName, rhythm);
+  });
+
   return sections;
 }
 
+/**
+ * Check whether a chord token is a chord name
+ * @param {string} chord - Token from chord text
+ * @returns {boolean} - Whether the token is a chord
+ */
+function isChordToken(chord) {
+  // Filter out parenthetical comments unless complete
+  if (chord.startsWith('(') && !chord.endsWith(')')) {
+    return false;
+  }
+
+  // Remove parenthetical comments for validation
+  const cleanChord = chord.replace(/\([^)]*\)/, '').trim();
+  
+  // Basic chord pattern - letter, optional sharp/flat, optional chord type
+  const chordPattern = /^[A-G][#b]?[^/]*?(\/[A-G][#b]?)?$/;
+  return chordPattern.test(cleanChord);
+}
+
 /**
  * Parse chord text into array of individual chords
  * @param {string} chordsText - Space-separated chord text
@@ -69,39 +92,160 @@ function parseChords(chordsText) {
     return [];
   }
 
-  // Split by spaces and filter out empty strings
-  const chords = chordsText
+  // Split by spaces and filter out empty strings, then keep the chords (basic validation)
+  return chordsText
     .split(/\s+/)
     .map(chord => chord.trim())
     .filter(chord => chord.length > 0)
-    .filter(chord => !chord.startsWith('(') || chord.endsWith(')')); // Filter out parenthetical comments unless complete
+    .filter(isChordToken);
+}
 
-  // Basic chord validation - allow common chord patterns
-  const validChords = chords.filter(chord => {
-    // Remove parenthetical comments for validation
-    const cleanChord = chord.replace(/\([^)]*\)/, '').trim();
-    
-    // Basic chord pattern - letter, optional sharp/flat, optional chord type
-    const chordPattern = /^[A-G][#b]?[^/]*?(\/[A-G][#b]?)?$/;
-    return chordPattern.test(cleanChord);
+// A beat count after a chord, as in "C(2)"
+const BEAT_COUNT_PATTERN = /^(.+)\((\d+(?:\.\d+)?)\)$/;
+
+/**
+ * Read a chord token with a beat count after it
+ * Brackets that make a chord symbol on their own are the chord's tensions, so "C7(13)" is a chord
+ * and only "C7(2)" lasts two beats
+ * @param {string} token - Token from chord text
+ * @returns {Object|null} - { chord, beats }, or null when the token has no beat count
+ */
+function readBeatCount(token) {
+  const countMatch = token.match(BEAT_COUNT_PATTERN);
+  if (!countMatch || parseChordSymbol(token) || !isChordToken(countMatch[1])) {
+    return null;
+  }
+  return { chord: countMatch[1], beats: parseFloat(countMatch[2]) };
+}
+
+// Tokens that hold the chord before them for another beat
+const CONTINUATION_TOKENS = ['.', '/'];
+
+/**
+ * Check whether chord text says how long its chords last
+ * @param {string} chordsText - Chord text
+ * @returns {boolean} - Whether the text has bar lines, beat dots, beat counts or a time signature
+ */
+function hasRhythmNotation(chordsText) {
+  const tokens = chordsText.replace(/\|/g, ' | ').split(/\s+/).filter(token => token.length > 0);
+  return tokens.some(token => token === '|' || CONTINUATION_TOKENS.includes(token) || readBeatCount(token)) ||
+    isValidTimeSignature(tokens[0]);
+}
+
+// Beats are split into wholes, or halves or quarters for a crowded bar, when chords share a bar
+const SHARE_SUBDIVISIONS = [1, 2, 4];
+
+/**
+ * Split what's left of a bar between the chords without a beat count
+ * Each chord gets the same whole number of beats (or halves or quarters when there are more chords than
+ * beats), and the first chords take any left over, so "| C G Am |" plays C for two beats
+ * @param {number} beats - Beats left in the bar
+ * @param {number} count - Chords sharing them
+ * @returns {Array<number>} - Beats for each chord; a beat each when the bar has none left
+ */
+function shareBarBeats(beats, count) {
+  if (beats <= 0) {
+    return Array(count).fill(1);
+  }
+
+  // A bar too crowded even for quarters gives each chord a quarter beat at least
+  const subdivision = SHARE_SUBDIVISIONS.find(steps => Number.isInteger(beats * steps) && beats * steps >= count) ||
+    SHARE_SUBDIVISIONS[SHARE_SUBDIVISIONS.length - 1];
+  const steps = Math.max(Math.round(beats * subdivision), count);
+  const each = Math.floor(steps / count);
+  return Array.from({ length: count }, (_, index) => (each + (index < steps % count ? 1 : 0)) / subdivision);
+}
+
+/**
+ * Parse chord text written with its rhythm
+ * Once the text uses dots, each chord lasts a beat plus one per dot after it. Otherwise chords without
+ * a count share what's left of their bar (see shareBarBeats), or without bar lines last a bar each
+ * @param {string} chordsText - Chord text, such as "| C . G . | Am . . . |" or "C(2) G(2) Am"
+ * @returns {Object} - { chords, durations, timeSignature, pickup }, where timeSignature is null unless written
+ */
+function parseRhythm(chordsText) {
+  const tokens = chordsText.replace(/\|/g, ' | ').split(/\s+/).filter(token => token.length > 0);
+  const timeSignature = isValidTimeSignature(tokens[0]) ? tokens.shift() : null;
+  const beatsPerBar = getBeatsPerBar(timeSignature || DEFAULT_TIME_SIGNATURE);
+  const hasBarLines = tokens.includes('|');
+  const counted = tokens.some(token => CONTINUATION_TOKENS.includes(token));
+
+  // Split into bars; bar lines at either end don't make empty bars
+  const bars = [[]];
+  tokens.forEach(token => {
+    if (token === '|') {
+      bars.push([]);
+    } else {
+      bars[bars.length - 1].push(token);
+    }
+  });
+  const filledBars = bars.filter(bar => bar.length > 0);
+
+  const entries = [];
+  const barBeats = [];
+  filledBars.forEach(bar => {
+    const sharing = [];
+    let beats = 0;
+    let current = null;
+
+    bar.forEach(token => {
+      if (CONTINUATION_TOKENS.includes(token)) {
+        // A dot at the start of a bar holds the chord from the bar before; before any chord it's ignored
+        const held = current || entries[entries.length - 1];
+        if (held) {
+          held.beats += 1;
+          beats += 1;
+        }
+        return;
+      }
+
+      const withCount = readBeatCount(token);
+      if (withCount) {
+        current = withCount;
+        beats += current.beats;
+      } else if (isChordToken(token)) {
+        current = { chord: token, beats: counted ? 1 : 0 };
+        beats += current.beats;
+        if (!counted) sharing.push(current);
+      } else {
+        return;
+      }
+      entries.push(current);
+    });
+
+    if (sharing.length > 0) {
+      const shares = hasBarLines ? shareBarBeats(beatsPerBar - beats, sharing.length) : sharing.map(() => beatsPerBar);
+      sharing.forEach((entry, index) => {
+        entry.beats = shares[index];
+        beats += entry.beats;
+      });
+    }
+    barBeats.push(beats);
   });
 
-  return validChords;
+  // A first bar shorter than the rest is a pickup into bar 1
+  const pickup = hasBarLines && barBeats.length > 1 && barBeats[0] > 0 && barBeats[0] < beatsPerBar ? barBeats[0] : 0;
+
+  return {
+    chords: entries.map(({ chord }) => chord),
+    durations: entries.map(({ beats }) => beats),
+    timeSignature,
+    pickup
+  };
 }
 
 /**
  * Create a structured section object from chord array
  * @param {Array} chords - Array of chord names
  * @param {string} sectionName - Name of the section
+ * @param {Object} rhythm - Durations, time signature and pickup from parseRhythm, or null for one chord per bar
  * @returns {Object} - Structured section object
  */
-function createSectionObject(chords, sectionName) {
+function createSectionObject(chords, sectionName, rhythm = null) {
   const complexity = determineComplexity(chords);
-  const bars = chords.length; // Simple assumption: 1 chord per bar
-  
-  return {
+  const section = {
     progression: chords,
-    bars: bars,
+    bars: chords.length, // Without a rhythm, one chord per bar
     repetitions: 1,
     complexity: complexity,
     audioTimestamp: {
@@ -109,6 +253,15 @@ function createSectionObject(chords, sectionName) {
       end: "0:30" // Default placeholder
     }
   };
+
+  if (rhythm) {
+    section.durations = rhythm.durations;
+    if (rhythm.timeSignature) section.timeSignature = rhythm.timeSignature;
+    if (rhythm.pickup > 0) section.pickup = rhythm.pickup;
+    section.bars = Math.max(countBars(rhythm.durations, rhythm.timeSignature || DEFAULT_TIME_SIGNATURE, rhythm.pickup), 1);
+  }
+
+  return section;
 }
 
 /**
@@ -208,7 +361,7 @@ export function validateParsedSections(sections) {
 export function getExampleSectionsText() {
   return `verse: C Am F G
 chorus: F C G Am F C G Am
-bridge: Am F C G
+bridge: | Am . F . | C . G . |
 verse2: C Am F G
 outro: F G C`;
 }
@@ -226,6 +379,10 @@ export function sectionsToText(sections) {
   return Object.entries(sections)
     .map(([sectionName, section]) => {
       if (section.progression && Array.isArray(section.progression)) {
+        if (hasDurations(section)) {
+          const timeSignature = section.timeSignature || DEFAULT_TIME_SIGNATURE;
+          return `${sectionName}: ${formatRhythmNotation(section.progression, section.durations, timeSignature, section.pickup)}`;
+        }
         return `${sectionName}: ${section.progression.join(' ')}`;
       }
       return '';
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for parsing freeform section text, with and without rhythm
+ */
+
+import { parseSectionsText, sectionsToText } from './sectionParser.js';
+
+describe('parseSectionsText', () => {
+  test('reads plain chords as one per bar', () => {
+    const { verse } = parseSectionsText('verse: C Am F G\n  C Am F G');
+
+    expect(verse.progression).toEqual(['C', 'Am', 'F', 'G', 'C', 'Am', 'F', 'G']);
+    expect(verse.bars).toBe(8);
+    expect(verse.durations).toBeUndefined();
+  });
+
+  test('reads bars with a dot per beat held', () => {
+    const { chorus } = parseSectionsText('chorus: | C . G . | Am . . . | F / G / |');
+
+    expect(chorus.progression).toEqual(['C', 'G', 'Am', 'F', 'G']);
+    expect(chorus.durations).toEqual([2, 2, 4, 2, 2]);
+    expect(chorus.bars).toBe(3);
+  });
+
+  test('shares a bar between chords without dots', () => {
+    const { verse } = parseSectionsText('verse: | C G | Am | F(3) G |');
+
+    expect(verse.durations).toEqual([2, 2, 4, 3, 1]);
+    expect(verse.bars).toBe(3);
+  });
+
+  test('splits a bar unevenly in whole beats, or halves when it is crowded', () => {
+    const { verse } = parseSectionsText('verse: | C G Am | F(1.5) G D | C G Am F Dm |');
+
+    expect(verse.durations).toEqual([2, 1, 1, 1.5, 1.5, 1, 1, 1, 1, 0.5, 0.5]);
+    expect(verse.bars).toBe(3);
+    expect(sectionsToText({ verse })).toBe('verse: C(2) G(1) Am(1) F(1.5) G(1.5) D(1) C(1) G(1) Am(1) F(0.5) Dm(0.5)');
+  });
+
+  test('reads beat counts, with a bar for chords without one', () => {
+    const { verse } = parseSectionsText('verse: C(2) G(2) Am F');
+
+    expect(verse.durations).toEqual([2, 2, 4, 4]);
+    expect(verse.bars).toBe(3);
+  });
+
+  test('keeps bracketed tensions as part of the chord', () => {
+    const { verse } = parseSectionsText('verse: C7(13) F C(9) G');
+
+    expect(verse.progression).toEqual(['C7(13)', 'F', 'C(9)', 'G']);
+    expect(verse.durations).toBeUndefined();
+
+    const { chorus } = parseSectionsText('chorus: C7(13)(2) F(2)');
+    expect(chorus.progression).toEqual(['C7(13)', 'F']);
+    expect(chorus.durations).toEqual([2, 2]);
+  });
+
+  test('reads a time signature and a pickup bar', () => {
+    const { verse } = parseSectionsText('verse: 3/4 | G | C . . | F . . |\n| . . . | G . . |');
+
+    expect(verse.timeSignature).toBe('3/4');
+    expect(verse.pickup).toBe(1);
+    expect(verse.durations).toEqual([1, 3, 6, 3]);
+    expect(verse.bars).toBe(4);
+  });
+
+  test('ignores comments among the chords', () => {
+    const { outro } = parseSectionsText('outro: | F . G . | C . . . | (fade out)');
+
+    expect(outro.progression).toEqual(['F', 'G', 'C']);
+    expect(outro.durations).toEqual([2, 2, 4]);
+  });
+});
+
+describe('sectionsToText', () => {
+  test('writes sections back in a form that parses to the same rhythm', () => {
+    const sections = parseSectionsText('verse: 3/4 | G | C . . | F . G |\nchorus: C G Am F');
+    const text = sectionsToText(sections);
+
+    expect(text).toBe('verse: 3/4 | G | C . . | F . G |\nchorus: C G Am F');
+    expect(parseSectionsText(text)).toEqual(sections);
+  });
+});
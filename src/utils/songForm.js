@@ -0,0 +1,204 @@
+/**
+ * Song form
+ * A song's form is the order its sections are played in, repeats included ("verse", "chorus", "verse",
+ * "chorus", "bridge", "chorus"). Songs list it in `form`; songs without one are read as playing each
+ * section once, in the order the sections are listed
+ */
+
+import { VALID_SECTION_NAMES } from './songValidation.js';
+
+// Sections that frame a song rather than make up its form, so "AABA" can describe a song with an intro
+const FRAMING_SECTIONS = ['intro', 'outro'];
+
+/**
+ * Gets the section type of a section name, without any number ("verse-2" and "verse2" are both "verse")
+ * @param {string} sectionName - Section name
+ * @returns {string} - Section type
+ */
+export const getSectionType = (sectionName) => {
+  return String(sectionName).toLowerCase().replace(/[\s_-]*\d+$/, '');
+};
+
+/**
+ * Checks whether a song's form is listed rather than inferred from its section order
+ * @param {Object} song - Song object
+ * @returns {boolean} - Whether the song has a usable form
+ */
+export const hasListedForm = (song) => {
+  return Boolean(song && Array.isArray(song.form) && song.form.some(name => song.sections?.[name]));
+};
+
+/**
+ * Gets the sections of a song in the order they're played
+ * Form entries naming sections the song doesn't have are skipped
+ * @param {Object} song - Song object
+ * @returns {Array} - Section names, one per time the section is played
+ */
+export const getSongForm = (song) => {
+  if (!song || !song.sections) return [];
+  if (hasListedForm(song)) {
+    return song.form.filter(name => song.sections[name]);
+  }
+  return Object.keys(song.sections);
+};
+
+/**
+ * Labels a form with letters, one per section type in order of first appearance
+ * @param {Array} form - Section names from getSongForm
+ * @returns {Array} - Letters, such as ['A', 'B', 'A', 'B', 'C', 'B']
+ */
+export const getFormLetters = (form) => {
+  const letters = new Map();
+  return form.map(sectionName => {
+    const type = getSectionType(sectionName);
+    if (!letters.has(type)) {
+      letters.set(type, String.fromCharCode(65 + (letters.size % 26)));
+    }
+    return letters.get(type);
+  });
+};
+
+/**
+ * Lists every chord of a song as it's played, section after section, with each section's repetitions
+ * @param {Object} song - Song object
+ * @returns {Array} - [{ chord, formIndex, sectionName, chordIndex, repetition }]
+ */
+export const getPerformedChords = (song) => {
+  const chords = [];
+
+  getSongForm(song).forEach((sectionName, formIndex) => {
+    const { progression = [], repetitions = 1 } = song.sections[sectionName];
+    for (let repetition = 0; repetition < Math.max(1, repetitions); repetition++) {
+      progression.forEach((chord, chordIndex) => {
+        chords.push({ chord, formIndex, sectionName, chordIndex, repetition });
+      });
+    }
+  });
+
+  return chords;
+};
+
+/**
+ * Splits form pattern text into section names, joining names that contain a hyphen ("pre-chorus")
+ * @param {string} text - Pattern text
+ * @returns {Array} - Words, lowercased
+ */
+const splitFormWords = (text) => {
+  const parts = text.toLowerCase().split(/[\s,>|→-]+/).filter(part => part.length > 0);
+  const words = [];
+
+  for (let i = 0; i < parts.length; i++) {
+    const joined = `${parts[i]}-${parts[i + 1]}`;
+    if (i + 1 < parts.length && VALID_SECTION_NAMES.includes(joined)) {
+      words.push(joined);
+      i++;
+    } else {
+      words.push(parts[i]);
+    }
+  }
+  return words;
+};
+
+/**
+ * Reads a form pattern
+ * Patterns are section names ("verse-chorus-verse-chorus-bridge-chorus", "verse chorus bridge") or
+ * letters ("AABA", "A A B A"), where each letter stands for a section type and different letters for
+ * different types
+ * @param {string} text - Pattern text
+ * @returns {Object} - { isValid, errors, kind: 'sections' | 'letters', terms }
+ */
+export const parseFormPattern = (text) => {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed) {
+    return { isValid: false, errors: ['Form pattern is empty'], kind: null, terms: [] };
+  }
+
+  const tokens = trimmed.split(/[\s,>|→-]+/).filter(token => token.length > 0);
+  const isLetters = tokens.every(token => /^[A-Z]+$/.test(token) && !VALID_SECTION_NAMES.includes(token.toLowerCase()));
+  if (isLetters) {
+    const terms = tokens.join('').split('');
+    return { isValid: true, errors: [], kind: 'letters', terms };
+  }
+
+  const terms = splitFormWords(trimmed);
+  const errors = terms
+    .filter(term => !VALID_SECTION_NAMES.includes(term))
+    .map(term => (/^[a-z]$/.test(term)
+      ? `Use either section names or capital letters (AABA), not both: ${term.toUpperCase()}`
+      : `Unknown section name: ${term}`));
+
+  return { isValid: errors.length === 0, errors, kind: 'sections', terms };
+};
+
+/**
+ * Checks whether a stretch of section types fits a letter pattern: the same letter for the same type,
+ * and different letters for different types
+ * @param {Array} letters - Pattern letters
+ * @param {Array} types - Section types, as many as there are letters
+ * @returns {boolean} - Whether they fit
+ */
+const fitsLetters = (letters, types) => {
+  const typeByLetter = new Map();
+  const letterByType = new Map();
+
+  return letters.every((letter, i) => {
+    const type = types[i];
+    if (!typeByLetter.has(letter) && !letterByType.has(type)) {
+      typeByLetter.set(letter, type);
+      letterByType.set(type, letter);
+      return true;
+    }
+    return typeByLetter.get(letter) === type && letterByType.get(type) === letter;
+  });
+};
+
+/**
+ * Finds where a form pattern occurs in a form, as a run of consecutive sections
+ * A match is the whole form when it covers every section but an intro and outro
+ * @param {Object} pattern - Pattern from parseFormPattern
+ * @param {Array} form - Section names from getSongForm
+ * @returns {Array} - [{ startIndex, endIndex, wholeForm }]
+ */
+export const findFormMatches = (pattern, form) => {
+  if (!pattern || !pattern.isValid || !Array.isArray(form)) return [];
+
+  const { kind, terms } = pattern;
+  const types = form.map(getSectionType);
+
+  // The sections that must be covered for the match to be the whole form
+  let coreStart = 0;
+  let coreEnd = types.length - 1;
+  while (coreStart < coreEnd && FRAMING_SECTIONS.includes(types[coreStart])) coreStart++;
+  while (coreEnd > coreStart && FRAMING_SECTIONS.includes(types[coreEnd])) coreEnd--;
+
+  // Letters describe the form proper, so they aren't matched against an intro or outro
+  const first = kind === 'letters' ? coreStart : 0;
+  const last = kind === 'letters' ? coreEnd : types.length - 1;
+  const matches = [];
+
+  for (let startIndex = first; startIndex + terms.length - 1 <= last; startIndex++) {
+    const stretch = types.slice(startIndex, startIndex + terms.length);
+    const fits = kind === 'letters'
+      ? fitsLetters(terms, stretch)
+      : stretch.every((type, i) => type === terms[i]);
+
+    if (fits) {
+      const endIndex = startIndex + terms.length - 1;
+      matches.push({ startIndex, endIndex, wholeForm: startIndex <= coreStart && endIndex >= coreEnd });
+    }
+  }
+
+  return matches;
+};
+
+const songForm = {
+  getSectionType,
+  hasListedForm,
+  getSongForm,
+  getFormLetters,
+  getPerformedChords,
+  parseFormPattern,
+  findFormMatches
+};
+
+export default songForm;
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for the song form model and form patterns
+ */
+
+import {
+  getSectionType,
+  hasListedForm,
+  getSongForm,
+  getFormLetters,
+  getPerformedChords,
+  parseFormPattern,
+  findFormMatches
+} from './songForm.js';
+
+const song = {
+  songId: 'form-song',
+  sections: {
+    intro: { progression: ['C', 'G'], repetitions: 2 },
+    verse: { progression: ['C', 'Am'] },
+    chorus: { progression: ['F', 'G'] },
+    bridge: { progression: ['Dm', 'G'] }
+  },
+  form: ['intro', 'verse', 'chorus', 'verse', 'chorus', 'bridge', 'chorus']
+};
+
+describe('getSectionType', () => {
+  test('drops section numbers', () => {
+    expect(getSectionType('verse-2')).toBe('verse');
+    expect(getSectionType('Verse2')).toBe('verse');
+    expect(getSectionType('pre-chorus')).toBe('pre-chorus');
+  });
+});
+
+describe('getSongForm', () => {
+  test('uses the listed form', () => {
+    expect(hasListedForm(song)).toBe(true);
+    expect(getSongForm(song)).toEqual(song.form);
+  });
+
+  test('falls back to section order and skips unknown sections', () => {
+    const { form, ...withoutForm } = song;
+    expect(hasListedForm(withoutForm)).toBe(false);
+    expect(getSongForm(withoutForm)).toEqual(['intro', 'verse', 'chorus', 'bridge']);
+    expect(getSongForm({ ...song, form: ['verse', 'solo', 'chorus'] })).toEqual(['verse', 'chorus']);
+    expect(getSongForm(null)).toEqual([]);
+  });
+
+  test('labels each section type with a letter', () => {
+    expect(getFormLetters(song.form)).toEqual(['A', 'B', 'C', 'B', 'C', 'D', 'C']);
+  });
+});
+
+describe('getPerformedChords', () => {
+  test('plays sections in form order with their repetitions', () => {
+    const performed = getPerformedChords(song);
+
+    expect(performed.slice(0, 6).map(({ chord }) => chord)).toEqual(['C', 'G', 'C', 'G', 'C', 'Am']);
+    expect(performed[3]).toEqual({ chord: 'G', formIndex: 0, sectionName: 'intro', chordIndex: 1, repetition: 1 });
+    expect(performed[4]).toEqual({ chord: 'C', formIndex: 1, sectionName: 'verse', chordIndex: 0, repetition: 0 });
+    expect(performed).toHaveLength(16);
+  });
+});
+
+describe('parseFormPattern', () => {
+  test('reads section names, joining hyphenated ones', () => {
+    expect(parseFormPattern('verse-pre-chorus-chorus')).toMatchObject({
+      isValid: true,
+      kind: 'sections',
+      terms: ['verse', 'pre-chorus', 'chorus']
+    });
+    expect(parseFormPattern('Verse, Chorus > Bridge').terms).toEqual(['verse', 'chorus', 'bridge']);
+  });
+
+  test('reads capital letters', () => {
+    expect(parseFormPattern('AABA')).toMatchObject({ isValid: true, kind: 'letters', terms: ['A', 'A', 'B', 'A'] });
+    expect(parseFormPattern('A A B A').terms).toEqual(['A', 'A', 'B', 'A']);
+  });
+
+  test('reports unknown sections and mixed patterns', () => {
+    expect(parseFormPattern('verse-refrain').errors).toEqual(['Unknown section name: refrain']);
+    expect(parseFormPattern('verse a').errors[0]).toMatch('not both');
+    expect(parseFormPattern('  ').isValid).toBe(false);
+  });
+});
+
+describe('findFormMatches', () => {
+  test('matches section names anywhere in the form', () => {
+    const matches = findFormMatches(parseFormPattern('verse chorus'), song.form);
+    expect(matches).toEqual([
+      { startIndex: 1, endIndex: 2, wholeForm: false },
+      { startIndex: 3, endIndex: 4, wholeForm: false }
+    ]);
+  });
+
+  test('counts a match covering everything but the intro as the whole form', () => {
+    const matches = findFormMatches(parseFormPattern('verse-chorus-verse-chorus-bridge-chorus'), song.form);
+    expect(matches).toEqual([{ startIndex: 1, endIndex: 6, wholeForm: true }]);
+  });
+
+  test('matches letters by section type, with different letters for different types', () => {
+    expect(findFormMatches(parseFormPattern('ABABCB'), song.form)).toEqual([{ startIndex: 1, endIndex: 6, wholeForm: true }]);
+    expect(findFormMatches(parseFormPattern('AABA'), ['verse', 'verse', 'bridge', 'verse'])).toHaveLength(1);
+    expect(findFormMatches(parseFormPattern('AABA'), ['verse', 'verse', 'verse', 'verse'])).toEqual([]);
+    expect(findFormMatches(parseFormPattern('AB'), ['intro', 'verse'])).toEqual([]);
+  });
+});
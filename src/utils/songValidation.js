@@ -3,36 +3,8 @@
  * Ensures data integrity and consistency for chord progression data
  */
 
-// Valid chord patterns and naming conventions
-const VALID_CHORD_PATTERNS = [
-  // Basic triads
-  /^[A-G][b#]?$/,                    // C, F#, Bb
-  /^[A-G][b#]?m$/,                   // Am, F#m, Bbm
-  /^[A-G][b#]?dim$/,                 // Cdim, F#dim
-  /^[A-G][b#]?aug$/,                 // Caug, F#aug
-  
-  // Seventh chords
-  /^[A-G][b#]?7$/,                   // C7, F#7
-  /^[A-G][b#]?maj7$/,                // Cmaj7, F#maj7
-  /^[A-G][b#]?m7$/,                  // Cm7, F#m7
-  /^[A-G][b#]?mMaj7$/,               // CmMaj7
-  /^[A-G][b#]?dim7$/,                // Cdim7
-  /^[A-G][b#]?m7b5$/,                // Cm7b5
-  
-  // Extended chords
-  /^[A-G][b#]?9$/,                   // C9
-  /^[A-G][b#]?maj9$/,                // Cmaj9
-  /^[A-G][b#]?m9$/,                  // Cm9
-  /^[A-G][b#]?11$/,                  // C11
-  /^[A-G][b#]?13$/,                  // C13
-  
-  // Sus chords
-  /^[A-G][b#]?sus2$/,                // Csus2
-  /^[A-G][b#]?sus4$/,                // Csus4
-  
-  // Slash chords
-  /^[A-G][b#]?[^/]*\/[A-G][b#]?$/   // C/E, Am/C, etc.
-];
+import { parseChordSymbol } from './chordModel.js';
+import { isValidTimeSignature, getTotalBeats } from './rhythm.js';
 
 const VALID_GENRES = [
   'rock', 'pop', 'jazz', 'blues', 'country', 'folk', 'reggae', 
@@ -52,16 +24,31 @@ const VALID_SECTION_NAMES = [
 ];
 
 /**
- * Validates a chord name against known patterns
+ * Validates a chord name with the shared chord model
+ * Stored chords must be written exactly: capitalized roots, no surrounding whitespace
  * @param {string} chord - The chord name to validate
  * @returns {boolean} - Whether the chord is valid
  */
 export const isValidChord = (chord) => {
-  if (typeof chord !== 'string' || chord.length === 0) {
+  if (typeof chord !== 'string' || chord.length === 0 || chord !== chord.trim()) {
     return false;
   }
   
-  return VALID_CHORD_PATTERNS.some(pattern => pattern.test(chord));
+  return parseChordSymbol(chord, { strict: true }) !== null;
+};
+
+/**
+ * Validates a key signature: a major or minor tonic such as "C", "F#" or "Bbm"
+ * @param {string} key - The key to validate
+ * @returns {boolean} - Whether the key is valid
+ */
+export const isValidKey = (key) => {
+  if (typeof key !== 'string' || key.length === 0 || key !== key.trim()) {
+    return false;
+  }
+
+  const parsed = parseChordSymbol(key, { strict: true });
+  return parsed !== null && parsed.bass === null && ['major', 'minor'].includes(parsed.quality);
 };
 
 /**
@@ -112,11 +99,42 @@ export const validateSection = (section, sectionName) => {
     });
   }
   
+  // Validate optional section key (for sections that modulate away from the song key)
+  if (section.key !== undefined && !isValidKey(section.key)) {
+    errors.push(`Invalid section key: ${section.key}`);
+  }
+  
   // Validate bars
   if (typeof section.bars !== 'number' || section.bars <= 0 || !Number.isInteger(section.bars)) {
     errors.push('Bars must be a positive integer');
   }
   
+  // Validate optional rhythm: beats per chord, the section's own time signature and the beats before bar 1
+  if (section.durations !== undefined) {
+    if (!Array.isArray(section.durations) || !Array.isArray(section.progression) ||
+        section.durations.length !== section.progression.length) {
+      errors.push('Durations must be an array with one beat count per chord');
+    } else {
+      section.durations.forEach((beats, index) => {
+        if (typeof beats !== 'number' || !(beats > 0)) {
+          errors.push(`Invalid duration at position ${index}: ${beats}`);
+        }
+      });
+    }
+  }
+  
+  if (section.timeSignature !== undefined && !isValidTimeSignature(section.timeSignature)) {
+    errors.push(`Invalid time signature: ${section.timeSignature}`);
+  }
+  
+  if (section.pickup !== undefined) {
+    if (typeof section.pickup !== 'number' || section.pickup < 0) {
+      errors.push('Pickup must be a non-negative number of beats');
+    } else if (Array.isArray(section.durations) && section.pickup >= getTotalBeats(section.durations)) {
+      errors.push('Pickup must be shorter than the section');
+    }
+  }
+  
   // Validate repetitions
   if (typeof section.repetitions !== 'number' || section.repetitions <= 0 || !Number.isInteger(section.repetitions)) {
     errors.push('Repetitions must be a positive integer');
@@ -195,6 +213,11 @@ export const validateSong = (song) => {
     errors.push('Tempo must be a number between 1 and 300 BPM');
   }
   
+  // Validate optional time signature (sections can set their own)
+  if (song.timeSignature !== undefined && !isValidTimeSignature(song.timeSignature)) {
+    errors.push(`Invalid time signature: ${song.timeSignature}`);
+  }
+  
   // Validate sections
   if (!song.sections || typeof song.sections !== 'object') {
     errors.push('Sections must be an object');
@@ -210,7 +233,20 @@ export const validateSong = (song) => {
       }
     });
   }
-  
+
+  // Validate optional form: the order sections are played in, so every entry must be one of the song's sections
+  if (song.form !== undefined) {
+    if (!Array.isArray(song.form) || song.form.length === 0) {
+      errors.push('Form must be a non-empty array of section names if provided');
+    } else if (song.sections && typeof song.sections === 'object') {
+      song.form.forEach(sectionName => {
+        if (!song.sections[sectionName]) {
+          errors.push(`Form section not found in sections: ${sectionName}`);
+        }
+      });
+    }
+  }
+
   // Validate optional streaming IDs (if present)
   if (song.spotifyId && (typeof song.spotifyId !== 'string' || song.spotifyId.length === 0)) {
     errors.push('Spotify ID must be a non-empty string if provided');
@@ -5,6 +5,7 @@
 
 import {
   isValidChord,
+  isValidKey,
   isValidTimestamp,
   validateSection,
   validateSong,
@@ -123,6 +124,20 @@ describe('isValidTimestamp', () => {
   });
 });
 
+describe('isValidKey', () => {
+  test('accepts major and minor keys', () => {
+    ['C', 'F#', 'Bb', 'Am', 'C#m', 'Ebm'].forEach(key => {
+      expect(isValidKey(key)).toBe(true);
+    });
+  });
+
+  test('rejects chords that are not keys', () => {
+    ['', 'H', 'C7', 'Cdim', 'C/E', 'am', ' C', null].forEach(key => {
+      expect(isValidKey(key)).toBe(false);
+    });
+  });
+});
+
 describe('validateSection', () => {
   test('validates a correct section', () => {
     const result = validateSection(validSection, 'verse');
@@ -156,6 +171,34 @@ describe('validateSection', () => {
     expect(result.errors).toContain('Progression cannot be empty');
   });
 
+  test('accepts an optional section key', () => {
+    const result = validateSection({ ...validSection, key: 'D' }, 'bridge');
+    expect(result.isValid).toBe(true);
+  });
+
+  test('rejects invalid section keys', () => {
+    const result = validateSection({ ...validSection, key: 'D7' }, 'bridge');
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain('Invalid section key: D7');
+  });
+
+  test('accepts optional durations, time signature and pickup', () => {
+    const durations = validSection.progression.map(() => 3);
+    const result = validateSection({ ...validSection, durations, timeSignature: '3/4', pickup: 1 }, 'verse');
+    expect(result.isValid).toBe(true);
+  });
+
+  test('rejects invalid durations, time signatures and pickups', () => {
+    expect(validateSection({ ...validSection, durations: [4] }, 'verse').errors)
+      .toContain('Durations must be an array with one beat count per chord');
+    expect(validateSection({ ...validSection, durations: validSection.progression.map(() => 0) }, 'verse').errors)
+      .toContain('Invalid duration at position 0: 0');
+    expect(validateSection({ ...validSection, timeSignature: '4/3' }, 'verse').errors)
+      .toContain('Invalid time signature: 4/3');
+    expect(validateSection({ ...validSection, pickup: -1 }, 'verse').errors)
+      .toContain('Pickup must be a non-negative number of beats');
+  });
+
   test('rejects sections with invalid bars', () => {
     const invalidSection = {
       ...validSection,
@@ -286,6 +329,23 @@ describe('validateSong', () => {
     expect(result.errors.some(error => error.includes('Invalid chord'))).toBe(true);
   });
 
+  test('accepts a form made of the song\'s sections', () => {
+    const result = validateSong({ ...validSong, form: ['verse', 'chorus', 'verse', 'chorus'] });
+    expect(result.isValid).toBe(true);
+  });
+
+  test('rejects forms that are empty or name missing sections', () => {
+    expect(validateSong({ ...validSong, form: [] }).errors)
+      .toContain('Form must be a non-empty array of section names if provided');
+    expect(validateSong({ ...validSong, form: ['verse', 'bridge'] }).errors)
+      .toContain('Form section not found in sections: bridge');
+  });
+
+  test('rejects an invalid song time signature', () => {
+    expect(validateSong({ ...validSong, timeSignature: '6/8' }).isValid).toBe(true);
+    expect(validateSong({ ...validSong, timeSignature: 'waltz' }).errors).toContain('Invalid time signature: waltz');
+  });
+
   test('handles null or undefined songs', () => {
     const result = validateSong(null);
     expect(result.isValid).toBe(false);
@@ -0,0 +1,11 @@
+/**
+ * Starts the search worker
+ * Kept in its own module because Jest can't parse import.meta; tests mock it or pass their own factory
+ * @returns {Worker|null} - The worker, or null where Web Workers aren't available
+ */
+export const createSearchWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+  return new Worker(new URL('./search.worker.js', import.meta.url));
+};
+
+export default createSearchWorker;
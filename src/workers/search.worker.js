@@ -0,0 +1,15 @@
+/**
+ * Search worker
+ * Runs search tasks off the main thread, so searching never holds up playback or typing.
+ * Messages are { id, task, args } and each gets back { id, result } or { id, error }.
+ * It builds the search index and warms up the search code as soon as it starts, rather than on the first search
+ */
+
+import { prepareSearch, handleSearchTaskMessage } from '../utils/searchTasks.js';
+
+// globalThis is the worker scope, so this listens for the messages sent to the worker
+globalThis.addEventListener('message', ({ data }) => {
+  globalThis.postMessage(handleSearchTaskMessage(data));
+});
+
+prepareSearch();